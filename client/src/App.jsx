@@ -1,231 +1,168 @@
-import { useMemo, useState } from 'react';
+import { useEffect, useMemo, useState } from 'react';
+import { API_BASE, apiRequest } from './api';
+import HistoryView from './HistoryView';
+import SettingsView from './SettingsView';
+import WatchesView from './WatchesView';
+import PortfolioView from './PortfolioView';
+import ScanResults from './ScanResults';
+import { readUrlParam, writeUrlParams } from './urlState';
 import './App.css';
 
-const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:4000';
-
-const severityOrder = ['critical', 'high', 'medium', 'low'];
-const severityLabels = {
-  critical: 'Critical',
-  high: 'High',
-  medium: 'Medium',
-  low: 'Low',
-};
-
-function SeverityBadge({ severity, label }) {
-  if (!severity) return null;
-  return <span className={`severity-badge severity-${severity}`}>{label || severity}</span>;
-}
+const terminalJobStatuses = ['completed', 'failed', 'cancelled'];
+const scanPhases = [
+  { id: 'cloning', label: 'Cloning repository' },
+  { id: 'installing', label: 'Installing dependencies' },
+  { id: 'scanning', label: 'Running Snyk' },
+  { id: 'parsing', label: 'Parsing results' },
+  { id: 'evaluating', label: 'Evaluating policy' },
+  { id: 'planning', label: 'Planning remediation' },
+];
+const MAX_VISIBLE_LOG_LINES = 200;
+
+function ScanProgress({ job, events, onCancel }) {
+  const phases = useMemo(() => {
+    const latest = {};
+    events.forEach((event) => {
+      if (event.type === 'phase') latest[event.phase] = event;
+    });
+    return scanPhases.map((phase) => ({
+      ...phase,
+      status: latest[phase.id]?.status || 'pending',
+      at: latest[phase.id]?.at || null,
+    }));
+  }, [events]);
+
+  const logLines = useMemo(
+    () => events.filter((event) => event.type === 'log').slice(-MAX_VISIBLE_LOG_LINES),
+    [events],
+  );
 
-function IssuesList({ title, items, emptyLabel }) {
-  if (!items || items.length === 0) {
-    return (
-      <section className="card">
-        <h3>{title}</h3>
-        <p className="muted">{emptyLabel}</p>
-      </section>
-    );
-  }
+  const waitingLabel = job?.status === 'queued'
+    ? `Waiting for a free scanner${job.position ? ` (position ${job.position} in queue)` : ''}…`
+    : 'Running Snyk scan… This may take a minute.';
 
   return (
-    <section className="card">
-      <h3>{title}</h3>
-      <div className="issues">
-        {items.map((issue) => (
-          <article key={`${issue.id}-${issue.packageName}-${issue.title}`} className="issue">
-            <header className="issue-header">
-              <SeverityBadge severity={issue.severity} label={severityLabels[issue.severity]} />
-              <h4>{issue.title}</h4>
-            </header>
-            <dl>
-              {issue.packageName && (
-                <div>
-                  <dt>Package</dt>
-                  <dd>{issue.packageName}{issue.version ? `@${issue.version}` : ''}</dd>
-                </div>
-              )}
-              {issue.from && issue.from.length > 0 && (
-                <div>
-                  <dt>From</dt>
-                  <dd className="muted">{issue.from.join(' → ')}</dd>
-                </div>
-              )}
-              {issue.description && (
-                <div>
-                  <dt>Description</dt>
-                  <dd>{issue.description}</dd>
-                </div>
-              )}
-              {issue.publicationTime && (
-                <div>
-                  <dt>Published</dt>
-                  <dd>{new Date(issue.publicationTime).toLocaleDateString()}</dd>
-                </div>
-              )}
-              {issue.upgradePath && issue.upgradePath.length > 0 && issue.upgradePath.some(Boolean) && (
-                <div>
-                  <dt>Upgrade Path</dt>
-                  <dd>{issue.upgradePath.filter(Boolean).join(' → ')}</dd>
-                </div>
-              )}
-              {issue.url && (
-                <div>
-                  <dt>More Info</dt>
-                  <dd>
-                    <a href={issue.url} target="_blank" rel="noreferrer">
-                      View in Snyk
-                    </a>
-                  </dd>
-                </div>
-              )}
-            </dl>
-          </article>
-        ))}
+    <section className="card progress-card">
+      <div className="progress-header">
+        <div className="spinner spinner-small" aria-hidden />
+        <p>{waitingLabel}</p>
+        <button type="button" className="secondary-button" onClick={onCancel}>
+          Cancel scan
+        </button>
       </div>
-    </section>
-  );
-}
 
-function SummaryCard({ summary }) {
-  const entries = useMemo(() => severityOrder.map((severity) => ({
-    severity,
-    count: summary?.[severity] || 0,
-  })), [summary]);
-
-  return (
-    <section className="card">
-      <h3>Severity Overview</h3>
-      <ul className="summary-grid">
-        {entries.map(({ severity, count }) => (
-          <li key={severity}>
-            <SeverityBadge severity={severity} label={severityLabels[severity]} />
-            <span className="summary-count">{count}</span>
+      <ol className="progress-timeline">
+        {phases.map((phase) => (
+          <li key={phase.id} className={`progress-phase phase-${phase.status}`}>
+            <span className="phase-marker" aria-hidden />
+            <span className="phase-label">{phase.label}</span>
+            <span className="phase-status muted">
+              {phase.status}
+              {phase.at && ` · ${new Date(phase.at).toLocaleTimeString()}`}
+            </span>
           </li>
         ))}
-      </ul>
+      </ol>
+
+      {logLines.length > 0 && (
+        <pre className="progress-log" aria-live="polite">
+          {logLines.map((event) => `[${event.phase}] ${event.line}`).join('\n')}
+        </pre>
+      )}
     </section>
   );
 }
 
-function ScanResults({ result }) {
-  if (!result) return null;
-
-  const scanTargets = result.scanTargetFiles?.length
-    ? result.scanTargetFiles
-    : result.primaryTargetFile
-      ? [result.primaryTargetFile]
-      : [];
-
-  const scanTargetLabel = scanTargets.length > 0 ? scanTargets.join(', ') : 'Entire project';
-  const repoLinkLabel = result.repositoryUrl
-    ? result.repositoryUrl.replace(/^https?:\/\//, '')
-    : null;
-  const actionPlan = result.actionPlan || {};
-  const actionPlanSteps = Array.isArray(actionPlan.steps)
-    ? actionPlan.steps.filter(Boolean)
-    : Array.isArray(result.actionPlan)
-      ? result.actionPlan.filter(Boolean)
-      : [];
-  const noAction = actionPlan.noAction === true || (actionPlanSteps.length === 0 && actionPlan.noAction !== false);
-  const summaryText = typeof actionPlan.summary === 'string' && actionPlan.summary.trim()
-    ? actionPlan.summary.trim()
-    : 'No summary available.';
-
-  return (
-    <div className="results">
-      <section className="card project-card">
-        <div className="project-card-header">
-          <div>
-            <h2>{result.projectName}</h2>
-            {(result.projectType || repoLinkLabel) && (
-              <p className="muted">
-                {result.projectType && <span>{result.projectType}</span>}
-                {result.projectType && repoLinkLabel && ' · '}
-                {repoLinkLabel && (
-                  <a href={result.repositoryUrl} target="_blank" rel="noreferrer">
-                    {repoLinkLabel}
-                  </a>
-                )}
-              </p>
-            )}
-          </div>
-          <span className={`status-pill ${result.ok ? 'status-success' : 'status-alert'}`}>
-            {result.ok ? 'No vulnerabilities detected' : 'Vulnerabilities found'}
-          </span>
-        </div>
-
-        <ul className="project-meta">
-          <li>
-            <span className="muted">Dependencies:</span>{' '}
-            {typeof result.dependencyCount === 'number' ? result.dependencyCount : 'Unknown'}
-          </li>
-          <li>
-            <span className="muted">Repository access:</span>{' '}
-            <span className={`status-pill status-compact ${result.repositoryAccessible ? 'status-success' : 'status-alert'}`}>
-              {result.repositoryAccessible ? 'Accessible' : 'Unavailable'}
-            </span>
-          </li>
-        </ul>
-
-        <div className="scan-status-grid">
-          <div>
-            <span className="muted">Scan target</span>
-            <p className="scan-target">{scanTargetLabel}</p>
-          </div>
-          {result.snykCommand && (
-            <div>
-              <span className="muted">Command</span>
-              <code className="command-chip">{result.snykCommand}</code>
-            </div>
-          )}
-        </div>
-      </section>
-
-      <SummaryCard summary={result.summary} />
-
-      <IssuesList
-        title="Security Issues"
-        items={result.issues}
-        emptyLabel="No security vulnerabilities reported."
-      />
-
-      <IssuesList
-        title="License Issues"
-        items={result.licenses}
-        emptyLabel="No license issues reported."
-      />
-
-      <section className="card summary-card">
-        <h3>Summary</h3>
-        <p className="summary-text">{summaryText}</p>
-        {actionPlan.source && (
-          <p className="helper plan-source">Summary generated by {actionPlan.source === 'openai' ? 'OpenAI Agent' : 'heuristics'}.</p>
-        )}
-      </section>
-
-      <section className="card">
-        <h3>Action Plan</h3>
-        {!noAction ? (
-          <ol className="action-plan">
-            {actionPlanSteps.map((step, index) => (
-              <li key={`${index}-${step}`}>{step}</li>
-            ))}
-          </ol>
-        ) : (
-          <p className="muted">No action is needed.</p>
-        )}
-        {actionPlan.source && !noAction && (
-          <p className="helper plan-source">Plan generated by {actionPlan.source === 'openai' ? 'OpenAI Agent' : 'heuristics'}.</p>
-        )}
-      </section>
-    </div>
-  );
-}
+const views = [
+  { id: 'scan', label: 'Scan' },
+  { id: 'history', label: 'History' },
+  { id: 'portfolio', label: 'Portfolio' },
+  { id: 'watches', label: 'Scheduled' },
+  { id: 'settings', label: 'Settings' },
+];
+
+const describeJobError = (job) => {
+  if (job.status === 'cancelled') return 'Scan was cancelled.';
+  const detail = typeof job.error?.details === 'string' ? job.error.details : null;
+  return [job.error?.error, detail].filter(Boolean).join(': ') || 'Scan failed.';
+};
 
 function App() {
   const [repoUrl, setRepoUrl] = useState('');
-  const [isLoading, setIsLoading] = useState(false);
+  const [ref, setRef] = useState('');
+  const [view, setView] = useState(() => readUrlParam('view') || 'scan');
+  const [historyRepo, setHistoryRepo] = useState(() => readUrlParam('repo'));
+  const [jobId, setJobId] = useState(() => readUrlParam('job'));
+  const [job, setJob] = useState(null);
+  const [events, setEvents] = useState([]);
   const [error, setError] = useState(null);
   const [result, setResult] = useState(null);
+  const [scanners, setScanners] = useState([]);
+  const [selectedScanners, setSelectedScanners] = useState([]);
+
+  useEffect(() => {
+    apiRequest('/api/scanners')
+      .then((data) => {
+        const available = (data.scanners || []).filter((scanner) => scanner.available);
+        setScanners(available);
+        setSelectedScanners(available.filter((scanner) => scanner.default).map((scanner) => scanner.id));
+      })
+      .catch(() => {
+        // Older backends only run Snyk; submit without an explicit scanner list.
+      });
+  }, []);
+
+  const isLoading = Boolean(jobId) && !terminalJobStatuses.includes(job?.status);
+
+  useEffect(() => {
+    writeUrlParams({
+      view: view === 'scan' ? null : view,
+      repo: view === 'history' ? historyRepo : null,
+      job: view === 'scan' ? jobId : null,
+    });
+  }, [view, historyRepo, jobId]);
+
+  useEffect(() => {
+    if (!jobId) return undefined;
+
+    setEvents([]);
+    const source = new EventSource(`${API_BASE}/api/scans/${jobId}/events`);
+
+    source.addEventListener('progress', (message) => {
+      const event = JSON.parse(message.data);
+      setEvents((current) => [...current, event]);
+    });
+
+    const handleJob = (data) => {
+      setJob(data);
+      if (data.repoUrl) setRepoUrl((current) => current || data.repoUrl);
+      if (!terminalJobStatuses.includes(data.status)) return;
+
+      source.close();
+      if (data.status === 'completed') {
+        setResult(data.result);
+      } else {
+        setError(describeJobError(data));
+      }
+    };
+
+    source.addEventListener('job', (message) => handleJob(JSON.parse(message.data)));
+
+    source.addEventListener('error', async () => {
+      if (source.readyState !== EventSource.CLOSED) return;
+      // The browser gives up on non-200 responses, e.g. a job that expired from the queue.
+      try {
+        handleJob(await apiRequest(`/api/scans/${jobId}`));
+      } catch (err) {
+        setError(err.message || 'Unable to follow scan progress.');
+        setJobId(null);
+      }
+    });
+
+    return () => {
+      source.close();
+    };
+  }, [jobId]);
 
   const handleSubmit = async (event) => {
     event.preventDefault();
@@ -233,33 +170,52 @@ function App() {
       setError('Please enter a GitHub repository URL.');
       return;
     }
+    if (scanners.length > 0 && selectedScanners.length === 0) {
+      setError('Select at least one scanner.');
+      return;
+    }
 
-    setIsLoading(true);
     setError(null);
     setResult(null);
+    setJob(null);
 
     try {
-      const response = await fetch(`${API_BASE}/api/scan`, {
+      const data = await apiRequest('/api/scans', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
+        body: {
+          repoUrl,
+          ref: ref.trim() || undefined,
+          scanners: selectedScanners.length > 0 ? selectedScanners : undefined,
         },
-        body: JSON.stringify({ repoUrl }),
       });
+      setJob(data);
+      setJobId(data.id);
+    } catch (err) {
+      setError(err.message || 'Unexpected error while scanning repository.');
+    }
+  };
 
-      const data = await response.json();
+  const toggleScanner = (scannerId) => {
+    setSelectedScanners((current) => (current.includes(scannerId)
+      ? current.filter((id) => id !== scannerId)
+      : [...current, scannerId]));
+  };
 
-      if (!response.ok) {
-        const detail = typeof data?.details === 'string' ? data.details : null;
-        const combined = [data?.error, detail].filter(Boolean).join(': ');
-        throw new Error(combined || 'Scan failed.');
-      }
+  const handleOpenScan = (scanId) => {
+    setError(null);
+    setResult(null);
+    setJob(null);
+    setJobId(scanId);
+    setView('scan');
+  };
 
-      setResult(data);
+  const handleCancel = async () => {
+    if (!jobId) return;
+    try {
+      const data = await apiRequest(`/api/scans/${jobId}`, { method: 'DELETE' });
+      setJob(data);
     } catch (err) {
-      setError(err.message || 'Unexpected error while scanning repository.');
-    } finally {
-      setIsLoading(false);
+      setError(err.message || 'Unable to cancel scan.');
     }
   };
 
@@ -268,47 +224,109 @@ function App() {
       <header className="hero">
         <div>
           <h1>Snyk Security Scanner</h1>
-          <p>Audit any public GitHub repository for known vulnerabilities and license issues.</p>
+          <p>Audit public or private git repositories for known vulnerabilities and license issues.</p>
         </div>
       </header>
 
-      <main className="content">
-        <form className="scan-form" onSubmit={handleSubmit}>
-          <label htmlFor="repoUrl">GitHub Repository URL</label>
-          <div className="form-row">
-            <input
-              id="repoUrl"
-              type="url"
-              placeholder="https://github.com/org/project"
-              value={repoUrl}
-              onChange={(event) => setRepoUrl(event.target.value)}
-              autoComplete="off"
-            />
-            <button type="submit" disabled={isLoading}>
-              {isLoading ? 'Scanning…' : 'Run Scan'}
-            </button>
-          </div>
-          <p className="helper">
-            Ensure the backend has access to a valid `SNYK_TOKEN` environment variable before running scans.
-          </p>
-        </form>
-
-        {error && (
-          <div className="card error-card">
-            <h3>Scan Error</h3>
-            <p>{error}</p>
-          </div>
-        )}
-
-        {isLoading && (
-          <div className="card loading-card">
-            <div className="spinner" aria-hidden />
-            <p>Running Snyk scan… This may take a minute.</p>
-          </div>
-        )}
-
-        {!isLoading && result && <ScanResults result={result} />}
-      </main>
+      <nav className="view-tabs" aria-label="Views">
+        {views.map((item) => (
+          <button
+            key={item.id}
+            type="button"
+            className={`view-tab ${view === item.id ? 'view-tab-active' : ''}`}
+            onClick={() => setView(item.id)}
+          >
+            {item.label}
+          </button>
+        ))}
+      </nav>
+
+      {view === 'history' && (
+        <main className="content">
+          <HistoryView selectedRepo={historyRepo} onSelectRepo={setHistoryRepo} onOpenScan={handleOpenScan} />
+        </main>
+      )}
+
+      {view === 'portfolio' && (
+        <main className="content">
+          <PortfolioView onOpenScan={handleOpenScan} />
+        </main>
+      )}
+
+      {view === 'watches' && (
+        <main className="content">
+          <WatchesView onOpenScan={handleOpenScan} />
+        </main>
+      )}
+
+      {view === 'settings' && (
+        <main className="content">
+          <SettingsView />
+        </main>
+      )}
+
+      {view === 'scan' && (
+        <main className="content">
+          <form className="scan-form" onSubmit={handleSubmit}>
+            <label htmlFor="repoUrl">Repository URL</label>
+            <div className="form-row">
+              <input
+                id="repoUrl"
+                type="text"
+                placeholder="https://github.com/org/project or git@github.com:org/project.git"
+                value={repoUrl}
+                onChange={(event) => setRepoUrl(event.target.value)}
+                autoComplete="off"
+              />
+              <input
+                id="repoRef"
+                className="ref-input"
+                type="text"
+                placeholder="Branch, tag or commit (optional)"
+                aria-label="Branch, tag or commit"
+                value={ref}
+                onChange={(event) => setRef(event.target.value)}
+                autoComplete="off"
+              />
+              <button type="submit" disabled={isLoading}>
+                {isLoading ? 'Scanning…' : 'Run Scan'}
+              </button>
+            </div>
+            {scanners.length > 1 && (
+              <fieldset className="scanner-options">
+                <legend>Scanners</legend>
+                {scanners.map((scanner) => (
+                  <label key={scanner.id} className="scanner-option">
+                    <input
+                      type="checkbox"
+                      checked={selectedScanners.includes(scanner.id)}
+                      onChange={() => toggleScanner(scanner.id)}
+                    />
+                    {scanner.label}
+                  </label>
+                ))}
+              </fieldset>
+            )}
+            <p className="helper">
+              Ensure the backend has access to a valid `SNYK_TOKEN` environment variable before running scans.
+              Private repositories are cloned with the matching credential from Settings.
+            </p>
+          </form>
+
+          {error && (
+            <div className="card error-card">
+              <h3>Scan Error</h3>
+              <p>{error}</p>
+            </div>
+          )}
+
+          {isLoading && (
+            <ScanProgress job={job} events={events} onCancel={handleCancel} />
+          )}
+
+          {!isLoading && result && <ScanResults result={result} scanId={jobId} />}
+        </main>
+      )}
 
       <footer className="footer">
         <p className="muted">
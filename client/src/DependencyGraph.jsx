@@ -0,0 +1,170 @@
+import { useMemo, useState } from 'react';
+import SeverityBadge from './SeverityBadge';
+import { severityLabels, sortByPriority } from './severity';
+import {
+  allParentIds,
+  bestUpgrade,
+  buildDependencyTree,
+  findNode,
+  idsToDepth,
+  issueKey,
+} from './dependencyGraph';
+
+function GraphNode({ node, expanded, selectedId, onToggle, onSelect }) {
+  const isOpen = expanded.has(node.id);
+  const hasChildren = node.children.length > 0;
+  const count = node.subtreeIssues.length;
+
+  return (
+    <li
+      role="treeitem"
+      aria-expanded={hasChildren ? isOpen : undefined}
+      aria-selected={selectedId === node.id}
+      className="graph-node"
+    >
+      <div className={`graph-row ${selectedId === node.id ? 'graph-row-selected' : ''}`}>
+        {hasChildren ? (
+          <button
+            type="button"
+            className="graph-toggle"
+            aria-label={isOpen ? `Collapse ${node.label}` : `Expand ${node.label}`}
+            onClick={() => onToggle(node.id)}
+          >
+            {isOpen ? '▾' : '▸'}
+          </button>
+        ) : (
+          <span className="graph-toggle" aria-hidden="true" />
+        )}
+        <button
+          type="button"
+          className={`graph-label ${node.severity ? `graph-vulnerable graph-${node.severity}` : ''}`}
+          onClick={() => onSelect(node.id)}
+        >
+          {node.label}
+        </button>
+        {node.severity && <SeverityBadge severity={node.severity} label={severityLabels[node.severity]} />}
+        <span className="muted graph-count">
+          {count} {count === 1 ? 'issue' : 'issues'}
+        </span>
+      </div>
+      {hasChildren && isOpen && (
+        <ul role="group" className="graph-children">
+          {node.children.map((child) => (
+            <GraphNode
+              key={child.id}
+              node={child}
+              expanded={expanded}
+              selectedId={selectedId}
+              onToggle={onToggle}
+              onSelect={onSelect}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+function NodeDetails({ node }) {
+  const upgrade = node.depth === 1 ? bestUpgrade(node) : null;
+
+  return (
+    <section className="card">
+      <h3>{node.label}</h3>
+      <p className="muted">
+        {node.depth === 0 ? 'Project' : node.depth === 1 ? 'Direct dependency' : `Transitive dependency (depth ${node.depth})`}
+        {' · '}
+        {node.subtreeIssues.length} {node.subtreeIssues.length === 1 ? 'issue' : 'issues'} brought in
+      </p>
+      {node.depth === 1 && (
+        upgrade ? (
+          <p className="graph-upgrade">
+            Upgrade <strong>{upgrade.name}</strong> to <code>{upgrade.version}</code> to fix {upgrade.fixes} of{' '}
+            {upgrade.total} {upgrade.total === 1 ? 'issue' : 'issues'}.
+          </p>
+        ) : (
+          <p className="muted">No upgrade of {node.name} fixes these issues.</p>
+        )
+      )}
+      <ul className="fix-issues">
+        {sortByPriority(node.subtreeIssues).map((issue) => (
+          <li key={issueKey(issue)}>
+            <SeverityBadge severity={issue.severity} label={severityLabels[issue.severity]} /> {issue.title} in{' '}
+            {issue.packageName}@{issue.version} <code>{issue.id}</code>
+            {Array.isArray(issue.upgradePath) && issue.upgradePath.some(Boolean) && (
+              <span className="muted"> · upgrade to {issue.upgradePath.filter(Boolean).join(' → ')}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+// Merges every issue's dependency path into one tree per project so shared
+// roots are visible; selecting a direct dependency suggests its best upgrade.
+function DependencyGraph({ issues }) {
+  const tree = useMemo(() => buildDependencyTree(issues), [issues]);
+  const [expanded, setExpanded] = useState(() => new Set(idsToDepth(tree, 1)));
+  const [selectedId, setSelectedId] = useState(null);
+  const selected = selectedId ? findNode(tree, selectedId) : null;
+
+  if (tree.length === 0) {
+    return (
+      <section className="card">
+        <h3>Dependency Graph</h3>
+        <p className="muted">No vulnerable dependencies to show.</p>
+      </section>
+    );
+  }
+
+  const toggle = (id) => {
+    setExpanded((current) => {
+      const next = new Set(current);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  return (
+    <>
+      <section className="card">
+        <div className="graph-header">
+          <h3>Dependency Graph</h3>
+          <div className="export-actions">
+            <button type="button" className="secondary-button" onClick={() => setExpanded(new Set(allParentIds(tree)))}>
+              Expand All
+            </button>
+            <button type="button" className="secondary-button" onClick={() => setExpanded(new Set(idsToDepth(tree, 1)))}>
+              Collapse
+            </button>
+          </div>
+        </div>
+        <p className="helper">
+          Every path to a vulnerable package, merged from the project down. Packages are colored by the worst
+          severity reported for them; select a direct dependency to see what it brings in and the upgrade that
+          fixes the most of it.
+        </p>
+        <ul role="tree" aria-label="Dependency graph" className="graph-tree">
+          {tree.map((node) => (
+            <GraphNode
+              key={node.id}
+              node={node}
+              expanded={expanded}
+              selectedId={selectedId}
+              onToggle={toggle}
+              onSelect={setSelectedId}
+            />
+          ))}
+        </ul>
+      </section>
+      {selected && <NodeDetails node={selected} />}
+    </>
+  );
+}
+
+export default DependencyGraph;
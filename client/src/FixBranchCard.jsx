@@ -0,0 +1,195 @@
+import { useEffect, useState } from 'react';
+import { API_BASE, apiRequest } from './api';
+
+const POLL_INTERVAL_MS = 3000;
+const activeStatuses = ['queued', 'running'];
+
+function IssueRefs({ items }) {
+  return (
+    <ul className="fix-issues">
+      {items.map((issue) => (
+        <li key={`${issue.id}-${issue.packageName}`}>
+          <code>{issue.id}</code> {issue.title || issue.packageName}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function GenerationStatus({ remediation }) {
+  const { branch, status, error } = remediation;
+  if (status === 'failed') {
+    return (
+      <p className="muted">
+        Generating <code>{branch}</code> failed: {error?.error || 'unknown error'}
+        {typeof error?.details === 'string' && ` ${error.details}`}
+      </p>
+    );
+  }
+  if (status === 'cancelled') {
+    return <p className="muted">Generating <code>{branch}</code> was cancelled.</p>;
+  }
+  return (
+    <p className="muted">
+      {status === 'queued'
+        ? <>Waiting to generate <code>{branch}</code>…</>
+        : <>Generating <code>{branch}</code>: upgrading, updating lockfiles and re-scanning…</>}
+    </p>
+  );
+}
+
+function FixBranchCard({ scanId, hasUpgrades }) {
+  const [remediation, setRemediation] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => {
+    setRemediation(null);
+    setError(null);
+    let cancelled = false;
+    apiRequest(`/api/scans/${scanId}/remediations`)
+      .then(({ remediations }) => {
+        if (!cancelled) setRemediation(remediations[0] || null);
+      })
+      .catch(() => {
+        // Without stored remediations the card offers to create one.
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [scanId]);
+
+  const remediationId = remediation?.id;
+  const isGenerating = activeStatuses.includes(remediation?.status);
+  // Remediations stored before fixes ran as jobs have no status.
+  const isReady = Boolean(remediation) && (!remediation.status || remediation.status === 'completed');
+
+  useEffect(() => {
+    if (!isGenerating) return undefined;
+    const timer = setInterval(() => {
+      apiRequest(`/api/remediations/${remediationId}`)
+        .then(setRemediation)
+        .catch(() => {
+          // Keep the last known status until the next poll.
+        });
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isGenerating, remediationId]);
+
+  const run = async (action, request) => {
+    setBusy(action);
+    setError(null);
+    try {
+      setRemediation(await request());
+    } catch (err) {
+      setError(err.message || 'The request failed.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleCreate = () => run('create', () => apiRequest(`/api/scans/${scanId}/remediations`, {
+    method: 'POST',
+    body: {},
+  }));
+  const handleCancel = () => run('cancel', () => apiRequest(`/api/remediations/${remediation.id}`, {
+    method: 'DELETE',
+  }));
+  const handlePush = () => run('push', () => apiRequest(`/api/remediations/${remediation.id}/push`, {
+    method: 'POST',
+    body: { pullRequest: true },
+  }));
+
+  if (!hasUpgrades && !remediation) return null;
+
+  const verification = remediation?.verification;
+
+  return (
+    <section className="card">
+      <h3>Fix Branch</h3>
+      {!remediation ? (
+        <p className="muted">
+          Upgrade the vulnerable dependencies that have an upgrade path, re-scan to verify the fix and commit the
+          result on a new branch.
+        </p>
+      ) : !isReady ? (
+        <GenerationStatus remediation={remediation} />
+      ) : (
+        <>
+          <p>
+            <code>{remediation.branch}</code>{' '}
+            <span className="muted">at {remediation.commitSha.slice(0, 12)}</span>
+          </p>
+          <ul className="fix-upgrades">
+            {remediation.upgrades.map((upgrade) => (
+              <li key={`${upgrade.manifest}-${upgrade.name}`}>
+                {upgrade.name} {upgrade.from || ''} → {upgrade.to}
+                {upgrade.manifest !== 'package.json' && <span className="muted"> ({upgrade.manifest})</span>}
+              </li>
+            ))}
+          </ul>
+          {verification?.status === 'completed' ? (
+            <>
+              {verification.resolved.length > 0 && (
+                <>
+                  <p className="helper">Resolved according to the verification scan:</p>
+                  <IssueRefs items={verification.resolved} />
+                </>
+              )}
+              {verification.remaining.length > 0 && (
+                <>
+                  <p className="helper">Still reported after the upgrade:</p>
+                  <IssueRefs items={verification.remaining} />
+                </>
+              )}
+              {verification.introduced.length > 0 && (
+                <>
+                  <p className="helper">New findings after the upgrade:</p>
+                  <IssueRefs items={verification.introduced} />
+                </>
+              )}
+            </>
+          ) : (
+            <p className="muted">The verification scan failed: {verification?.error}</p>
+          )}
+          {remediation.push && (
+            <p className="helper">
+              {remediation.push.message}
+              {remediation.push.pullRequest?.url && (
+                <>
+                  {' '}
+                  <a href={remediation.push.pullRequest.url} target="_blank" rel="noreferrer">
+                    View pull request #{remediation.push.pullRequest.number}
+                  </a>
+                </>
+              )}
+            </p>
+          )}
+        </>
+      )}
+      {error && <p className="muted">{error}</p>}
+      <div className="export-actions">
+        <button type="button" className="secondary-button" onClick={handleCreate} disabled={Boolean(busy) || isGenerating}>
+          {busy === 'create' ? 'Queuing…' : remediation ? 'Regenerate Fix' : 'Generate Fix Branch'}
+        </button>
+        {isGenerating && (
+          <button type="button" className="secondary-button" onClick={handleCancel} disabled={Boolean(busy)}>
+            {busy === 'cancel' ? 'Cancelling…' : 'Cancel'}
+          </button>
+        )}
+        {isReady && (
+          <>
+            <button type="button" className="secondary-button" onClick={handlePush} disabled={Boolean(busy)}>
+              {busy === 'push' ? 'Pushing…' : 'Push & Open Pull Request'}
+            </button>
+            <a className="export-link" href={`${API_BASE}/api/remediations/${remediation.id}/patch`} download>
+              Download Patch
+            </a>
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default FixBranchCard;
@@ -0,0 +1,142 @@
+import { useEffect, useState } from 'react';
+import { apiRequest } from './api';
+import SeverityBadge from './SeverityBadge';
+import { severityLabels, severityOrder } from './severity';
+
+const formatTimestamp = (value) => (value ? new Date(value).toLocaleString() : 'Unknown');
+
+const sourceLabels = { github: 'GitHub', gitlab: 'GitLab', gitea: 'Gitea' };
+
+// Scans started by a push webhook name the branch or pull request instead of
+// the commit they were asked to check out.
+const describeTrigger = ({ source, event, branch, pullRequest }) => (event === 'pull_request'
+  ? `${sourceLabels[source] || source} pull request${pullRequest ? ` #${pullRequest}` : ''} into ${branch}`
+  : `${sourceLabels[source] || source} push to ${branch}`);
+
+function SeverityCounts({ summary }) {
+  return (
+    <span className="history-counts">
+      {severityOrder.map((severity) => (
+        <SeverityBadge
+          key={severity}
+          severity={severity}
+          label={`${summary?.[severity] || 0} ${severityLabels[severity]}`}
+        />
+      ))}
+    </span>
+  );
+}
+
+function HistoryView({ selectedRepo, onSelectRepo, onOpenScan }) {
+  const [repos, setRepos] = useState([]);
+  const [scans, setScans] = useState([]);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    apiRequest('/api/repos')
+      .then((data) => {
+        if (!cancelled) setRepos(data.repos || []);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Unable to load scan history.');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!selectedRepo) {
+      setScans([]);
+      return undefined;
+    }
+    let cancelled = false;
+    apiRequest(`/api/repos/${encodeURIComponent(selectedRepo)}/scans`)
+      .then((data) => {
+        if (!cancelled) setScans(data.scans || []);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Unable to load scans for repository.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedRepo]);
+
+  if (isLoading) {
+    return (
+      <section className="card">
+        <p className="muted">Loading scan history…</p>
+      </section>
+    );
+  }
+
+  return (
+    <div className="results">
+      {error && (
+        <div className="card error-card">
+          <h3>History Error</h3>
+          <p>{error}</p>
+        </div>
+      )}
+
+      <section className="card">
+        <h3>Scanned Repositories</h3>
+        {repos.length === 0 ? (
+          <p className="muted">No scans have been stored yet.</p>
+        ) : (
+          <ul className="history-list">
+            {repos.map((repo) => (
+              <li key={repo.repoKey}>
+                <button
+                  type="button"
+                  className={`history-item ${repo.repoKey === selectedRepo ? 'history-item-active' : ''}`}
+                  onClick={() => onSelectRepo(repo.repoKey)}
+                >
+                  <span className="history-title">{repo.repoKey}</span>
+                  <span className="muted">
+                    {repo.scanCount} {repo.scanCount === 1 ? 'scan' : 'scans'} · last {formatTimestamp(repo.latestScan?.createdAt)}
+                  </span>
+                  <SeverityCounts summary={repo.latestScan?.summary} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {selectedRepo && (
+        <section className="card">
+          <h3>Scans of {selectedRepo}</h3>
+          {scans.length === 0 ? (
+            <p className="muted">No scans found for this repository.</p>
+          ) : (
+            <ul className="history-list">
+              {scans.map((scan) => (
+                <li key={scan.id}>
+                  <button type="button" className="history-item" onClick={() => onOpenScan(scan.id)}>
+                    <span className="history-title">{formatTimestamp(scan.createdAt)}</span>
+                    <span className="muted">
+                      {scan.trigger ? `${describeTrigger(scan.trigger)} @ ` : scan.ref && `${scan.ref} @ `}
+                      {scan.commitSha ? <code>{scan.commitSha.slice(0, 10)}</code> : 'Unknown commit'}
+                      {' · '}
+                      {scan.issueCount} {scan.issueCount === 1 ? 'issue' : 'issues'}
+                    </span>
+                    <SeverityCounts summary={scan.summary} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      )}
+    </div>
+  );
+}
+
+export default HistoryView;
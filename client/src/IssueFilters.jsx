@@ -0,0 +1,97 @@
+import { emptyFilters, fixabilityLabels, groupingLabels, hasActiveFilters } from './issueFilters';
+import { severityLabels, severityOrder } from './severity';
+
+// Narrows and groups the findings; the state lives in the page URL so a
+// filtered view can be shared as a link.
+function IssueFilters({ filters, onChange, packages, shown, total }) {
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  const toggleSeverity = (severity) => update({
+    severity: filters.severity.includes(severity)
+      ? filters.severity.filter((value) => value !== severity)
+      : severityOrder.filter((value) => value === severity || filters.severity.includes(value)),
+  });
+
+  return (
+    <section className="card">
+      <div className="graph-header">
+        <h3>Filter Findings</h3>
+        <button
+          type="button"
+          className="secondary-button"
+          disabled={!hasActiveFilters(filters) && !filters.group}
+          onClick={() => onChange(emptyFilters)}
+        >
+          Clear
+        </button>
+      </div>
+      <form className="credential-form issue-filters" onSubmit={(event) => event.preventDefault()}>
+        <label className="credential-secret">
+          Search
+          <input
+            type="search"
+            placeholder="Search titles and descriptions"
+            value={filters.q}
+            onChange={(event) => update({ q: event.target.value })}
+          />
+        </label>
+        <fieldset className="filter-severities credential-secret">
+          <legend>Severity</legend>
+          {severityOrder.map((severity) => (
+            <label key={severity} className="filter-option">
+              <input
+                type="checkbox"
+                checked={filters.severity.includes(severity)}
+                onChange={() => toggleSeverity(severity)}
+              />
+              {severityLabels[severity]}
+            </label>
+          ))}
+        </fieldset>
+        <label>
+          Fix
+          <select value={filters.fix} onChange={(event) => update({ fix: event.target.value })}>
+            <option value="">Any</option>
+            {Object.entries(fixabilityLabels).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Package
+          <select value={filters.pkg} onChange={(event) => update({ pkg: event.target.value })}>
+            <option value="">All packages</option>
+            {filters.pkg && !packages.includes(filters.pkg) && <option value={filters.pkg}>{filters.pkg}</option>}
+            {packages.map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Published After
+          <input type="date" value={filters.after} onChange={(event) => update({ after: event.target.value })} />
+        </label>
+        <label>
+          Published Before
+          <input type="date" value={filters.before} onChange={(event) => update({ before: event.target.value })} />
+        </label>
+        <label>
+          Group By
+          <select value={filters.group} onChange={(event) => update({ group: event.target.value })}>
+            <option value="">No grouping</option>
+            {Object.entries(groupingLabels).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </form>
+      {hasActiveFilters(filters) && (
+        <p className="helper">
+          Showing {shown} of {total} {total === 1 ? 'issue' : 'issues'}.
+        </p>
+      )}
+    </section>
+  );
+}
+
+export default IssueFilters;
@@ -0,0 +1,211 @@
+import { useEffect, useState } from 'react';
+import { apiRequest } from './api';
+
+const familyLabels = {
+  permissive: 'Permissive',
+  'weak-copyleft': 'Weak copyleft',
+  'strong-copyleft': 'Strong copyleft',
+  unknown: 'Unknown',
+};
+
+const statusLabels = {
+  allowed: 'Allowed',
+  forbidden: 'Forbidden',
+  unlisted: 'Not on allow list',
+  unknown: 'Needs review',
+};
+
+const toList = (value) => value.split(',').map((item) => item.trim()).filter(Boolean);
+
+function LicensePolicyForm({ repositoryUrl, policySource }) {
+  const [form, setForm] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const scopePath = `/api/policies/${encodeURIComponent(repositoryUrl)}/licenses`;
+
+  useEffect(() => {
+    let cancelled = false;
+    apiRequest(scopePath)
+      .then(({ licenses }) => {
+        if (cancelled) return;
+        setForm({
+          allow: (licenses.allow || []).join(', '),
+          deny: (licenses.deny || []).join(', '),
+          failOnIssues: Boolean(licenses.failOnIssues),
+          failOnUnknown: Boolean(licenses.failOnUnknown),
+        });
+      })
+      .catch((err) => {
+        if (!cancelled) setMessage(err.message || 'Unable to load the license policy.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [scopePath]);
+
+  if (!form) {
+    return message ? <p className="muted">{message}</p> : null;
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      await apiRequest(scopePath, {
+        method: 'PUT',
+        body: {
+          allow: toList(form.allow),
+          deny: toList(form.deny),
+          failOnIssues: form.failOnIssues,
+          failOnUnknown: form.failOnUnknown,
+        },
+      });
+      setMessage('Saved. The policy applies from the next scan of this repository.');
+    } catch (err) {
+      setMessage(err.message || 'Unable to save the license policy.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className="credential-form" onSubmit={handleSubmit}>
+      <label>
+        Allowed licenses
+        <input
+          type="text"
+          placeholder="permissive, LGPL-3.0"
+          value={form.allow}
+          onChange={(event) => setForm({ ...form, allow: event.target.value })}
+        />
+      </label>
+      <label>
+        Forbidden licenses
+        <input
+          type="text"
+          placeholder="strong-copyleft, SSPL-1.0"
+          value={form.deny}
+          onChange={(event) => setForm({ ...form, deny: event.target.value })}
+        />
+      </label>
+      <label className="checkbox-field">
+        <input
+          type="checkbox"
+          checked={form.failOnUnknown}
+          onChange={(event) => setForm({ ...form, failOnUnknown: event.target.checked })}
+        />
+        Fail on undeclared licenses
+      </label>
+      <label className="checkbox-field">
+        <input
+          type="checkbox"
+          checked={form.failOnIssues}
+          onChange={(event) => setForm({ ...form, failOnIssues: event.target.checked })}
+        />
+        Fail on Snyk license issues
+      </label>
+      <p className="helper credential-secret">
+        Lists accept SPDX ids and the family names permissive, weak-copyleft, strong-copyleft and unknown.
+        {policySource === 'repository' && ' This repository has its own policy file, which takes precedence over server-side rules.'}
+      </p>
+      <div>
+        <button type="submit" className="secondary-button" disabled={isSaving}>
+          {isSaving ? 'Saving…' : 'Save License Policy'}
+        </button>
+      </div>
+      {message && <p className="muted credential-secret">{message}</p>}
+    </form>
+  );
+}
+
+function LicenseInventory({ inventory, repositoryUrl, policySource }) {
+  const [familyFilter, setFamilyFilter] = useState('all');
+
+  if (!inventory) {
+    return (
+      <section className="card">
+        <h3>License Inventory</h3>
+        <p className="muted">
+          No lockfile was found, so the licenses of the dependencies could not be listed.
+        </p>
+      </section>
+    );
+  }
+
+  const visible = inventory.licenses.filter((entry) => familyFilter === 'all' || entry.family === familyFilter);
+
+  return (
+    <>
+      <section className="card">
+        <h3>License Families</h3>
+        <ul className="summary-grid">
+          {Object.entries(familyLabels).map(([family, label]) => (
+            <li key={family}>
+              <button
+                type="button"
+                className={`license-family family-${family} ${familyFilter === family ? 'license-family-active' : ''}`}
+                onClick={() => setFamilyFilter(familyFilter === family ? 'all' : family)}
+              >
+                {label}
+              </button>
+              <span className="summary-count">{inventory.summary[family] || 0}</span>
+            </li>
+          ))}
+        </ul>
+        <p className="helper">
+          {inventory.packageCount} {inventory.packageCount === 1 ? 'dependency' : 'dependencies'} under{' '}
+          {inventory.licenses.length} {inventory.licenses.length === 1 ? 'license' : 'licenses'}.
+        </p>
+      </section>
+
+      <section className="card">
+        <h3>
+          {familyFilter === 'all' ? 'All Licenses' : `${familyLabels[familyFilter]} Licenses`}
+        </h3>
+        {visible.length === 0 ? (
+          <p className="muted">No dependencies in this family.</p>
+        ) : (
+          <ul className="license-list">
+            {visible.map((entry) => (
+              <li key={entry.license}>
+                <details>
+                  <summary>
+                    <span className="history-title">{entry.license}</span>
+                    <span className={`license-family family-${entry.family}`}>{familyLabels[entry.family]}</span>
+                    {entry.status && (
+                      <span className={`status-pill status-compact ${entry.status === 'allowed' ? 'status-success' : 'status-alert'}`}>
+                        {statusLabels[entry.status] || entry.status}
+                      </span>
+                    )}
+                    <span className="muted">
+                      {entry.packageCount} {entry.packageCount === 1 ? 'package' : 'packages'}
+                    </span>
+                  </summary>
+                  <ul className="license-packages">
+                    {entry.packages.map((pkg) => (
+                      <li key={pkg.id}>
+                        <code>{pkg.id}</code>
+                        {pkg.direct && <span className="engine-badge">direct</span>}
+                        {pkg.dev && <span className="engine-badge">dev</span>}
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {repositoryUrl && (
+        <section className="card">
+          <h3>License Policy</h3>
+          <LicensePolicyForm repositoryUrl={repositoryUrl} policySource={policySource} />
+        </section>
+      )}
+    </>
+  );
+}
+
+export default LicenseInventory;
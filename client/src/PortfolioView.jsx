@@ -0,0 +1,329 @@
+import { useCallback, useEffect, useState } from 'react';
+import { apiRequest } from './api';
+import SeverityBadge from './SeverityBadge';
+import { severityLabels, severityOrder } from './severity';
+
+const REFRESH_INTERVAL_MS = 3000;
+const activeStatuses = ['queued', 'running'];
+
+const verdictRank = { failed: 0, passed: 1 };
+
+const columns = [
+  { id: 'name', label: 'Repository' },
+  { id: 'critical', label: 'Critical' },
+  { id: 'high', label: 'High' },
+  { id: 'verdict', label: 'Policy' },
+  { id: 'lastScan', label: 'Last Scan' },
+];
+
+// Unscanned repositories sort last whatever the direction.
+const sortValue = (repo, column) => {
+  const scan = repo.latestScan;
+  switch (column) {
+    case 'name':
+      return repo.name.toLowerCase();
+    case 'critical':
+    case 'high':
+      return scan ? scan.summary?.[column] || 0 : null;
+    case 'verdict':
+      return scan ? verdictRank[scan.gate] ?? 2 : null;
+    default:
+      return scan ? scan.createdAt : null;
+  }
+};
+
+const sortRepos = (repos, { column, direction }) => [...repos].sort((a, b) => {
+  const left = sortValue(a, column);
+  const right = sortValue(b, column);
+  if (left === null || right === null) return (left === null) - (right === null);
+  const order = left < right ? -1 : left > right ? 1 : 0;
+  return direction === 'asc' ? order : -order;
+});
+
+const formatTimestamp = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+const describeJob = (job) => (job.status === 'queued'
+  ? `Queued${job.position ? ` (#${job.position})` : ''}`
+  : 'Scanning…');
+
+function PortfolioView({ onOpenScan }) {
+  const [overview, setOverview] = useState(null);
+  const [packages, setPackages] = useState([]);
+  const [sort, setSort] = useState({ column: 'critical', direction: 'desc' });
+  const [repoList, setRepoList] = useState('');
+  const [ownerUrl, setOwnerUrl] = useState('');
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const load = useCallback(() => Promise.all([
+    apiRequest('/api/portfolio'),
+    apiRequest('/api/portfolio/packages'),
+  ])
+    .then(([overviewData, packageData]) => {
+      setOverview(overviewData);
+      setPackages(packageData.packages);
+    })
+    .catch((err) => setError(err.message || 'Unable to load the portfolio.')), []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const isScanning = Boolean(overview?.repos.some((repo) => repo.job && activeStatuses.includes(repo.job.status)));
+
+  useEffect(() => {
+    if (!isScanning) return undefined;
+    const timer = setInterval(load, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isScanning, load]);
+
+  const run = async (request, fallbackMessage) => {
+    setError(null);
+    setNotice(null);
+    setIsBusy(true);
+    try {
+      const result = await request();
+      await load();
+      return result;
+    } catch (err) {
+      setError(err.message || fallbackMessage);
+      return null;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const reportImport = (result) => {
+    if (!result) return;
+    const skipped = result.skipped.length > 0
+      ? ` Skipped ${result.skipped.length}: ${result.skipped.map((item) => `${item.repoUrl} (${item.reason})`).join(', ')}.`
+      : '';
+    setNotice(`Added ${result.added.length} ${result.added.length === 1 ? 'repository' : 'repositories'}.${skipped}`);
+  };
+
+  const handleAddList = async (event) => {
+    event.preventDefault();
+    const result = await run(() => apiRequest('/api/portfolio/repos', {
+      method: 'POST',
+      body: { text: repoList },
+    }), 'Unable to add the repositories.');
+    if (result) setRepoList('');
+    reportImport(result);
+  };
+
+  const handleImport = async (event) => {
+    event.preventDefault();
+    const result = await run(() => apiRequest('/api/portfolio/import', {
+      method: 'POST',
+      body: { ownerUrl: ownerUrl.trim() },
+    }), 'Unable to import the organization.');
+    if (result) setOwnerUrl('');
+    reportImport(result);
+  };
+
+  const handleSort = (column) => {
+    setSort((current) => {
+      if (current.column === column) {
+        return { column, direction: current.direction === 'desc' ? 'asc' : 'desc' };
+      }
+      return { column, direction: column === 'name' ? 'asc' : 'desc' };
+    });
+  };
+
+  if (!overview) {
+    return (
+      <section className="card">
+        {error ? <p>{error}</p> : <p className="muted">Loading portfolio…</p>}
+      </section>
+    );
+  }
+
+  const { repos, totals } = overview;
+
+  return (
+    <div className="results">
+      {error && (
+        <div className="card error-card">
+          <h3>Portfolio Error</h3>
+          <p>{error}</p>
+        </div>
+      )}
+
+      <section className="card">
+        <div className="portfolio-header">
+          <h3>Portfolio</h3>
+          <button
+            type="button"
+            className="secondary-button"
+            disabled={isBusy || isScanning || repos.length === 0}
+            onClick={() => run(
+              () => apiRequest('/api/portfolio/scan', { method: 'POST', body: {} }),
+              'Unable to start the scans.',
+            )}
+          >
+            {isScanning ? 'Scanning…' : 'Scan All'}
+          </button>
+        </div>
+        <p className="muted">
+          {totals.scanned} of {totals.repos} repositories scanned · {totals.vulnerable} vulnerable · {totals.failing}{' '}
+          failing policy
+        </p>
+        <ul className="summary-grid">
+          {severityOrder.map((severity) => (
+            <li key={severity}>
+              <SeverityBadge severity={severity} label={severityLabels[severity]} />
+              <span className="summary-count">{totals.summary[severity] || 0}</span>
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      <section className="card">
+        <h3>Repositories</h3>
+        {notice && <p className="helper">{notice}</p>}
+        {repos.length === 0 ? (
+          <p className="muted">No repositories yet. Paste a list or import an organization below.</p>
+        ) : (
+          <div className="portfolio-table-wrapper">
+            <table className="portfolio-table">
+              <thead>
+                <tr>
+                  {columns.map((column) => (
+                    <th
+                      key={column.id}
+                      aria-sort={sort.column === column.id ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                    >
+                      <button type="button" className="sort-button" onClick={() => handleSort(column.id)}>
+                        {column.label}
+                        {sort.column === column.id && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                      </button>
+                    </th>
+                  ))}
+                  <th aria-label="Actions" />
+                </tr>
+              </thead>
+              <tbody>
+                {sortRepos(repos, sort).map((repo) => {
+                  const scan = repo.latestScan;
+                  const active = repo.job && activeStatuses.includes(repo.job.status);
+                  return (
+                    <tr key={repo.id}>
+                      <td>
+                        <span className="history-title">{repo.name}</span>
+                        <span className="muted portfolio-url">{repo.repoUrl}</span>
+                      </td>
+                      <td>{scan ? scan.summary?.critical || 0 : '–'}</td>
+                      <td>{scan ? scan.summary?.high || 0 : '–'}</td>
+                      <td>
+                        {scan?.gate ? (
+                          <span className={`status-pill status-compact ${scan.gate === 'failed' ? 'status-alert' : 'status-success'}`}>
+                            {scan.gate}
+                          </span>
+                        ) : <span className="muted">{scan ? 'Not evaluated' : '–'}</span>}
+                      </td>
+                      <td>
+                        {active ? describeJob(repo.job) : formatTimestamp(scan?.createdAt)}
+                        {repo.job?.status === 'failed' && <span className="muted"> (last scan failed)</span>}
+                      </td>
+                      <td>
+                        <div className="export-actions">
+                          {scan && (
+                            <button type="button" className="secondary-button" onClick={() => onOpenScan(scan.id)}>
+                              Open
+                            </button>
+                          )}
+                          <button
+                            type="button"
+                            className="secondary-button"
+                            disabled={isBusy}
+                            onClick={() => run(
+                              () => apiRequest(`/api/portfolio/repos/${encodeURIComponent(repo.id)}`, { method: 'DELETE' }),
+                              'Unable to remove the repository.',
+                            )}
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+
+      <section className="card">
+        <h3>Shared Vulnerable Packages</h3>
+        {packages.length === 0 ? (
+          <p className="muted">No vulnerable package version appears in more than one repository.</p>
+        ) : (
+          <ul className="credential-list">
+            {packages.map((item) => (
+              <li key={`${item.packageName}@${item.version}`} className="credential-item">
+                <div>
+                  <span className="history-title">
+                    <SeverityBadge severity={item.severity} label={severityLabels[item.severity] || item.severity} />{' '}
+                    {item.packageName}@{item.version} affects {item.repoCount} repos
+                  </span>
+                  <span className="muted">
+                    {item.vulnerabilities.join(', ')} · {item.repos.map((repo) => repo.name).join(', ')}
+                    {item.repoCount > item.repos.length && ` and ${item.repoCount - item.repos.length} more`}
+                  </span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="card">
+        <h3>Add Repositories</h3>
+        <form className="credential-form" onSubmit={handleAddList}>
+          <label className="credential-secret">
+            Repository URLs
+            <textarea
+              rows={4}
+              placeholder={'https://github.com/org/api\nhttps://github.com/org/web'}
+              value={repoList}
+              onChange={(event) => setRepoList(event.target.value)}
+              spellCheck={false}
+              required
+            />
+          </label>
+          <div>
+            <button type="submit" className="secondary-button" disabled={isBusy}>
+              Add Repositories
+            </button>
+          </div>
+        </form>
+        <form className="credential-form" onSubmit={handleImport}>
+          <label className="credential-secret">
+            Organization URL
+            <input
+              type="url"
+              placeholder="https://github.com/org"
+              value={ownerUrl}
+              onChange={(event) => setOwnerUrl(event.target.value)}
+              autoComplete="off"
+              required
+            />
+          </label>
+          <p className="helper credential-secret">
+            Lists the repositories of a GitHub organization, GitLab group, Bitbucket workspace or Gitea organization
+            with the token credential stored for its host. Archived repositories are skipped.
+          </p>
+          <div>
+            <button type="submit" className="secondary-button" disabled={isBusy}>
+              {isBusy ? 'Working…' : 'Import Organization'}
+            </button>
+          </div>
+        </form>
+      </section>
+    </div>
+  );
+}
+
+export default PortfolioView;
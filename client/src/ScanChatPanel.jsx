@@ -0,0 +1,157 @@
+import { useEffect, useRef, useState } from 'react';
+import { apiRequest, streamRequest } from './api';
+import { describeModelSource } from './modelSource';
+
+const toolLabels = {
+  get_scan_overview: 'Reading the scan overview…',
+  list_issues: 'Listing issues…',
+  get_dependency_path: 'Tracing dependency paths…',
+  lookup_upgrade_path: 'Looking up upgrade paths…',
+  read_manifest: 'Reading a manifest…',
+};
+
+function ChatMessage({ message }) {
+  const fromModel = message.source && message.source.provider !== 'fallback';
+  return (
+    <li className={`chat-message chat-${message.role}`}>
+      <p className="chat-text">{message.content}</p>
+      {message.role === 'assistant' && message.source && (
+        <span className="helper">{fromModel ? `Answered by ${describeModelSource(message.source)}` : 'Canned answer'}</span>
+      )}
+    </li>
+  );
+}
+
+function ScanChatPanel({ scanId }) {
+  const [chatId, setChatId] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [question, setQuestion] = useState('');
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  useEffect(() => {
+    setChatId(null);
+    setMessages([]);
+    setError(null);
+    let cancelled = false;
+    apiRequest(`/api/scans/${scanId}/chats`)
+      .then(({ chats }) => {
+        if (cancelled || chats.length === 0) return;
+        setChatId(chats[0].id);
+        setMessages(chats[0].messages);
+      })
+      .catch(() => {
+        // Without stored chats the panel starts a new one on the first question.
+      });
+    return () => {
+      cancelled = true;
+      controllerRef.current?.abort();
+    };
+  }, [scanId]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const content = question.trim();
+    if (!content || pending) return;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setError(null);
+    setQuestion('');
+    setMessages((current) => [...current, { id: 'pending-question', role: 'user', content }]);
+    setPending({ text: '', status: null });
+
+    try {
+      let answered = false;
+      let id = chatId;
+      if (!id) {
+        ({ id } = await apiRequest(`/api/scans/${scanId}/chats`, { method: 'POST', body: {}, signal: controller.signal }));
+        setChatId(id);
+      }
+      await streamRequest(`/api/chats/${id}/messages`, {
+        body: { content },
+        signal: controller.signal,
+        onEvent: (name, data) => {
+          if (name === 'delta') {
+            setPending((current) => ({ text: `${current?.text || ''}${data.text}`, status: null }));
+          } else if (name === 'tool') {
+            setPending((current) => ({ ...current, status: toolLabels[data.name] || `Calling ${data.name}…` }));
+          } else if (name === 'done') {
+            answered = true;
+            setMessages((current) => [
+              ...current.filter((message) => message.id !== 'pending-question'),
+              data.question,
+              data.answer,
+            ]);
+          } else if (name === 'error') {
+            throw new Error(data.error || 'The chat failed.');
+          }
+        },
+      });
+      if (!answered) throw new Error('The answer was interrupted.');
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setMessages((current) => current.filter((message) => message.id !== 'pending-question'));
+        setQuestion(content);
+        setError(err.message || 'The chat failed.');
+      }
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const handleReset = () => {
+    controllerRef.current?.abort();
+    setChatId(null);
+    setMessages([]);
+    setError(null);
+  };
+
+  return (
+    <section className="card">
+      <h3>Ask About This Scan</h3>
+      {messages.length === 0 && !pending && (
+        <p className="muted">
+          Ask follow-up questions such as &ldquo;why is lodash pulled in?&rdquo; or &ldquo;what breaks if I bump
+          express to 5?&rdquo;. Answers are grounded in this scan&apos;s issues, dependency paths and manifests.
+        </p>
+      )}
+      {(messages.length > 0 || pending) && (
+        <ol className="chat-messages">
+          {messages.map((message) => (
+            <ChatMessage key={message.id} message={message} />
+          ))}
+          {pending && (
+            <li className="chat-message chat-assistant">
+              <p className="chat-text">{pending.text || pending.status || 'Thinking…'}</p>
+            </li>
+          )}
+        </ol>
+      )}
+      {error && <p className="muted">{error}</p>}
+      <form className="form-row chat-form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={question}
+          onChange={(event) => setQuestion(event.target.value)}
+          placeholder="Ask a question about this scan"
+          maxLength={2000}
+          disabled={Boolean(pending)}
+        />
+        <button type="submit" disabled={Boolean(pending) || !question.trim()}>
+          {pending ? 'Answering…' : 'Ask'}
+        </button>
+      </form>
+      {messages.length > 0 && (
+        <div className="export-actions">
+          <button type="button" className="secondary-button" onClick={handleReset} disabled={Boolean(pending)}>
+            New Conversation
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default ScanChatPanel;
@@ -0,0 +1,684 @@
+import { useEffect, useMemo, useState } from 'react';
+import { API_BASE, apiRequest } from './api';
+import DependencyGraph from './DependencyGraph';
+import FixBranchCard from './FixBranchCard';
+import IssueFilters from './IssueFilters';
+import {
+  emptyFilters,
+  filterIssues,
+  filtersToParams,
+  groupingLabels,
+  groupIssues,
+  packageNames,
+  readIssueFilters,
+} from './issueFilters';
+import LicenseInventory from './LicenseInventory';
+import ScanChatPanel from './ScanChatPanel';
+import { describeModelSource } from './modelSource';
+import SeverityBadge from './SeverityBadge';
+import TicketExportCard from './TicketExportCard';
+import { severityLabels, severityOrder, sortByPriority } from './severity';
+import { writeUrlParams } from './urlState';
+
+const issueListKey = (issue) => `${issue.id}-${issue.packageName}-${issue.title}`;
+
+// Collapsed duplicates list every path they were reported on in `paths`.
+function IssueArticle({ issue, showTarget }) {
+  const paths = issue.paths || (issue.from && issue.from.length > 0 ? [issue.from] : []);
+  return (
+    <article className={`issue ${issue.suppressed ? 'issue-suppressed' : ''}`}>
+      <header className="issue-header">
+        <SeverityBadge severity={issue.severity} label={severityLabels[issue.severity]} />
+        <h4>{issue.title}</h4>
+        <PriorityBadge priority={issue.priority} />
+        {issue.suppressed && <span className="suppressed-badge">Suppressed</span>}
+        <EngineBadges engines={issue.engines} />
+      </header>
+      <dl>
+        {issue.suppressed && (
+          <div>
+            <dt>Suppressed</dt>
+            <dd>
+              {issue.suppressed.reason}
+              {issue.suppressed.until && (
+                <span className="muted"> (until {new Date(issue.suppressed.until).toLocaleDateString()})</span>
+              )}
+            </dd>
+          </div>
+        )}
+        {issue.packageName && (
+          <div>
+            <dt>Package</dt>
+            <dd>{issue.packageName}{issue.version ? `@${issue.version}` : ''}</dd>
+          </div>
+        )}
+        {showTarget && issue.targetFile && (
+          <div>
+            <dt>Manifest</dt>
+            <dd className="muted">{issue.targetFile}</dd>
+          </div>
+        )}
+        {paths.length > 0 && (
+          <div>
+            <dt>{paths.length > 1 ? `From (${paths.length} paths)` : 'From'}</dt>
+            {paths.map((path) => (
+              <dd key={path.join('>')} className="muted">{path.join(' → ')}</dd>
+            ))}
+          </div>
+        )}
+        {issue.description && (
+          <div>
+            <dt>Description</dt>
+            <dd>{issue.description}</dd>
+          </div>
+        )}
+        {issue.publicationTime && (
+          <div>
+            <dt>Published</dt>
+            <dd>{new Date(issue.publicationTime).toLocaleDateString()}</dd>
+          </div>
+        )}
+        {issue.upgradePath && issue.upgradePath.length > 0 && issue.upgradePath.some(Boolean) && (
+          <div>
+            <dt>Upgrade Path</dt>
+            <dd>{issue.upgradePath.filter(Boolean).join(' → ')}</dd>
+          </div>
+        )}
+        {issue.url && (
+          <div>
+            <dt>More Info</dt>
+            <dd>
+              <a href={issue.url} target="_blank" rel="noreferrer">
+                View in Snyk
+              </a>
+            </dd>
+          </div>
+        )}
+      </dl>
+    </article>
+  );
+}
+
+function IssueGroup({ group, groupBy, showTarget }) {
+  const duplicates = group.reports - group.issues.length;
+  return (
+    <details className="issue-group">
+      <summary>
+        <SeverityBadge severity={group.severity} label={severityLabels[group.severity]} />
+        <span className="history-title">
+          {groupingLabels[groupBy]}: <code>{group.key}</code>
+        </span>
+        <span className="muted">
+          {group.issues.length} {group.issues.length === 1 ? 'issue' : 'issues'}
+          {duplicates > 0 && ` · ${duplicates} duplicate ${duplicates === 1 ? 'report' : 'reports'} collapsed`}
+        </span>
+      </summary>
+      <div className="issues">
+        {group.issues.map((issue) => (
+          <IssueArticle key={issueListKey(issue)} issue={issue} showTarget={showTarget} />
+        ))}
+      </div>
+    </details>
+  );
+}
+
+function IssuesList({ title, items, emptyLabel, showTarget = false, groupBy = '' }) {
+  if (!items || items.length === 0) {
+    return (
+      <section className="card">
+        <h3>{title}</h3>
+        <p className="muted">{emptyLabel}</p>
+      </section>
+    );
+  }
+
+  return (
+    <section className="card">
+      <h3>{title}</h3>
+      {groupBy ? (
+        <div className="issue-groups">
+          {groupIssues(items, groupBy).map((group) => (
+            <IssueGroup key={group.key} group={group} groupBy={groupBy} showTarget={showTarget} />
+          ))}
+        </div>
+      ) : (
+        <div className="issues">
+          {sortByPriority(items).map((issue) => (
+            <IssueArticle key={issueListKey(issue)} issue={issue} showTarget={showTarget} />
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+function PriorityBadge({ priority }) {
+  if (!priority) return null;
+  const explanation = priority.factors
+    .map((factor) => `${factor.label}: ${factor.points > 0 ? '+' : ''}${factor.points}`)
+    .join('\n');
+  return (
+    <span className={`priority-badge priority-${priority.level}`} title={explanation}>
+      Priority {priority.score}
+    </span>
+  );
+}
+
+const effortLabels = {
+  low: 'Low effort',
+  medium: 'Medium effort',
+  high: 'High effort',
+};
+
+// Plans stored before steps were structured hold plain strings.
+function PlanStep({ step }) {
+  if (typeof step === 'string') return <li>{step}</li>;
+  const hasMeta = step.package || step.effort || step.issueIds?.length > 0;
+  return (
+    <li>
+      <span>{step.action}</span>
+      {hasMeta && (
+        <div className="plan-step-meta">
+          {step.package && (
+            <code className="command-chip">{step.version ? `${step.package}@${step.version}` : step.package}</code>
+          )}
+          {step.effort && <span className={`effort-badge effort-${step.effort}`}>{effortLabels[step.effort]}</span>}
+          {step.issueIds?.map((id) => (
+            <span key={id} className="engine-badge">{id}</span>
+          ))}
+        </div>
+      )}
+      {step.command && <pre className="plan-step-command"><code>{step.command}</code></pre>}
+    </li>
+  );
+}
+
+const engineLabels = {
+  snyk: 'Snyk',
+  'npm-audit': 'npm audit',
+  osv: 'OSV',
+};
+
+function EngineBadges({ engines }) {
+  if (!Array.isArray(engines) || engines.length === 0) return null;
+  return (
+    <span className="engine-badges">
+      {engines.map((engine) => (
+        <span key={engine} className="engine-badge">{engineLabels[engine] || engine}</span>
+      ))}
+    </span>
+  );
+}
+
+const policySourceLabels = {
+  repository: 'repository policy file',
+  server: 'server policy for this repository',
+  'server-default': 'server default policy',
+  builtin: 'built-in policy',
+};
+
+function PolicyCard({ policy }) {
+  if (!policy) return null;
+  const passed = policy.status === 'passed';
+  const source = policySourceLabels[policy.source] || policy.source;
+  return (
+    <section className="card">
+      <div className="project-card-header">
+        <h3>Policy Gate</h3>
+        <span className={`status-pill ${passed ? 'status-success' : 'status-alert'}`}>
+          {passed ? 'Passed' : 'Failed'}
+        </span>
+      </div>
+      <p className="helper">
+        Evaluated against the {source}
+        {policy.path && <> (<code>{policy.path}</code>)</>}.
+        {policy.suppressedCount > 0 && ` ${policy.suppressedCount} suppressed ${policy.suppressedCount === 1 ? 'finding' : 'findings'}.`}
+      </p>
+      {policy.violations.length > 0 && (
+        <ul className="policy-violations">
+          {policy.violations.map((violation) => (
+            <li key={`${violation.rule}-${violation.message}`}>
+              <code className="command-chip">{violation.rule}</code> {violation.message}
+            </li>
+          ))}
+        </ul>
+      )}
+      {policy.warnings.length > 0 && (
+        <ul className="policy-warnings">
+          {policy.warnings.map((warning) => (
+            <li key={warning} className="muted">{warning}</li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+const resultSections = [
+  { id: 'findings', label: 'Findings' },
+  { id: 'graph', label: 'Dependency Graph' },
+  { id: 'licenses', label: 'Licenses' },
+];
+
+const exportFormats = [
+  { format: 'html', label: 'HTML Report' },
+  { format: 'csv', label: 'CSV' },
+  { format: 'sarif', label: 'SARIF' },
+  { format: 'cyclonedx', label: 'CycloneDX SBOM' },
+  { format: 'spdx', label: 'SPDX SBOM' },
+];
+
+const formatDelta = (value) => {
+  if (!value) return '±0';
+  return value > 0 ? `+${value}` : `−${Math.abs(value)}`;
+};
+
+function SummaryCard({ summary, delta }) {
+  const entries = useMemo(() => severityOrder.map((severity) => ({
+    severity,
+    count: summary?.[severity] || 0,
+    change: delta ? delta[severity] || 0 : null,
+  })), [summary, delta]);
+
+  return (
+    <section className="card">
+      <h3>Severity Overview</h3>
+      <ul className="summary-grid">
+        {entries.map(({ severity, count, change }) => (
+          <li key={severity}>
+            <SeverityBadge severity={severity} label={severityLabels[severity]} />
+            <span className="summary-count">{count}</span>
+            {change !== null && (
+              <span
+                className={`summary-delta ${change > 0 ? 'delta-up' : change < 0 ? 'delta-down' : ''}`}
+                title="Change since last scan"
+              >
+                {formatDelta(change)}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+function ChangeList({ title, issues }) {
+  if (issues.length === 0) return null;
+  return (
+    <div className="change-group">
+      <h4>{title}</h4>
+      <ul className="change-list">
+        {issues.map((issue) => (
+          <li key={`${issue.id}-${issue.packageName}-${(issue.from || []).join('>')}`}>
+            <SeverityBadge severity={issue.severity} label={severityLabels[issue.severity]} />
+            <span>{issue.title}</span>
+            {issue.packageName && (
+              <span className="muted">
+                {issue.packageName}{issue.version ? `@${issue.version}` : ''}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function ChangesCard({ comparison }) {
+  if (!comparison) return null;
+
+  if (!comparison.diff) {
+    return (
+      <section className="card">
+        <h3>Changes Since Last Scan</h3>
+        <p className="muted">This is the first stored scan of this repository.</p>
+      </section>
+    );
+  }
+
+  const { diff, base } = comparison;
+  return (
+    <section className="card">
+      <h3>Changes Since Last Scan</h3>
+      <p className="helper">
+        Compared with the scan from {new Date(base.createdAt).toLocaleString()}
+        {base.commitSha ? ` (${base.commitSha.slice(0, 10)})` : ''}.
+      </p>
+      <ul className="project-meta change-counts">
+        <li><span className="muted">New:</span> {diff.counts.introduced}</li>
+        <li><span className="muted">Fixed:</span> {diff.counts.resolved}</li>
+        <li><span className="muted">Unchanged:</span> {diff.counts.persisting}</li>
+      </ul>
+      <ChangeList title="New vulnerabilities" issues={diff.introduced} />
+      <ChangeList title="Fixed vulnerabilities" issues={diff.resolved} />
+    </section>
+  );
+}
+
+const projectKey = (project) => project.targetFile || project.name;
+
+// Monorepo scans report one project per manifest; the switcher narrows the
+// severity overview and issue lists to one of them.
+function ProjectSwitcher({ projects, selected, onSelect, totalIssues }) {
+  return (
+    <section className="card">
+      <h3>Projects</h3>
+      <div className="project-switcher" role="tablist" aria-label="Projects">
+        <button
+          type="button"
+          role="tab"
+          aria-selected={!selected}
+          className={`project-tab ${!selected ? 'project-tab-active' : ''}`}
+          onClick={() => onSelect(null)}
+        >
+          <span className="history-title">All projects</span>
+          <span className="muted">{totalIssues} {totalIssues === 1 ? 'issue' : 'issues'}</span>
+        </button>
+        {projects.map((project) => {
+          const key = projectKey(project);
+          return (
+            <button
+              key={key}
+              type="button"
+              role="tab"
+              aria-selected={selected === key}
+              className={`project-tab ${selected === key ? 'project-tab-active' : ''}`}
+              onClick={() => onSelect(key)}
+              title={project.error || project.targetFile || undefined}
+            >
+              <span className="history-title">{project.name}</span>
+              <span className="muted">
+                {project.targetFile && project.targetFile !== project.name ? `${project.targetFile} · ` : ''}
+                {project.status === 'failed'
+                  ? 'not scanned'
+                  : `${project.issueCount} ${project.issueCount === 1 ? 'issue' : 'issues'}`}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
+
+function ScanResults({ result, scanId }) {
+  const [comparison, setComparison] = useState(null);
+  const [selectedProject, setSelectedProject] = useState(null);
+  const [section, setSection] = useState('findings');
+  const [filters, setFilters] = useState(readIssueFilters);
+
+  useEffect(() => {
+    writeUrlParams(filtersToParams(filters));
+  }, [filters]);
+
+  // Leaving the results leaves the filters behind too.
+  useEffect(() => () => writeUrlParams(filtersToParams(emptyFilters)), []);
+
+  useEffect(() => {
+    setComparison(null);
+    setSelectedProject(null);
+    setSection('findings');
+    if (!scanId) return undefined;
+    let cancelled = false;
+    apiRequest(`/api/scans/${scanId}/diff`)
+      .then((data) => {
+        if (!cancelled) setComparison(data);
+      })
+      .catch(() => {
+        // Scans that were not stored have nothing to compare against.
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [scanId]);
+
+  if (!result) return null;
+
+  const projects = Array.isArray(result.projects) ? result.projects : [];
+  const activeProject = projects.length > 1
+    ? projects.find((project) => projectKey(project) === selectedProject) || null
+    : null;
+  const inActiveProject = (item) => !activeProject || (item.targetFile || null) === activeProject.targetFile;
+  const visibleIssues = (result.issues || []).filter(inActiveProject);
+  const visibleLicenses = (result.licenses || []).filter(inActiveProject);
+  const filteredIssues = filterIssues(visibleIssues, filters);
+  const filteredLicenses = filterIssues(visibleLicenses, filters);
+
+  const scanTargets = result.scanTargetFiles?.length
+    ? result.scanTargetFiles
+    : result.primaryTargetFile
+      ? [result.primaryTargetFile]
+      : [];
+
+  const scanTargetLabel = scanTargets.length > 0 ? scanTargets.join(', ') : 'Entire project';
+  const repoLinkLabel = result.repositoryUrl
+    ? result.repositoryUrl.replace(/^https?:\/\//, '')
+    : null;
+  const actionPlan = result.actionPlan || {};
+  const actionPlanSteps = Array.isArray(actionPlan.steps)
+    ? actionPlan.steps.filter(Boolean)
+    : Array.isArray(result.actionPlan)
+      ? result.actionPlan.filter(Boolean)
+      : [];
+  const noAction = actionPlan.noAction === true || (actionPlanSteps.length === 0 && actionPlan.noAction !== false);
+  const summaryText = typeof actionPlan.summary === 'string' && actionPlan.summary.trim()
+    ? actionPlan.summary.trim()
+    : 'No summary available.';
+
+  return (
+    <div className="results">
+      <section className="card project-card">
+        <div className="project-card-header">
+          <div>
+            <h2>{result.projectName}</h2>
+            {(result.projectType || repoLinkLabel) && (
+              <p className="muted">
+                {result.projectType && <span>{result.projectType}</span>}
+                {result.projectType && repoLinkLabel && ' · '}
+                {repoLinkLabel && (
+                  <a href={result.repositoryUrl} target="_blank" rel="noreferrer">
+                    {repoLinkLabel}
+                  </a>
+                )}
+              </p>
+            )}
+          </div>
+          <span className={`status-pill ${result.ok ? 'status-success' : 'status-alert'}`}>
+            {result.ok ? 'No vulnerabilities detected' : 'Vulnerabilities found'}
+          </span>
+        </div>
+
+        <ul className="project-meta">
+          {(result.ref || result.commitSha) && (
+            <li>
+              <span className="muted">Revision:</span>{' '}
+              {result.ref && <span>{result.ref}</span>}
+              {result.ref && result.commitSha && ' @ '}
+              {result.commitSha && <code title={result.commitSha}>{result.commitSha.slice(0, 12)}</code>}
+            </li>
+          )}
+          <li>
+            <span className="muted">Dependencies:</span>{' '}
+            {typeof result.dependencyCount === 'number' ? result.dependencyCount : 'Unknown'}
+          </li>
+          <li>
+            <span className="muted">Repository access:</span>{' '}
+            <span className={`status-pill status-compact ${result.repositoryAccessible ? 'status-success' : 'status-alert'}`}>
+              {result.repositoryAccessible ? 'Accessible' : 'Unavailable'}
+            </span>
+          </li>
+        </ul>
+
+        <div className="scan-status-grid">
+          <div>
+            <span className="muted">Scan target</span>
+            <p className="scan-target">{scanTargetLabel}</p>
+          </div>
+          {Array.isArray(result.scanners) && result.scanners.length > 0 ? (
+            <div>
+              <span className="muted">Engines</span>
+              <ul className="scanner-runs">
+                {result.scanners.map((scanner) => (
+                  <li key={scanner.id}>
+                    <span className={`status-pill status-compact ${scanner.status === 'completed' ? 'status-success' : 'status-alert'}`}>
+                      {scanner.label}
+                    </span>
+                    {scanner.command && <code className="command-chip">{scanner.command}</code>}
+                    {scanner.error && <span className="muted">{scanner.error.error}</span>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ) : result.snykCommand && (
+            <div>
+              <span className="muted">Command</span>
+              <code className="command-chip">{result.snykCommand}</code>
+            </div>
+          )}
+        </div>
+
+        {scanId && (
+          <div className="export-actions">
+            <span className="muted">Export</span>
+            {exportFormats.map(({ format, label }) => (
+              <a
+                key={format}
+                className="export-link"
+                href={`${API_BASE}/api/scans/${scanId}/export/${format}`}
+                download
+              >
+                {label}
+              </a>
+            ))}
+            <a
+              className="export-link"
+              href={`${API_BASE}/api/scans/${scanId}/export/html?inline=1`}
+              target="_blank"
+              rel="noreferrer"
+            >
+              Print Report
+            </a>
+          </div>
+        )}
+      </section>
+
+      <PolicyCard policy={result.policy} />
+
+      <nav className="view-tabs result-tabs" aria-label="Result sections">
+        {resultSections.map((item) => (
+          <button
+            key={item.id}
+            type="button"
+            className={`view-tab ${section === item.id ? 'view-tab-active' : ''}`}
+            onClick={() => setSection(item.id)}
+          >
+            {item.label}
+          </button>
+        ))}
+      </nav>
+
+      {section === 'licenses' && (
+        <LicenseInventory
+          inventory={result.licenseInventory}
+          repositoryUrl={result.repositoryUrl}
+          policySource={result.policy?.source}
+        />
+      )}
+
+      {section !== 'licenses' && projects.length > 1 && (
+        <ProjectSwitcher
+          projects={projects}
+          selected={activeProject ? projectKey(activeProject) : null}
+          onSelect={setSelectedProject}
+          totalIssues={(result.issues || []).length}
+        />
+      )}
+
+      {section !== 'licenses' && activeProject?.status === 'failed' && (
+        <div className="card error-card">
+          <h3>{activeProject.name} was not scanned</h3>
+          <p>{activeProject.error || 'The scanner could not test this project.'}</p>
+        </div>
+      )}
+
+      {section === 'findings' && (
+        <>
+          <SummaryCard
+            summary={activeProject ? activeProject.summary : result.summary}
+            delta={activeProject ? null : comparison?.diff?.severityDelta}
+          />
+
+          <ChangesCard comparison={comparison} />
+
+          <IssueFilters
+            filters={filters}
+            onChange={setFilters}
+            packages={packageNames([...visibleIssues, ...visibleLicenses])}
+            shown={filteredIssues.length + filteredLicenses.length}
+            total={visibleIssues.length + visibleLicenses.length}
+          />
+
+          <IssuesList
+            title={activeProject ? `Security Issues in ${activeProject.name}` : 'Security Issues'}
+            items={filteredIssues}
+            showTarget={projects.length > 1 && !activeProject}
+            groupBy={filters.group}
+            emptyLabel={visibleIssues.length > 0 ? 'No security vulnerabilities match the filters.' : 'No security vulnerabilities reported.'}
+          />
+
+          <IssuesList
+            title={activeProject ? `License Issues in ${activeProject.name}` : 'License Issues'}
+            items={filteredLicenses}
+            showTarget={projects.length > 1 && !activeProject}
+            groupBy={filters.group}
+            emptyLabel={visibleLicenses.length > 0 ? 'No license issues match the filters.' : 'No license issues reported.'}
+          />
+        </>
+      )}
+
+      {section === 'graph' && (
+        <DependencyGraph key={activeProject ? projectKey(activeProject) : 'all'} issues={visibleIssues} />
+      )}
+
+      <section className="card summary-card">
+        <h3>Summary</h3>
+        <p className="summary-text">{summaryText}</p>
+        {actionPlan.source && (
+          <p className="helper plan-source">Summary generated by {describeModelSource(actionPlan.source)}.</p>
+        )}
+      </section>
+
+      <section className="card">
+        <h3>Action Plan</h3>
+        {!noAction ? (
+          <ol className="action-plan">
+            {actionPlanSteps.map((step, index) => (
+              <PlanStep key={`${index}-${typeof step === 'string' ? step : step.action}`} step={step} />
+            ))}
+          </ol>
+        ) : (
+          <p className="muted">No action is needed.</p>
+        )}
+        {actionPlan.source && !noAction && (
+          <p className="helper plan-source">Plan generated by {describeModelSource(actionPlan.source)}.</p>
+        )}
+      </section>
+
+      {scanId && <ScanChatPanel scanId={scanId} />}
+
+      {scanId && (
+        <FixBranchCard
+          scanId={scanId}
+          hasUpgrades={(result.issues || []).some((issue) => (
+            !issue.suppressed && Array.isArray(issue.upgradePath) && issue.upgradePath.some(Boolean)
+          ))}
+        />
+      )}
+
+      {scanId && <TicketExportCard scanId={scanId} />}
+    </div>
+  );
+}
+
+export default ScanResults;
@@ -0,0 +1,6 @@
+function SeverityBadge({ severity, label }) {
+  if (!severity) return null;
+  return <span className={`severity-badge severity-${severity}`}>{label || severity}</span>;
+}
+
+export default SeverityBadge;
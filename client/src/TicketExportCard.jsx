@@ -0,0 +1,148 @@
+import { useEffect, useState } from 'react';
+import { apiRequest } from './api';
+import SeverityBadge from './SeverityBadge';
+import { severityLabels } from './severity';
+
+const groupingLabels = {
+  step: 'One per remediation step',
+  package: 'One per vulnerable package',
+};
+
+function TicketLink({ ticket }) {
+  return (
+    <>
+      <SeverityBadge severity={ticket.severity} label={severityLabels[ticket.severity] || ticket.severity} /> {ticket.title}
+      {ticket.url && (
+        <>
+          {' '}
+          <a href={ticket.url} target="_blank" rel="noreferrer">{ticket.externalId || 'Open'}</a>
+        </>
+      )}
+    </>
+  );
+}
+
+// Creates tracker tickets from the scan. Tickets created for earlier scans of
+// the repository are listed as existing rather than created again.
+function TicketExportCard({ scanId }) {
+  const [trackers, setTrackers] = useState([]);
+  const [trackerId, setTrackerId] = useState('');
+  const [groupBy, setGroupBy] = useState('step');
+  const [preview, setPreview] = useState(null);
+  const [outcome, setOutcome] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => {
+    apiRequest('/api/trackers')
+      .then((data) => {
+        setTrackers(data.trackers);
+        setTrackerId((current) => current || data.trackers[0]?.id || '');
+      })
+      .catch(() => {
+        // Older backends have no tracker export.
+      });
+  }, []);
+
+  useEffect(() => {
+    setPreview(null);
+    setOutcome(null);
+    setError(null);
+  }, [scanId, trackerId, groupBy]);
+
+  const run = async (action, dryRun) => {
+    setBusy(action);
+    setError(null);
+    try {
+      const result = await apiRequest(`/api/scans/${scanId}/tickets`, {
+        method: 'POST',
+        body: { trackerId, groupBy, dryRun },
+      });
+      if (dryRun) {
+        setPreview(result.tickets);
+        setOutcome(null);
+      } else {
+        setOutcome(result);
+        setPreview(null);
+      }
+    } catch (err) {
+      setError(err.message || 'The request failed.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (trackers.length === 0) return null;
+
+  return (
+    <section className="card">
+      <h3>Tracker Tickets</h3>
+      <form className="credential-form" onSubmit={(event) => event.preventDefault()}>
+        <label>
+          Tracker
+          <select value={trackerId} onChange={(event) => setTrackerId(event.target.value)}>
+            {trackers.map((tracker) => (
+              <option key={tracker.id} value={tracker.id}>{tracker.name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Tickets
+          <select value={groupBy} onChange={(event) => setGroupBy(event.target.value)}>
+            {Object.entries(groupingLabels).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </form>
+      <div className="export-actions ticket-actions">
+        <button type="button" className="secondary-button" disabled={Boolean(busy)} onClick={() => run('preview', true)}>
+          {busy === 'preview' ? 'Loading…' : 'Preview'}
+        </button>
+        <button type="button" className="secondary-button" disabled={Boolean(busy)} onClick={() => run('create', false)}>
+          {busy === 'create' ? 'Creating…' : 'Create Tickets'}
+        </button>
+      </div>
+      {error && <p className="helper">{error}</p>}
+      {preview && (
+        preview.length === 0 ? (
+          <p className="muted">Nothing to create: the scan has no remediation steps or vulnerable packages.</p>
+        ) : (
+          <ul className="fix-issues">
+            {preview.map((ticket) => (
+              <li key={ticket.fingerprint}>
+                <TicketLink ticket={ticket.existing ? { ...ticket, ...ticket.existing, severity: ticket.severity } : ticket} />
+                <span className="muted">
+                  {' '}· {ticket.vulnIds.join(', ')}
+                  {ticket.existing && ' · already created'}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )
+      )}
+      {outcome && (
+        <>
+          <p className="muted">
+            {outcome.created.length} created · {outcome.existing.length} already created
+            {outcome.failed.length > 0 && ` · ${outcome.failed.length} failed`}
+          </p>
+          <ul className="fix-issues">
+            {[...outcome.created, ...outcome.existing].map((ticket) => (
+              <li key={ticket.fingerprint}>
+                <TicketLink ticket={ticket} />
+              </li>
+            ))}
+            {outcome.failed.map((ticket) => (
+              <li key={ticket.fingerprint}>
+                <TicketLink ticket={ticket} /> <span className="muted">· {ticket.error}</span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </section>
+  );
+}
+
+export default TicketExportCard;
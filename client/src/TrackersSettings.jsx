@@ -0,0 +1,195 @@
+import { useEffect, useState } from 'react';
+import { apiRequest } from './api';
+
+const trackerTypeLabels = {
+  jira: 'Jira',
+  github: 'GitHub Issues',
+};
+
+const projectPlaceholders = {
+  jira: 'SEC',
+  github: 'acme/security',
+};
+
+const urlPlaceholders = {
+  jira: 'https://acme.atlassian.net',
+  github: 'https://api.github.com (default)',
+};
+
+const emptyForm = {
+  type: 'jira',
+  name: '',
+  url: '',
+  project: '',
+  issueType: '',
+  labels: '',
+};
+
+function TrackersSettings() {
+  const [settings, setSettings] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadTrackers = () => apiRequest('/api/trackers')
+    .then(setSettings)
+    .catch((err) => setError(err.message || 'Unable to load issue trackers.'));
+
+  useEffect(() => {
+    loadTrackers();
+  }, []);
+
+  const updateField = (field) => (event) => {
+    const { value } = event.target;
+    setForm((current) => ({ ...current, [field]: value }));
+  };
+
+  const run = async (request, fallbackMessage) => {
+    setError(null);
+    try {
+      const result = await request();
+      await loadTrackers();
+      return result;
+    } catch (err) {
+      setError(err.message || fallbackMessage);
+      return null;
+    }
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    const tracker = await run(() => apiRequest('/api/trackers', {
+      method: 'POST',
+      body: {
+        type: form.type,
+        name: form.name.trim() || undefined,
+        url: form.url.trim() || undefined,
+        project: form.project.trim(),
+        issueType: form.type === 'jira' ? form.issueType.trim() || undefined : undefined,
+        labels: form.labels.split(',').map((label) => label.trim()).filter(Boolean),
+      },
+    }), 'Unable to save the tracker.');
+    setIsSaving(false);
+    if (tracker) setForm(emptyForm);
+  };
+
+  if (!settings) {
+    return (
+      <section className="card">
+        {error ? <p>{error}</p> : <p className="muted">Loading issue trackers…</p>}
+      </section>
+    );
+  }
+
+  return (
+    <>
+      {error && (
+        <div className="card error-card">
+          <h3>Issue Trackers Error</h3>
+          <p>{error}</p>
+        </div>
+      )}
+
+      <section className="card">
+        <h3>Issue Trackers</h3>
+        <p className="muted">
+          Scan results can be exported to these trackers as one ticket per remediation step or vulnerable package.
+          Tickets use the token credential stored above for the tracker&apos;s host; for Jira Cloud, set the
+          credential&apos;s username to the account email.
+        </p>
+        {settings.trackers.length === 0 ? (
+          <p className="muted">No issue trackers have been added.</p>
+        ) : (
+          <ul className="credential-list">
+            {settings.trackers.map((tracker) => (
+              <li key={tracker.id} className="credential-item">
+                <div>
+                  <span className="history-title">{tracker.name}</span>
+                  <span className="muted">
+                    {trackerTypeLabels[tracker.type] || tracker.type} · {tracker.project}
+                    {tracker.url && ` · ${tracker.url}`}
+                    {tracker.labels.length > 0 && ` · labels ${tracker.labels.join(', ')}`}
+                  </span>
+                </div>
+                <button
+                  type="button"
+                  className="secondary-button"
+                  onClick={() => run(
+                    () => apiRequest(`/api/trackers/${encodeURIComponent(tracker.id)}`, { method: 'DELETE' }),
+                    'Unable to delete the tracker.',
+                  )}
+                >
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="card">
+        <h3>Add Issue Tracker</h3>
+        <form className="credential-form" onSubmit={handleSubmit}>
+          <label>
+            Type
+            <select value={form.type} onChange={updateField('type')}>
+              {settings.types.map((type) => (
+                <option key={type} value={type}>{trackerTypeLabels[type] || type}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            {form.type === 'jira' ? 'Project key' : 'Repository'}
+            <input
+              type="text"
+              placeholder={projectPlaceholders[form.type]}
+              value={form.project}
+              onChange={updateField('project')}
+              autoComplete="off"
+              required
+            />
+          </label>
+          <label>
+            {form.type === 'jira' ? 'Site URL' : 'API URL (optional)'}
+            <input
+              type="url"
+              placeholder={urlPlaceholders[form.type]}
+              value={form.url}
+              onChange={updateField('url')}
+              autoComplete="off"
+              required={form.type === 'jira'}
+            />
+          </label>
+          {form.type === 'jira' && (
+            <label>
+              Issue type (optional)
+              <input type="text" placeholder="Bug" value={form.issueType} onChange={updateField('issueType')} />
+            </label>
+          )}
+          <label>
+            Extra labels (optional)
+            <input
+              type="text"
+              placeholder="appsec, dependencies"
+              value={form.labels}
+              onChange={updateField('labels')}
+              autoComplete="off"
+            />
+          </label>
+          <label>
+            Name (optional)
+            <input type="text" value={form.name} onChange={updateField('name')} autoComplete="off" />
+          </label>
+          <div>
+            <button type="submit" className="secondary-button" disabled={isSaving}>
+              {isSaving ? 'Saving…' : 'Add Tracker'}
+            </button>
+          </div>
+        </form>
+      </section>
+    </>
+  );
+}
+
+export default TrackersSettings;
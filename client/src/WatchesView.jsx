@@ -0,0 +1,301 @@
+import { useEffect, useState } from 'react';
+import { apiRequest } from './api';
+
+const schedulePresets = [
+  { value: '0 6 * * 1', label: 'Weekly (Monday 06:00 UTC)' },
+  { value: '0 6 * * *', label: 'Daily (06:00 UTC)' },
+  { value: '0 6 * * 1-5', label: 'Weekdays (06:00 UTC)' },
+  { value: '@every 6h', label: 'Every 6 hours' },
+];
+
+const reasonLabels = {
+  'new-vulnerabilities': 'New vulnerabilities',
+  'policy-changed': 'Policy verdict changed',
+};
+
+const emptyForm = {
+  repoUrl: '',
+  ref: '',
+  schedule: schedulePresets[0].value,
+  scanners: [],
+};
+
+const formatTimestamp = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+function WatchesView({ onOpenScan }) {
+  const [watches, setWatches] = useState(null);
+  const [notifications, setNotifications] = useState([]);
+  const [scanners, setScanners] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const load = () => Promise.all([
+    apiRequest('/api/watches'),
+    apiRequest('/api/notifications?limit=20'),
+  ])
+    .then(([watchData, notificationData]) => {
+      setWatches(watchData.watches);
+      setNotifications(notificationData.notifications);
+    })
+    .catch((err) => setError(err.message || 'Unable to load watched repositories.'));
+
+  useEffect(() => {
+    load();
+    apiRequest('/api/scanners')
+      .then((data) => setScanners((data.scanners || []).filter((scanner) => scanner.available)))
+      .catch(() => {
+        // The server default scanners are used when the list is unavailable.
+      });
+  }, []);
+
+  const updateField = (field) => (event) => {
+    const { value } = event.target;
+    setForm((current) => ({ ...current, [field]: value }));
+  };
+
+  const toggleScanner = (id) => {
+    setForm((current) => ({
+      ...current,
+      scanners: current.scanners.includes(id)
+        ? current.scanners.filter((item) => item !== id)
+        : [...current.scanners, id],
+    }));
+  };
+
+  const run = async (request, fallbackMessage) => {
+    setError(null);
+    try {
+      await request();
+      await load();
+      return true;
+    } catch (err) {
+      setError(err.message || fallbackMessage);
+      return false;
+    }
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    const saved = await run(() => apiRequest(editingId ? `/api/watches/${editingId}` : '/api/watches', {
+      method: editingId ? 'PUT' : 'POST',
+      body: {
+        ...(editingId ? {} : { repoUrl: form.repoUrl.trim() }),
+        ref: form.ref.trim() || null,
+        schedule: form.schedule.trim(),
+        scanners: form.scanners.length > 0 ? form.scanners : undefined,
+      },
+    }), 'Unable to save the watched repository.');
+    setIsSaving(false);
+    if (saved) {
+      setForm(emptyForm);
+      setEditingId(null);
+    }
+  };
+
+  const handleEdit = (watch) => {
+    setEditingId(watch.id);
+    setForm({
+      repoUrl: watch.repoUrl,
+      ref: watch.ref || '',
+      schedule: watch.schedule,
+      scanners: watch.scanners || [],
+    });
+  };
+
+  const handleCancelEdit = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
+  if (!watches) {
+    return (
+      <section className="card">
+        {error ? <p>{error}</p> : <p className="muted">Loading watched repositories…</p>}
+      </section>
+    );
+  }
+
+  return (
+    <div className="results">
+      {error && (
+        <div className="card error-card">
+          <h3>Scheduling Error</h3>
+          <p>{error}</p>
+        </div>
+      )}
+
+      <section className="card">
+        <h3>Watched Repositories</h3>
+        <p className="muted">
+          Watched repositories are rescanned on their schedule. A notification is recorded when a run finds
+          vulnerabilities the previous run did not report, or when the policy verdict changes.
+        </p>
+        {watches.length === 0 ? (
+          <p className="muted">No repositories are watched yet.</p>
+        ) : (
+          <ul className="credential-list">
+            {watches.map((watch) => (
+              <li key={watch.id} className="credential-item">
+                <div>
+                  <span className="history-title">
+                    {watch.repoUrl}
+                    {watch.ref && <span className="muted"> @ {watch.ref}</span>}
+                  </span>
+                  <span className="muted">
+                    <code>{watch.schedule}</code> ·{' '}
+                    {watch.enabled ? `next run ${formatTimestamp(watch.nextRunAt)}` : 'paused'} · last run{' '}
+                    {formatTimestamp(watch.lastRunAt)}
+                    {watch.lastStatus && ` (${watch.lastStatus})`}
+                  </span>
+                  {watch.lastError && <span className="muted">{watch.lastError}</span>}
+                </div>
+                <div className="export-actions">
+                  {watch.lastScanId && (
+                    <button type="button" className="secondary-button" onClick={() => onOpenScan(watch.lastScanId)}>
+                      Latest Scan
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    className="secondary-button"
+                    onClick={() => run(() => apiRequest(`/api/watches/${watch.id}/run`, { method: 'POST' }), 'Unable to start the scan.')}
+                  >
+                    Run Now
+                  </button>
+                  <button
+                    type="button"
+                    className="secondary-button"
+                    onClick={() => run(() => apiRequest(`/api/watches/${watch.id}`, {
+                      method: 'PUT',
+                      body: { enabled: !watch.enabled },
+                    }), 'Unable to update the watched repository.')}
+                  >
+                    {watch.enabled ? 'Pause' : 'Resume'}
+                  </button>
+                  <button type="button" className="secondary-button" onClick={() => handleEdit(watch)}>
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    className="secondary-button"
+                    onClick={() => run(() => apiRequest(`/api/watches/${watch.id}`, { method: 'DELETE' }), 'Unable to remove the watched repository.')}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="card">
+        <h3>{editingId ? 'Edit Watched Repository' : 'Watch a Repository'}</h3>
+        <form className="credential-form" onSubmit={handleSubmit}>
+          <label>
+            Repository URL
+            <input
+              type="text"
+              placeholder="https://github.com/org/project"
+              value={form.repoUrl}
+              onChange={updateField('repoUrl')}
+              autoComplete="off"
+              disabled={Boolean(editingId)}
+              required
+            />
+          </label>
+          <label>
+            Branch, tag or commit (optional)
+            <input type="text" value={form.ref} onChange={updateField('ref')} autoComplete="off" />
+          </label>
+          <label>
+            Schedule
+            <input
+              type="text"
+              list="schedule-presets"
+              value={form.schedule}
+              onChange={updateField('schedule')}
+              autoComplete="off"
+              required
+            />
+            <datalist id="schedule-presets">
+              {schedulePresets.map((preset) => (
+                <option key={preset.value} value={preset.value}>{preset.label}</option>
+              ))}
+            </datalist>
+          </label>
+          {scanners.length > 1 && scanners.map((scanner) => (
+            <label key={scanner.id} className="checkbox-field">
+              <input
+                type="checkbox"
+                checked={form.scanners.includes(scanner.id)}
+                onChange={() => toggleScanner(scanner.id)}
+              />
+              {scanner.label}
+            </label>
+          ))}
+          <p className="helper credential-secret">
+            A cron expression in UTC (minute, hour, day of month, month, day of week), a macro such as @daily or
+            @weekly, or an interval such as @every 12h. Without selected scanners the server defaults are used.
+          </p>
+          <div className="export-actions">
+            <button type="submit" className="secondary-button" disabled={isSaving}>
+              {isSaving ? 'Saving…' : editingId ? 'Save Changes' : 'Watch Repository'}
+            </button>
+            {editingId && (
+              <button type="button" className="secondary-button" onClick={handleCancelEdit}>
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </section>
+
+      <section className="card">
+        <h3>Notifications</h3>
+        {notifications.length === 0 ? (
+          <p className="muted">No scheduled run has reported a change yet.</p>
+        ) : (
+          <ul className="credential-list">
+            {notifications.map((notification) => (
+              <li key={notification.id} className="credential-item">
+                <div>
+                  <span className="history-title">
+                    {notification.repoUrl}
+                    {notification.ref && <span className="muted"> @ {notification.ref}</span>}
+                  </span>
+                  <span className="muted">
+                    {formatTimestamp(notification.createdAt)} ·{' '}
+                    {notification.reasons.map((reason) => reasonLabels[reason] || reason).join(', ')}
+                    {notification.reasons.includes('policy-changed')
+                      && ` (${notification.policy.previous || 'none'} → ${notification.policy.current || 'none'})`}
+                  </span>
+                  {notification.introduced.length > 0 && (
+                    <ul className="fix-issues">
+                      {notification.introduced.map((issue) => (
+                        <li key={`${issue.id}-${issue.packageName}-${issue.version}`}>
+                          <code>{issue.id}</code> {issue.title} in {issue.packageName}@{issue.version} ({issue.severity})
+                        </li>
+                      ))}
+                      {notification.introducedCount > notification.introduced.length && (
+                        <li>…and {notification.introducedCount - notification.introduced.length} more</li>
+                      )}
+                    </ul>
+                  )}
+                </div>
+                <button type="button" className="secondary-button" onClick={() => onOpenScan(notification.scanId)}>
+                  Open Scan
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default WatchesView;
@@ -0,0 +1,284 @@
+import { useEffect, useState } from 'react';
+import { apiRequest } from './api';
+
+const eventLabels = {
+  'scan.completed': 'Scan completed',
+  'scan.failed': 'Scan failed',
+  'new.critical.found': 'New critical vulnerabilities',
+  'watch.changed': 'Scheduled scan changed',
+};
+
+const formatLabels = {
+  json: 'JSON (signed event)',
+  slack: 'Slack message',
+  teams: 'Microsoft Teams message',
+};
+
+const emptyForm = {
+  name: '',
+  url: '',
+  format: 'json',
+  events: ['scan.completed', 'scan.failed'],
+  secret: '',
+};
+
+const formatTimestamp = (value) => (value ? new Date(value).toLocaleString() : 'Unknown');
+
+const describeAttempt = (attempt) => [
+  attempt.status ? `HTTP ${attempt.status}` : 'no response',
+  attempt.error,
+  `${attempt.durationMs} ms`,
+].filter(Boolean).join(' · ');
+
+function WebhooksSettings() {
+  const [settings, setSettings] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [createdSecret, setCreatedSecret] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadWebhooks = () => apiRequest('/api/webhooks')
+    .then(setSettings)
+    .catch((err) => setError(err.message || 'Unable to load webhooks.'));
+
+  const loadDeliveries = (id) => apiRequest(`/api/webhooks/${encodeURIComponent(id)}/deliveries?limit=20`)
+    .then((data) => setDeliveries(data.deliveries))
+    .catch((err) => setError(err.message || 'Unable to load deliveries.'));
+
+  useEffect(() => {
+    loadWebhooks();
+  }, []);
+
+  const updateField = (field) => (event) => {
+    const { value } = event.target;
+    setForm((current) => ({ ...current, [field]: value }));
+  };
+
+  const toggleEvent = (name) => {
+    setForm((current) => ({
+      ...current,
+      events: current.events.includes(name)
+        ? current.events.filter((item) => item !== name)
+        : [...current.events, name],
+    }));
+  };
+
+  const run = async (request, fallbackMessage) => {
+    setError(null);
+    try {
+      const result = await request();
+      await loadWebhooks();
+      return result;
+    } catch (err) {
+      setError(err.message || fallbackMessage);
+      return null;
+    }
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    const webhook = await run(() => apiRequest('/api/webhooks', {
+      method: 'POST',
+      body: {
+        name: form.name.trim() || undefined,
+        url: form.url.trim(),
+        format: form.format,
+        events: form.events,
+        secret: form.secret || undefined,
+      },
+    }), 'Unable to save the webhook.');
+    setIsSaving(false);
+    if (webhook) {
+      setForm(emptyForm);
+      setCreatedSecret({ name: webhook.name, secret: webhook.secret });
+    }
+  };
+
+  const handleShowDeliveries = (id) => {
+    if (selectedId === id) {
+      setSelectedId(null);
+      return;
+    }
+    setSelectedId(id);
+    setDeliveries([]);
+    loadDeliveries(id);
+  };
+
+  const handleTest = async (id) => {
+    const delivery = await run(
+      () => apiRequest(`/api/webhooks/${encodeURIComponent(id)}/test`, { method: 'POST' }),
+      'Unable to send the test delivery.',
+    );
+    if (delivery) {
+      setSelectedId(id);
+      await loadDeliveries(id);
+    }
+  };
+
+  const handleRedeliver = async (deliveryId) => {
+    const delivery = await run(
+      () => apiRequest(`/api/webhooks/deliveries/${encodeURIComponent(deliveryId)}/redeliver`, { method: 'POST' }),
+      'Unable to redeliver.',
+    );
+    if (delivery) await loadDeliveries(selectedId);
+  };
+
+  if (!settings) {
+    return (
+      <section className="card">
+        {error ? <p>{error}</p> : <p className="muted">Loading webhooks…</p>}
+      </section>
+    );
+  }
+
+  return (
+    <>
+      {error && (
+        <div className="card error-card">
+          <h3>Webhooks Error</h3>
+          <p>{error}</p>
+        </div>
+      )}
+
+      <section className="card">
+        <h3>Webhooks</h3>
+        <p className="muted">
+          Webhooks post scan events to other services. Each request is signed with the webhook&apos;s secret in the
+          X-Scanner-Signature header, and failed deliveries are retried with backoff.
+        </p>
+        {createdSecret && (
+          <p className="helper">
+            Signing secret for {createdSecret.name}: <code>{createdSecret.secret}</code>. It is not shown again.
+          </p>
+        )}
+        {settings.webhooks.length === 0 ? (
+          <p className="muted">No webhooks have been added.</p>
+        ) : (
+          <ul className="credential-list">
+            {settings.webhooks.map((webhook) => (
+              <li key={webhook.id} className="credential-item">
+                <div>
+                  <span className="history-title">{webhook.name}</span>
+                  <span className="muted">
+                    {webhook.url} · {formatLabels[webhook.format] || webhook.format} ·{' '}
+                    {webhook.events.includes('*')
+                      ? 'all events'
+                      : webhook.events.map((name) => eventLabels[name] || name).join(', ')}
+                    {!webhook.enabled && ' · paused'}
+                  </span>
+                  {selectedId === webhook.id && (
+                    deliveries.length === 0 ? (
+                      <span className="muted">No deliveries yet.</span>
+                    ) : (
+                      <ul className="fix-issues">
+                        {deliveries.map((delivery) => (
+                          <li key={delivery.id}>
+                            <code>{delivery.event}</code> {delivery.status} · {formatTimestamp(delivery.createdAt)}
+                            {delivery.attempts.length > 0
+                              && ` · ${describeAttempt(delivery.attempts[delivery.attempts.length - 1])}`}
+                            {delivery.attempts.length > 1 && ` (${delivery.attempts.length} attempts)`}
+                            {delivery.status === 'failed' && (
+                              <>
+                                {' '}
+                                <button type="button" className="secondary-button" onClick={() => handleRedeliver(delivery.id)}>
+                                  Redeliver
+                                </button>
+                              </>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    )
+                  )}
+                </div>
+                <div className="export-actions">
+                  <button type="button" className="secondary-button" onClick={() => handleTest(webhook.id)}>
+                    Send Test
+                  </button>
+                  <button type="button" className="secondary-button" onClick={() => handleShowDeliveries(webhook.id)}>
+                    {selectedId === webhook.id ? 'Hide Deliveries' : 'Deliveries'}
+                  </button>
+                  <button
+                    type="button"
+                    className="secondary-button"
+                    onClick={() => run(() => apiRequest(`/api/webhooks/${encodeURIComponent(webhook.id)}`, {
+                      method: 'PUT',
+                      body: { enabled: !webhook.enabled },
+                    }), 'Unable to update the webhook.')}
+                  >
+                    {webhook.enabled ? 'Pause' : 'Resume'}
+                  </button>
+                  <button
+                    type="button"
+                    className="secondary-button"
+                    onClick={() => run(
+                      () => apiRequest(`/api/webhooks/${encodeURIComponent(webhook.id)}`, { method: 'DELETE' }),
+                      'Unable to delete the webhook.',
+                    )}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="card">
+        <h3>Add Webhook</h3>
+        <form className="credential-form" onSubmit={handleSubmit}>
+          <label>
+            URL
+            <input
+              type="url"
+              placeholder="https://hooks.slack.com/services/…"
+              value={form.url}
+              onChange={updateField('url')}
+              autoComplete="off"
+              required
+            />
+          </label>
+          <label>
+            Format
+            <select value={form.format} onChange={updateField('format')}>
+              {settings.formats.map((format) => (
+                <option key={format} value={format}>{formatLabels[format] || format}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Name (optional)
+            <input type="text" value={form.name} onChange={updateField('name')} autoComplete="off" />
+          </label>
+          <label>
+            Signing secret (optional)
+            <input
+              type="password"
+              placeholder="Generated when empty"
+              value={form.secret}
+              onChange={updateField('secret')}
+              autoComplete="new-password"
+            />
+          </label>
+          {settings.events.map((name) => (
+            <label key={name} className="checkbox-field">
+              <input type="checkbox" checked={form.events.includes(name)} onChange={() => toggleEvent(name)} />
+              {eventLabels[name] || name}
+            </label>
+          ))}
+          <div>
+            <button type="submit" className="secondary-button" disabled={isSaving || form.events.length === 0}>
+              {isSaving ? 'Saving…' : 'Add Webhook'}
+            </button>
+          </div>
+        </form>
+      </section>
+    </>
+  );
+}
+
+export default WebhooksSettings;
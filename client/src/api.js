@@ -0,0 +1,67 @@
+export const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:4000';
+
+export async function apiRequest(path, { method = 'GET', body, signal } = {}) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method,
+    signal,
+    headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+
+  const data = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const detail = typeof data?.details === 'string' ? data.details : null;
+    const combined = [data?.error, detail].filter(Boolean).join(': ');
+    throw new Error(combined || `Request failed with status ${response.status}.`);
+  }
+
+  return data;
+}
+
+// Splits a Server-Sent Events body into `{ event, data }` frames as they arrive.
+async function readEventStream(body, onEvent) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+      let event = 'message';
+      const data = [];
+      frame.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      });
+      if (data.length > 0) onEvent(event, JSON.parse(data.join('\n')));
+    }
+  }
+}
+
+/**
+ * POSTs `body` to an endpoint that answers with Server-Sent Events and calls
+ * `onEvent(event, data)` for each one. Errors before the stream starts are
+ * thrown like `apiRequest` does.
+ */
+export async function streamRequest(path, { body, signal, onEvent }) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method: 'POST',
+    signal,
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok || !response.body) {
+    const data = await response.json().catch(() => null);
+    const detail = typeof data?.details === 'string' ? data.details : null;
+    const combined = [data?.error, detail].filter(Boolean).join(': ');
+    throw new Error(combined || `Request failed with status ${response.status}.`);
+  }
+
+  await readEventStream(response.body, onEvent);
+}
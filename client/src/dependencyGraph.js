@@ -0,0 +1,132 @@
+import { severityRank } from './severity';
+
+const worstSeverity = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  return severityRank(a) <= severityRank(b) ? a : b;
+};
+
+const splitPackage = (label) => {
+  const at = label.lastIndexOf('@');
+  return at > 0 ? { name: label.slice(0, at), version: label.slice(at + 1) } : { name: label, version: null };
+};
+
+// The same vulnerability reported on several paths is one issue.
+export const issueKey = (issue) => `${issue.id}|${issue.packageName}@${issue.version}`;
+
+/**
+ * Merges the `from` paths of every issue into a forest rooted at the scanned
+ * projects (`from[0]`). A node is `{ id, label, name, version, depth,
+ * children, issues, subtreeIssues, severity, subtreeSeverity }`: `issues` are
+ * the vulnerabilities of the package itself, `subtreeIssues` those it brings
+ * in (including its own), each listed once however many paths lead to it.
+ */
+export const buildDependencyTree = (issues = []) => {
+  const roots = [];
+  const byId = new Map();
+
+  const nodeFor = (path, depth, siblings) => {
+    const id = path.join('>');
+    let node = byId.get(id);
+    if (!node) {
+      const label = path[path.length - 1];
+      node = {
+        id,
+        label,
+        ...splitPackage(label),
+        depth,
+        children: [],
+        issues: [],
+        subtreeIssues: new Map(),
+        severity: null,
+        subtreeSeverity: null,
+      };
+      byId.set(id, node);
+      siblings.push(node);
+    }
+    return node;
+  };
+
+  issues.forEach((issue) => {
+    const from = Array.isArray(issue.from) && issue.from.length > 0
+      ? issue.from
+      : [issue.packageName ? `${issue.packageName}@${issue.version}` : issue.id];
+    let siblings = roots;
+    from.forEach((_, index) => {
+      const node = nodeFor(from.slice(0, index + 1), index, siblings);
+      node.subtreeIssues.set(issueKey(issue), issue);
+      node.subtreeSeverity = worstSeverity(node.subtreeSeverity, issue.severity);
+      if (index === from.length - 1 && !node.issues.some((item) => issueKey(item) === issueKey(issue))) {
+        node.issues.push(issue);
+        node.severity = worstSeverity(node.severity, issue.severity);
+      }
+      siblings = node.children;
+    });
+  });
+
+  const finish = (nodes) => nodes
+    .map((node) => ({
+      ...node,
+      subtreeIssues: Array.from(node.subtreeIssues.values()),
+      children: finish(node.children),
+    }))
+    .sort((a, b) => severityRank(a.subtreeSeverity) - severityRank(b.subtreeSeverity)
+      || b.subtreeIssues.length - a.subtreeIssues.length
+      || a.label.localeCompare(b.label));
+  return finish(roots);
+};
+
+/** Ids of the nodes down to `depth`, to expand a fresh tree that far. */
+export const idsToDepth = (nodes, depth) => nodes.flatMap((node) => (
+  node.depth < depth && node.children.length > 0 ? [node.id, ...idsToDepth(node.children, depth)] : []
+));
+
+/** Ids of every node with children. */
+export const allParentIds = (nodes) => idsToDepth(nodes, Infinity);
+
+/** The node with `id`, or `null`. */
+export const findNode = (nodes, id) => {
+  for (const node of nodes) {
+    if (node.id === id) return node;
+    const found = findNode(node.children, id);
+    if (found) return found;
+  }
+  return null;
+};
+
+// Dotted numeric comparison; pre-release tags are ignored.
+const compareVersions = (a, b) => {
+  const left = String(a).split(/[.+-]/).map((part) => Number.parseInt(part, 10) || 0);
+  const right = String(b).split(/[.+-]/).map((part) => Number.parseInt(part, 10) || 0);
+  for (let index = 0; index < Math.max(left.length, right.length); index += 1) {
+    const difference = (left[index] || 0) - (right[index] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+};
+
+/**
+ * The single upgrade of a direct dependency that fixes the most of the
+ * issues it brings in: each issue's upgrade path names the version of the
+ * direct dependency it needs (`upgradePath[1]`), and a version fixes every
+ * issue that needs it or an older one. Ties go to the smallest upgrade.
+ * Returns `{ name, version, fixes, total }`, or `null` when no issue can
+ * be fixed by upgrading.
+ */
+export const bestUpgrade = (node) => {
+  const requirements = node.subtreeIssues
+    .map((issue) => (Array.isArray(issue.upgradePath) ? issue.upgradePath[node.depth] : null))
+    .filter((target) => typeof target === 'string')
+    .map(splitPackage)
+    .filter((target) => target.name === node.name && target.version);
+  if (requirements.length === 0) return null;
+
+  const candidates = Array.from(new Set(requirements.map((target) => target.version)))
+    .sort(compareVersions);
+  let best = null;
+  candidates.forEach((version) => {
+    const fixes = requirements.filter((target) => compareVersions(target.version, version) <= 0).length;
+    if (!best || fixes > best.fixes) best = { name: node.name, version, fixes };
+  });
+  return { ...best, total: node.subtreeIssues.length };
+};
@@ -0,0 +1,150 @@
+import { issueKey } from './dependencyGraph';
+import { severityOrder, severityRank, sortByPriority } from './severity';
+import { readUrlParam } from './urlState';
+
+export const fixabilityLabels = {
+  upgrade: 'Has upgrade path',
+  patched: 'Patched',
+  none: 'No fix',
+};
+
+export const groupingLabels = {
+  package: 'Package',
+  direct: 'Direct dependency',
+  vuln: 'Vulnerability',
+};
+
+export const emptyFilters = {
+  q: '',
+  severity: [],
+  fix: '',
+  pkg: '',
+  after: '',
+  before: '',
+  group: '',
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/** The filters encoded in the page URL, ignoring values the UI cannot produce. */
+export const readIssueFilters = () => {
+  const severity = (readUrlParam('severity') || '')
+    .split(',')
+    .filter((value) => severityOrder.includes(value));
+  const date = (name) => (DATE_PATTERN.test(readUrlParam(name) || '') ? readUrlParam(name) : '');
+  return {
+    q: readUrlParam('q') || '',
+    severity,
+    fix: fixabilityLabels[readUrlParam('fix')] ? readUrlParam('fix') : '',
+    pkg: readUrlParam('pkg') || '',
+    after: date('after'),
+    before: date('before'),
+    group: groupingLabels[readUrlParam('group')] ? readUrlParam('group') : '',
+  };
+};
+
+/** Query parameters for `writeUrlParams`; unset filters clear their parameter. */
+export const filtersToParams = (filters) => ({
+  q: filters.q.trim() || null,
+  severity: filters.severity.length > 0 ? filters.severity.join(',') : null,
+  fix: filters.fix || null,
+  pkg: filters.pkg || null,
+  after: filters.after || null,
+  before: filters.before || null,
+  group: filters.group || null,
+});
+
+/** Whether any filter narrows the list; grouping alone does not. */
+export const hasActiveFilters = (filters) => Object.entries(filtersToParams(filters))
+  .some(([name, value]) => name !== 'group' && Boolean(value));
+
+export const fixabilityOf = (issue) => {
+  if (Array.isArray(issue.upgradePath) && issue.upgradePath.some(Boolean)) return 'upgrade';
+  if (issue.isPatched) return 'patched';
+  return 'none';
+};
+
+/** Issues matching every set filter; the search covers titles and descriptions. */
+export const filterIssues = (issues = [], filters) => {
+  const query = filters.q.trim().toLowerCase();
+  return issues.filter((issue) => {
+    if (filters.severity.length > 0 && !filters.severity.includes(issue.severity)) return false;
+    if (filters.fix && fixabilityOf(issue) !== filters.fix) return false;
+    if (filters.pkg && issue.packageName !== filters.pkg) return false;
+    if (filters.after || filters.before) {
+      const published = issue.publicationTime ? issue.publicationTime.slice(0, 10) : null;
+      if (!published) return false;
+      if (filters.after && published < filters.after) return false;
+      if (filters.before && published > filters.before) return false;
+    }
+    if (query) {
+      const text = `${issue.title || ''}\n${issue.description || ''}`.toLowerCase();
+      if (!text.includes(query)) return false;
+    }
+    return true;
+  });
+};
+
+/** Package names of the issues, for the package filter. */
+export const packageNames = (issues = []) => Array.from(new Set(issues.map((issue) => issue.packageName).filter(Boolean)))
+  .sort((a, b) => a.localeCompare(b));
+
+// Direct dependencies are the second entry of a path; direct vulnerable
+// packages are their own direct dependency.
+const directDependency = (issue) => {
+  if (Array.isArray(issue.from) && issue.from.length > 1) return issue.from[1];
+  return issue.packageName ? `${issue.packageName}@${issue.version}` : issue.id;
+};
+
+const groupKeys = {
+  package: (issue) => issue.packageName || issue.id,
+  direct: directDependency,
+  vuln: (issue) => issue.id,
+};
+
+/**
+ * The same vulnerability reported on several paths or in several projects
+ * becomes one issue listing every `paths` entry it was reported on.
+ */
+export const collapseDuplicates = (issues = []) => {
+  const merged = new Map();
+  issues.forEach((issue) => {
+    const key = issueKey(issue);
+    const path = Array.isArray(issue.from) ? issue.from : [];
+    const entry = merged.get(key);
+    if (!entry) {
+      merged.set(key, { ...issue, paths: path.length > 0 ? [path] : [] });
+    } else if (path.length > 0 && !entry.paths.some((known) => known.join('>') === path.join('>'))) {
+      entry.paths.push(path);
+    }
+  });
+  return Array.from(merged.values());
+};
+
+/**
+ * Groups issues by `package`, `direct` dependency or `vuln` id, collapsing
+ * duplicates within each group. Groups come worst severity first, then by
+ * size. A group is `{ key, issues, severity, reports }`, where `reports`
+ * counts the issues before collapsing.
+ */
+export const groupIssues = (issues = [], groupBy) => {
+  const keyOf = groupKeys[groupBy];
+  const groups = new Map();
+  issues.forEach((issue) => {
+    const key = keyOf(issue);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(issue);
+  });
+  return Array.from(groups.entries())
+    .map(([key, members]) => {
+      const collapsed = sortByPriority(collapseDuplicates(members));
+      const severity = collapsed.reduce(
+        (worst, issue) => (severityRank(issue.severity) < severityRank(worst) ? issue.severity : worst),
+        collapsed[0].severity,
+      );
+      return { key, issues: collapsed, severity, reports: members.length };
+    })
+    .sort((a, b) => severityRank(a.severity) - severityRank(b.severity)
+      || b.issues.length - a.issues.length
+      || a.key.localeCompare(b.key));
+};
@@ -0,0 +1,13 @@
+const providerLabels = {
+  openai: 'OpenAI',
+  'openai-compatible': 'a self-hosted model',
+  mock: 'the mock model',
+};
+
+// Older plans record the source as `openai` or `fallback`.
+export const describeModelSource = (source) => {
+  const { provider, model } = typeof source === 'string' ? { provider: source } : source || {};
+  if (!provider || provider === 'fallback') return 'heuristics';
+  const label = providerLabels[provider] || provider;
+  return model ? `${label} (${model})` : label;
+};
@@ -0,0 +1,27 @@
+export const severityOrder = ['critical', 'high', 'medium', 'low'];
+
+// Position in `severityOrder`; unknown severities rank after `low`.
+export const severityRank = (severity) => {
+  const index = severityOrder.indexOf(severity);
+  return index === -1 ? severityOrder.length : index;
+};
+
+export const severityLabels = {
+  critical: 'Critical',
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low',
+};
+
+/**
+ * Orders issues by their server-computed priority score, highest first.
+ * Results stored before scoring existed fall back to severity order.
+ */
+export const sortByPriority = (issues = []) => issues
+  .map((issue, index) => ({ issue, index }))
+  .sort((a, b) => (
+    (b.issue.priority?.score ?? -1) - (a.issue.priority?.score ?? -1)
+    || severityRank(a.issue.severity) - severityRank(b.issue.severity)
+    || a.index - b.index
+  ))
+  .map(({ issue }) => issue);
@@ -0,0 +1,16 @@
+export const readUrlParam = (name) => new URLSearchParams(window.location.search).get(name);
+
+/** Updates query parameters in place; `null`/empty values remove the parameter. */
+export const writeUrlParams = (params) => {
+  const url = new URL(window.location.href);
+  Object.entries(params).forEach(([name, value]) => {
+    if (value === null || value === undefined || value === '') {
+      url.searchParams.delete(name);
+    } else {
+      url.searchParams.set(name, value);
+    }
+  });
+  if (url.href !== window.location.href) {
+    window.history.replaceState(null, '', url);
+  }
+};
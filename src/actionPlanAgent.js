@@ -1,12 +1,49 @@
-let OpenAI;
-try {
-  // eslint-disable-next-line global-require
-  OpenAI = require('openai');
-} catch (err) {
-  OpenAI = null;
-}
+const { PRIORITY_LEVELS, prioritizedIssues } = require('./prioritization');
+const { createPlanTools, describeUpgrades, runPlanTool } = require('./planTools');
+const { createLlmProvider, describeProvider, runToolLoop } = require('./llm');
+const { describeSeverityCounts } = require('./scanners/normalize');
+
+const EFFORTS = ['low', 'medium', 'high'];
+const FALLBACK_SOURCE = { provider: 'fallback', model: null };
+
+const PRIORITY_INSTRUCTIONS = 'Each issue has a priority.score from 0 to 100 combining CVSS, exploit maturity, reachability, fix availability and dependency depth; order the remediation steps by it, highest first.';
+
+const PLANNER_INSTRUCTIONS = [
+  'You are a security engineer planning the remediation of a dependency scan.',
+  'Use the tools to inspect the scan: start with get_scan_overview, list the issues, and look up dependency paths, upgrade paths and manifests as needed. Do not guess versions; take them from lookup_upgrade_path.',
+  PRIORITY_INSTRUCTIONS,
+  'Finish with a concise business-friendly summary and remediation steps. Each step names the affected issue ids, the package and version to move to (null when not an upgrade), an effort estimate (low, medium or high) and a shell command that applies it (null when there is none).',
+  'If no remediation is required, set no_action true and return no steps, but still provide an informative summary.',
+].join(' ');
+
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
 
-const severityOrder = ['critical', 'high', 'medium', 'low'];
+const PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string', description: 'Concise overview of the scan outcome' },
+    steps: {
+      type: 'array',
+      description: 'Ordered list of remediation steps',
+      items: {
+        type: 'object',
+        properties: {
+          action: { type: 'string', description: 'What to do, in one sentence' },
+          issueIds: { type: 'array', items: { type: 'string' } },
+          package: nullable({ type: 'string' }),
+          version: nullable({ type: 'string', description: 'Version to upgrade the package to' }),
+          effort: { type: ['string', 'null'], enum: [...EFFORTS, null] },
+          command: nullable({ type: 'string' }),
+        },
+        required: ['action', 'issueIds', 'package', 'version', 'effort', 'command'],
+        additionalProperties: false,
+      },
+    },
+    no_action: { type: 'boolean', description: 'True when no remediation is needed' },
+  },
+  required: ['summary', 'steps', 'no_action'],
+  additionalProperties: false,
+};
 
 const summarizePackages = (issues = []) => {
   const packages = issues
@@ -18,132 +55,78 @@ const summarizePackages = (issues = []) => {
   return packages.length > unique.length ? `${list}, …` : list;
 };
 
-class ActionPlanAgent {
-  constructor() {
-    this.apiKey = process.env.OPENAI_API_KEY;
-    this.model = process.env.OPENAI_AGENT_MODEL || 'gpt-4.1-mini';
-    this.client = this.apiKey && OpenAI ? new OpenAI({ apiKey: this.apiKey }) : null;
-    this.agentPromise = null;
-  }
+/**
+ * A plan step: `{ action, issueIds, package, version, effort, command }`.
+ * Plain strings (plans stored before steps were structured) become steps
+ * with only an `action`.
+ */
+const toStep = (step) => {
+  const value = typeof step === 'string' ? { action: step } : step || {};
+  const text = (field) => (typeof value[field] === 'string' && value[field].trim() ? value[field].trim() : null);
+  return {
+    action: text('action') || '',
+    issueIds: Array.isArray(value.issueIds) ? value.issueIds.filter((id) => typeof id === 'string') : [],
+    package: text('package'),
+    version: text('version'),
+    effort: EFFORTS.includes(value.effort) ? value.effort : null,
+    command: text('command'),
+  };
+};
 
-  async ensureAgent() {
-    if (!this.client) return null;
-    if (!this.agentPromise) {
-      this.agentPromise = this.client.agents
-        .create({
-          model: this.model,
-          name: 'Snyk Remediation Planner',
-          instructions:
-            'You are a security engineer. Given a Snyk scan result JSON, first produce a concise business-friendly summary, then list remediation steps. Respond strictly as JSON shaped like {"summary": string, "steps": string[], "no_action": boolean}. If no remediation is required, set no_action true and steps empty, but still provide an informative summary. Return JSON only.',
-        })
-        .catch((err) => {
-          console.error('Failed to create OpenAI agent:', err.message);
-          this.agentPromise = null;
-          return null;
-        });
-    }
-    return this.agentPromise;
+class ActionPlanAgent {
+  /**
+   * `provider` is the language model provider from `createLlmProvider`;
+   * `null` plans with heuristics only.
+   */
+  constructor({ provider = createLlmProvider() } = {}) {
+    this.provider = provider;
   }
 
-  async generateWithOpenAI(scanResult) {
-    const agent = await this.ensureAgent();
-    if (!agent) return null;
+  /**
+   * Plans with a tool-calling loop: the model inspects the scan through the
+   * tools from `createPlanTools` (reading manifests from `repoDir` while the
+   * clone exists) until it answers with a plan matching `PLAN_SCHEMA`.
+   * Resolves with `null` when no provider is configured or planning fails.
+   */
+  async generateWithModel(scanResult, { repoDir, signal } = {}) {
+    if (!this.provider) return null;
 
     try {
-      const extractText = (response) => {
-        if (!response) return '';
-        if (typeof response.output_text === 'string' && response.output_text.trim()) {
-          return response.output_text;
-        }
-        const chunks = [];
-        const walk = (node) => {
-          if (!node) return;
-          if (typeof node === 'string') {
-            chunks.push(node);
-            return;
-          }
-          if (Array.isArray(node)) {
-            node.forEach(walk);
-            return;
-          }
-          if (typeof node === 'object') {
-            if (typeof node.text === 'string') {
-              chunks.push(node.text);
-            }
-            if (typeof node.value === 'string') {
-              chunks.push(node.value);
-            }
-            Object.values(node).forEach(walk);
-          }
-        };
-        walk(response.output);
-        return chunks.join('\n').trim();
-      };
-
-      const response = await this.client.responses.create({
-        agent_id: agent.id,
-        response_format: {
-          type: 'json_schema',
-          json_schema: {
-            name: 'snyk_action_plan',
-            schema: {
-              type: 'object',
-              properties: {
-                summary: {
-                  type: 'string',
-                  description: 'Concise overview of the scan outcome',
-                },
-                steps: {
-                  type: 'array',
-                  items: { type: 'string' },
-                  description: 'Ordered list of remediation steps',
-                },
-                no_action: {
-                  type: 'boolean',
-                  description: 'True when no remediation is needed',
-                },
-              },
-              required: ['summary', 'steps', 'no_action'],
-              additionalProperties: false,
-            },
-          },
-        },
-        input: [
-          {
-            role: 'system',
-            content: [
-              {
-                type: 'text',
-                text:
-                  'You are a security engineer. Carefully read the provided Snyk scan JSON, summarize the findings, then generate an ordered list of remediation steps. Respond with JSON only matching the requested schema.',
-              },
-            ],
-          },
+      const tools = createPlanTools({
+        scanResult: { ...scanResult, issues: prioritizedIssues(scanResult.issues) },
+        repoDir,
+      });
+      const { content, toolCalls } = await runToolLoop(this.provider, {
+        instructions: PLANNER_INSTRUCTIONS,
+        messages: [
           {
             role: 'user',
-            content: [
-              {
-                type: 'input_json',
-                json: scanResult,
-              },
-            ],
+            content: `Plan the remediation of ${scanResult.projectName || 'this repository'} (${scanResult.issues?.length || 0} vulnerabilities).`,
           },
         ],
+        tools,
+        runTool: (name, args) => runPlanTool(tools, name, args),
+        schema: { name: 'snyk_action_plan', schema: PLAN_SCHEMA },
+        signal,
       });
-
-      const textOutput = extractText(response);
-      if (!textOutput) {
-        throw new Error('No text output from agent');
+      if (!content) {
+        throw new Error('No text output from the model');
       }
-      const parsed = JSON.parse(textOutput);
-      const steps = Array.isArray(parsed.steps) ? parsed.steps.filter(Boolean) : [];
+      const parsed = JSON.parse(content);
+      const steps = Array.isArray(parsed.steps) ? parsed.steps.map(toStep).filter((step) => step.action) : [];
       const summary = typeof parsed.summary === 'string' && parsed.summary.trim()
         ? parsed.summary.trim()
         : '';
       const noAction = Boolean(parsed.no_action) || steps.length === 0;
-      return { summary, steps, noAction, source: 'openai' };
+      return {
+        summary,
+        steps,
+        noAction,
+        source: describeProvider(this.provider),
+        toolCalls,
+      };
     } catch (err) {
-      console.error('Failed to generate action plan with OpenAI agent:', err.message);
+      console.error(`Failed to generate action plan with ${this.provider.id} (${this.provider.model}):`, err.message);
       return null;
     }
   }
@@ -151,13 +134,6 @@ class ActionPlanAgent {
   buildSeveritySummary(scanResult) {
     if (!scanResult || typeof scanResult !== 'object') return '';
     const total = Object.values(scanResult.summary || {}).reduce((acc, count) => acc + Number(count || 0), 0);
-    const parts = severityOrder
-      .map((severity) => {
-        const count = Number(scanResult.summary?.[severity] || 0);
-        if (!count) return null;
-        return `${count} ${severity}`;
-      })
-      .filter(Boolean);
 
     const projectName = scanResult.projectName || 'repository';
     const depCount = typeof scanResult.dependencyCount === 'number'
@@ -168,24 +144,24 @@ class ActionPlanAgent {
       return `Snyk reported no vulnerabilities for ${projectName}. Continue monitoring ${depCount}.`;
     }
 
-    const breakdown = parts.length > 0 ? parts.join(', ') : 'vulnerabilities detected';
+    const breakdown = describeSeverityCounts(scanResult.summary) || 'vulnerabilities detected';
     return `${projectName} has ${total} vulnerabilities (${breakdown}). Review ${depCount}.`;
   }
 
   generateFallback(scanResult) {
     if (!scanResult || typeof scanResult !== 'object') {
-      return { summary: 'Unable to analyse scan result.', steps: [], noAction: true, source: 'fallback' };
+      return { summary: 'Unable to analyse scan result.', steps: [], noAction: true, source: FALLBACK_SOURCE };
     }
 
     const steps = [];
 
     if (!scanResult.repositoryAccessible) {
-      steps.push('Restore repository access so automated scans can run.');
+      steps.push(toStep('Restore repository access so automated scans can run.'));
       return {
         summary: `${scanResult.projectName || 'Repository'} is unreachable. Restore access and rerun the scan.`,
         steps,
         noAction: false,
-        source: 'fallback',
+        source: FALLBACK_SOURCE,
       };
     }
 
@@ -194,66 +170,140 @@ class ActionPlanAgent {
         summary: this.buildSeveritySummary(scanResult),
         steps,
         noAction: true,
-        source: 'fallback',
+        source: FALLBACK_SOURCE,
       };
     }
 
-    const issuesBySeverity = severityOrder.reduce((acc, severity) => {
-      acc[severity] = scanResult.issues.filter((issue) => issue.severity === severity);
-      return acc;
-    }, {});
-
-    severityOrder.forEach((severity) => {
-      const issues = issuesBySeverity[severity];
-      if (!issues || issues.length === 0) return;
-
-      const packages = summarizePackages(issues);
-      const title = `${severity.charAt(0).toUpperCase()}${severity.slice(1)} vulnerabilities`;
+    // One step per dependency upgrade and one per priority level for issues
+    // without a fix, ordered by the highest priority score each step covers.
+    const prioritized = prioritizedIssues(scanResult.issues);
+    const byId = new Map();
+    prioritized.forEach((issue) => {
+      if (!byId.has(issue.id)) byId.set(issue.id, issue);
+    });
+    const topScore = (ids) => Math.max(0, ...ids.map((id) => byId.get(id)?.priority.score || 0));
+    const { upgrades, unresolvable } = describeUpgrades(prioritized, scanResult.dependencyGraph);
 
-      const fixHints = new Set();
-      issues.forEach((issue) => {
-        if (Array.isArray(issue.upgradePath) && issue.upgradePath.some(Boolean)) {
-          fixHints.add('upgrade dependencies to secure versions');
-        }
-        if (issue.isPatched) {
-          fixHints.add('apply available patches');
-        }
+    const ranked = upgrades.map((upgrade) => {
+      const { level } = byId.get(upgrade.issueIds[0]).priority;
+      const count = upgrade.issueIds.length;
+      return {
+        score: topScore(upgrade.issueIds),
+        step: toStep({
+          action: `Upgrade ${upgrade.package}${upgrade.from ? ` from ${upgrade.from}` : ''} to ${upgrade.to} to fix ${count} ${count === 1 ? 'vulnerability' : 'vulnerabilities'} (${level} priority).`,
+          issueIds: upgrade.issueIds,
+          package: upgrade.package,
+          version: upgrade.to,
+          effort: upgrade.effort,
+          command: upgrade.command,
+        }),
+      };
+    });
+    // Manifests other than npm's still get an upgrade step, without a command.
+    const manualUpgrades = new Map();
+    const unfixable = [];
+    unresolvable.forEach((item) => {
+      const issue = byId.get(item.id);
+      const target = Array.isArray(issue?.upgradePath) ? issue.upgradePath[1] : null;
+      if (!issue) return;
+      if (!target) {
+        if (!unfixable.includes(issue)) unfixable.push(issue);
+        return;
+      }
+      const key = `${issue.targetFile || ''}|${target}`;
+      if (!manualUpgrades.has(key)) manualUpgrades.set(key, { target, targetFile: issue.targetFile, issues: [] });
+      manualUpgrades.get(key).issues.push(issue);
+    });
+    manualUpgrades.forEach(({ target, targetFile, issues }) => {
+      const index = target.lastIndexOf('@');
+      const name = index > 0 ? target.slice(0, index) : target;
+      const version = index > 0 ? target.slice(index + 1) : null;
+      ranked.push({
+        score: topScore(issues.map((issue) => issue.id)),
+        step: toStep({
+          action: `Upgrade ${name}${version ? ` to ${version}` : ''}${targetFile ? ` in ${targetFile}` : ''} (${issues[0].priority.level} priority).`,
+          issueIds: Array.from(new Set(issues.map((issue) => issue.id))),
+          package: name,
+          version,
+          effort: 'medium',
+        }),
+      });
+    });
+    PRIORITY_LEVELS.forEach(({ level }) => {
+      const issues = unfixable.filter((issue) => issue.priority.level === level);
+      if (issues.length === 0) return;
+      const patched = issues.every((issue) => issue.isPatched);
+      ranked.push({
+        score: topScore(issues.map((issue) => issue.id)),
+        step: toStep({
+          action: patched
+            ? `Keep the patches for ${level}-priority vulnerabilities in ${summarizePackages(issues)} applied.`
+            : `Mitigate ${level}-priority vulnerabilities without an upgrade path in ${summarizePackages(issues)}: replace the package or limit its exposure.`,
+          issueIds: issues.map((issue) => issue.id),
+          effort: patched ? 'low' : 'high',
+        }),
       });
-
-      const hintText = fixHints.size > 0 ? ` (${Array.from(fixHints).join(' or ')})` : '';
-      const packageText = packages ? ` (${packages})` : '';
-
-      steps.push(`Resolve ${title} first${packageText}${hintText}.`);
     });
+    ranked.sort((a, b) => b.score - a.score).forEach(({ step }) => steps.push(step));
+
+    const inventory = scanResult.licenseInventory;
+    if (inventory) {
+      const packagesWith = (predicate) => inventory.licenses
+        .filter(predicate)
+        .flatMap((entry) => entry.packages.map((pkg) => ({ packageName: pkg.id })));
+      const forbidden = summarizePackages(packagesWith((entry) => ['forbidden', 'unlisted'].includes(entry.status)));
+      if (forbidden) {
+        steps.push(toStep(`Replace dependencies whose licenses the license policy does not allow (${forbidden}), or get them approved.`));
+      }
+      const copyleft = summarizePackages(packagesWith((entry) => entry.family === 'strong-copyleft' && !['forbidden', 'unlisted'].includes(entry.status)));
+      if (copyleft) {
+        steps.push(toStep(`Confirm that strong copyleft dependencies (${copyleft}) are compatible with how the project is distributed.`));
+      }
+      if (inventory.summary.unknown > 0) {
+        steps.push(toStep(`Identify the licenses of ${inventory.summary.unknown} dependencies that do not declare one.`));
+      }
+    }
 
     if (Array.isArray(scanResult.licenses) && scanResult.licenses.length > 0) {
       const licensePkgs = summarizePackages(scanResult.licenses);
-      steps.push(
-        `Review license findings${licensePkgs ? ` for ${licensePkgs}` : ''} with legal/compliance teams.`,
-      );
+      steps.push(toStep({
+        action: `Review license findings${licensePkgs ? ` for ${licensePkgs}` : ''} with legal/compliance teams.`,
+        issueIds: scanResult.licenses.map((item) => item.id),
+      }));
     }
 
     if (scanResult.issues.length > 0) {
-      steps.push('Add automated dependency updates (Dependabot, Renovate) and enforce Snyk scans in CI.');
-      steps.push('Re-run `snyk test` after applying fixes to confirm a clean report.');
+      steps.push(toStep({
+        action: 'Add automated dependency updates (Dependabot, Renovate) and enforce Snyk scans in CI.',
+        effort: 'medium',
+      }));
+      steps.push(toStep({
+        action: 'Re-run the scan after applying fixes to confirm a clean report.',
+        effort: 'low',
+        command: 'npx snyk test',
+      }));
       return {
         summary: this.buildSeveritySummary(scanResult),
         steps,
         noAction: false,
-        source: 'fallback',
+        source: FALLBACK_SOURCE,
       };
     }
 
     return {
       summary: this.buildSeveritySummary(scanResult),
-      steps: [],
-      noAction: true,
-      source: 'fallback',
+      steps,
+      noAction: steps.length === 0,
+      source: FALLBACK_SOURCE,
     };
   }
 
-  async generate(scanResult) {
-    const aiPlan = await this.generateWithOpenAI(scanResult);
+  /**
+   * Plans the remediation of `scanResult`, falling back to heuristics without
+   * a model. `repoDir` is the scanned clone, when it still exists.
+   */
+  async generate(scanResult, { repoDir, signal } = {}) {
+    const aiPlan = await this.generateWithModel(scanResult, { repoDir, signal });
     if (aiPlan) {
       return aiPlan;
     }
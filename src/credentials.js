@@ -0,0 +1,276 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs/promises');
+const crypto = require('crypto');
+
+const CREDENTIAL_TYPES = ['token', 'ssh'];
+const PROVIDERS = ['github', 'gitlab', 'bitbucket', 'gitea', 'generic'];
+
+// Usernames each host expects when a token is presented over HTTP basic auth.
+const TOKEN_USERNAMES = {
+  github: 'x-access-token',
+  gitlab: 'oauth2',
+  bitbucket: 'x-token-auth',
+};
+
+const KEY_SALT = 'snyk-scanner-credentials';
+
+class CredentialError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CredentialError';
+    this.status = status;
+  }
+}
+
+const inferProvider = (host = '') => {
+  if (/(^|\.)github\.com$/i.test(host)) return 'github';
+  if (/gitlab/i.test(host)) return 'gitlab';
+  if (/(^|\.)bitbucket\.org$/i.test(host)) return 'bitbucket';
+  if (/gitea|(^|\.)codeberg\.org$/i.test(host)) return 'gitea';
+  return 'generic';
+};
+
+/**
+ * Extracts the host and transport of a clone URL: `https://host/...`,
+ * `ssh://user@host/...` or scp-like `user@host:path`.
+ */
+const parseRepoHost = (repoUrl = '') => {
+  const value = String(repoUrl).trim();
+  const urlMatch = value.match(/^([a-z][a-z0-9+.-]*):\/\/(?:[^@/]+@)?([^/:]+)(?::(\d+))?/i);
+  if (urlMatch) {
+    const scheme = urlMatch[1].toLowerCase();
+    return {
+      host: urlMatch[2].toLowerCase(),
+      port: urlMatch[3] || null,
+      transport: scheme.startsWith('http') ? 'https' : scheme,
+    };
+  }
+  const scpMatch = value.match(/^(?:[^@/]+@)?([^/:]+):(?!\/\/)/);
+  if (scpMatch) return { host: scpMatch[1].toLowerCase(), port: null, transport: 'ssh' };
+  return null;
+};
+
+const toPublicView = (record) => ({
+  id: record.id,
+  host: record.host,
+  provider: record.provider,
+  type: record.type,
+  username: record.username || null,
+  label: record.label || null,
+  createdAt: record.createdAt,
+  updatedAt: record.updatedAt,
+});
+
+/**
+ * Per-host git credentials (HTTPS tokens and SSH deploy keys), encrypted at
+ * rest with AES-256-GCM under a key derived from `CREDENTIALS_SECRET`.
+ * Secrets never leave this module except as clone options.
+ */
+class CredentialStore {
+  constructor(storage, { secret = process.env.CREDENTIALS_SECRET } = {}) {
+    this.records = storage.collection('credentials');
+    this.key = secret ? crypto.scryptSync(secret, KEY_SALT, 32) : null;
+  }
+
+  get enabled() {
+    return Boolean(this.key);
+  }
+
+  assertEnabled() {
+    if (!this.enabled) {
+      throw new CredentialError('Credential storage is disabled. Set CREDENTIALS_SECRET on the server.', 503);
+    }
+  }
+
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+  }
+
+  decrypt(payload) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(payload.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(payload.data, 'base64')),
+      decipher.final(),
+    ]).toString('utf8');
+  }
+
+  validate(input, { partial = false } = {}) {
+    const host = typeof input.host === 'string' ? input.host.trim().toLowerCase() : '';
+    if (!partial || input.host !== undefined) {
+      if (!host || !/^[a-z0-9.-]+(:\d+)?$/.test(host)) throw new CredentialError('A valid host name is required.');
+    }
+    if ((!partial || input.type !== undefined) && !CREDENTIAL_TYPES.includes(input.type)) {
+      throw new CredentialError(`Credential type must be one of: ${CREDENTIAL_TYPES.join(', ')}.`);
+    }
+    if (input.provider !== undefined && !PROVIDERS.includes(input.provider)) {
+      throw new CredentialError(`Provider must be one of: ${PROVIDERS.join(', ')}.`);
+    }
+    if ((!partial || input.secret !== undefined) && (typeof input.secret !== 'string' || !input.secret.trim())) {
+      throw new CredentialError('A token or private key is required.');
+    }
+    if (input.type === 'ssh' && input.secret !== undefined && !/PRIVATE KEY-----/.test(input.secret)) {
+      throw new CredentialError('SSH credentials must be a PEM/OpenSSH private key.');
+    }
+    return host;
+  }
+
+  async list() {
+    const records = await this.records.list();
+    return records
+      .sort((a, b) => String(a.host).localeCompare(String(b.host)))
+      .map(toPublicView);
+  }
+
+  async create(input = {}) {
+    this.assertEnabled();
+    const host = this.validate(input);
+    const now = new Date().toISOString();
+    const record = await this.records.insert({
+      host,
+      provider: input.provider || inferProvider(host),
+      type: input.type,
+      username: typeof input.username === 'string' && input.username.trim() ? input.username.trim() : null,
+      label: typeof input.label === 'string' ? input.label.trim() : null,
+      secret: this.encrypt(input.type === 'ssh' ? `${input.secret.trim()}\n` : input.secret.trim()),
+      createdAt: now,
+      updatedAt: now,
+    });
+    return toPublicView(record);
+  }
+
+  async update(id, input = {}) {
+    this.assertEnabled();
+    const current = await this.records.get(id);
+    if (!current) return null;
+    const type = input.type || current.type;
+    // The stored secret belongs to the old type, so switching types needs a
+    // new one (which `validate` then checks against the new type).
+    if (type !== current.type && input.secret === undefined) {
+      throw new CredentialError('Changing the credential type requires a new token or private key.');
+    }
+    const host = this.validate({ ...input, type }, { partial: true });
+    const patch = { updatedAt: new Date().toISOString() };
+    if (input.host !== undefined) patch.host = host;
+    if (input.type !== undefined) patch.type = input.type;
+    if (input.provider !== undefined) patch.provider = input.provider;
+    if (input.username !== undefined) patch.username = input.username ? String(input.username).trim() : null;
+    if (input.label !== undefined) patch.label = input.label ? String(input.label).trim() : null;
+    if (input.secret !== undefined) {
+      patch.secret = this.encrypt(type === 'ssh' ? `${input.secret.trim()}\n` : input.secret.trim());
+    }
+    return toPublicView(await this.records.update(id, patch));
+  }
+
+  async remove(id) {
+    return this.records.remove(id);
+  }
+
+  /**
+   * Picks the credential for `repoUrl`'s host, preferring one that matches the
+   * URL's transport (token for HTTPS, deploy key for SSH). Resolves with
+   * `null` when none applies, or with `{ secrets, prepare(workDir) }` where
+   * `prepare` returns the git `config` and `env` to clone with and `secrets`
+   * lists every string that must be redacted from output.
+   */
+  async resolveFor(repoUrl) {
+    if (!this.enabled) return null;
+    const target = parseRepoHost(repoUrl);
+    if (!target) return null;
+
+    // A credential registered for `host:port` wins over one for the bare host.
+    const hosts = target.port ? [`${target.host}:${target.port}`, target.host] : [target.host];
+    const wanted = target.transport === 'ssh' ? 'ssh' : 'token';
+    const candidates = await this.records.list((record) => record.type === wanted && hosts.includes(record.host));
+    const record = candidates.sort((a, b) => hosts.indexOf(a.host) - hosts.indexOf(b.host))[0];
+    if (!record) return null;
+
+    let secret;
+    try {
+      secret = this.decrypt(record.secret);
+    } catch (err) {
+      console.error(`Unable to decrypt credential ${record.id}; was CREDENTIALS_SECRET changed?`);
+      return null;
+    }
+
+    if (record.type === 'token') {
+      const username = record.username || TOKEN_USERNAMES[record.provider] || 'git';
+      const basic = Buffer.from(`${username}:${secret}`).toString('base64');
+      return {
+        credentialId: record.id,
+        secrets: [secret, basic],
+        prepare: async () => ({
+          config: [`http.extraHeader=Authorization: Basic ${basic}`],
+          env: {},
+        }),
+      };
+    }
+
+    return {
+      credentialId: record.id,
+      secrets: [secret],
+      prepare: async (workDir) => {
+        const keyDir = await fs.mkdtemp(path.join(workDir || os.tmpdir(), 'ssh-'));
+        const keyFile = path.join(keyDir, 'id_deploy');
+        await fs.writeFile(keyFile, secret, { mode: 0o600 });
+        const knownHosts = path.join(keyDir, 'known_hosts');
+        return {
+          config: [],
+          env: {
+            GIT_SSH_COMMAND: [
+              'ssh',
+              `-i "${keyFile}"`,
+              '-o IdentitiesOnly=yes',
+              '-o StrictHostKeyChecking=accept-new',
+              `-o UserKnownHostsFile="${knownHosts}"`,
+            ].join(' '),
+          },
+        };
+      },
+    };
+  }
+
+  /**
+   * The decrypted access token stored for `repoUrl`'s host, for calls to the
+   * provider's REST API (opening pull requests). Unlike `resolveFor` it
+   * ignores the URL's transport, so an SSH clone can still use a token.
+   * Resolves with `{ credentialId, provider, username, token }` or `null`.
+   */
+  async resolveApiToken(repoUrl) {
+    if (!this.enabled) return null;
+    const target = parseRepoHost(repoUrl);
+    if (!target) return null;
+    const hosts = target.port ? [`${target.host}:${target.port}`, target.host] : [target.host];
+    const candidates = await this.records.list((record) => record.type === 'token' && hosts.includes(record.host));
+    const record = candidates.sort((a, b) => hosts.indexOf(a.host) - hosts.indexOf(b.host))[0];
+    if (!record) return null;
+    try {
+      return {
+        credentialId: record.id,
+        provider: record.provider,
+        username: record.username || null,
+        token: this.decrypt(record.secret),
+      };
+    } catch (err) {
+      console.error(`Unable to decrypt credential ${record.id}; was CREDENTIALS_SECRET changed?`);
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  CREDENTIAL_TYPES,
+  PROVIDERS,
+  CredentialError,
+  CredentialStore,
+  inferProvider,
+  parseRepoHost,
+};
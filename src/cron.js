@@ -0,0 +1,131 @@
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const MIN_INTERVAL_MS = 5 * 60 * 1000;
+// A schedule that matches nothing within this many years never runs.
+const SEARCH_YEARS = 5;
+
+const parseValue = (text, field) => {
+  const lower = text.toLowerCase();
+  const named = field.names ? field.names.indexOf(lower) : -1;
+  if (named !== -1) return named + field.offset;
+  if (!/^\d+$/.test(text)) throw new Error(`"${text}" is not a valid ${field.name}.`);
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new Error(`The ${field.name} must be between ${field.min} and ${field.max}, not ${value}.`);
+  }
+  return value;
+};
+
+const parseField = (text, field) => {
+  const values = new Set();
+  text.split(',').forEach((part) => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`"${part}" has an invalid step.`);
+    let [start, end] = [field.min, field.max];
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = to === undefined ? (stepText === undefined ? start : field.max) : parseValue(to, field);
+      if (end < start) throw new Error(`"${part}" is an empty range.`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  });
+  return values;
+};
+
+/**
+ * Parses a schedule: a five-field cron expression (`minute hour day-of-month
+ * month day-of-week`, with lists, ranges, steps and month/day names), one of
+ * the `@hourly`, `@daily`, `@weekly`, `@monthly` or `@yearly` macros, or a
+ * fixed interval such as `@every 6h` (units `m`, `h` and `d`, at least five
+ * minutes). Cron expressions are evaluated in UTC. Throws on invalid input.
+ */
+const parseSchedule = (expression) => {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('The schedule must be a cron expression such as "0 6 * * 1".');
+  }
+  const text = expression.trim().replace(/\s+/g, ' ');
+  const every = text.match(/^@every (\d+)([mhd])$/i);
+  if (every) {
+    const interval = Number(every[1]) * UNIT_MS[every[2].toLowerCase()];
+    if (interval < MIN_INTERVAL_MS) throw new Error('Scheduled scans must be at least 5 minutes apart.');
+    return { expression: text, interval };
+  }
+
+  const fields = (MACROS[text.toLowerCase()] || text).split(' ');
+  if (fields.length !== 5) {
+    throw new Error(`"${text}" must have five fields: minute, hour, day of month, month and day of week.`);
+  }
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseField(field, FIELDS[index]));
+  // Both 0 and 7 mean Sunday.
+  if (weekdays.delete(7)) weekdays.add(0);
+  return {
+    expression: text,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // As in cron, a restricted day of month and day of week match either.
+    anyDay: fields[2] === '*' || fields[4] === '*',
+  };
+};
+
+const matchesDay = (schedule, date) => {
+  const dayOfMonth = schedule.days.has(date.getUTCDate());
+  const dayOfWeek = schedule.weekdays.has(date.getUTCDay());
+  return schedule.anyDay ? dayOfMonth && dayOfWeek : dayOfMonth || dayOfWeek;
+};
+
+/**
+ * The first time after `after` that `schedule` (from `parseSchedule`) fires,
+ * or `null` when it never does. Intervals count from `after`.
+ */
+const nextRun = (schedule, after = new Date()) => {
+  if (schedule.interval) return new Date(after.getTime() + schedule.interval);
+
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = after.getTime() + SEARCH_YEARS * 366 * UNIT_MS.d;
+
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+};
+
+module.exports = { nextRun, parseSchedule };
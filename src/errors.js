@@ -0,0 +1,18 @@
+class ScanError extends Error {
+  constructor(message, { status = 500, details, rawOutput } = {}) {
+    super(message);
+    this.name = 'ScanError';
+    this.status = status;
+    this.details = details;
+    this.rawOutput = rawOutput;
+  }
+
+  toJSON() {
+    const body = { error: this.message };
+    if (this.details !== undefined) body.details = this.details;
+    if (this.rawOutput !== undefined) body.rawOutput = this.rawOutput;
+    return body;
+  }
+}
+
+module.exports = { ScanError };
@@ -0,0 +1,47 @@
+const { describePackage, fixStatus, upgradeTargets } = require('./report');
+
+const COLUMNS = [
+  ['Type', (item) => item.kind],
+  ['ID', (item) => item.id],
+  ['Title', (item) => item.title],
+  ['Severity', (item) => item.severity],
+  ['Priority', (item) => item.priority?.score],
+  ['Package', describePackage],
+  ['Manifest', (item) => item.targetFile],
+  ['Introduced Through', (item) => (Array.isArray(item.from) ? item.from.join(' > ') : '')],
+  ['Fix', (item) => (item.kind === 'vulnerability' ? fixStatus(item) : '')],
+  ['Upgrade Path', (item) => upgradeTargets(item).join(' > ')],
+  ['Fixed In', (item) => (Array.isArray(item.fixedIn) ? item.fixedIn.join(' ') : '')],
+  ['CVSS', (item) => item.cvssScore],
+  ['Exploit Maturity', (item) => item.exploitMaturity],
+  ['Published', (item) => item.publicationTime],
+  ['Suppressed', (item) => item.suppressed?.reason],
+  ['URL', (item) => item.url],
+];
+
+// Cells a spreadsheet would evaluate as a formula are prefixed with a quote.
+const toCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Converts a stored scan into RFC 4180 CSV with one row per vulnerability and
+ * license issue, in the order the scan reports them (highest priority first).
+ */
+const toCsv = (record) => {
+  const result = record.result || {};
+  const items = [
+    ...(result.issues || []).map((issue) => ({ ...issue, kind: 'vulnerability' })),
+    ...(result.licenses || []).map((issue) => ({ ...issue, kind: 'license' })),
+  ];
+  const rows = [
+    COLUMNS.map(([header]) => header),
+    ...items.map((item) => COLUMNS.map(([, read]) => read(item))),
+  ];
+  return `${rows.map((row) => row.map(toCell).join(',')).join('\r\n')}\r\n`;
+};
+
+module.exports = { toCsv };
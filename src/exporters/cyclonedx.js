@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { buildComponentGraph } = require('./sbom');
+
+const TOOL = { vendor: 'codex_openai_agents_sdk', name: 'snyk-security-scanner' };
+
+// Advisory databases behind each scanner engine. Issues stored before engines
+// were selectable came from Snyk.
+const SOURCES = {
+  snyk: { name: 'Snyk', url: 'https://security.snyk.io' },
+  'npm-audit': { name: 'GitHub Advisory Database', url: 'https://github.com/advisories' },
+  osv: { name: 'OSV', url: 'https://osv.dev' },
+};
+
+const sourcesFor = (issue) => {
+  const engines = Array.isArray(issue.engines) && issue.engines.length > 0 ? issue.engines : ['snyk'];
+  return engines.map((engine) => SOURCES[engine] || { name: engine });
+};
+
+const toLicenses = (license) => {
+  if (!license) return undefined;
+  return /\s(OR|AND|WITH)\s/.test(license)
+    ? [{ expression: license }]
+    : [{ license: { id: license } }];
+};
+
+/**
+ * Converts a stored scan into a CycloneDX 1.5 JSON BOM: one library component
+ * per dependency, the dependency relationships between them, and each
+ * vulnerability linked to the component it affects, credited to the advisory
+ * databases of the engines that reported it.
+ */
+const toCycloneDx = (record) => {
+  const result = record.result || {};
+  const { root, components } = buildComponentGraph(result);
+  const refById = new Map(components.map((component) => [component.id, component.purl]));
+
+  const vulnerabilities = [];
+  components.forEach((component) => {
+    component.issues.forEach((issue) => {
+      const sources = sourcesFor(issue);
+      vulnerabilities.push({
+        'bom-ref': `${issue.id}:${component.purl}:${(issue.from || []).join('>')}`,
+        id: issue.id,
+        source: { name: sources[0].name, url: issue.url || sources[0].url },
+        ratings: sources.map((source) => ({
+          source: { name: source.name },
+          severity: issue.severity || 'unknown',
+          ...(typeof issue.cvssScore === 'number' ? { score: issue.cvssScore, method: 'CVSSv31' } : {}),
+        })),
+        description: issue.title,
+        detail: issue.description || undefined,
+        advisories: issue.url ? [{ url: issue.url }] : undefined,
+        published: issue.publicationTime || undefined,
+        affects: [{ ref: component.purl }],
+        properties: [
+          { name: 'snyk:from', value: (issue.from || []).join(' > ') },
+          ...(Array.isArray(issue.upgradePath) && issue.upgradePath.some(Boolean)
+            ? [{ name: 'snyk:upgradePath', value: issue.upgradePath.filter(Boolean).join(' > ') }]
+            : []),
+        ],
+      });
+    });
+  });
+
+  return {
+    bomFormat: 'CycloneDX',
+    specVersion: '1.5',
+    serialNumber: `urn:uuid:${crypto.randomUUID()}`,
+    version: 1,
+    metadata: {
+      timestamp: record.createdAt || new Date().toISOString(),
+      tools: [TOOL],
+      component: {
+        type: 'application',
+        'bom-ref': root.purl,
+        name: root.name,
+        version: root.version || undefined,
+        licenses: toLicenses(root.license),
+        externalReferences: result.repositoryUrl
+          ? [{ type: 'vcs', url: result.repositoryUrl, comment: record.commitSha || undefined }]
+          : undefined,
+      },
+    },
+    components: components.map((component) => ({
+      type: 'library',
+      'bom-ref': component.purl,
+      name: component.name,
+      version: component.version || undefined,
+      purl: component.purl,
+      scope: component.dev ? 'optional' : 'required',
+      licenses: toLicenses(component.license),
+    })),
+    dependencies: [
+      { ref: root.purl, dependsOn: root.dependencies.map((id) => refById.get(id)).filter(Boolean) },
+      ...components.map((component) => ({
+        ref: component.purl,
+        dependsOn: component.dependencies.map((id) => refById.get(id)).filter(Boolean),
+      })),
+    ],
+    vulnerabilities,
+  };
+};
+
+module.exports = { toCycloneDx };
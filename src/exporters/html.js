@@ -0,0 +1,213 @@
+const { severityOrder } = require('../scanners/normalize');
+const {
+  describePackage,
+  fixStatus,
+  repositoryLabel,
+  upgradeTargets,
+} = require('./report');
+
+const severityColors = {
+  critical: '#b91c3c',
+  high: '#c2410c',
+  medium: '#a16207',
+  low: '#0f766e',
+};
+
+const fixLabels = {
+  upgrade: 'Upgrade available',
+  patched: 'Patched',
+  none: 'No fix available',
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : '';
+};
+
+const formatTime = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? `${date.toISOString().replace('T', ' ').slice(0, 16)} UTC` : '';
+};
+
+const badge = (severity) => `<span class="badge badge-${escapeHtml(severity)}">${escapeHtml(severity || 'unknown')}</span>`;
+
+// Rows without a value are left out.
+const definitionList = (rows) => {
+  const items = rows
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${value}</dd>`);
+  return items.length > 0 ? `<dl>${items.join('')}</dl>` : '';
+};
+
+const safeLink = (url) => (/^https?:\/\//i.test(url || '')
+  ? `<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`
+  : escapeHtml(url));
+
+const renderProject = (record, result) => {
+  const scanners = (result.scanners || [])
+    .map((scanner) => `${scanner.label || scanner.id} (${scanner.status})`)
+    .join(', ');
+  const targets = result.scanTargetFiles?.length
+    ? result.scanTargetFiles
+    : [result.primaryTargetFile].filter(Boolean);
+  const policy = result.policy;
+
+  return `<section class="card">
+  <h1>${escapeHtml(result.projectName || record.repoKey || 'Scan report')}</h1>
+  ${definitionList([
+    ['Repository', safeLink(repositoryLabel(record))],
+    ['Project type', escapeHtml(result.projectType)],
+    ['Ref', escapeHtml(record.ref || result.ref)],
+    ['Commit', record.commitSha ? `<code>${escapeHtml(record.commitSha)}</code>` : ''],
+    ['Scanned', escapeHtml(formatTime(record.createdAt))],
+    ['Scan targets', escapeHtml(targets.join(', ') || 'Entire project')],
+    ['Dependencies', escapeHtml(result.dependencyCount ?? '')],
+    ['Scanners', escapeHtml(scanners)],
+    ['Scan id', `<code>${escapeHtml(record.id)}</code>`],
+  ])}
+  ${policy ? `<p class="gate gate-${policy.status === 'passed' ? 'passed' : 'failed'}">Policy gate ${policy.status === 'passed' ? 'passed' : 'failed'}</p>
+  ${policy.violations?.length > 0 ? `<ul>${policy.violations.map((violation) => `<li><code>${escapeHtml(violation.rule)}</code> ${escapeHtml(violation.message)}</li>`).join('')}</ul>` : ''}
+  ${policy.warnings?.length > 0 ? `<ul class="muted">${policy.warnings.map((warning) => `<li>${escapeHtml(warning)}</li>`).join('')}</ul>` : ''}` : ''}
+</section>`;
+};
+
+const renderOverview = (result) => `<section class="card">
+  <h2>Severity Overview</h2>
+  <table class="overview">
+    <tr>${severityOrder.map((severity) => `<th>${badge(severity)}</th>`).join('')}</tr>
+    <tr>${severityOrder.map((severity) => `<td>${escapeHtml(result.summary?.[severity] || 0)}</td>`).join('')}</tr>
+  </table>
+  <p class="muted">${escapeHtml((result.issues || []).length)} vulnerabilities and ${escapeHtml((result.licenses || []).length)} license issues.</p>
+</section>`;
+
+const renderStep = (step) => {
+  if (typeof step === 'string') return `<li>${escapeHtml(step)}</li>`;
+  return `<li>${escapeHtml(step.action)}${step.command ? `<pre><code>${escapeHtml(step.command)}</code></pre>` : ''}</li>`;
+};
+
+const renderPlan = (result) => {
+  const plan = result.actionPlan || {};
+  const steps = (Array.isArray(plan.steps) ? plan.steps : Array.isArray(result.actionPlan) ? result.actionPlan : [])
+    .filter(Boolean);
+  const summary = typeof plan.summary === 'string' && plan.summary.trim() ? plan.summary.trim() : 'No summary available.';
+  return `<section class="card">
+  <h2>Summary</h2>
+  <p>${escapeHtml(summary)}</p>
+  <h2>Action Plan</h2>
+  ${steps.length > 0 ? `<ol>${steps.map(renderStep).join('')}</ol>` : '<p class="muted">No action needed.</p>'}
+</section>`;
+};
+
+const renderIssue = (item, { vulnerability }) => {
+  const upgrade = upgradeTargets(item);
+  return `<article class="issue${item.suppressed ? ' suppressed' : ''}">
+  <h3>${badge(item.severity)} ${escapeHtml(item.title || item.id)}${item.priority ? ` <span class="muted">Priority ${escapeHtml(item.priority.score)}</span>` : ''}</h3>
+  ${definitionList([
+    ['ID', `<code>${escapeHtml(item.id)}</code>`],
+    ['Suppressed', item.suppressed ? escapeHtml(item.suppressed.reason || 'Yes') : ''],
+    ['Package', escapeHtml(describePackage(item))],
+    ['Manifest', escapeHtml(item.targetFile)],
+    ['Introduced through', Array.isArray(item.from) ? escapeHtml(item.from.join(' → ')) : ''],
+    ['Fix', vulnerability ? escapeHtml(fixLabels[fixStatus(item)]) : ''],
+    ['Upgrade path', escapeHtml(upgrade.join(' → '))],
+    ['CVSS', escapeHtml(item.cvssScore ?? '')],
+    ['Published', escapeHtml(formatDate(item.publicationTime))],
+    ['More info', item.url ? safeLink(item.url) : ''],
+  ])}
+  ${item.description ? `<p class="description">${escapeHtml(item.description)}</p>` : ''}
+</article>`;
+};
+
+const renderIssues = (title, items, options, emptyLabel) => `<section class="card">
+  <h2>${escapeHtml(title)}</h2>
+  ${items.length > 0 ? items.map((item) => renderIssue(item, options)).join('\n') : `<p class="muted">${escapeHtml(emptyLabel)}</p>`}
+</section>`;
+
+const renderInventory = (inventory) => {
+  if (!inventory?.licenses?.length) return '';
+  return `<section class="card">
+  <h2>License Inventory</h2>
+  <table>
+    <thead><tr><th>License</th><th>Family</th><th>Policy</th><th>Packages</th></tr></thead>
+    <tbody>${inventory.licenses.map((entry) => `<tr><td>${escapeHtml(entry.license)}</td><td>${escapeHtml(entry.family)}</td><td>${escapeHtml(entry.status || '')}</td><td>${escapeHtml(entry.packageCount)}</td></tr>`).join('')}</tbody>
+  </table>
+</section>`;
+};
+
+const STYLES = `
+  body { font: 14px/1.5 -apple-system, "Segoe UI", Roboto, sans-serif; color: #1f2937; margin: 0; background: #f3f4f6; }
+  main { max-width: 960px; margin: 0 auto; padding: 24px; }
+  .card { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; padding: 20px 24px; margin-bottom: 16px; }
+  h1 { margin: 0 0 12px; font-size: 24px; }
+  h2 { margin: 0 0 12px; font-size: 18px; }
+  h3 { margin: 0 0 8px; font-size: 15px; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; margin: 0; }
+  dt { color: #6b7280; }
+  dd { margin: 0; word-break: break-word; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; }
+  .overview td { font-size: 22px; font-weight: 700; }
+  .badge { display: inline-block; padding: 1px 8px; border-radius: 999px; color: #fff; font-size: 11px; font-weight: 700; text-transform: uppercase; letter-spacing: 0.05em; background: #6b7280; }
+${Object.entries(severityColors).map(([severity, color]) => `  .badge-${severity} { background: ${color}; }`).join('\n')}
+  .issue { border-top: 1px solid #e5e7eb; padding: 12px 0; break-inside: avoid; }
+  .issue:first-of-type { border-top: none; padding-top: 0; }
+  .suppressed { opacity: 0.65; }
+  .description { white-space: pre-wrap; margin: 8px 0 0; }
+  .muted { color: #6b7280; }
+  .gate { font-weight: 700; margin: 12px 0 4px; }
+  .gate-passed { color: #15803d; }
+  .gate-failed { color: #b91c1c; }
+  pre { background: #f3f4f6; padding: 6px 8px; border-radius: 4px; overflow-x: auto; }
+  code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; }
+  .toolbar { text-align: right; margin-bottom: 12px; }
+  footer { color: #6b7280; font-size: 12px; text-align: center; }
+  @media print {
+    body { background: #fff; }
+    main { padding: 0; max-width: none; }
+    .card { border: none; padding: 0; margin-bottom: 24px; }
+    .toolbar { display: none; }
+    .badge { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    a { color: inherit; }
+  }
+`;
+
+/**
+ * Renders a stored scan as a self-contained HTML report (inline styles, no
+ * external assets) with print styles, so it can be attached to a ticket or
+ * printed to PDF from the browser.
+ */
+const toHtmlReport = (record, { generatedAt = new Date() } = {}) => {
+  const result = record.result || {};
+  const title = `Security report: ${result.projectName || record.repoKey || record.id}`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+<div class="toolbar"><button type="button" onclick="window.print()">Print or save as PDF</button></div>
+${renderProject(record, result)}
+${renderOverview(result)}
+${renderPlan(result)}
+${renderIssues('Security Issues', result.issues || [], { vulnerability: true }, 'No security vulnerabilities reported.')}
+${renderIssues('License Issues', result.licenses || [], { vulnerability: false }, 'No license issues reported.')}
+${renderInventory(result.licenseInventory)}
+<footer>Generated ${escapeHtml(formatTime(generatedAt))}</footer>
+</main>
+</body>
+</html>
+`;
+};
+
+module.exports = { toHtmlReport };
@@ -0,0 +1,62 @@
+const { toCsv } = require('./csv');
+const { toCycloneDx } = require('./cyclonedx');
+const { toHtmlReport } = require('./html');
+const { toSarif } = require('./sarif');
+const { toSpdx } = require('./spdx');
+
+/**
+ * Export formats available for stored scans. Each exporter turns a stored scan
+ * record (`{ id, repoUrl, commitSha, createdAt, result }`) into a downloadable
+ * document. `inline` formats can also be opened in the browser.
+ */
+const exporters = {
+  sarif: {
+    label: 'SARIF 2.1.0',
+    contentType: 'application/sarif+json',
+    extension: 'sarif',
+    render: (record) => JSON.stringify(toSarif(record.result, { commitSha: record.commitSha }), null, 2),
+  },
+  cyclonedx: {
+    label: 'CycloneDX 1.5 SBOM',
+    contentType: 'application/vnd.cyclonedx+json',
+    extension: 'cdx.json',
+    render: (record) => JSON.stringify(toCycloneDx(record), null, 2),
+  },
+  spdx: {
+    label: 'SPDX 2.3 SBOM',
+    contentType: 'application/spdx+json',
+    extension: 'spdx.json',
+    render: (record) => JSON.stringify(toSpdx(record), null, 2),
+  },
+  html: {
+    label: 'HTML report',
+    contentType: 'text/html; charset=utf-8',
+    extension: 'html',
+    inline: true,
+    render: (record) => toHtmlReport(record),
+  },
+  csv: {
+    label: 'CSV of issues',
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    render: (record) => toCsv(record),
+  },
+};
+
+const getExporter = (format) => (Object.prototype.hasOwnProperty.call(exporters, format) ? exporters[format] : null);
+
+const listExporters = () => Object.entries(exporters).map(([format, { label, extension, inline }]) => ({
+  format,
+  label,
+  extension,
+  inline: Boolean(inline),
+}));
+
+const exportFileName = (record, extension) => {
+  const base = String(record.result?.projectName || record.repoKey || 'scan')
+    .replace(/[^a-z0-9._-]+/gi, '-')
+    .replace(/^-+|-+$/g, '') || 'scan';
+  return `${base}-${String(record.id).slice(0, 8)}.${extension}`;
+};
+
+module.exports = { exportFileName, getExporter, listExporters };
@@ -0,0 +1,28 @@
+const { stripUrlCredentials } = require('../redact');
+
+/**
+ * Shared pieces of the human-readable exports (HTML and CSV reports).
+ */
+
+const describePackage = (item) => {
+  if (!item.packageName) return '';
+  return item.version ? `${item.packageName}@${item.version}` : item.packageName;
+};
+
+const upgradeTargets = (item) => (Array.isArray(item.upgradePath) ? item.upgradePath.filter(Boolean) : []);
+
+/** `upgrade` when an upgrade path exists, `patched` when already patched, otherwise `none`. */
+const fixStatus = (item) => {
+  if (upgradeTargets(item).length > 0) return 'upgrade';
+  if (item.isPatched) return 'patched';
+  return 'none';
+};
+
+const repositoryLabel = (record) => stripUrlCredentials(record.result?.repositoryUrl || record.repoUrl || '');
+
+module.exports = {
+  describePackage,
+  fixStatus,
+  repositoryLabel,
+  upgradeTargets,
+};
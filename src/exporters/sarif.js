@@ -0,0 +1,165 @@
+const { issueKey } = require('../scanDiff');
+const { CVSS_BY_SEVERITY } = require('../prioritization');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const levelBySeverity = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note',
+};
+
+const informationUriByScanner = {
+  snyk: 'https://snyk.io',
+  'npm-audit': 'https://docs.npmjs.com/cli/commands/npm-audit',
+  osv: 'https://osv.dev',
+};
+
+const toRuleName = (title = '') => String(title)
+  .replace(/[^a-z0-9]+(.)?/gi, (_match, next) => (next ? next.toUpperCase() : ''))
+  .replace(/^./, (first) => first.toUpperCase());
+
+const describePackage = (item) => {
+  if (!item.packageName) return null;
+  return item.version ? `${item.packageName}@${item.version}` : item.packageName;
+};
+
+const buildLocations = (item, result) => {
+  const target = item.targetFile || result.primaryTargetFile || result.scanTargetFiles?.[0];
+  if (!target) return undefined;
+  return [
+    {
+      physicalLocation: {
+        artifactLocation: { uri: target, uriBaseId: '%SRCROOT%' },
+        region: { startLine: 1 },
+      },
+      message: Array.isArray(item.from) && item.from.length > 0
+        ? { text: `Introduced through ${item.from.join(' > ')}` }
+        : undefined,
+    },
+  ];
+};
+
+const createRuleCollector = () => {
+  const rules = [];
+  const indexById = new Map();
+
+  const add = (item, kind) => {
+    const ruleId = item.id || `${kind}-${rules.length + 1}`;
+    if (indexById.has(ruleId)) return { ruleId, ruleIndex: indexById.get(ruleId) };
+
+    const severity = levelBySeverity[item.severity] ? item.severity : 'medium';
+    const title = item.title || ruleId;
+    const rule = {
+      id: ruleId,
+      name: toRuleName(title) || ruleId,
+      shortDescription: { text: kind === 'license' ? `License issue: ${title}` : title },
+      fullDescription: { text: item.description || title },
+      defaultConfiguration: { level: levelBySeverity[severity] },
+      properties: {
+        tags: [kind === 'license' ? 'license' : 'security', severity],
+        'security-severity': Number(item.cvssScore ?? CVSS_BY_SEVERITY[severity]).toFixed(1),
+      },
+    };
+    if (item.url) {
+      rule.helpUri = item.url;
+      rule.help = {
+        text: `${title}. More information: ${item.url}`,
+        markdown: `**${title}**\n\n[More information](${item.url})`,
+      };
+    }
+
+    indexById.set(ruleId, rules.length);
+    rules.push(rule);
+    return { ruleId, ruleIndex: indexById.get(ruleId) };
+  };
+
+  return { rules, add };
+};
+
+const buildResult = (item, kind, ref, result) => {
+  const pkg = describePackage(item);
+  const upgrade = Array.isArray(item.upgradePath) ? item.upgradePath.filter(Boolean) : [];
+  const message = kind === 'license'
+    ? `${pkg || 'A dependency'} uses a license flagged as "${item.title}".`
+    : `${item.title || item.id} in ${pkg || 'a dependency'}.${upgrade.length ? ` Upgrade path: ${upgrade.join(' > ')}.` : ''}`;
+
+  return {
+    ruleId: ref.ruleId,
+    ruleIndex: ref.ruleIndex,
+    level: levelBySeverity[item.severity] || 'warning',
+    message: { text: message },
+    locations: buildLocations(item, result),
+    // Findings a scan policy ignores or allows are reported as accepted.
+    suppressions: item.suppressed
+      ? [{ kind: 'external', status: 'accepted', justification: item.suppressed.reason }]
+      : undefined,
+    partialFingerprints: {
+      [`snyk${kind === 'license' ? 'License' : 'Issue'}/v1`]: issueKey(item),
+    },
+    properties: {
+      packageName: item.packageName || null,
+      version: item.version || null,
+      from: item.from || [],
+      upgradePath: upgrade,
+      isPatched: Boolean(item.isPatched),
+    },
+  };
+};
+
+// Names the engines that produced the result; results stored before engines
+// were selectable came from Snyk.
+const buildDriver = (result) => {
+  const completed = (Array.isArray(result?.scanners) ? result.scanners : [])
+    .filter((scanner) => scanner.status === 'completed');
+  if (completed.length === 0) return { name: 'Snyk', informationUri: informationUriByScanner.snyk };
+  const informationUri = completed.length === 1 ? informationUriByScanner[completed[0].id] : undefined;
+  return {
+    name: completed.map((scanner) => scanner.label || scanner.id).join(' + '),
+    ...(informationUri ? { informationUri } : {}),
+  };
+};
+
+/** Converts a formatted scan result into a SARIF 2.1.0 log with one run. */
+const toSarif = (result, { commitSha } = {}) => {
+  const collector = createRuleCollector();
+  const issues = Array.isArray(result?.issues) ? result.issues : [];
+  const licenses = Array.isArray(result?.licenses) ? result.licenses : [];
+
+  const results = [
+    ...issues.map((item) => buildResult(item, 'vulnerability', collector.add(item, 'vulnerability'), result)),
+    ...licenses.map((item) => buildResult(item, 'license', collector.add(item, 'license'), result)),
+  ];
+
+  const targets = Array.isArray(result?.scanTargetFiles) ? result.scanTargetFiles : [];
+  const run = {
+    tool: {
+      driver: {
+        ...buildDriver(result),
+        rules: collector.rules,
+      },
+    },
+    automationDetails: { id: `snyk/${result?.projectName || 'project'}` },
+    artifacts: targets.map((uri) => ({ location: { uri, uriBaseId: '%SRCROOT%' } })),
+    results,
+  };
+
+  const revision = commitSha || result?.commitSha;
+  if (result?.repositoryUrl) {
+    run.versionControlProvenance = [
+      {
+        repositoryUri: result.repositoryUrl,
+        ...(revision ? { revisionId: revision } : {}),
+      },
+    ];
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [run],
+  };
+};
+
+module.exports = { toSarif };
@@ -0,0 +1,95 @@
+const { packageId } = require('../lockfiles');
+
+const splitPackageSpec = (spec = '') => {
+  const index = spec.lastIndexOf('@');
+  if (index <= 0) return { name: spec, version: null };
+  return { name: spec.slice(0, index), version: spec.slice(index + 1) || null };
+};
+
+const toPurl = (name, version) => {
+  const encodedName = name.startsWith('@')
+    ? `%40${name.slice(1).split('/').map(encodeURIComponent).join('/')}`
+    : encodeURIComponent(name);
+  return `pkg:npm/${encodedName}${version ? `@${encodeURIComponent(version)}` : ''}`;
+};
+
+/**
+ * Builds the component graph SBOM exporters serialize: packages from the
+ * lockfile-derived `dependencyGraph` when the scan recorded one, completed
+ * with every package and edge found on the issues' `from` paths. Each
+ * component lists the issues whose vulnerable package it is.
+ */
+const buildComponentGraph = (result = {}) => {
+  const graph = result.dependencyGraph;
+  const components = new Map();
+
+  const ensure = (name, version, extra = {}) => {
+    const id = packageId(name, version);
+    if (!components.has(id)) {
+      components.set(id, {
+        id,
+        name,
+        version,
+        purl: toPurl(name, version),
+        license: null,
+        direct: false,
+        dev: false,
+        dependencies: new Set(),
+        issues: [],
+      });
+    }
+    const component = components.get(id);
+    Object.entries(extra).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) component[key] = value;
+    });
+    return component;
+  };
+
+  (graph?.packages || []).forEach((pkg) => {
+    const component = ensure(pkg.name, pkg.version, {
+      license: pkg.license,
+      direct: Boolean(pkg.direct),
+      dev: Boolean(pkg.dev),
+    });
+    pkg.dependencies.forEach((dependency) => component.dependencies.add(dependency));
+  });
+
+  const rootSpec = splitPackageSpec(result.issues?.find((issue) => issue.from?.length)?.from?.[0]);
+  const root = {
+    name: graph?.root?.name || rootSpec.name || result.projectName || 'project',
+    version: graph?.root?.version || rootSpec.version || null,
+    license: graph?.root?.license || null,
+    dependencies: new Set(graph?.root?.dependencies || []),
+  };
+
+  (result.issues || []).forEach((issue) => {
+    const path = Array.isArray(issue.from) ? issue.from.slice(1) : [];
+    let parent = null;
+    path.forEach((spec, index) => {
+      const { name, version } = splitPackageSpec(spec);
+      const component = ensure(name, version);
+      if (index === 0) {
+        component.direct = true;
+        root.dependencies.add(component.id);
+      } else if (parent) {
+        parent.dependencies.add(component.id);
+      }
+      parent = component;
+    });
+
+    const vulnerable = issue.packageName
+      ? ensure(issue.packageName, issue.version || null)
+      : parent;
+    if (vulnerable && !vulnerable.issues.includes(issue)) vulnerable.issues.push(issue);
+  });
+
+  return {
+    root: { ...root, purl: toPurl(root.name, root.version), dependencies: Array.from(root.dependencies) },
+    components: Array.from(components.values()).map((component) => ({
+      ...component,
+      dependencies: Array.from(component.dependencies).filter((id) => components.has(id)),
+    })),
+  };
+};
+
+module.exports = { buildComponentGraph, splitPackageSpec, toPurl };
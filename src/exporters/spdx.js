@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const { buildComponentGraph } = require('./sbom');
+
+const toSpdxId = (value) => `SPDXRef-${String(value).replace(/[^a-zA-Z0-9.-]+/g, '-')}`;
+
+/**
+ * Converts a stored scan into an SPDX 2.3 JSON document. Vulnerabilities are
+ * attached to the affected packages as SECURITY advisory external references.
+ */
+const toSpdx = (record) => {
+  const result = record.result || {};
+  const { root, components } = buildComponentGraph(result);
+  const rootId = toSpdxId(`root-${root.name}`);
+  const spdxIdById = new Map(components.map((component) => [component.id, toSpdxId(`pkg-${component.id}`)]));
+
+  const rootPackage = {
+    SPDXID: rootId,
+    name: root.name,
+    versionInfo: root.version || undefined,
+    downloadLocation: result.repositoryUrl || 'NOASSERTION',
+    filesAnalyzed: false,
+    licenseConcluded: 'NOASSERTION',
+    licenseDeclared: root.license || 'NOASSERTION',
+    copyrightText: 'NOASSERTION',
+    primaryPackagePurpose: 'APPLICATION',
+  };
+
+  const packages = components.map((component) => ({
+    SPDXID: spdxIdById.get(component.id),
+    name: component.name,
+    versionInfo: component.version || undefined,
+    downloadLocation: 'NOASSERTION',
+    filesAnalyzed: false,
+    licenseConcluded: 'NOASSERTION',
+    licenseDeclared: component.license || 'NOASSERTION',
+    copyrightText: 'NOASSERTION',
+    externalRefs: [
+      { referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: component.purl },
+      ...component.issues.map((issue) => ({
+        referenceCategory: 'SECURITY',
+        referenceType: 'advisory',
+        referenceLocator: issue.url || `https://security.snyk.io/vuln/${issue.id}`,
+        comment: `${issue.id} (${issue.severity || 'unknown'}): ${issue.title}`,
+      })),
+    ],
+  }));
+
+  const relationships = [
+    { spdxElementId: 'SPDXRef-DOCUMENT', relationshipType: 'DESCRIBES', relatedSpdxElement: rootId },
+    ...root.dependencies
+      .filter((id) => spdxIdById.has(id))
+      .map((id) => ({ spdxElementId: rootId, relationshipType: 'DEPENDS_ON', relatedSpdxElement: spdxIdById.get(id) })),
+    ...components.flatMap((component) => component.dependencies
+      .filter((id) => spdxIdById.has(id))
+      .map((id) => ({
+        spdxElementId: spdxIdById.get(component.id),
+        relationshipType: 'DEPENDS_ON',
+        relatedSpdxElement: spdxIdById.get(id),
+      }))),
+  ];
+
+  return {
+    spdxVersion: 'SPDX-2.3',
+    dataLicense: 'CC0-1.0',
+    SPDXID: 'SPDXRef-DOCUMENT',
+    name: `${root.name}${record.commitSha ? `@${record.commitSha.slice(0, 12)}` : ''}`,
+    documentNamespace: `https://spdx.org/spdxdocs/${encodeURIComponent(root.name)}-${record.id || crypto.randomUUID()}`,
+    creationInfo: {
+      created: record.createdAt || new Date().toISOString(),
+      creators: ['Tool: snyk-security-scanner'],
+    },
+    documentDescribes: [rootId],
+    packages: [rootPackage, ...packages],
+    relationships,
+  };
+};
+
+module.exports = { toSpdx };
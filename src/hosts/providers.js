@@ -0,0 +1,344 @@
+const { ScanError } = require('../errors');
+const { inferProvider, parseRepoHost } = require('../credentials');
+const { createGitClient } = require('../repository');
+const { toRepoKey } = require('../scanHistory');
+const { stripUrlCredentials } = require('../redact');
+
+const GITHUB_API_URL = process.env.GITHUB_API_URL || 'https://api.github.com';
+const BITBUCKET_API_URL = process.env.BITBUCKET_API_URL || 'https://api.bitbucket.org/2.0';
+
+// `owner/name` (or a GitLab group path) of the repository on its host.
+const repoPath = (repoUrl) => toRepoKey(repoUrl).split('/').slice(1).join('/');
+
+const pushBranch = async ({
+  repoDir,
+  branch,
+  auth,
+  signal,
+}) => {
+  const git = createGitClient({ baseDir: repoDir, signal, auth });
+  await git.push('origin', `refs/heads/${branch}:refs/heads/${branch}`);
+};
+
+const requestJson = async (url, {
+  method = 'POST',
+  headers,
+  body,
+  signal,
+  failure = 'Failed to open a pull request.',
+  allowNotFound = false,
+}) => {
+  const response = await fetch(url, {
+    method,
+    headers: { 'content-type': 'application/json', accept: 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (allowNotFound && response.status === 404) return null;
+  const text = await response.text();
+  let payload = null;
+  try {
+    payload = text ? JSON.parse(text) : null;
+  } catch (err) {
+    payload = null;
+  }
+  if (!response.ok) {
+    const message = payload?.message || payload?.error?.message || payload?.error || text || response.statusText;
+    throw new ScanError(failure, {
+      status: 502,
+      details: `${response.status}: ${typeof message === 'string' ? message : JSON.stringify(message)}`,
+    });
+  }
+  return payload;
+};
+
+// Listing an organization stops after this many pages of repositories.
+const MAX_LISTED_PAGES = 10;
+
+// Follows numbered pages of a listing until one comes back short. Resolves
+// with null when the listing does not exist.
+const listPages = async (pageUrl, perPage, { headers, signal }) => {
+  const items = [];
+  for (let page = 1; page <= MAX_LISTED_PAGES; page += 1) {
+    const batch = await requestJson(pageUrl(page), {
+      method: 'GET', headers, signal, failure: 'Failed to list repositories.', allowNotFound: true,
+    });
+    if (batch === null && page === 1) return null;
+    if (!Array.isArray(batch)) break;
+    items.push(...batch);
+    if (batch.length < perPage) break;
+  }
+  return items;
+};
+
+const gitlabApiUrl = (repoUrl) => process.env.GITLAB_API_URL || `https://${parseRepoHost(repoUrl).host}/api/v4`;
+
+const giteaApiUrl = (repoUrl) => {
+  if (process.env.GITEA_API_URL) return process.env.GITEA_API_URL;
+  const { host, port, transport } = parseRepoHost(repoUrl);
+  return `https://${host}${port && transport === 'https' ? `:${port}` : ''}/api/v1`;
+};
+
+// Commit states as each host's status API names them, keyed by the neutral
+// `pending`, `success`, `failure` and `error`.
+const GITLAB_STATES = {
+  pending: 'running', success: 'success', failure: 'failed', error: 'failed',
+};
+const BITBUCKET_STATES = {
+  pending: 'INPROGRESS', success: 'SUCCESSFUL', failure: 'FAILED', error: 'FAILED',
+};
+
+/**
+ * Repository hosts, shared by fix branches (push and pull requests), push
+ * webhooks (commit statuses) and the portfolio (organization listing). Every
+ * provider exposes:
+ *
+ * - `id` and `label`;
+ * - `push({ repoDir, repoUrl, branch, auth, signal })`, pushing the branch to
+ *   the workspace's `origin` with the clone credentials in `auth`;
+ * - `openPullRequest({ repoUrl, branch, base, title, body, token, signal })`,
+ *   resolving with `{ number, url }`, or `null` when the host has no pull
+ *   request API (the plain `git` provider, which also serves local bare
+ *   repositories);
+ * - `setCommitStatus({ repoUrl, sha, state, context, description, targetUrl,
+ *   token, signal })`, where `state` is `pending`, `success`, `failure` or
+ *   `error`, resolving with `true`, or `false` when the host has no status API;
+ * - `listRepositories({ ownerUrl, token, signal })`, resolving with the
+ *   `{ repoUrl, name, archived, defaultBranch }` of every repository of the
+ *   organization (or group, workspace or user) at `ownerUrl`, such as
+ *   `https://github.com/acme`, or `null` when the host cannot list them.
+ *   `token` is optional; without one only public repositories are listed.
+ */
+const providers = [
+  {
+    id: 'git',
+    label: 'Git remote',
+    push: pushBranch,
+    openPullRequest: async () => null,
+    setCommitStatus: async () => false,
+    listRepositories: async () => null,
+  },
+  {
+    id: 'github',
+    label: 'GitHub',
+    push: pushBranch,
+    openPullRequest: async ({
+      repoUrl, branch, base, title, body, token, signal,
+    }) => {
+      const pull = await requestJson(`${GITHUB_API_URL}/repos/${repoPath(repoUrl)}/pulls`, {
+        headers: {
+          authorization: `Bearer ${token}`,
+          accept: 'application/vnd.github+json',
+          'user-agent': 'snyk-scanner',
+        },
+        body: {
+          title, body, head: branch, base,
+        },
+        signal,
+      });
+      return { number: pull.number, url: pull.html_url };
+    },
+    setCommitStatus: async ({
+      repoUrl, sha, state, context, description, targetUrl, token, signal,
+    }) => {
+      await requestJson(`${GITHUB_API_URL}/repos/${repoPath(repoUrl)}/statuses/${sha}`, {
+        headers: {
+          authorization: `Bearer ${token}`,
+          accept: 'application/vnd.github+json',
+          'user-agent': 'snyk-scanner',
+        },
+        body: {
+          state, context, description, target_url: targetUrl || undefined,
+        },
+        signal,
+        failure: 'Failed to set the commit status.',
+      });
+      return true;
+    },
+    listRepositories: async ({ ownerUrl, token, signal }) => {
+      const owner = repoPath(ownerUrl);
+      const options = {
+        headers: {
+          ...(token ? { authorization: `Bearer ${token}` } : {}),
+          accept: 'application/vnd.github+json',
+          'user-agent': 'snyk-scanner',
+        },
+        signal,
+      };
+      // The owner is a user account when it is not an organization.
+      const repos = await listPages((page) => `${GITHUB_API_URL}/orgs/${owner}/repos?type=all&per_page=100&page=${page}`, 100, options)
+        || await listPages((page) => `${GITHUB_API_URL}/users/${owner}/repos?type=owner&per_page=100&page=${page}`, 100, options);
+      if (!repos) throw new ScanError('Failed to list repositories.', { status: 404, details: `${owner} was not found on GitHub.` });
+      return repos.map((repo) => ({
+        repoUrl: repo.clone_url,
+        name: repo.full_name,
+        archived: Boolean(repo.archived),
+        defaultBranch: repo.default_branch || null,
+      }));
+    },
+  },
+  {
+    id: 'gitlab',
+    label: 'GitLab',
+    push: pushBranch,
+    openPullRequest: async ({
+      repoUrl, branch, base, title, body, token, signal,
+    }) => {
+      const request = await requestJson(`${gitlabApiUrl(repoUrl)}/projects/${encodeURIComponent(repoPath(repoUrl))}/merge_requests`, {
+        headers: { 'private-token': token },
+        body: {
+          title,
+          description: body,
+          source_branch: branch,
+          target_branch: base,
+          remove_source_branch: true,
+        },
+        signal,
+      });
+      return { number: request.iid, url: request.web_url };
+    },
+    setCommitStatus: async ({
+      repoUrl, sha, state, context, description, targetUrl, token, signal,
+    }) => {
+      await requestJson(`${gitlabApiUrl(repoUrl)}/projects/${encodeURIComponent(repoPath(repoUrl))}/statuses/${sha}`, {
+        headers: { 'private-token': token },
+        body: {
+          state: GITLAB_STATES[state], name: context, description, target_url: targetUrl || undefined,
+        },
+        signal,
+        failure: 'Failed to set the commit status.',
+      });
+      return true;
+    },
+    listRepositories: async ({ ownerUrl, token, signal }) => {
+      const owner = encodeURIComponent(repoPath(ownerUrl));
+      const options = { headers: token ? { 'private-token': token } : {}, signal };
+      const projects = await listPages((page) => `${gitlabApiUrl(ownerUrl)}/groups/${owner}/projects?include_subgroups=true&per_page=100&page=${page}`, 100, options)
+        || await listPages((page) => `${gitlabApiUrl(ownerUrl)}/users/${owner}/projects?per_page=100&page=${page}`, 100, options);
+      if (!projects) throw new ScanError('Failed to list repositories.', { status: 404, details: `${repoPath(ownerUrl)} was not found on GitLab.` });
+      return projects.map((project) => ({
+        repoUrl: project.http_url_to_repo,
+        name: project.path_with_namespace,
+        archived: Boolean(project.archived),
+        defaultBranch: project.default_branch || null,
+      }));
+    },
+  },
+  {
+    id: 'bitbucket',
+    label: 'Bitbucket',
+    push: pushBranch,
+    openPullRequest: async ({
+      repoUrl, branch, base, title, body, token, signal,
+    }) => {
+      const pull = await requestJson(`${BITBUCKET_API_URL}/repositories/${repoPath(repoUrl)}/pullrequests`, {
+        headers: { authorization: `Bearer ${token}` },
+        body: {
+          title,
+          description: body,
+          source: { branch: { name: branch } },
+          destination: { branch: { name: base } },
+          close_source_branch: true,
+        },
+        signal,
+      });
+      return { number: pull.id, url: pull.links?.html?.href || null };
+    },
+    setCommitStatus: async ({
+      repoUrl, sha, state, context, description, targetUrl, token, signal,
+    }) => {
+      await requestJson(`${BITBUCKET_API_URL}/repositories/${repoPath(repoUrl)}/commit/${sha}/statuses/build`, {
+        headers: { authorization: `Bearer ${token}` },
+        body: {
+          key: context,
+          state: BITBUCKET_STATES[state],
+          description,
+          // Bitbucket requires a link; without one the repository is used.
+          url: targetUrl || `https://bitbucket.org/${repoPath(repoUrl)}`,
+        },
+        signal,
+        failure: 'Failed to set the commit status.',
+      });
+      return true;
+    },
+    listRepositories: async ({ ownerUrl, token, signal }) => {
+      const repos = [];
+      let url = `${BITBUCKET_API_URL}/repositories/${repoPath(ownerUrl)}?pagelen=100`;
+      for (let page = 0; url && page < MAX_LISTED_PAGES; page += 1) {
+        const batch = await requestJson(url, {
+          method: 'GET',
+          headers: token ? { authorization: `Bearer ${token}` } : {},
+          signal,
+          failure: 'Failed to list repositories.',
+        });
+        repos.push(...(batch?.values || []));
+        url = batch?.next || null;
+      }
+      return repos.map((repo) => ({
+        repoUrl: stripUrlCredentials(repo.links?.clone?.find((link) => link.name === 'https')?.href || ''),
+        name: repo.full_name,
+        archived: false,
+        defaultBranch: repo.mainbranch?.name || null,
+      }));
+    },
+  },
+  {
+    id: 'gitea',
+    label: 'Gitea',
+    push: pushBranch,
+    openPullRequest: async ({
+      repoUrl, branch, base, title, body, token, signal,
+    }) => {
+      const pull = await requestJson(`${giteaApiUrl(repoUrl)}/repos/${repoPath(repoUrl)}/pulls`, {
+        headers: { authorization: `token ${token}` },
+        body: {
+          title, body, head: branch, base,
+        },
+        signal,
+      });
+      return { number: pull.number, url: pull.html_url };
+    },
+    setCommitStatus: async ({
+      repoUrl, sha, state, context, description, targetUrl, token, signal,
+    }) => {
+      await requestJson(`${giteaApiUrl(repoUrl)}/repos/${repoPath(repoUrl)}/statuses/${sha}`, {
+        headers: { authorization: `token ${token}` },
+        body: {
+          state, context, description, target_url: targetUrl || undefined,
+        },
+        signal,
+        failure: 'Failed to set the commit status.',
+      });
+      return true;
+    },
+    listRepositories: async ({ ownerUrl, token, signal }) => {
+      const owner = repoPath(ownerUrl);
+      const options = { headers: token ? { authorization: `token ${token}` } : {}, signal };
+      const repos = await listPages((page) => `${giteaApiUrl(ownerUrl)}/orgs/${owner}/repos?limit=50&page=${page}`, 50, options)
+        || await listPages((page) => `${giteaApiUrl(ownerUrl)}/users/${owner}/repos?limit=50&page=${page}`, 50, options);
+      if (!repos) throw new ScanError('Failed to list repositories.', { status: 404, details: `${owner} was not found on Gitea.` });
+      return repos.map((repo) => ({
+        repoUrl: repo.clone_url,
+        name: repo.full_name,
+        archived: Boolean(repo.archived),
+        defaultBranch: repo.default_branch || null,
+      }));
+    },
+  },
+];
+
+const getProvider = (id) => providers.find((provider) => provider.id === id) || null;
+
+/**
+ * The provider for a repository: the one named by its stored credential, else
+ * the one its host belongs to, else `git`. Local paths always use `git`.
+ */
+const providerFor = (repoUrl, preferred) => {
+  const target = parseRepoHost(repoUrl);
+  if (!target || target.transport === 'file') return getProvider('git');
+  return getProvider(preferred) || getProvider(inferProvider(target.host)) || getProvider('git');
+};
+
+const listProviders = () => providers.map(({ id, label }) => ({ id, label }));
+
+module.exports = { getProvider, listProviders, providerFor };
@@ -0,0 +1,228 @@
+const path = require('path');
+const fs = require('fs/promises');
+
+const LICENSE_FAMILIES = ['permissive', 'weak-copyleft', 'strong-copyleft', 'unknown'];
+
+// Ordered from least to most restrictive, which is how expressions combine:
+// `OR` lets the consumer pick the least restrictive option, `AND` imposes all.
+const familyRank = (family) => LICENSE_FAMILIES.indexOf(family);
+
+const FAMILY_MEMBERS = {
+  permissive: [
+    '0BSD', 'AFL-2.1', 'AFL-3.0', 'Apache-1.1', 'Apache-2.0', 'Artistic-2.0', 'BlueOak-1.0.0', 'BSD-1-Clause',
+    'BSD-2-Clause', 'BSD-3-Clause', 'BSD-3-Clause-Clear', 'BSL-1.0', 'CC-BY-3.0', 'CC-BY-4.0', 'CC0-1.0', 'ISC',
+    'MIT', 'MIT-0', 'NCSA', 'PostgreSQL', 'PSF-2.0', 'Python-2.0', 'Unicode-DFS-2016', 'Unlicense', 'W3C',
+    'WTFPL', 'X11', 'Zlib',
+  ],
+  'weak-copyleft': [
+    'CDDL-1.0', 'CDDL-1.1', 'CPL-1.0', 'EPL-1.0', 'EPL-2.0', 'LGPL-2.0', 'LGPL-2.1', 'LGPL-3.0', 'MPL-1.1',
+    'MPL-2.0', 'MS-RL', 'OFL-1.1',
+  ],
+  'strong-copyleft': [
+    'AGPL-1.0', 'AGPL-3.0', 'CC-BY-SA-3.0', 'CC-BY-SA-4.0', 'EUPL-1.1', 'EUPL-1.2', 'GPL-1.0', 'GPL-2.0',
+    'GPL-3.0', 'OSL-3.0', 'SSPL-1.0',
+  ],
+};
+
+// Non-SPDX spellings seen in package manifests.
+const LICENSE_ALIASES = {
+  'apache 2.0': 'Apache-2.0',
+  'apache-2': 'Apache-2.0',
+  'apache license 2.0': 'Apache-2.0',
+  'apache license, version 2.0': 'Apache-2.0',
+  bsd: 'BSD-3-Clause',
+  'new bsd': 'BSD-3-Clause',
+  'simplified bsd': 'BSD-2-Clause',
+  'mit license': 'MIT',
+  'mpl 2.0': 'MPL-2.0',
+  gplv2: 'GPL-2.0',
+  gplv3: 'GPL-3.0',
+  lgplv3: 'LGPL-3.0',
+  'public domain': 'Unlicense',
+};
+
+const familyById = new Map(Object.entries(FAMILY_MEMBERS)
+  .flatMap(([family, ids]) => ids.map((id) => [id.toLowerCase(), family])));
+
+/** Canonical form of a single license id: SPDX casing, `-only`/`-or-later`/`+` removed. */
+const canonicalLicenseId = (value) => {
+  const trimmed = String(value || '').trim();
+  if (!trimmed) return null;
+  const aliased = LICENSE_ALIASES[trimmed.toLowerCase()] || trimmed;
+  const base = aliased.replace(/(-only|-or-later|\+)$/i, '');
+  const known = Object.values(FAMILY_MEMBERS).flat().find((id) => id.toLowerCase() === base.toLowerCase());
+  return known || aliased;
+};
+
+/** Splits an SPDX expression into canonical ids and whether they combine with `OR`. */
+const parseLicenseExpression = (expression) => {
+  const text = String(expression || '');
+  const withException = /\sWITH\s/i.test(text);
+  const ids = text
+    .replace(/[()]/g, ' ')
+    .split(/\s+(?:OR|AND)\s+/i)
+    .map((part) => part.replace(/\s+WITH\s+.*$/i, ''))
+    .map(canonicalLicenseId)
+    .filter(Boolean);
+  return { ids, anyOf: /\sOR\s/i.test(text), withException };
+};
+
+const classifyLicenseId = (id) => familyById.get(String(id).toLowerCase()) || 'unknown';
+
+/**
+ * License family of an SPDX expression. Linking exceptions (`GPL-2.0 WITH
+ * Classpath-exception-2.0`) soften strong copyleft to weak copyleft.
+ */
+const classifyLicense = (expression) => {
+  const { ids, anyOf, withException } = parseLicenseExpression(expression);
+  if (ids.length === 0) return 'unknown';
+  const families = ids.map(classifyLicenseId);
+  const known = families.filter((family) => family !== 'unknown');
+  if (known.length === 0) return 'unknown';
+  if (anyOf) {
+    return known.sort((a, b) => familyRank(a) - familyRank(b))[0];
+  }
+  if (families.includes('unknown')) return 'unknown';
+  const family = families.sort((a, b) => familyRank(b) - familyRank(a))[0];
+  return withException && family === 'strong-copyleft' ? 'weak-copyleft' : family;
+};
+
+const readInstalledLicense = async (repoDir, pkg) => {
+  try {
+    const manifest = JSON.parse(await fs.readFile(path.join(repoDir, 'node_modules', pkg.name, 'package.json'), 'utf8'));
+    if (manifest.version !== pkg.version) return null;
+    const { license } = manifest;
+    if (typeof license === 'string') return license;
+    if (typeof license?.type === 'string') return license.type;
+    return null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Fills in licenses the lockfile did not record (v1 lockfiles, yarn) from the
+ * installed packages, when an install step ran before the scan.
+ */
+const fillInstalledLicenses = async (graph, repoDir) => {
+  if (!graph || !repoDir) return graph;
+  const packages = await Promise.all(graph.packages.map(async (pkg) => (
+    pkg.license ? pkg : { ...pkg, license: await readInstalledLicense(repoDir, pkg) }
+  )));
+  return { ...graph, packages };
+};
+
+/**
+ * Groups every dependency in the graph by license:
+ * `{ summary: { permissive, 'weak-copyleft', 'strong-copyleft', unknown },
+ * licenses: [{ license, family, packageCount, packages }], packageCount }`,
+ * where `summary` counts packages per family. Returns null without a graph.
+ */
+const buildLicenseInventory = (graph) => {
+  if (!graph) return null;
+  const byLicense = new Map();
+  graph.packages.forEach((pkg) => {
+    const license = pkg.license || 'UNKNOWN';
+    if (!byLicense.has(license)) {
+      byLicense.set(license, {
+        license,
+        family: pkg.license ? classifyLicense(pkg.license) : 'unknown',
+        packageCount: 0,
+        packages: [],
+      });
+    }
+    const entry = byLicense.get(license);
+    entry.packageCount += 1;
+    entry.packages.push({ id: pkg.id, dev: Boolean(pkg.dev), direct: Boolean(pkg.direct) });
+  });
+
+  const summary = Object.fromEntries(LICENSE_FAMILIES.map((family) => [family, 0]));
+  const licenses = Array.from(byLicense.values()).sort((a, b) => (
+    familyRank(b.family) - familyRank(a.family) || b.packageCount - a.packageCount
+  ));
+  licenses.forEach((entry) => {
+    summary[entry.family] += entry.packageCount;
+  });
+
+  return { summary, licenses, packageCount: graph.packages.length };
+};
+
+const listed = (id, family, list = []) => list.some((entry) => (
+  entry.toLowerCase() === family || canonicalLicenseId(entry).toLowerCase() === id.toLowerCase()
+));
+
+/**
+ * Status of one license under the policy's `licenses` rules: `forbidden` when
+ * it (or its family) is denied, `unlisted` when an allow list exists and does
+ * not cover it, `unknown` when no license is declared, otherwise `allowed`.
+ * Allow and deny lists accept SPDX ids and family names.
+ */
+const licenseStatus = (entry, rules = {}) => {
+  if (entry.license === 'UNKNOWN') return 'unknown';
+  const { ids, anyOf } = parseLicenseExpression(entry.license);
+  const familyOf = (id) => classifyLicenseId(id);
+  const denied = (id) => listed(id, familyOf(id), rules.deny);
+  const allowed = (id) => listed(id, familyOf(id), rules.allow);
+  const options = anyOf ? ids.filter((id) => !denied(id)) : ids;
+
+  if (anyOf ? options.length === 0 : ids.some(denied)) return 'forbidden';
+  if (rules.allow?.length) {
+    const covered = anyOf ? options.some(allowed) : ids.every(allowed);
+    if (!covered) return 'unlisted';
+  }
+  return 'allowed';
+};
+
+/**
+ * Applies license rules to an inventory. Returns the inventory with a `status`
+ * per license plus the resulting policy violations and warnings. With
+ * `failOnUnknown`, undeclared licenses fail the gate instead of warning.
+ */
+const evaluateLicenseInventory = (inventory, rules = {}) => {
+  if (!inventory) return { inventory, violations: [], warnings: [] };
+  const licenses = inventory.licenses.map((entry) => ({ ...entry, status: licenseStatus(entry, rules) }));
+  const packagesWith = (status) => licenses
+    .filter((entry) => entry.status === status)
+    .flatMap((entry) => entry.packages.map((pkg) => `${pkg.id} (${entry.license})`));
+
+  const violations = [];
+  const warnings = [];
+  const forbidden = packagesWith('forbidden');
+  if (forbidden.length > 0) {
+    violations.push({
+      rule: 'denied-license',
+      message: `${forbidden.length} package${forbidden.length === 1 ? ' uses' : 's use'} a forbidden license.`,
+      packages: forbidden,
+    });
+  }
+  const unlisted = packagesWith('unlisted');
+  if (unlisted.length > 0) {
+    violations.push({
+      rule: 'license-not-allowed',
+      message: `${unlisted.length} package${unlisted.length === 1 ? ' uses' : 's use'} a license outside the allow list.`,
+      packages: unlisted,
+    });
+  }
+  const unknown = licenses.filter((entry) => entry.status === 'unknown').flatMap((entry) => entry.packages.map((pkg) => pkg.id));
+  if (unknown.length > 0 && rules.failOnUnknown) {
+    violations.push({
+      rule: 'unknown-license',
+      message: `${unknown.length} package${unknown.length === 1 ? ' has' : 's have'} no declared license.`,
+      packages: unknown,
+    });
+  } else if (unknown.length > 0 && (rules.allow?.length || rules.deny?.length)) {
+    warnings.push(`${unknown.length} package${unknown.length === 1 ? ' has' : 's have'} no declared license.`);
+  }
+
+  return { inventory: { ...inventory, licenses }, violations, warnings };
+};
+
+module.exports = {
+  FAMILY_MEMBERS,
+  LICENSE_FAMILIES,
+  buildLicenseInventory,
+  canonicalLicenseId,
+  classifyLicense,
+  evaluateLicenseInventory,
+  fillInstalledLicenses,
+};
@@ -0,0 +1,76 @@
+const { createOpenAIProvider } = require('./openai');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { createMockProvider } = require('./mock');
+const { runToolLoop } = require('./toolLoop');
+
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+
+const providers = {
+  openai: createOpenAIProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  mock: createMockProvider,
+};
+
+const DEFAULT_MODELS = {
+  openai: process.env.OPENAI_AGENT_MODEL || 'gpt-4.1-mini',
+  mock: 'mock-planner',
+};
+
+const parseTemperature = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const temperature = Number(value);
+  if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+    throw new Error('LLM_TEMPERATURE must be a number between 0 and 2.');
+  }
+  return temperature;
+};
+
+/**
+ * Creates the language model provider that plans and scan chats use, or
+ * `null` when none is configured. Every provider exposes `id`, `model`,
+ * `temperature`, `timeout` and
+ * `complete({ instructions, messages, tools, schema, signal, onText })`,
+ * which resolves with `{ content, toolCalls }` for one model turn and, given
+ * `onText`, streams the reply's text to it as it arrives.
+ *
+ * Messages are `{ role: 'user' | 'assistant', content, toolCalls? }` and
+ * `{ role: 'tool', toolCallId, content }`; tool calls are
+ * `{ id, name, arguments }` with the arguments as a JSON string. `schema` is
+ * `{ name, schema }`, the JSON schema the final answer must match; without it
+ * the model answers in prose.
+ *
+ * `LLM_PROVIDER` selects `openai` (the default when `OPENAI_API_KEY` is
+ * set), `openai-compatible` (a self-hosted server at `LLM_BASE_URL`), `mock`
+ * or `none`. `LLM_MODEL`, `LLM_TEMPERATURE` and `LLM_TIMEOUT_MS` apply to
+ * whichever provider is selected.
+ */
+const createLlmProvider = ({
+  provider = process.env.LLM_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'none'),
+  model = process.env.LLM_MODEL,
+  temperature = process.env.LLM_TEMPERATURE,
+  timeout = process.env.LLM_TIMEOUT_MS,
+  baseUrl = process.env.LLM_BASE_URL,
+  apiKey = process.env.LLM_API_KEY,
+  responseFormat = process.env.LLM_RESPONSE_FORMAT,
+  client,
+} = {}) => {
+  if (provider === 'none') return null;
+  const create = providers[provider];
+  if (!create) {
+    throw new Error(`Unknown LLM provider ${provider}. Use one of ${Object.keys(providers).join(', ')} or none.`);
+  }
+  return create({
+    model: model || DEFAULT_MODELS[provider],
+    temperature: parseTemperature(temperature),
+    timeout: Number(timeout) > 0 ? Number(timeout) : DEFAULT_TIMEOUT_MS,
+    baseUrl,
+    apiKey: apiKey || (provider === 'openai' ? process.env.OPENAI_API_KEY : undefined),
+    responseFormat: responseFormat || undefined,
+    client,
+  });
+};
+
+/** Provider and model recorded as the `source` of generated output. */
+const describeProvider = (provider) => ({ provider: provider.id, model: provider.model });
+
+module.exports = { createLlmProvider, describeProvider, runToolLoop };
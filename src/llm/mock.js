@@ -0,0 +1,96 @@
+const parse = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return null;
+  }
+};
+
+// Tool results from earlier turns, keyed by the call id.
+const toolResults = (messages) => {
+  const calls = new Map();
+  messages
+    .filter((message) => message.role === 'assistant')
+    .forEach((message) => (message.toolCalls || []).forEach((call) => calls.set(call.id, call)));
+  return messages
+    .filter((message) => message.role === 'tool')
+    .map((message) => ({ name: calls.get(message.toolCallId)?.name, output: parse(message.content) }));
+};
+
+/**
+ * Deterministic stand-in for a model, for tests and offline development. It
+ * walks the tool loop the way a model would (overview and issue list first,
+ * then an upgrade lookup per fixable package) and answers with a plan built
+ * from the tool results, so the same scan always yields the same plan.
+ * Without a `schema` it answers in prose, restating the question.
+ */
+const createMockProvider = ({ model = 'mock-planner', temperature, timeout } = {}) => {
+  let sequence = 0;
+  const call = (name, args = {}) => {
+    sequence += 1;
+    return { id: `mock_${sequence}`, name, arguments: JSON.stringify(args) };
+  };
+
+  return {
+    id: 'mock',
+    model,
+    temperature,
+    timeout,
+    async complete({
+      messages, tools = [], schema, onText,
+    }) {
+      const available = new Set(tools.map((tool) => tool.name));
+      const results = toolResults(messages);
+      const overview = results.find((result) => result.name === 'get_scan_overview')?.output;
+
+      if (!overview && available.has('get_scan_overview')) {
+        return {
+          content: '',
+          toolCalls: [call('get_scan_overview'), ...(schema ? [call('list_issues', { limit: 50 })] : [])],
+        };
+      }
+
+      // Without a schema the caller wants prose: echo the question back.
+      if (!schema) {
+        const question = [...messages].reverse().find((message) => message.role === 'user')?.content || '';
+        const content = `Mock answer about ${overview?.projectName || 'the repository'} (${overview?.issueCount || 0} vulnerabilities) to: ${question}`;
+        if (onText) content.split(/(?<= )/).forEach((word) => onText(word));
+        return { content, toolCalls: [] };
+      }
+
+      const listed = results.find((result) => result.name === 'list_issues')?.output?.issues || [];
+      const fixable = Array.from(new Set(listed.filter((issue) => issue.fixable).map((issue) => issue.packageName)));
+      const lookups = results.filter((result) => result.name === 'lookup_upgrade_path');
+      if (lookups.length === 0 && fixable.length > 0 && available.has('lookup_upgrade_path')) {
+        return {
+          content: '',
+          toolCalls: fixable.sort().map((packageName) => call('lookup_upgrade_path', { package: packageName })),
+        };
+      }
+
+      const upgrades = new Map();
+      lookups
+        .flatMap((result) => result.output?.upgrades || [])
+        .forEach((upgrade) => upgrades.set(`${upgrade.manifest}|${upgrade.package}`, upgrade));
+      const steps = Array.from(upgrades.values()).map((upgrade) => ({
+        action: `Upgrade ${upgrade.package} to ${upgrade.to}.`,
+        issueIds: upgrade.issueIds,
+        package: upgrade.package,
+        version: upgrade.to,
+        effort: upgrade.effort,
+        command: upgrade.command,
+      }));
+      const issueCount = overview?.issueCount || 0;
+      return {
+        content: JSON.stringify({
+          summary: `${overview?.projectName || 'The repository'} has ${issueCount} ${issueCount === 1 ? 'vulnerability' : 'vulnerabilities'} and ${steps.length} planned ${steps.length === 1 ? 'upgrade' : 'upgrades'}.`,
+          steps,
+          no_action: issueCount === 0,
+        }),
+        toolCalls: [],
+      };
+    },
+  };
+};
+
+module.exports = { createMockProvider };
@@ -0,0 +1,106 @@
+let OpenAI;
+try {
+  // eslint-disable-next-line global-require
+  OpenAI = require('openai');
+} catch (err) {
+  OpenAI = null;
+}
+
+// The SDK joins the message text into `output_text`; plain response objects
+// only carry the message items.
+const extractText = (response) => {
+  if (!response) return '';
+  if (typeof response.output_text === 'string' && response.output_text.trim()) {
+    return response.output_text;
+  }
+  return (response.output || [])
+    .filter((item) => item.type === 'message')
+    .flatMap((item) => (Array.isArray(item.content) ? item.content : []))
+    .map((part) => part.text)
+    .filter((text) => typeof text === 'string')
+    .join('\n')
+    .trim();
+};
+
+const toInput = (messages) => messages.flatMap((message) => {
+  if (message.role === 'tool') {
+    return [{ type: 'function_call_output', call_id: message.toolCallId, output: message.content }];
+  }
+  if (message.role === 'assistant') {
+    return [
+      ...(message.content ? [{ role: 'assistant', content: message.content }] : []),
+      ...(message.toolCalls || []).map((call) => ({
+        type: 'function_call',
+        call_id: call.id,
+        name: call.name,
+        arguments: call.arguments,
+      })),
+    ];
+  }
+  return [{ role: message.role, content: message.content }];
+});
+
+/** OpenAI's hosted models through the Responses API. */
+const createOpenAIProvider = ({
+  apiKey, baseUrl, model, temperature, timeout, client,
+}) => {
+  const sdk = client || (apiKey && OpenAI
+    ? new OpenAI({ apiKey, baseURL: baseUrl || undefined, timeout })
+    : null);
+  if (!sdk) return null;
+
+  return {
+    id: 'openai',
+    model,
+    temperature,
+    timeout,
+    async complete({
+      instructions, messages, tools = [], schema, signal, onText,
+    }) {
+      const params = {
+        model,
+        instructions,
+        input: toInput(messages),
+        tools: tools.map(({ name, description, parameters }) => ({
+          type: 'function',
+          name,
+          description,
+          parameters,
+          strict: false,
+        })),
+        ...(temperature === undefined ? {} : { temperature }),
+        ...(schema
+          ? { text: { format: { type: 'json_schema', name: schema.name, schema: schema.schema, strict: true } } }
+          : {}),
+      };
+
+      let response;
+      if (onText) {
+        const stream = await sdk.responses.create({ ...params, stream: true }, { signal, timeout });
+        for await (const event of stream) {
+          if (event.type === 'response.output_text.delta') onText(event.delta);
+          if (event.type === 'response.completed') ({ response } = event);
+          if (event.type === 'response.failed' || event.type === 'error') {
+            throw new Error(event.response?.error?.message || event.message || 'The response failed.');
+          }
+          if (event.type === 'response.incomplete') {
+            const reason = event.response?.incomplete_details?.reason;
+            throw new Error(`The model response was incomplete${reason ? ` (${reason})` : ''}.`);
+          }
+        }
+        if (!response) throw new Error('The model stream ended before the response completed.');
+      } else {
+        response = await sdk.responses.create(params, { signal, timeout });
+      }
+
+      return {
+        content: extractText(response),
+        toolCalls: (response.output || [])
+          .filter((item) => item.type === 'function_call')
+          .map((item) => ({ id: item.call_id, name: item.name, arguments: item.arguments })),
+      };
+    },
+  };
+};
+
+module.exports = { OpenAI, createOpenAIProvider };
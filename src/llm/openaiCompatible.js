@@ -0,0 +1,129 @@
+const { OpenAI } = require('./openai');
+
+const RESPONSE_FORMATS = ['json_schema', 'json_object', 'none'];
+
+const toChatMessages = (instructions, messages) => [
+  ...(instructions ? [{ role: 'system', content: instructions }] : []),
+  ...messages.map((message) => {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+    if (message.role === 'assistant' && message.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map((call) => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: call.arguments },
+        })),
+      };
+    }
+    return { role: message.role, content: message.content };
+  }),
+];
+
+// Some servers wrap JSON answers in a Markdown code fence.
+const stripFence = (text) => text.replace(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/, '$1').trim();
+
+// Joins streamed chunks into one message; tool call fragments are keyed by index.
+const streamMessage = async (stream, onText) => {
+  let content = '';
+  const calls = [];
+  for await (const chunk of stream) {
+    const delta = chunk.choices?.[0]?.delta || {};
+    if (delta.content) {
+      content += delta.content;
+      onText(delta.content);
+    }
+    (delta.tool_calls || []).forEach((fragment) => {
+      const index = fragment.index ?? calls.length;
+      if (!calls[index]) calls[index] = { id: fragment.id, function: { name: '', arguments: '' } };
+      const call = calls[index];
+      if (fragment.id) call.id = fragment.id;
+      if (fragment.function?.name) call.function.name += fragment.function.name;
+      if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+    });
+  }
+  return { content, tool_calls: calls.filter(Boolean) };
+};
+
+/**
+ * Any server implementing OpenAI's Chat Completions API with tool calling,
+ * such as Ollama, the llama.cpp server or vLLM, reached at `baseUrl`.
+ *
+ * `responseFormat` picks how the answer is constrained: `json_schema`
+ * (structured output), `json_object` (JSON mode, with the schema spelled out
+ * in the instructions) or `none` for servers that support neither.
+ */
+const createOpenAICompatibleProvider = ({
+  baseUrl, apiKey, model, temperature, timeout, responseFormat = 'json_schema', client,
+}) => {
+  if (!RESPONSE_FORMATS.includes(responseFormat)) {
+    throw new Error(`LLM_RESPONSE_FORMAT must be one of ${RESPONSE_FORMATS.join(', ')}.`);
+  }
+  if (!client && !baseUrl) throw new Error('LLM_BASE_URL is required for the openai-compatible provider.');
+  if (!model) throw new Error('LLM_MODEL is required for the openai-compatible provider.');
+  if (!client && !OpenAI) return null;
+  // Local servers ignore the key, but the SDK refuses to start without one.
+  const sdk = client || new OpenAI({ apiKey: apiKey || 'unused', baseURL: baseUrl, timeout });
+
+  return {
+    id: 'openai-compatible',
+    model,
+    temperature,
+    timeout,
+    baseUrl,
+    async complete({
+      instructions, messages, tools = [], schema, signal, onText,
+    }) {
+      let system = instructions;
+      let format;
+      if (schema && responseFormat === 'json_schema') {
+        format = { type: 'json_schema', json_schema: { name: schema.name, schema: schema.schema, strict: true } };
+      } else if (schema) {
+        system = `${instructions}\n\nAnswer with a single JSON object matching this JSON schema:\n${JSON.stringify(schema.schema)}`;
+        if (responseFormat === 'json_object') format = { type: 'json_object' };
+      }
+
+      const params = {
+        model,
+        messages: toChatMessages(system, messages),
+        ...(tools.length > 0
+          ? {
+            tools: tools.map(({ name, description, parameters }) => ({
+              type: 'function',
+              function: { name, description, parameters },
+            })),
+          }
+          : {}),
+        ...(temperature === undefined ? {} : { temperature }),
+        ...(format ? { response_format: format } : {}),
+      };
+
+      let message;
+      if (onText) {
+        message = await streamMessage(
+          await sdk.chat.completions.create({ ...params, stream: true }, { signal, timeout }),
+          onText,
+        );
+      } else {
+        const completion = await sdk.chat.completions.create(params, { signal, timeout });
+        message = completion.choices?.[0]?.message || {};
+      }
+
+      return {
+        content: typeof message.content === 'string' ? stripFence(message.content.trim()) : '',
+        toolCalls: (message.tool_calls || [])
+          .filter((call) => call.function?.name)
+          .map((call, index) => ({
+            id: call.id || `call_${index}`,
+            name: call.function.name,
+            arguments: call.function.arguments || '{}',
+          })),
+      };
+    },
+  };
+};
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,50 @@
+const DEFAULT_MAX_TURNS = Number(process.env.LLM_MAX_TURNS || process.env.OPENAI_AGENT_MAX_TURNS) || 10;
+
+/**
+ * Runs model turns until the model answers instead of calling a tool. Each
+ * requested call is executed with `runTool(name, arguments)` and its
+ * JSON-encoded result sent back on the next turn. Resolves with the final
+ * `content` and the names of the tools called, in order; throws after
+ * `maxTurns` turns without an answer.
+ */
+const runToolLoop = async (provider, {
+  instructions,
+  messages: initialMessages,
+  tools,
+  runTool,
+  schema,
+  signal,
+  onText,
+  onToolCall,
+  maxTurns = DEFAULT_MAX_TURNS,
+}) => {
+  const messages = [...initialMessages];
+  const toolCalls = [];
+
+  for (let turn = 0; turn < maxTurns; turn += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const reply = await provider.complete({
+      instructions,
+      messages,
+      tools,
+      schema,
+      signal,
+      onText,
+    });
+    if (reply.toolCalls.length === 0) {
+      return { content: reply.content, toolCalls };
+    }
+
+    messages.push({ role: 'assistant', content: reply.content, toolCalls: reply.toolCalls });
+    for (const call of reply.toolCalls) {
+      toolCalls.push(call.name);
+      if (onToolCall) onToolCall(call);
+      // eslint-disable-next-line no-await-in-loop
+      const output = await runTool(call.name, call.arguments);
+      messages.push({ role: 'tool', toolCallId: call.id, content: JSON.stringify(output) });
+    }
+  }
+  throw new Error(`No answer after ${maxTurns} tool-calling turns`);
+};
+
+module.exports = { runToolLoop };
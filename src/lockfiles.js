@@ -0,0 +1,261 @@
+const path = require('path');
+const fs = require('fs/promises');
+
+const readJson = async (file) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+};
+
+// npm installs from the shrinkwrap when a project has both.
+const NPM_LOCKFILES = ['npm-shrinkwrap.json', 'package-lock.json'];
+
+const packageId = (name, version) => `${name}@${version || 'unknown'}`;
+
+const normalizeLicense = (license) => {
+  if (!license) return null;
+  if (typeof license === 'string') return license;
+  if (typeof license.type === 'string') return license.type;
+  if (Array.isArray(license)) return license.map(normalizeLicense).filter(Boolean).join(' OR ') || null;
+  return null;
+};
+
+const directDependencyNames = (manifest) => ({
+  prod: Object.keys({ ...manifest?.dependencies, ...manifest?.optionalDependencies }),
+  dev: Object.keys(manifest?.devDependencies || {}),
+});
+
+// package-lock.json v2/v3: a flat `packages` map keyed by install location.
+const parseLockfileV2 = (lock, manifest) => {
+  const entries = lock.packages || {};
+  const locations = new Map();
+
+  const packageName = (location, entry) => {
+    if (entry.name) return entry.name;
+    const index = location.lastIndexOf('node_modules/');
+    return index === -1 ? path.basename(location) : location.slice(index + 'node_modules/'.length);
+  };
+
+  // Node resolution: look in nested node_modules first, then walk up.
+  const resolve = (fromLocation, name) => {
+    let base = fromLocation;
+    for (;;) {
+      const candidate = base ? `${base}/node_modules/${name}` : `node_modules/${name}`;
+      if (entries[candidate]) return candidate;
+      if (!base) return null;
+      const index = base.lastIndexOf('/node_modules/');
+      base = index === -1 ? '' : base.slice(0, index);
+    }
+  };
+
+  Object.entries(entries).forEach(([location, entry]) => {
+    if (!location || entry.link) return;
+    const name = packageName(location, entry);
+    locations.set(location, { name, version: entry.version, entry });
+  });
+
+  const packages = new Map();
+  locations.forEach(({ name, version, entry }, location) => {
+    const id = packageId(name, version);
+    const existing = packages.get(id) || {
+      id,
+      name,
+      version: version || null,
+      license: normalizeLicense(entry.license),
+      dev: Boolean(entry.dev),
+      dependencies: new Set(),
+    };
+    if (!entry.dev) existing.dev = false;
+    const requested = { ...entry.dependencies, ...entry.optionalDependencies, ...entry.peerDependencies };
+    Object.keys(requested).forEach((dependency) => {
+      const target = resolve(location, dependency);
+      if (target && locations.has(target)) {
+        const resolved = locations.get(target);
+        existing.dependencies.add(packageId(resolved.name, resolved.version));
+      }
+    });
+    packages.set(id, existing);
+  });
+
+  const rootEntry = entries[''] || {};
+  const direct = directDependencyNames({ ...manifest, ...rootEntry });
+  const directIds = (names) => names
+    .map((name) => resolve('', name))
+    .filter((location) => location && locations.has(location))
+    .map((location) => packageId(locations.get(location).name, locations.get(location).version));
+
+  return {
+    packages,
+    directDependencies: directIds(direct.prod),
+    directDevDependencies: directIds(direct.dev),
+  };
+};
+
+// package-lock.json v1: a nested `dependencies` tree with `requires` maps.
+const parseLockfileV1 = (lock, manifest) => {
+  const packages = new Map();
+
+  const visit = (tree, ancestors) => {
+    Object.entries(tree || {}).forEach(([name, entry]) => {
+      const id = packageId(name, entry.version);
+      if (!packages.has(id)) {
+        packages.set(id, {
+          id,
+          name,
+          version: entry.version || null,
+          license: null,
+          dev: Boolean(entry.dev),
+          dependencies: new Set(),
+          requires: entry.requires || {},
+          scope: [entry.dependencies || {}, ...ancestors],
+        });
+      }
+      visit(entry.dependencies, [entry.dependencies || {}, ...ancestors]);
+    });
+  };
+  visit(lock.dependencies, [lock.dependencies || {}]);
+
+  packages.forEach((pkg) => {
+    Object.keys(pkg.requires).forEach((name) => {
+      const scope = pkg.scope.find((tree) => tree[name]);
+      if (scope) pkg.dependencies.add(packageId(name, scope[name].version));
+    });
+    delete pkg.requires;
+    delete pkg.scope;
+  });
+
+  const direct = directDependencyNames(manifest);
+  const directIds = (names) => names
+    .filter((name) => lock.dependencies?.[name])
+    .map((name) => packageId(name, lock.dependencies[name].version));
+
+  return {
+    packages,
+    directDependencies: directIds(direct.prod),
+    directDevDependencies: directIds(direct.dev),
+  };
+};
+
+// yarn.lock (classic v1): blocks of `"name@range", name@range2:` selectors.
+const parseYarnLock = (text, manifest) => {
+  const blocks = [];
+  let current = null;
+  let inDependencies = false;
+
+  text.split(/\r?\n/).forEach((line) => {
+    if (!line.trim() || line.startsWith('#')) return;
+    if (!line.startsWith(' ')) {
+      const selectors = line.replace(/:$/, '').split(/,\s*/).map((item) => item.replace(/^"|"$/g, ''));
+      current = { selectors, version: null, dependencies: {} };
+      blocks.push(current);
+      inDependencies = false;
+      return;
+    }
+    if (!current) return;
+    const trimmed = line.trim();
+    if (/^(dependencies|optionalDependencies):$/.test(trimmed)) {
+      inDependencies = true;
+      return;
+    }
+    if (line.startsWith('    ') && inDependencies) {
+      const [name, range] = trimmed.split(/\s+/);
+      current.dependencies[name.replace(/^"|"$/g, '')] = (range || '').replace(/^"|"$/g, '');
+      return;
+    }
+    inDependencies = false;
+    const versionMatch = trimmed.match(/^version "?([^"]+)"?$/);
+    if (versionMatch) current.version = versionMatch[1];
+  });
+
+  const bySelector = new Map();
+  const packages = new Map();
+  blocks.forEach((block) => {
+    const name = block.selectors[0].replace(/@[^@]*$/, '') || block.selectors[0];
+    const id = packageId(name, block.version);
+    block.selectors.forEach((selector) => bySelector.set(selector, id));
+    packages.set(id, {
+      id,
+      name,
+      version: block.version,
+      license: null,
+      dev: false,
+      dependencies: new Set(),
+      requested: block.dependencies,
+    });
+  });
+
+  packages.forEach((pkg) => {
+    Object.entries(pkg.requested).forEach(([name, range]) => {
+      const target = bySelector.get(`${name}@${range}`);
+      if (target) pkg.dependencies.add(target);
+    });
+    delete pkg.requested;
+  });
+
+  const resolveDirect = (ranges = {}) => Object.entries(ranges)
+    .map(([name, range]) => bySelector.get(`${name}@${range}`))
+    .filter(Boolean);
+
+  return {
+    packages,
+    directDependencies: resolveDirect({ ...manifest?.dependencies, ...manifest?.optionalDependencies }),
+    directDevDependencies: resolveDirect(manifest?.devDependencies),
+  };
+};
+
+const finalize = (parsed, manifest, source) => {
+  const direct = new Set([...parsed.directDependencies, ...parsed.directDevDependencies]);
+  return {
+    source,
+    root: {
+      name: manifest?.name || null,
+      version: manifest?.version || null,
+      license: normalizeLicense(manifest?.license),
+      dependencies: Array.from(direct),
+    },
+    packages: Array.from(parsed.packages.values())
+      .map((pkg) => ({
+        ...pkg,
+        direct: direct.has(pkg.id),
+        dependencies: Array.from(pkg.dependencies),
+      }))
+      .sort((a, b) => a.id.localeCompare(b.id)),
+  };
+};
+
+/**
+ * Reads the dependency graph of the project in `dir` from its lockfile.
+ *
+ * Supports npm-shrinkwrap.json and package-lock.json (lockfileVersion 1-3)
+ * and classic yarn.lock. Returns `{ source, root, packages }`, where `source`
+ * names the lockfile read and each package lists the ids (`name@version`) of
+ * the packages it depends on, or `null` when no supported lockfile is present.
+ */
+const readDependencyGraph = async (dir) => {
+  const manifest = await readJson(path.join(dir, 'package.json'));
+
+  for (const lockfile of NPM_LOCKFILES) {
+    const lock = await readJson(path.join(dir, lockfile));
+    if (lock) {
+      const parsed = lock.packages && Number(lock.lockfileVersion) >= 2
+        ? parseLockfileV2(lock, manifest)
+        : parseLockfileV1(lock, manifest);
+      return finalize(parsed, manifest || lock, lockfile);
+    }
+  }
+
+  try {
+    const yarnLock = await fs.readFile(path.join(dir, 'yarn.lock'), 'utf8');
+    if (!yarnLock.includes('__metadata:')) {
+      return finalize(parseYarnLock(yarnLock, manifest), manifest, 'yarn.lock');
+    }
+  } catch (err) {
+    // No yarn.lock either.
+  }
+
+  return null;
+};
+
+module.exports = { packageId, readDependencyGraph };
@@ -0,0 +1,217 @@
+const path = require('path');
+const fs = require('fs/promises');
+const { findDependencyPath, severityOrder } = require('./scanners/normalize');
+const {
+  estimateEffort,
+  planUpgrades,
+  upgradeCommand,
+} = require('./remediation/upgrades');
+
+const MAX_MANIFEST_BYTES = 20 * 1024;
+const MAX_LISTED_ISSUES = 50;
+const MANIFEST_FILES = new Set([
+  'package.json', 'requirements.txt', 'Pipfile', 'pyproject.toml', 'setup.py', 'pom.xml', 'build.gradle',
+  'build.gradle.kts', 'go.mod', 'Gemfile', 'composer.json', 'Cargo.toml', '.scan-policy.json',
+]);
+
+const compactIssue = (issue) => ({
+  id: issue.id,
+  title: issue.title,
+  severity: issue.severity,
+  packageName: issue.packageName,
+  version: issue.version,
+  priority: issue.priority ? { score: issue.priority.score, level: issue.priority.level } : null,
+  direct: Array.isArray(issue.from) && issue.from.length === 2,
+  fixable: Array.isArray(issue.upgradePath) && issue.upgradePath.some(Boolean),
+  targetFile: issue.targetFile || null,
+});
+
+/** Upgrades for `issues` with the effort and command a plan step needs. */
+const describeUpgrades = (issues, graph) => {
+  const { upgrades, unresolvable } = planUpgrades(issues);
+  return {
+    upgrades: upgrades.map((upgrade) => ({
+      package: upgrade.name,
+      from: upgrade.from,
+      to: upgrade.to,
+      manifest: upgrade.manifest,
+      issueIds: Array.from(new Set(upgrade.issues.map((issue) => issue.id))),
+      effort: estimateEffort(upgrade),
+      command: upgradeCommand(upgrade, graph?.source),
+    })),
+    unresolvable: unresolvable.map(({ id, packageName, reason }) => ({ id, packageName, reason })),
+  };
+};
+
+// Resolves `relative` inside the clone, refusing anything that escapes it.
+const resolveInRepo = async (repoDir, relative) => {
+  const root = await fs.realpath(repoDir);
+  const target = await fs.realpath(path.resolve(root, relative));
+  if (target !== root && !target.startsWith(`${root}${path.sep}`)) {
+    throw new Error(`${relative} is outside the repository.`);
+  }
+  return target;
+};
+
+/**
+ * Tools the planning agent can call to inspect a scan instead of receiving it
+ * whole. Each tool is `{ name, description, parameters, run(args) }`, where
+ * `parameters` is a JSON schema and `run` resolves with a JSON-serializable
+ * value. `read_manifest` is only offered while the clone (`repoDir`) exists.
+ */
+const createPlanTools = ({ scanResult, repoDir }) => {
+  const issues = Array.isArray(scanResult.issues) ? scanResult.issues : [];
+  const graph = scanResult.dependencyGraph || null;
+
+  const tools = [
+    {
+      name: 'get_scan_overview',
+      description: 'Project name, severity counts, dependency count, policy verdict, scanned manifests and license summary.',
+      parameters: { type: 'object', properties: {}, additionalProperties: false },
+      run: async () => ({
+        projectName: scanResult.projectName,
+        summary: scanResult.summary,
+        issueCount: issues.length,
+        dependencyCount: scanResult.dependencyCount,
+        packageManager: graph?.source || null,
+        policy: scanResult.policy
+          ? { status: scanResult.policy.status, violations: scanResult.policy.violations.map((item) => item.message) }
+          : null,
+        projects: (scanResult.projects || []).map(({ name, targetFile, issueCount }) => ({ name, targetFile, issueCount })),
+        licenses: scanResult.licenseInventory?.summary || null,
+        licenseIssueCount: Array.isArray(scanResult.licenses) ? scanResult.licenses.length : 0,
+      }),
+    },
+    {
+      name: 'list_issues',
+      description: 'Vulnerabilities ordered by priority score, highest first. Filter by severity or package and page with offset/limit.',
+      parameters: {
+        type: 'object',
+        properties: {
+          severity: { type: 'string', enum: severityOrder },
+          package: { type: 'string', description: 'Only issues in this package.' },
+          offset: { type: 'integer', minimum: 0 },
+          limit: { type: 'integer', minimum: 1, maximum: MAX_LISTED_ISSUES },
+        },
+        additionalProperties: false,
+      },
+      run: async ({
+        severity, package: packageName, offset = 0, limit = 20,
+      }) => {
+        const matching = issues.filter((issue) => (
+          (!severity || issue.severity === severity) && (!packageName || issue.packageName === packageName)
+        ));
+        const size = Math.min(Math.max(1, Number(limit) || 20), MAX_LISTED_ISSUES);
+        const start = Math.max(0, Number(offset) || 0);
+        return { total: matching.length, offset: start, issues: matching.slice(start, start + size).map(compactIssue) };
+      },
+    },
+    {
+      name: 'get_dependency_path',
+      description: 'How a package is pulled into the project: the dependency paths from the project root to it, and whether it is a direct dependency.',
+      parameters: {
+        type: 'object',
+        properties: {
+          package: { type: 'string' },
+          version: { type: 'string' },
+        },
+        required: ['package'],
+        additionalProperties: false,
+      },
+      run: async ({ package: packageName, version }) => {
+        const paths = new Map();
+        issues
+          .filter((issue) => issue.packageName === packageName && (!version || issue.version === version))
+          .forEach((issue) => {
+            if (Array.isArray(issue.from) && issue.from.length > 0) paths.set(issue.from.join('>'), issue.from);
+          });
+        (graph?.packages || [])
+          .filter((pkg) => pkg.name === packageName && (!version || pkg.version === version))
+          .forEach((pkg) => {
+            const from = findDependencyPath(graph, pkg.id);
+            if (from.length > 0) paths.set(from.join('>'), from);
+          });
+        const found = Array.from(paths.values());
+        return {
+          package: packageName,
+          paths: found,
+          direct: found.some((from) => from.length === 2),
+        };
+      },
+    },
+    {
+      name: 'lookup_upgrade_path',
+      description: 'The dependency upgrades that fix an issue or every issue in a package, with the target version, effort estimate and install command. Also lists issues that have no fix.',
+      parameters: {
+        type: 'object',
+        properties: {
+          issueId: { type: 'string' },
+          package: { type: 'string' },
+        },
+        additionalProperties: false,
+      },
+      run: async ({ issueId, package: packageName }) => {
+        if (!issueId && !packageName) throw new Error('Pass issueId or package.');
+        const matching = issues.filter((issue) => (
+          (!issueId || issue.id === issueId) && (!packageName || issue.packageName === packageName)
+        ));
+        if (matching.length === 0) throw new Error('No matching issue.');
+        return {
+          ...describeUpgrades(matching, graph),
+          issues: matching.map((issue) => ({
+            id: issue.id,
+            packageName: issue.packageName,
+            version: issue.version,
+            upgradePath: issue.upgradePath || [],
+            fixedIn: issue.fixedIn || [],
+            isPatched: Boolean(issue.isPatched),
+          })),
+        };
+      },
+    },
+  ];
+
+  if (repoDir) {
+    tools.push({
+      name: 'read_manifest',
+      description: `Reads a dependency manifest (${Array.from(MANIFEST_FILES).join(', ')}) from the scanned repository. Paths are relative to the repository root.`,
+      parameters: {
+        type: 'object',
+        properties: { path: { type: 'string', description: 'For example package.json or packages/api/package.json.' } },
+        required: ['path'],
+        additionalProperties: false,
+      },
+      run: async ({ path: relative }) => {
+        if (!MANIFEST_FILES.has(path.basename(String(relative)))) {
+          throw new Error(`${relative} is not a dependency manifest.`);
+        }
+        const file = await resolveInRepo(repoDir, relative);
+        const content = await fs.readFile(file, 'utf8');
+        return {
+          path: relative,
+          truncated: content.length > MAX_MANIFEST_BYTES,
+          content: content.slice(0, MAX_MANIFEST_BYTES),
+        };
+      },
+    });
+  }
+
+  return tools;
+};
+
+/**
+ * Runs the tool a model asked for. Failures are returned as `{ error }` so
+ * the model can correct its call instead of the plan failing.
+ */
+const runPlanTool = async (tools, name, rawArguments) => {
+  const tool = tools.find((item) => item.name === name);
+  if (!tool) return { error: `Unknown tool: ${name}.` };
+  try {
+    const args = typeof rawArguments === 'string' && rawArguments.trim() ? JSON.parse(rawArguments) : rawArguments || {};
+    return await tool.run(args);
+  } catch (err) {
+    return { error: err.message };
+  }
+};
+
+module.exports = { createPlanTools, describeUpgrades, runPlanTool };
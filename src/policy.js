@@ -0,0 +1,409 @@
+const path = require('path');
+const fs = require('fs/promises');
+const crypto = require('crypto');
+const semver = require('semver');
+const { severityOrder } = require('./scanners/normalize');
+const { toRepoKey } = require('./scanHistory');
+const { evaluateLicenseInventory } = require('./licenses');
+
+const POLICY_FILE_NAME = '.scan-policy.json';
+const DEFAULT_SCOPE = 'default';
+
+// Without any configured policy a scan fails on every unsuppressed,
+// unpatched vulnerability, matching Snyk's own `ok` flag.
+const BUILTIN_POLICY = { severityThreshold: 'low' };
+
+const POLICY_KEYS = [
+  'version',
+  'severityThreshold',
+  'maxIssues',
+  'fixableOnly',
+  'vulnerabilities',
+  'packages',
+  'ignore',
+  'licenses',
+  'repositoryPolicy',
+];
+
+// Whether a server-side policy lets `.scan-policy.json` replace it.
+const REPOSITORY_POLICY_MODES = ['allowed', 'forbidden'];
+
+class PolicyError extends Error {
+  constructor(message, { status = 400, details } = {}) {
+    super(message);
+    this.name = 'PolicyError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string' && item.trim());
+
+const checkLists = (errors, value, key, lists) => {
+  if (value === undefined) return;
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`"${key}" must be an object.`);
+    return;
+  }
+  lists.forEach((list) => {
+    if (value[list] !== undefined && !isStringList(value[list])) {
+      errors.push(`"${key}.${list}" must be a list of strings.`);
+    }
+  });
+};
+
+/** Returns the problems found in a policy document; an empty list means it is valid. */
+const validatePolicy = (policy) => {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return ['The policy must be a JSON object.'];
+  }
+  const errors = [];
+  Object.keys(policy)
+    .filter((key) => !POLICY_KEYS.includes(key))
+    .forEach((key) => errors.push(`Unknown policy setting "${key}".`));
+
+  if (policy.severityThreshold !== undefined && policy.severityThreshold !== null
+    && !severityOrder.includes(policy.severityThreshold)) {
+    errors.push(`"severityThreshold" must be one of: ${severityOrder.join(', ')}.`);
+  }
+  if (policy.maxIssues !== undefined) {
+    if (!policy.maxIssues || typeof policy.maxIssues !== 'object' || Array.isArray(policy.maxIssues)) {
+      errors.push('"maxIssues" must map severities to counts.');
+    } else {
+      Object.entries(policy.maxIssues).forEach(([severity, limit]) => {
+        if (!severityOrder.includes(severity)) errors.push(`"maxIssues.${severity}" is not a severity.`);
+        if (!Number.isInteger(limit) || limit < 0) errors.push(`"maxIssues.${severity}" must be a non-negative integer.`);
+      });
+    }
+  }
+  if (policy.fixableOnly !== undefined && typeof policy.fixableOnly !== 'boolean') {
+    errors.push('"fixableOnly" must be true or false.');
+  }
+  if (policy.repositoryPolicy !== undefined && !REPOSITORY_POLICY_MODES.includes(policy.repositoryPolicy)) {
+    errors.push(`"repositoryPolicy" must be one of: ${REPOSITORY_POLICY_MODES.join(', ')}.`);
+  }
+  checkLists(errors, policy.vulnerabilities, 'vulnerabilities', ['allow', 'deny']);
+  checkLists(errors, policy.packages, 'packages', ['allow', 'deny']);
+  checkLists(errors, policy.licenses, 'licenses', ['allow', 'deny']);
+  ['failOnIssues', 'failOnUnknown'].forEach((flag) => {
+    if (policy.licenses?.[flag] !== undefined && typeof policy.licenses[flag] !== 'boolean') {
+      errors.push(`"licenses.${flag}" must be true or false.`);
+    }
+  });
+
+  if (policy.ignore !== undefined) {
+    if (!Array.isArray(policy.ignore)) {
+      errors.push('"ignore" must be a list.');
+    } else {
+      policy.ignore.forEach((entry, index) => {
+        if (!entry || typeof entry.id !== 'string' || !entry.id.trim()) {
+          errors.push(`"ignore[${index}].id" is required.`);
+          return;
+        }
+        if (typeof entry.reason !== 'string' || !entry.reason.trim()) {
+          errors.push(`"ignore[${index}].reason" is required.`);
+        }
+        if (entry.until !== undefined && Number.isNaN(Date.parse(entry.until))) {
+          errors.push(`"ignore[${index}].until" must be a date such as 2026-12-01.`);
+        }
+        if (entry.package !== undefined && typeof entry.package !== 'string') {
+          errors.push(`"ignore[${index}].package" must be a package name.`);
+        }
+      });
+    }
+  }
+  return errors;
+};
+
+/**
+ * Matches `name` or `name@range` (e.g. `lodash@<4.17.21`, `@scope/pkg@^2`)
+ * against a package name and version.
+ */
+const packageMatcher = (spec) => {
+  const at = spec.lastIndexOf('@');
+  const name = at > 0 ? spec.slice(0, at) : spec;
+  const range = at > 0 ? spec.slice(at + 1) : null;
+  return (packageName, version) => {
+    if (packageName !== name) return false;
+    if (!range) return true;
+    const coerced = semver.valid(version) || semver.valid(semver.coerce(version));
+    return Boolean(coerced) && semver.satisfies(coerced, range, { includePrerelease: true });
+  };
+};
+
+const sameId = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+const matchesId = (issue, id) => [issue.id, ...(issue.aliases || [])].some((value) => value && sameId(value, id));
+
+const isFixable = (issue) => (
+  (Array.isArray(issue.upgradePath) && issue.upgradePath.some(Boolean))
+  || (Array.isArray(issue.fixedIn) && issue.fixedIn.length > 0)
+);
+
+const describeFinding = (issue) => ({
+  id: issue.id,
+  title: issue.title || null,
+  severity: issue.severity || null,
+  packageName: issue.packageName || null,
+  version: issue.version || null,
+  targetFile: issue.targetFile || null,
+});
+
+const dependencyPackages = (result) => {
+  const graph = result.dependencyGraph;
+  if (graph?.packages?.length) return graph.packages;
+  const seen = new Map();
+  (result.issues || []).forEach((issue) => {
+    if (!issue.packageName) return;
+    const id = `${issue.packageName}@${issue.version || ''}`;
+    if (!seen.has(id)) seen.set(id, { id, name: issue.packageName, version: issue.version || null, license: null });
+  });
+  return Array.from(seen.values());
+};
+
+/**
+ * Applies `policy` to a formatted scan result. Returns the result's issues and
+ * license issues with a `suppressed` marker (`{ rule, reason, until }`) on the
+ * findings an ignore or allow rule covers, the license inventory with a
+ * `status` per license, plus the gate verdict:
+ * `{ status: 'passed' | 'failed', source, path, violations, warnings,
+ * suppressedCount, evaluatedAt }`. Suppressed and patched findings never fail
+ * the gate.
+ */
+const evaluatePolicy = (result, policy, { source = null, path: policyPath = null, now = new Date() } = {}) => {
+  const vulnerabilityRules = policy.vulnerabilities || {};
+  const packageRules = policy.packages || {};
+  const licenseRules = policy.licenses || {};
+  const allowedPackages = (packageRules.allow || []).map(packageMatcher);
+  const deniedPackages = (packageRules.deny || []).map((spec) => ({ spec, matches: packageMatcher(spec) }));
+  const ignores = (policy.ignore || []).map((entry) => ({
+    ...entry,
+    expired: entry.until ? Date.parse(entry.until) <= now.getTime() : false,
+    matchesPackage: entry.package ? packageMatcher(entry.package) : () => true,
+  }));
+
+  const warnings = [];
+  const expiredIgnores = new Set();
+
+  const suppressionFor = (issue) => {
+    // An expired ignore listed before a current one for the same finding
+    // must not shadow it.
+    const matching = ignores.filter((entry) => matchesId(issue, entry.id) && entry.matchesPackage(issue.packageName, issue.version));
+    const ignore = matching.find((entry) => !entry.expired);
+    if (ignore) {
+      return { rule: 'ignore', reason: ignore.reason, until: ignore.until || null };
+    }
+    matching.forEach((entry) => expiredIgnores.add(entry));
+    if ((vulnerabilityRules.allow || []).some((id) => matchesId(issue, id))) {
+      return { rule: 'allow-vulnerability', reason: 'Allowed by policy.', until: null };
+    }
+    if (allowedPackages.some((matches) => matches(issue.packageName, issue.version))) {
+      return { rule: 'allow-package', reason: `Package ${issue.packageName} is allowed by policy.`, until: null };
+    }
+    return null;
+  };
+
+  const applySuppressions = (items = []) => items.map((item) => {
+    const { suppressed, ...rest } = item;
+    const suppression = suppressionFor(rest);
+    return suppression ? { ...rest, suppressed: suppression } : rest;
+  });
+
+  const issues = applySuppressions(result.issues);
+  const licenses = applySuppressions(result.licenses);
+  const violations = [];
+
+  const open = issues.filter((issue) => !issue.suppressed);
+  const counted = open.filter((issue) => !issue.isPatched && (!policy.fixableOnly || isFixable(issue)));
+
+  if (policy.severityThreshold) {
+    const limit = severityOrder.indexOf(policy.severityThreshold);
+    const failing = counted.filter((issue) => {
+      const rank = severityOrder.indexOf(issue.severity);
+      return rank !== -1 && rank <= limit;
+    });
+    if (failing.length > 0) {
+      violations.push({
+        rule: 'severity-threshold',
+        message: `${failing.length} ${policy.fixableOnly ? 'fixable ' : ''}issue${failing.length === 1 ? '' : 's'} at or above ${policy.severityThreshold} severity.`,
+        findings: failing.map(describeFinding),
+      });
+    }
+  }
+
+  Object.entries(policy.maxIssues || {}).forEach(([severity, max]) => {
+    const matching = counted.filter((issue) => issue.severity === severity);
+    if (matching.length > max) {
+      violations.push({
+        rule: 'max-issues',
+        message: `${matching.length} ${severity} issues exceed the limit of ${max}.`,
+        findings: matching.map(describeFinding),
+      });
+    }
+  });
+
+  const deniedIssues = open.filter((issue) => (vulnerabilityRules.deny || []).some((id) => matchesId(issue, id)));
+  if (deniedIssues.length > 0) {
+    violations.push({
+      rule: 'denied-vulnerability',
+      message: `${deniedIssues.length} finding${deniedIssues.length === 1 ? '' : 's'} on the vulnerability deny list.`,
+      findings: deniedIssues.map(describeFinding),
+    });
+  }
+
+  const packages = dependencyPackages(result);
+  const deniedFound = packages.filter((pkg) => deniedPackages.some(({ matches }) => matches(pkg.name, pkg.version)));
+  if (deniedFound.length > 0) {
+    violations.push({
+      rule: 'denied-package',
+      message: `Denied package${deniedFound.length === 1 ? '' : 's'} in use: ${deniedFound.map((pkg) => pkg.id).join(', ')}.`,
+      packages: deniedFound.map((pkg) => pkg.id),
+    });
+  }
+
+  const licenseCheck = evaluateLicenseInventory(result.licenseInventory, licenseRules);
+  violations.push(...licenseCheck.violations);
+  warnings.push(...licenseCheck.warnings);
+  if (licenseRules.failOnIssues) {
+    const openLicenses = licenses.filter((item) => !item.suppressed);
+    if (openLicenses.length > 0) {
+      violations.push({
+        rule: 'license-issue',
+        message: `${openLicenses.length} license issue${openLicenses.length === 1 ? '' : 's'} reported.`,
+        findings: openLicenses.map(describeFinding),
+      });
+    }
+  }
+
+  expiredIgnores.forEach((entry) => {
+    warnings.push(`Ignore for ${entry.id} expired on ${entry.until} and no longer applies.`);
+  });
+
+  return {
+    issues,
+    licenses,
+    licenseInventory: licenseCheck.inventory,
+    policy: {
+      status: violations.length > 0 ? 'failed' : 'passed',
+      source,
+      path: policyPath,
+      violations,
+      warnings,
+      suppressedCount: [...issues, ...licenses].filter((item) => item.suppressed).length,
+      evaluatedAt: now.toISOString(),
+    },
+  };
+};
+
+/** Verdict for a policy that could not be read; the gate fails closed. */
+const invalidPolicyVerdict = ({ source, path: policyPath, errors }) => ({
+  status: 'failed',
+  source,
+  path: policyPath,
+  violations: [{ rule: 'invalid-policy', message: `The policy is invalid: ${errors.join(' ')}` }],
+  warnings: [],
+  suppressedCount: 0,
+  evaluatedAt: new Date().toISOString(),
+});
+
+const readRepositoryPolicy = async (repoDir) => {
+  if (!repoDir) return null;
+  let text;
+  try {
+    text = await fs.readFile(path.join(repoDir, POLICY_FILE_NAME), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  try {
+    const policy = JSON.parse(text);
+    return { policy, errors: validatePolicy(policy) };
+  } catch (err) {
+    return { policy: null, errors: [`${POLICY_FILE_NAME} is not valid JSON: ${err.message}`] };
+  }
+};
+
+const normalizeScope = (scope) => (scope === DEFAULT_SCOPE ? DEFAULT_SCOPE : toRepoKey(scope));
+
+const scopeId = (scope) => (scope === DEFAULT_SCOPE
+  ? DEFAULT_SCOPE
+  : `repo-${crypto.createHash('sha256').update(scope).digest('hex').slice(0, 32)}`);
+
+/**
+ * Server-side policies: one per repository (keyed like scan history) and an
+ * optional `default` applied to repositories without their own.
+ */
+class PolicyStore {
+  constructor(storage) {
+    this.policies = storage.collection('policies');
+  }
+
+  async list() {
+    const records = await this.policies.list();
+    return records.sort((a, b) => String(a.scope).localeCompare(String(b.scope)));
+  }
+
+  async get(scope) {
+    return this.policies.get(scopeId(normalizeScope(scope)));
+  }
+
+  async set(scope, policy) {
+    const errors = validatePolicy(policy);
+    if (errors.length > 0) {
+      throw new PolicyError('Invalid policy.', { details: errors.join(' ') });
+    }
+    const normalized = normalizeScope(scope);
+    if (!normalized) throw new PolicyError('A repository or "default" scope is required.');
+    const id = scopeId(normalized);
+    const record = { scope: normalized, policy, updatedAt: new Date().toISOString() };
+    const existing = await this.policies.get(id);
+    return existing ? this.policies.update(id, record) : this.policies.insert({ id, ...record });
+  }
+
+  async remove(scope) {
+    return this.policies.remove(scopeId(normalizeScope(scope)));
+  }
+
+  /**
+   * Replaces only the `licenses` section of a scope's policy. A new policy
+   * starts from the server default (or the built-in policy) so that setting
+   * license rules does not drop the vulnerability gate.
+   */
+  async setLicenseRules(scope, rules) {
+    const existing = await this.get(scope) || await this.policies.get(DEFAULT_SCOPE);
+    return this.set(scope, { ...(existing?.policy || BUILTIN_POLICY), licenses: rules });
+  }
+
+  /**
+   * Picks the policy for a scan: `.scan-policy.json` in the repository, then
+   * the server-side policy for the repository, then the server default, then
+   * the built-in policy. When the repository's server-side policy, or else the
+   * server default, sets `repositoryPolicy: 'forbidden'`, the repository file
+   * is not read. Resolves with `{ policy, source, path }`, or with
+   * `{ errors, source, path }` when the chosen policy is invalid.
+   */
+  async resolve({ repoDir, repoUrl }) {
+    const [forRepo, fallback] = await Promise.all([this.get(repoUrl), this.policies.get(DEFAULT_SCOPE)]);
+    const repositoryPolicy = forRepo?.policy.repositoryPolicy || fallback?.policy.repositoryPolicy || 'allowed';
+
+    const fromRepo = repositoryPolicy === 'allowed' ? await readRepositoryPolicy(repoDir) : null;
+    if (fromRepo) {
+      return fromRepo.errors.length > 0
+        ? { errors: fromRepo.errors, source: 'repository', path: POLICY_FILE_NAME }
+        : { policy: fromRepo.policy, source: 'repository', path: POLICY_FILE_NAME };
+    }
+    if (forRepo) return { policy: forRepo.policy, source: 'server', path: null };
+    if (fallback) return { policy: fallback.policy, source: 'server-default', path: null };
+    return { policy: BUILTIN_POLICY, source: 'builtin', path: null };
+  }
+}
+
+module.exports = {
+  BUILTIN_POLICY,
+  POLICY_FILE_NAME,
+  PolicyError,
+  PolicyStore,
+  evaluatePolicy,
+  invalidPolicyVerdict,
+  validatePolicy,
+};
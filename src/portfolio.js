@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { ScanError } = require('./errors');
+const { DEFAULT_SCANNERS } = require('./scanners');
+const { severityOrder, severityRank } = require('./scanners/normalize');
+const { providerFor } = require('./hosts/providers');
+const { toRepoKey } = require('./scanHistory');
+const { TERMINAL_STATUSES } = require('./scanQueue');
+const { stripUrlCredentials } = require('./redact');
+
+const MAX_IMPORT = Number(process.env.PORTFOLIO_MAX_REPOS) || 500;
+const MAX_LISTED_REPOS = 20;
+
+const toPublicView = (repo) => ({ ...repo, repoUrl: stripUrlCredentials(repo.repoUrl) });
+
+// Pasted lists may separate URLs with newlines, commas or spaces.
+const splitRepoList = (text) => String(text || '')
+  .split(/[\s,]+/)
+  .map((item) => item.trim())
+  .filter(Boolean);
+
+/**
+ * A portfolio of repositories scanned and reported on together.
+ *
+ * Repositories live in the `portfolio` collection as `{ id, repoUrl,
+ * repoKey, name, source, addedAt, lastJobId }`; their results are the latest
+ * scans stored for their `repoKey`, whatever started them. Repositories are
+ * added from a pasted list or from an organization listed through the
+ * remediation providers, and scanned in batch through the scan queue.
+ */
+class Portfolio {
+  constructor({
+    storage,
+    scanHistory,
+    scanQueue,
+    credentialStore,
+  }) {
+    this.repos = storage.collection('portfolio');
+    this.scanHistory = scanHistory;
+    this.scanQueue = scanQueue;
+    this.credentialStore = credentialStore;
+  }
+
+  /**
+   * Adds repositories that are not in the portfolio yet. Each entry is a URL
+   * or `{ repoUrl, name }`. Resolves with `{ added, skipped }`, where skipped
+   * entries carry a `reason`.
+   */
+  async add(entries, { source = 'manual' } = {}) {
+    const existing = await this.repos.list();
+    const known = new Set(existing.map((repo) => repo.repoKey));
+    const added = [];
+    const skipped = [];
+
+    for (const entry of entries) {
+      const repoUrl = typeof entry === 'string' ? entry : entry?.repoUrl;
+      const label = stripUrlCredentials(repoUrl || '');
+      const repoKey = typeof repoUrl === 'string' ? toRepoKey(repoUrl) : '';
+      if (!repoKey || !repoKey.includes('/')) {
+        skipped.push({ repoUrl: label, reason: 'Not a repository URL.' });
+      } else if (known.has(repoKey)) {
+        skipped.push({ repoUrl: label, reason: 'Already in the portfolio.' });
+      } else if (known.size >= MAX_IMPORT) {
+        skipped.push({ repoUrl: label, reason: `The portfolio is limited to ${MAX_IMPORT} repositories.` });
+      } else {
+        known.add(repoKey);
+        added.push(await this.repos.insert({
+          id: crypto.randomUUID(),
+          repoUrl,
+          repoKey,
+          name: (typeof entry === 'object' && entry.name) || repoKey.split('/').slice(1).join('/') || repoKey,
+          source,
+          addedAt: new Date().toISOString(),
+          lastJobId: null,
+        }));
+      }
+    }
+    return { added: added.map(toPublicView), skipped };
+  }
+
+  /** Adds the repositories of a newline, comma or space separated list of URLs. */
+  async addList(text) {
+    return this.add(splitRepoList(text));
+  }
+
+  /**
+   * Adds every repository of the organization at `ownerUrl` (for example
+   * `https://github.com/acme`), listed by its host's provider with the API
+   * token stored for the host. Archived repositories are skipped unless
+   * `includeArchived` is set.
+   */
+  async importOrganization(ownerUrl, { includeArchived = false, signal } = {}) {
+    const apiToken = await this.credentialStore.resolveApiToken(ownerUrl);
+    const provider = providerFor(ownerUrl, apiToken?.provider);
+    const listed = await provider.listRepositories({ ownerUrl, token: apiToken?.token, signal });
+    if (!listed) {
+      throw new ScanError('Unable to list the repositories of this organization.', {
+        status: 400,
+        details: 'Organizations can be imported from GitHub, GitLab, Bitbucket and Gitea.',
+      });
+    }
+    const archived = includeArchived ? [] : listed.filter((repo) => repo.archived);
+    const result = await this.add(listed.filter((repo) => !archived.includes(repo)), { source: provider.id });
+    return {
+      ...result,
+      skipped: [...archived.map((repo) => ({ repoUrl: repo.repoUrl, reason: 'Archived.' })), ...result.skipped],
+      provider: provider.id,
+      listed: listed.length,
+    };
+  }
+
+  async remove(id) {
+    return this.repos.remove(id);
+  }
+
+  /** Queues a scan of every repository (or of `ids`) without one in flight. */
+  async scanAll({ ids } = {}) {
+    const repos = await this.repos.list((repo) => !ids || ids.includes(repo.id));
+    const jobs = [];
+    for (const repo of repos) {
+      const current = repo.lastJobId && this.scanQueue.get(repo.lastJobId);
+      if (current && !TERMINAL_STATUSES.has(current.status)) {
+        jobs.push(current);
+      } else {
+        const job = this.scanQueue.submit({ repoUrl: repo.repoUrl, scanners: DEFAULT_SCANNERS });
+        await this.repos.update(repo.id, { lastJobId: job.id });
+        jobs.push(job);
+      }
+    }
+    return jobs;
+  }
+
+  /**
+   * Every repository with its latest stored scan and the job in flight, if
+   * any, plus portfolio-wide totals.
+   */
+  async overview() {
+    const [repos, latest] = await Promise.all([this.repos.list(), this.scanHistory.latestByRepo()]);
+    const rows = repos
+      .sort((a, b) => String(a.addedAt).localeCompare(String(b.addedAt)))
+      .map((repo) => {
+        const job = repo.lastJobId ? this.scanQueue.get(repo.lastJobId) : null;
+        return {
+          ...toPublicView(repo),
+          latestScan: latest.get(repo.repoKey) || null,
+          job: job ? { id: job.id, status: job.status, position: job.position } : null,
+        };
+      });
+
+    const totals = {
+      repos: rows.length,
+      scanned: 0,
+      failing: 0,
+      vulnerable: 0,
+      summary: Object.fromEntries(severityOrder.map((severity) => [severity, 0])),
+    };
+    rows.forEach(({ latestScan }) => {
+      if (!latestScan) return;
+      totals.scanned += 1;
+      if (latestScan.gate === 'failed') totals.failing += 1;
+      if (latestScan.issueCount > 0) totals.vulnerable += 1;
+      severityOrder.forEach((severity) => {
+        totals.summary[severity] += latestScan.summary?.[severity] || 0;
+      });
+    });
+    return { repos: rows, totals };
+  }
+
+  /**
+   * Vulnerable package versions found in the latest scans of at least
+   * `minRepos` portfolio repositories, most widespread first. Suppressed
+   * findings are left out.
+   */
+  async sharedPackages({ minRepos = 2 } = {}) {
+    const [repos, latest] = await Promise.all([this.repos.list(), this.scanHistory.latestByRepo()]);
+    const records = await Promise.all(repos.map((repo) => {
+      const summary = latest.get(repo.repoKey);
+      return summary ? this.scanHistory.get(summary.id) : null;
+    }));
+    const packages = new Map();
+
+    repos.forEach((repo, index) => {
+      const record = records[index];
+      (record?.result?.issues || [])
+        .filter((issue) => !issue.suppressed && issue.packageName)
+        .forEach((issue) => {
+          const key = `${issue.packageName}@${issue.version}`;
+          if (!packages.has(key)) {
+            packages.set(key, {
+              packageName: issue.packageName,
+              version: issue.version,
+              severity: issue.severity,
+              vulnerabilities: new Set(),
+              repos: new Map(),
+            });
+          }
+          const entry = packages.get(key);
+          if (severityRank(issue.severity) < severityRank(entry.severity)) entry.severity = issue.severity;
+          entry.vulnerabilities.add(issue.id);
+          entry.repos.set(repo.repoKey, { repoKey: repo.repoKey, name: repo.name, scanId: record.id });
+        });
+    });
+
+    return Array.from(packages.values())
+      .filter((entry) => entry.repos.size >= minRepos)
+      .map((entry) => ({
+        packageName: entry.packageName,
+        version: entry.version,
+        severity: entry.severity,
+        vulnerabilities: Array.from(entry.vulnerabilities).sort(),
+        repoCount: entry.repos.size,
+        repos: Array.from(entry.repos.values()).slice(0, MAX_LISTED_REPOS),
+      }))
+      .sort((a, b) => b.repoCount - a.repoCount
+        || severityRank(a.severity) - severityRank(b.severity)
+        || a.packageName.localeCompare(b.packageName));
+  }
+}
+
+module.exports = { Portfolio };
@@ -0,0 +1,127 @@
+const { severityRank } = require('./scanners/normalize');
+
+// Scores used when an engine reports no CVSS score, on the same 0-10 scale.
+const CVSS_BY_SEVERITY = {
+  critical: 9.5,
+  high: 8.0,
+  medium: 5.5,
+  low: 2.0,
+};
+
+// Snyk's exploit maturity levels, normalized to lowercase.
+const EXPLOIT_POINTS = {
+  mature: 20,
+  attacked: 20,
+  'proof of concept': 12,
+  'no known exploit': 0,
+  'no data': 0,
+  'not defined': 0,
+};
+
+const REACHABILITY_POINTS = {
+  reachable: 15,
+  'potentially-reachable': 5,
+  'no-path-found': -15,
+  'not-reachable': -15,
+};
+
+const FIX_POINTS = 10;
+const PATCHED_POINTS = -20;
+const DIRECT_POINTS = 5;
+const MAX_DEPTH_PENALTY = 5;
+
+const PRIORITY_LEVELS = [
+  { level: 'urgent', min: 75 },
+  { level: 'high', min: 55 },
+  { level: 'medium', min: 35 },
+  { level: 'low', min: 0 },
+];
+
+const normalizeKey = (value) => String(value || '').trim().toLowerCase();
+
+const hasUpgrade = (issue) => (
+  (Array.isArray(issue.upgradePath) && issue.upgradePath.some(Boolean))
+  || (Array.isArray(issue.fixedIn) && issue.fixedIn.length > 0)
+);
+
+/**
+ * Computes a 0-100 priority score for an issue from its CVSS score (half of
+ * the scale), exploit maturity, reachability, whether a fix is available and
+ * how deep in the dependency tree the vulnerable package sits. Returns
+ * `{ score, level, factors }`, where `factors` lists each contribution as
+ * `{ factor, label, points }` so the ranking can be explained.
+ */
+const scoreIssue = (issue) => {
+  const factors = [];
+  const hasCvss = typeof issue.cvssScore === 'number' && !Number.isNaN(issue.cvssScore);
+  const cvss = hasCvss ? issue.cvssScore : CVSS_BY_SEVERITY[issue.severity] ?? CVSS_BY_SEVERITY.medium;
+  factors.push({
+    factor: 'cvss',
+    label: hasCvss ? `CVSS ${cvss.toFixed(1)}` : `${issue.severity || 'unknown'} severity (no CVSS score)`,
+    points: cvss * 5,
+  });
+
+  const exploit = normalizeKey(issue.exploitMaturity);
+  if (exploit && EXPLOIT_POINTS[exploit] !== undefined) {
+    factors.push({ factor: 'exploit', label: `Exploit maturity: ${issue.exploitMaturity}`, points: EXPLOIT_POINTS[exploit] });
+  }
+
+  const reachability = normalizeKey(issue.reachability).replace(/[_\s]+/g, '-');
+  if (REACHABILITY_POINTS[reachability] !== undefined) {
+    factors.push({ factor: 'reachability', label: `Reachability: ${reachability}`, points: REACHABILITY_POINTS[reachability] });
+  }
+
+  // A patched issue is already mitigated; an available upgrade makes an
+  // issue cheap to act on.
+  if (issue.isPatched) {
+    factors.push({ factor: 'fix', label: 'Already patched', points: PATCHED_POINTS });
+  } else if (hasUpgrade(issue)) {
+    factors.push({ factor: 'fix', label: 'Upgrade available', points: FIX_POINTS });
+  } else {
+    factors.push({ factor: 'fix', label: 'No fix available', points: 0 });
+  }
+
+  const depth = Array.isArray(issue.from) && issue.from.length > 1 ? issue.from.length - 1 : null;
+  if (depth === 1) {
+    factors.push({ factor: 'depth', label: 'Direct dependency', points: DIRECT_POINTS });
+  } else if (depth) {
+    factors.push({
+      factor: 'depth',
+      label: `Transitive dependency (depth ${depth})`,
+      points: -Math.min(depth - 1, MAX_DEPTH_PENALTY),
+    });
+  }
+
+  const total = factors.reduce((sum, item) => sum + item.points, 0);
+  const score = Math.max(0, Math.min(100, Math.round(total)));
+  const { level } = PRIORITY_LEVELS.find((entry) => score >= entry.min);
+  return { score, level, factors };
+};
+
+/**
+ * Attaches `priority` to every issue and returns them ordered by score,
+ * highest first. Ties keep severity order, then the original order.
+ */
+const prioritizeIssues = (issues = []) => {
+  return issues
+    .map((issue, index) => ({ issue: { ...issue, priority: scoreIssue(issue) }, index }))
+    .sort((a, b) => (
+      b.issue.priority.score - a.issue.priority.score
+      || severityRank(a.issue.severity) - severityRank(b.issue.severity)
+      || a.index - b.index
+    ))
+    .map(({ issue }) => issue);
+};
+
+// Stored results from before scoring existed have no `priority` yet.
+const prioritizedIssues = (issues = []) => (
+  issues.every((issue) => issue.priority) ? issues : prioritizeIssues(issues)
+);
+
+module.exports = {
+  CVSS_BY_SEVERITY,
+  PRIORITY_LEVELS,
+  prioritizeIssues,
+  prioritizedIssues,
+  scoreIssue,
+};
@@ -0,0 +1,24 @@
+const REDACTED = '[REDACTED]';
+
+/** Removes `user:password@` from URLs embedded anywhere in `text`. */
+const stripUrlCredentials = (text) => String(text ?? '')
+  .replace(/([a-z][a-z0-9+.-]*:\/\/)[^\s/@]+@/gi, '$1');
+
+/**
+ * Replaces every occurrence of the given secrets (and their base64 encodings,
+ * as used in HTTP basic auth headers) with a placeholder, and strips
+ * credentials embedded in URLs.
+ */
+const redactSecrets = (text, secrets = []) => {
+  if (text === null || text === undefined) return text;
+  let output = stripUrlCredentials(text);
+  secrets
+    .filter((secret) => typeof secret === 'string' && secret.length >= 4)
+    .sort((a, b) => b.length - a.length)
+    .forEach((secret) => {
+      output = output.split(secret).join(REDACTED);
+    });
+  return output;
+};
+
+module.exports = { redactSecrets, stripUrlCredentials };
@@ -0,0 +1,526 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs/promises');
+const crypto = require('crypto');
+const { ScanError } = require('../errors');
+const { checkoutRepository, createGitClient, isValidRef } = require('../repository');
+const { redactSecrets } = require('../redact');
+const { rescanWorkspace } = require('../scanPipeline');
+const { TERMINAL_STATUSES, serializeError } = require('../scanQueue');
+const { DEFAULT_SCANNERS } = require('../scanners');
+const { applyUpgrades, planUpgrades, updateLockfiles } = require('./upgrades');
+const { listProviders, providerFor } = require('../hosts/providers');
+
+const MAX_LOG_LINES = 200;
+const CONCURRENCY = Math.max(1, Number(process.env.REMEDIATION_CONCURRENCY) || 1);
+const FULL_SHA_PATTERN = /^[0-9a-f]{40}$/i;
+
+// Fix commits are authored by the scanner rather than whoever runs the server.
+const COMMIT_IDENTITY = {
+  GIT_AUTHOR_NAME: process.env.REMEDIATION_AUTHOR_NAME || 'Snyk Scanner',
+  GIT_AUTHOR_EMAIL: process.env.REMEDIATION_AUTHOR_EMAIL || 'snyk-scanner@localhost',
+  GIT_COMMITTER_NAME: process.env.REMEDIATION_AUTHOR_NAME || 'Snyk Scanner',
+  GIT_COMMITTER_EMAIL: process.env.REMEDIATION_AUTHOR_EMAIL || 'snyk-scanner@localhost',
+};
+
+const issueKey = (issue) => `${issue.id}|${issue.packageName}`;
+
+const cleanUpDir = async (dirPath) => {
+  if (!dirPath) return;
+  await fs.rm(dirPath, { recursive: true, force: true }).catch(() => {});
+};
+
+// Git and package manager failures surface as plain errors; they become
+// ScanErrors so callers get a status and redacted details.
+const toScanError = (err, message, secrets = []) => (err instanceof ScanError
+  ? err
+  : new ScanError(message, { status: 502, details: redactSecrets(err.stderr || err.message, secrets) }));
+
+const describeIssue = (issue) => `- ${issue.id}: ${issue.title || issue.packageName} (${issue.severity || 'unknown'})`;
+
+/**
+ * Commit message for a fix: a subject naming the upgraded packages, then the
+ * upgrades and the vulnerability ids the verification scan no longer reports.
+ */
+const buildCommitMessage = (applied, verification) => {
+  const names = Array.from(new Set(applied.map((upgrade) => upgrade.name)));
+  const resolved = verification.resolved.length;
+  const subject = [
+    `fix: upgrade ${names.length <= 3 ? names.join(', ') : `${names.length} dependencies`}`,
+    resolved > 0 ? ` to resolve ${resolved} ${resolved === 1 ? 'vulnerability' : 'vulnerabilities'}` : '',
+  ].join('');
+
+  const lines = [subject, '', 'Upgrades:'];
+  applied.forEach((upgrade) => {
+    const manifest = upgrade.manifest === 'package.json' ? '' : ` in ${upgrade.manifest}`;
+    lines.push(`- ${upgrade.name} ${upgrade.from || '(unpinned)'} -> ${upgrade.to}${manifest}`);
+  });
+  if (verification.status === 'completed') {
+    if (verification.resolved.length > 0) {
+      lines.push('', 'Resolves:', ...verification.resolved.map(describeIssue));
+    }
+    if (verification.remaining.length > 0) {
+      lines.push('', 'Still reported after the upgrade:', ...verification.remaining.map(describeIssue));
+    }
+  } else {
+    lines.push('', 'Addresses (not verified, the verification scan failed):', ...verification.remaining.map(describeIssue));
+  }
+  return { subject, message: `${lines.join('\n')}\n` };
+};
+
+/**
+ * Generates fix branches for stored scans and publishes them.
+ *
+ * `create` queues a background job that reuses the scan's retained workspace
+ * (or clones the scanned commit again), bumps every dependency an issue's
+ * `upgradePath` names, regenerates the lockfiles, re-runs the scan's engines
+ * to check which vulnerabilities are gone and commits the result on a new
+ * branch. The remediation record carries the job's `status` (`queued`,
+ * `running`, `completed`, `failed` or `cancelled`) and, once completed, the
+ * commit, also kept as a patch. `push` sends the branch to the repository
+ * through its provider and opens a pull request when the provider supports it
+ * and an access token is stored for the host.
+ */
+class RemediationService {
+  constructor({
+    storage,
+    scanHistory,
+    workspaces,
+    credentialStore,
+    concurrency = CONCURRENCY,
+  }) {
+    this.records = storage.collection('remediations');
+    this.scanHistory = scanHistory;
+    this.workspaces = workspaces;
+    this.credentialStore = credentialStore;
+    this.concurrency = concurrency;
+    this.pending = [];
+    this.active = 0;
+    this.controllers = new Map();
+  }
+
+  listProviders() {
+    return listProviders();
+  }
+
+  // Jobs only run in the process that queued them; one left unfinished by a
+  // restart is reported as failed.
+  toPublicView({ patch, ...record }) {
+    if (record.status && !TERMINAL_STATUSES.has(record.status) && !this.controllers.has(record.id)) {
+      return {
+        ...record,
+        status: 'failed',
+        error: { error: 'The server restarted before the fix branch was generated.', httpStatus: 500 },
+      };
+    }
+    return record;
+  }
+
+  async get(id) {
+    const record = await this.records.get(id);
+    return record ? this.toPublicView(record) : null;
+  }
+
+  async getPatch(id) {
+    const record = await this.records.get(id);
+    return record ? { branch: record.branch, patch: record.patch || null } : null;
+  }
+
+  async listForScan(scanId) {
+    const records = await this.records.list((record) => record.scanId === scanId);
+    return records
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+      .map((record) => this.toPublicView(record));
+  }
+
+  /**
+   * Runs `task(workspace)` in the scan's retained workspace, cloning the
+   * scanned commit into a new one when it has expired.
+   */
+  async withCheckout(scan, { signal, onLine }, task) {
+    if (this.workspaces?.has(scan.id)) {
+      const result = await this.workspaces.use(scan.id, task);
+      if (result) return result;
+    }
+
+    const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'snyk-fix-'));
+    const workspace = {
+      baseDir,
+      repoDir: path.join(baseDir, 'repo'),
+      repoUrl: scan.repoUrl,
+      ref: scan.ref,
+      commitSha: scan.commitSha,
+      scanners: null,
+    };
+    try {
+      onLine(`Cloning ${scan.repoUrl} at ${scan.commitSha || scan.ref || 'the default branch'}`);
+      const credential = this.credentialStore ? await this.credentialStore.resolveFor(scan.repoUrl) : null;
+      await this.withAuth(credential, (auth) => checkoutRepository({
+        repoUrl: scan.repoUrl,
+        repoDir: workspace.repoDir,
+        ref: scan.commitSha || scan.ref || undefined,
+        signal,
+        onLine,
+        auth,
+        secrets: credential?.secrets,
+      }));
+    } catch (err) {
+      await cleanUpDir(baseDir);
+      throw err;
+    }
+
+    if (!this.workspaces?.enabled) {
+      try {
+        return await task(workspace);
+      } finally {
+        await cleanUpDir(baseDir);
+      }
+    }
+    await this.workspaces.retain(scan.id, workspace);
+    return this.workspaces.use(scan.id, task);
+  }
+
+  // Key files for SSH credentials only exist while `task` runs.
+  async withAuth(credential, task) {
+    if (!credential) return task(undefined);
+    const authDir = await fs.mkdtemp(path.join(os.tmpdir(), 'snyk-auth-'));
+    try {
+      return await task(await credential.prepare(authDir));
+    } finally {
+      await cleanUpDir(authDir);
+    }
+  }
+
+  /**
+   * Queues a fix branch for the stored scan `scanId`. `packages` limits the
+   * fix to issues in those packages; `branch` overrides the generated branch
+   * name. Resolves with the queued remediation; poll `get` for its status.
+   */
+  async create(scanId, { branch, packages } = {}) {
+    const scan = await this.scanHistory.get(scanId);
+    if (!scan) throw new ScanError('Scan not found.', { status: 404 });
+    if (branch !== undefined && (!isValidRef(branch) || FULL_SHA_PATTERN.test(branch))) {
+      throw new ScanError('Invalid branch name.', { status: 400, details: `"${branch}" is not a valid branch name.` });
+    }
+
+    const candidates = (scan.result?.issues || []).filter((issue) => (
+      !issue.suppressed && (!packages || packages.includes(issue.packageName))
+    ));
+    const { upgrades, unresolvable } = planUpgrades(candidates);
+    if (upgrades.length === 0) {
+      throw new ScanError('No issue in this scan has an upgrade path.', { status: 422, details: unresolvable });
+    }
+
+    const id = crypto.randomUUID();
+    const record = await this.records.insert({
+      id,
+      scanId,
+      repoUrl: scan.repoUrl,
+      baseRef: scan.ref || null,
+      baseSha: scan.commitSha || null,
+      branch: branch || `snyk-fix/${id.slice(0, 8)}`,
+      status: 'queued',
+      commitSha: null,
+      commitMessage: null,
+      upgrades: [],
+      skipped: [],
+      unresolvable,
+      lockfiles: [],
+      verification: null,
+      patch: null,
+      push: null,
+      error: null,
+      log: [],
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+    });
+
+    const controller = new AbortController();
+    this.controllers.set(id, controller);
+    this.pending.push({
+      record, scan, upgrades, controller,
+    });
+    this.drain();
+    return this.toPublicView(record);
+  }
+
+  /** Cancels a queued or running remediation. Resolves with it, or null when unknown. */
+  async cancel(id) {
+    const record = await this.records.get(id);
+    if (!record) return null;
+    const controller = this.controllers.get(id);
+    if (!controller) return this.toPublicView(record);
+    const queued = this.pending.find((job) => job.record.id === id);
+    if (queued) {
+      this.pending = this.pending.filter((job) => job !== queued);
+      this.controllers.delete(id);
+      return this.toPublicView(await this.records.update(id, { status: 'cancelled', finishedAt: new Date().toISOString() }));
+    }
+    controller.abort();
+    return this.toPublicView(record);
+  }
+
+  drain() {
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      this.run(this.pending.shift());
+    }
+  }
+
+  async run({
+    record, scan, upgrades, controller,
+  }) {
+    this.active += 1;
+    const { id, branch } = record;
+    const { signal } = controller;
+    const log = [];
+    const onLine = (line) => {
+      log.push(line);
+      if (log.length > MAX_LOG_LINES) log.shift();
+    };
+    try {
+      await this.records.update(id, { status: 'running', startedAt: new Date().toISOString() });
+      const outcome = await this.generate(scan, { branch, upgrades, signal, onLine });
+      await this.records.update(id, {
+        ...outcome,
+        status: 'completed',
+        log,
+        finishedAt: new Date().toISOString(),
+      });
+    } catch (err) {
+      await this.records.update(id, {
+        status: signal.aborted ? 'cancelled' : 'failed',
+        error: signal.aborted ? null : serializeError(toScanError(err, 'Fix generation failed.')),
+        log,
+        finishedAt: new Date().toISOString(),
+      }).catch(() => {});
+    } finally {
+      this.controllers.delete(id);
+      this.active -= 1;
+      this.drain();
+    }
+  }
+
+  // Commits the upgrades on `branch` and returns the fields the remediation
+  // record stores for them.
+  async generate(scan, {
+    branch, upgrades, signal, onLine,
+  }) {
+    const outcome = await this.withCheckout(scan, { signal, onLine }, async (workspace) => {
+      const git = createGitClient({ baseDir: workspace.repoDir, signal, auth: { env: COMMIT_IDENTITY } });
+      await git.checkout(['-f', '-B', branch, scan.commitSha || 'HEAD']);
+
+      const { manifests, applied, skipped } = await applyUpgrades(workspace.repoDir, upgrades);
+      if (applied.length === 0) {
+        throw new ScanError('None of the upgrades could be applied.', {
+          status: 422,
+          details: skipped.map((upgrade) => upgrade.reason),
+        });
+      }
+      let lockfiles;
+      try {
+        lockfiles = await updateLockfiles(workspace.repoDir, manifests, { signal, onLine });
+      } catch (err) {
+        signal?.throwIfAborted();
+        throw new ScanError('Lockfile update failed.', { status: 502, details: err.stderr || err.message });
+      }
+      await git.add([...manifests, ...lockfiles]);
+      const staged = await git.diff(['--cached', '--name-only']);
+      if (!staged.trim()) {
+        throw new ScanError('The upgrades did not change any file.', { status: 422 });
+      }
+
+      const targeted = applied.flatMap((upgrade) => upgrade.issues);
+      const verification = await this.verify(workspace, scan, targeted, { signal, onLine });
+      const { message } = buildCommitMessage(applied, verification);
+      await git.commit(message);
+      const commitSha = (await git.revparse(['HEAD'])).trim();
+      const patch = await git.raw(['format-patch', '-1', '--stdout', 'HEAD']);
+      return {
+        applied,
+        skipped,
+        lockfiles,
+        verification,
+        commitSha,
+        message,
+        patch,
+      };
+    });
+
+    const expand = (refs) => refs.map((ref) => ({
+      id: ref.id,
+      packageName: ref.packageName,
+      title: ref.title || null,
+      severity: ref.severity || null,
+    }));
+
+    return {
+      commitSha: outcome.commitSha,
+      commitMessage: outcome.message,
+      upgrades: outcome.applied.map(({ issues, ...upgrade }) => ({ ...upgrade, issues: expand(issues) })),
+      skipped: outcome.skipped.map(({ issues, ...upgrade }) => upgrade),
+      lockfiles: outcome.lockfiles,
+      verification: {
+        ...outcome.verification,
+        resolved: expand(outcome.verification.resolved),
+        remaining: expand(outcome.verification.remaining),
+      },
+      patch: outcome.patch,
+    };
+  }
+
+  // Re-runs the engines of the original scan; a failing verification is
+  // recorded rather than discarding the fix.
+  async verify(workspace, scan, targeted, { signal, onLine }) {
+    const completed = (scan.result?.scanners || [])
+      .filter((run) => run.status === 'completed')
+      .map((run) => run.id);
+    const scanners = workspace.scanners || (completed.length > 0 ? completed : DEFAULT_SCANNERS);
+    try {
+      onLine(`Verifying with ${scanners.join(', ')}`);
+      const result = await rescanWorkspace({ repoDir: workspace.repoDir, repoUrl: scan.repoUrl, scanners }, {
+        signal,
+        onLine,
+      });
+      const after = new Set(result.issues.map(issueKey));
+      const before = new Set((scan.result?.issues || []).map(issueKey));
+      return {
+        status: 'completed',
+        scanners,
+        resolved: targeted.filter((issue) => !after.has(issueKey(issue))),
+        remaining: targeted.filter((issue) => after.has(issueKey(issue))),
+        introduced: result.issues
+          .filter((issue) => !before.has(issueKey(issue)))
+          .map((issue) => ({
+            id: issue.id, packageName: issue.packageName, title: issue.title, severity: issue.severity,
+          })),
+        summary: result.summary,
+      };
+    } catch (err) {
+      signal?.throwIfAborted();
+      onLine(`Verification failed: ${err.message}`);
+      return {
+        status: 'failed',
+        scanners,
+        error: err.message,
+        resolved: [],
+        remaining: targeted,
+        introduced: [],
+        summary: null,
+      };
+    }
+  }
+
+  /**
+   * Pushes a remediation's branch to the scanned repository and, with
+   * `pullRequest`, opens a pull request against `base` (default: the scanned
+   * branch). Resolves with the updated remediation.
+   */
+  async push(id, { pullRequest = true, base, signal } = {}) {
+    const remediation = await this.records.get(id);
+    if (!remediation) throw new ScanError('Remediation not found.', { status: 404 });
+    if (remediation.status && remediation.status !== 'completed') {
+      throw new ScanError('The fix branch has not been generated.', {
+        status: 409,
+        details: `The remediation is ${this.toPublicView(remediation).status}.`,
+      });
+    }
+    const scan = await this.scanHistory.get(remediation.scanId);
+    if (!scan) throw new ScanError('The scan this fix was generated from is no longer stored.', { status: 404 });
+
+    const baseBranch = base || (FULL_SHA_PATTERN.test(remediation.baseRef || '') ? null : remediation.baseRef);
+    if (pullRequest && (!baseBranch || !isValidRef(baseBranch))) {
+      throw new ScanError('A base branch is required to open a pull request.', {
+        status: 400,
+        details: 'The scan did not check out a branch; pass `base`.',
+      });
+    }
+
+    const apiToken = this.credentialStore ? await this.credentialStore.resolveApiToken(scan.repoUrl) : null;
+    const credential = this.credentialStore ? await this.credentialStore.resolveFor(scan.repoUrl) : null;
+    const secrets = [...(credential?.secrets || []), ...(apiToken ? [apiToken.token] : [])];
+    const provider = providerFor(scan.repoUrl, apiToken?.provider);
+    const onLine = () => {};
+
+    const commitSha = await this.withCheckout(scan, { signal, onLine }, async (workspace) => {
+      let sha;
+      try {
+        sha = await this.restoreBranch(workspace, remediation, signal);
+      } catch (err) {
+        signal?.throwIfAborted();
+        throw toScanError(err, 'Failed to restore the fix branch.', secrets);
+      }
+      try {
+        await this.withAuth(credential, (auth) => provider.push({
+          repoDir: workspace.repoDir,
+          repoUrl: scan.repoUrl,
+          branch: remediation.branch,
+          auth,
+          signal,
+        }));
+      } catch (err) {
+        signal?.throwIfAborted();
+        throw new ScanError('Failed to push the fix branch.', { status: 502, details: redactSecrets(err.message, secrets) });
+      }
+      return sha;
+    });
+
+    const [subject] = remediation.commitMessage.split('\n');
+    let pull = null;
+    let message = `Pushed ${remediation.branch} to ${provider.label}.`;
+    if (pullRequest && provider.id !== 'git' && !apiToken) {
+      message += ' No access token is stored for this host, so no pull request was opened.';
+    } else if (pullRequest) {
+      try {
+        pull = await provider.openPullRequest({
+          repoUrl: scan.repoUrl,
+          branch: remediation.branch,
+          base: baseBranch,
+          title: subject,
+          body: remediation.commitMessage.split('\n').slice(2).join('\n'),
+          token: apiToken?.token,
+          signal,
+        });
+      } catch (err) {
+        if (err instanceof ScanError) err.details = redactSecrets(err.details, secrets);
+        throw toScanError(err, 'Failed to open the pull request.', secrets);
+      }
+      if (!pull) message += ` ${provider.label} cannot open pull requests.`;
+    }
+
+    const updated = await this.records.update(id, {
+      commitSha,
+      push: {
+        provider: provider.id,
+        branch: remediation.branch,
+        base: baseBranch,
+        pushedAt: new Date().toISOString(),
+        pullRequest: pull,
+        message,
+      },
+    });
+    return this.toPublicView(updated);
+  }
+
+  // Puts the fix branch back on its commit, replaying the stored patch when
+  // the workspace was cloned again and no longer has it.
+  async restoreBranch(workspace, remediation, signal) {
+    const git = createGitClient({ baseDir: workspace.repoDir, signal, auth: { env: COMMIT_IDENTITY } });
+    const hasCommit = await git.raw(['cat-file', '-e', `${remediation.commitSha}^{commit}`]).then(() => true, () => false);
+    if (hasCommit) {
+      await git.checkout(['-f', '-B', remediation.branch, remediation.commitSha]);
+      return remediation.commitSha;
+    }
+    await git.checkout(['-f', '-B', remediation.branch, remediation.baseSha || 'HEAD']);
+    const patchFile = path.join(workspace.baseDir, `${remediation.id}.patch`);
+    await fs.writeFile(patchFile, remediation.patch);
+    try {
+      await git.raw(['am', '--keep-cr', patchFile]);
+    } finally {
+      await fs.rm(patchFile, { force: true });
+    }
+    return (await git.revparse(['HEAD'])).trim();
+  }
+}
+
+module.exports = { RemediationService };
@@ -0,0 +1,219 @@
+const path = require('path');
+const fs = require('fs/promises');
+const semver = require('semver');
+const { runCommand } = require('../scanners/command');
+
+const NPM_LOCK_COMMAND = process.env.REMEDIATION_NPM_COMMAND
+  || 'npm install --package-lock-only --ignore-scripts --no-audit --no-fund';
+const YARN_LOCK_COMMAND = process.env.REMEDIATION_YARN_COMMAND
+  || 'yarn install --ignore-scripts --non-interactive --no-progress';
+
+const NPM_TARGET_FILES = new Set(['package.json', 'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock']);
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+const LOCKFILES = [
+  { file: 'package-lock.json', command: NPM_LOCK_COMMAND },
+  { file: 'npm-shrinkwrap.json', command: NPM_LOCK_COMMAND },
+  { file: 'yarn.lock', command: YARN_LOCK_COMMAND },
+];
+
+const splitPackageId = (id) => {
+  const index = String(id).lastIndexOf('@');
+  if (index <= 0) return null;
+  return { name: id.slice(0, index), version: id.slice(index + 1) };
+};
+
+const newer = (a, b) => {
+  const left = semver.coerce(a);
+  const right = semver.coerce(b);
+  if (!left || !right) return a;
+  return semver.gt(right, left) ? b : a;
+};
+
+/**
+ * Turns the issues' upgrade paths into manifest edits. The second entry of an
+ * `upgradePath` is the direct dependency to bump (for transitive issues, the
+ * version that pulls in a fixed copy). Returns `{ upgrades, unresolvable }`:
+ * one upgrade per manifest and package, at the highest version any issue
+ * needs, with the `issues` it addresses; issues that cannot be fixed this way
+ * are listed with the reason.
+ */
+const planUpgrades = (issues = []) => {
+  const upgrades = new Map();
+  const unresolvable = [];
+
+  issues.forEach((issue) => {
+    const ref = {
+      id: issue.id,
+      packageName: issue.packageName,
+      version: issue.version,
+      title: issue.title,
+      severity: issue.severity,
+    };
+    const targetFile = issue.targetFile || 'package.json';
+    if (!NPM_TARGET_FILES.has(path.posix.basename(targetFile))) {
+      unresolvable.push({ ...ref, reason: `${targetFile} cannot be upgraded automatically.` });
+      return;
+    }
+    const target = Array.isArray(issue.upgradePath) ? splitPackageId(issue.upgradePath[1] || '') : null;
+    const current = Array.isArray(issue.from) ? splitPackageId(issue.from[1] || '') : null;
+    if (!target) {
+      unresolvable.push({ ...ref, reason: issue.isPatched ? 'Already patched.' : 'No upgrade path is available.' });
+      return;
+    }
+
+    const manifest = path.posix.join(path.posix.dirname(targetFile), 'package.json');
+    const key = `${manifest}|${target.name}`;
+    const existing = upgrades.get(key);
+    if (existing) {
+      existing.to = newer(existing.to, target.version);
+      existing.issues.push(ref);
+      return;
+    }
+    upgrades.set(key, {
+      manifest,
+      name: target.name,
+      from: current?.name === target.name ? current.version : null,
+      to: target.version,
+      issues: [ref],
+    });
+  });
+
+  return { upgrades: Array.from(upgrades.values()), unresolvable };
+};
+
+/**
+ * Rough effort of an upgrade: `high` across major versions, `medium` when a
+ * parent package has to move to a new minor version to pull in a fixed
+ * transitive dependency, `low` otherwise.
+ */
+const estimateEffort = (upgrade) => {
+  const from = semver.coerce(upgrade.from);
+  const to = semver.coerce(upgrade.to);
+  if (!from || !to) return 'medium';
+  if (to.major !== from.major) return 'high';
+  const transitive = upgrade.issues.some((issue) => issue.packageName !== upgrade.name);
+  return transitive && to.minor !== from.minor ? 'medium' : 'low';
+};
+
+/** Command that performs an upgrade with the package manager of `lockfile`. */
+const upgradeCommand = (upgrade, lockfile) => {
+  const target = `${upgrade.name}@${upgrade.to}`;
+  const install = lockfile === 'yarn.lock' ? `yarn add ${target}` : `npm install ${target}`;
+  const dir = path.posix.dirname(upgrade.manifest);
+  return dir === '.' ? install : `cd ${dir} && ${install}`;
+};
+
+// Keeps the author's range style: `^1.2.3` stays a caret range, exact pins stay exact.
+const rewriteSpec = (spec, version) => {
+  const match = String(spec).trim().match(/^(\^|~|>=|=)?\s*v?\d+(\.[\dx*]+)*(-[\w.]+)?$/);
+  if (!match) return null;
+  const prefix = match[1] === '=' ? '' : match[1] || '';
+  return `${prefix}${version}`;
+};
+
+const readManifest = async (file) => {
+  const text = await fs.readFile(file, 'utf8');
+  const indent = text.match(/^[ \t]+(?=")/m)?.[0] || '  ';
+  return { manifest: JSON.parse(text), indent, newline: text.endsWith('\n') ? '\n' : '' };
+};
+
+/**
+ * Rewrites the version ranges of the planned upgrades in each manifest.
+ * Resolves with the manifests that changed and the upgrades that were
+ * `skipped` because the package is not declared there or uses a non-semver
+ * spec (git URLs, `workspace:`, tags).
+ */
+const applyUpgrades = async (repoDir, upgrades) => {
+  const changed = new Set();
+  const applied = [];
+  const skipped = [];
+  const byManifest = new Map();
+  upgrades.forEach((upgrade) => {
+    if (!byManifest.has(upgrade.manifest)) byManifest.set(upgrade.manifest, []);
+    byManifest.get(upgrade.manifest).push(upgrade);
+  });
+
+  for (const [manifestPath, entries] of byManifest) {
+    const file = path.join(repoDir, manifestPath);
+    let parsed;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      parsed = await readManifest(file);
+    } catch (err) {
+      entries.forEach((upgrade) => skipped.push({ ...upgrade, reason: `${manifestPath} could not be read.` }));
+      continue;
+    }
+
+    const { manifest, indent, newline } = parsed;
+    entries.forEach((upgrade) => {
+      const field = DEPENDENCY_FIELDS.find((name) => manifest[name]?.[upgrade.name] !== undefined);
+      if (!field) {
+        skipped.push({ ...upgrade, reason: `${upgrade.name} is not declared in ${manifestPath}.` });
+        return;
+      }
+      const spec = rewriteSpec(manifest[field][upgrade.name], upgrade.to);
+      if (!spec) {
+        skipped.push({ ...upgrade, reason: `${upgrade.name} is declared as "${manifest[field][upgrade.name]}".` });
+        return;
+      }
+      manifest[field][upgrade.name] = spec;
+      applied.push({ ...upgrade, spec });
+      changed.add(manifestPath);
+    });
+
+    if (changed.has(manifestPath)) {
+      // eslint-disable-next-line no-await-in-loop
+      await fs.writeFile(file, `${JSON.stringify(manifest, null, indent)}${newline}`);
+    }
+  }
+
+  return { manifests: Array.from(changed), applied, skipped };
+};
+
+const exists = (file) => fs.access(file).then(() => true, () => false);
+
+// The lockfile for a manifest is next to it or, in a workspace, at an ancestor.
+const findLockfile = async (repoDir, manifestDir) => {
+  for (let dir = manifestDir; ; dir = path.posix.dirname(dir)) {
+    for (const { file, command } of LOCKFILES) {
+      const relative = path.posix.join(dir, file);
+      // eslint-disable-next-line no-await-in-loop
+      if (await exists(path.join(repoDir, relative))) return { path: relative, dir, command };
+    }
+    if (dir === '.' || dir === '/' || dir === '') return null;
+  }
+};
+
+/**
+ * Regenerates the lockfiles belonging to the changed manifests so they pin the
+ * upgraded versions. Resolves with the lockfile paths that were updated.
+ */
+const updateLockfiles = async (repoDir, manifests, { signal, onLine } = {}) => {
+  const lockfiles = new Map();
+  for (const manifest of manifests) {
+    // eslint-disable-next-line no-await-in-loop
+    const lockfile = await findLockfile(repoDir, path.posix.dirname(manifest));
+    if (lockfile) lockfiles.set(lockfile.path, lockfile);
+  }
+
+  for (const lockfile of lockfiles.values()) {
+    if (onLine) onLine(`Updating ${lockfile.path}`);
+    // eslint-disable-next-line no-await-in-loop
+    await runCommand(lockfile.command, {
+      cwd: path.join(repoDir, lockfile.dir),
+      env: { ...process.env },
+      maxBuffer: 1024 * 1024 * 10, // 10 MB
+      signal,
+      onLine,
+    });
+  }
+  return Array.from(lockfiles.keys());
+};
+
+module.exports = {
+  applyUpgrades,
+  estimateEffort,
+  planUpgrades,
+  updateLockfiles,
+  upgradeCommand,
+};
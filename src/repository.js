@@ -0,0 +1,112 @@
+const simpleGit = require('simple-git');
+const { ScanError } = require('./errors');
+const { redactSecrets } = require('./redact');
+
+// Branch, tag or commit names accepted for checkout. Refusing a leading dash
+// keeps user input from being parsed as a git option.
+const REF_PATTERN = /^(?!-)(?!.*\.\.)[\w./@+-]+$/;
+const FULL_SHA_PATTERN = /^[0-9a-f]{40}$/i;
+
+const isValidRef = (ref) => typeof ref === 'string' && ref.length <= 255 && REF_PATTERN.test(ref);
+
+/**
+ * `auth` carries per-invocation git `config` entries (e.g. an HTTP auth
+ * header) and extra environment variables (e.g. `GIT_SSH_COMMAND`); neither is
+ * written to the cloned repository's config.
+ */
+const createGitClient = ({ baseDir, signal, onLine, auth } = {}) => {
+  const options = {};
+  if (baseDir) options.baseDir = baseDir;
+  if (signal) options.abort = signal;
+  if (auth?.config?.length) options.config = auth.config;
+  if (onLine) {
+    let lastReported = null;
+    options.progress = ({ stage, progress }) => {
+      const key = `${stage}:${progress}`;
+      if (key === lastReported) return;
+      lastReported = key;
+      onLine(`${stage}: ${progress}%`);
+    };
+  }
+  const git = simpleGit(options);
+  // Never block on an interactive credential prompt for private repositories.
+  return git.env({ ...process.env, GIT_TERMINAL_PROMPT: '0', ...(auth?.env || {}) });
+};
+
+// A shallow fetch of a single ref works for branches, tags and full SHAs on
+// most hosts; abbreviated SHAs (and hosts that refuse fetching by SHA) need
+// the full history before the commit can be resolved locally.
+const fetchRef = async (git, ref, onLine) => {
+  try {
+    await git.fetch(['--depth', '1', 'origin', ref]);
+    await git.checkout(['--detach', 'FETCH_HEAD']);
+    return;
+  } catch (err) {
+    if (onLine) onLine(`Shallow fetch of ${ref} failed, fetching full history`);
+  }
+  await git.fetch(['--tags', 'origin', '+refs/heads/*:refs/remotes/origin/*']);
+  const candidates = FULL_SHA_PATTERN.test(ref) ? [ref] : [`origin/${ref}`, ref];
+  for (const candidate of candidates) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await git.checkout(['--detach', candidate]);
+      return;
+    } catch (err) {
+      // Try the next interpretation of the ref.
+    }
+  }
+  throw new Error(`Ref ${ref} was not found in the repository.`);
+};
+
+/**
+ * Clones `repoUrl` into `repoDir` and checks out `ref` (branch, tag or commit
+ * SHA), or the default branch when no ref is given. Resolves with the checked
+ * out `commitSha` and the `ref` that was scanned. `auth` is passed through to
+ * `createGitClient`; `secrets` are redacted from error details.
+ */
+const checkoutRepository = async ({
+  repoUrl,
+  repoDir,
+  ref,
+  signal,
+  onLine,
+  auth,
+  secrets = [],
+}) => {
+  if (ref && !isValidRef(ref)) {
+    throw new ScanError('Invalid git ref.', { status: 400, details: `"${ref}" is not a valid branch, tag or commit.` });
+  }
+
+  try {
+    if (!ref) {
+      await createGitClient({ signal, onLine, auth }).clone(repoUrl, repoDir, ['--depth', '1']);
+    } else {
+      await createGitClient({ signal }).init([repoDir]);
+      const git = createGitClient({
+        baseDir: repoDir,
+        signal,
+        onLine,
+        auth,
+      });
+      await git.addRemote('origin', repoUrl);
+      await fetchRef(git, ref, onLine);
+    }
+  } catch (err) {
+    signal?.throwIfAborted();
+    if (err instanceof ScanError) throw err;
+    throw new ScanError(ref ? `Failed to check out ${ref}.` : 'Failed to clone repository.', {
+      status: 400,
+      details: redactSecrets(err.message, secrets),
+    });
+  }
+
+  const git = simpleGit(repoDir);
+  const sha = await git.revparse(['HEAD']).catch(() => null);
+  const branch = ref ? null : await git.revparse(['--abbrev-ref', 'HEAD']).catch(() => null);
+  return {
+    commitSha: sha ? sha.trim() : null,
+    ref: ref || (branch ? branch.trim() : null),
+  };
+};
+
+module.exports = { checkoutRepository, createGitClient, isValidRef };
@@ -0,0 +1,91 @@
+const express = require('express');
+const { ScanError } = require('../errors');
+const { openEventStream } = require('../sse');
+
+const sendChatError = (res, err) => {
+  if (err instanceof ScanError) {
+    return res.status(err.status).json(err.toJSON());
+  }
+  throw err;
+};
+
+const wantsEventStream = (req) => (req.get('Accept') || '').includes('text/event-stream');
+
+const createChatsRouter = ({ scanChat }) => {
+  const router = express.Router();
+
+  router.get('/scans/:id/chats', async (req, res) => {
+    res.json({ chats: await scanChat.listForScan(req.params.id) });
+  });
+
+  router.post('/scans/:id/chats', async (req, res) => {
+    try {
+      const chat = await scanChat.create(req.params.id);
+      res.status(201).location(`/api/chats/${chat.id}`).json(chat);
+    } catch (err) {
+      sendChatError(res, err);
+    }
+  });
+
+  router.get('/chats/:id', async (req, res) => {
+    const chat = await scanChat.get(req.params.id);
+    if (!chat) {
+      return res.status(404).json({ error: 'Chat not found.' });
+    }
+    res.json(chat);
+  });
+
+  router.delete('/chats/:id', async (req, res) => {
+    if (!(await scanChat.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Chat not found.' });
+    }
+    res.status(204).end();
+  });
+
+  // Answers with JSON, or as a Server-Sent Events stream of `delta` (answer
+  // text), `tool` (a tool the model called) and a final `done` or `error`
+  // event when the client asks for `text/event-stream`.
+  router.post('/chats/:id/messages', async (req, res) => {
+    const { content } = req.body || {};
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'The message content must be a non-empty string.' });
+    }
+    if (!(await scanChat.get(req.params.id))) {
+      return res.status(404).json({ error: 'Chat not found.' });
+    }
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    if (!wantsEventStream(req)) {
+      try {
+        res.json(await scanChat.ask(req.params.id, content, { signal: controller.signal }));
+      } catch (err) {
+        sendChatError(res, err);
+      }
+      return;
+    }
+
+    const stream = openEventStream(req, res);
+    try {
+      const exchange = await scanChat.ask(req.params.id, content, {
+        signal: controller.signal,
+        onText: (text) => stream.send('delta', { text }),
+        onToolCall: (call) => stream.send('tool', { name: call.name }),
+      });
+      stream.send('done', exchange);
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        stream.send('error', err instanceof ScanError ? err.toJSON() : { error: 'The chat failed.' });
+        if (!(err instanceof ScanError)) console.error('Chat failed:', err);
+      }
+    } finally {
+      stream.close();
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createChatsRouter };
@@ -0,0 +1,56 @@
+const express = require('express');
+const { CREDENTIAL_TYPES, PROVIDERS, CredentialError } = require('../credentials');
+
+const sendCredentialError = (res, err) => {
+  if (err instanceof CredentialError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  throw err;
+};
+
+// Secrets are write-only: every response uses the public view, which omits them.
+const createCredentialsRouter = ({ credentialStore }) => {
+  const router = express.Router();
+
+  router.get('/credentials', async (_req, res) => {
+    res.json({
+      enabled: credentialStore.enabled,
+      types: CREDENTIAL_TYPES,
+      providers: PROVIDERS,
+      credentials: await credentialStore.list(),
+    });
+  });
+
+  router.post('/credentials', async (req, res) => {
+    try {
+      const credential = await credentialStore.create(req.body || {});
+      res.status(201).json(credential);
+    } catch (err) {
+      sendCredentialError(res, err);
+    }
+  });
+
+  router.put('/credentials/:id', async (req, res) => {
+    try {
+      const credential = await credentialStore.update(req.params.id, req.body || {});
+      if (!credential) {
+        return res.status(404).json({ error: 'Credential not found.' });
+      }
+      res.json(credential);
+    } catch (err) {
+      sendCredentialError(res, err);
+    }
+  });
+
+  router.delete('/credentials/:id', async (req, res) => {
+    const removed = await credentialStore.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Credential not found.' });
+    }
+    res.status(204).end();
+  });
+
+  return router;
+};
+
+module.exports = { createCredentialsRouter };
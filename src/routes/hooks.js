@@ -0,0 +1,38 @@
+const express = require('express');
+const { ScanError } = require('../errors');
+
+// Large pushes produce large payloads; GitHub caps them at 25 MB.
+const MAX_PAYLOAD = process.env.PUSH_WEBHOOK_MAX_BYTES || '5mb';
+
+const sendHookError = (res, err) => {
+  if (err instanceof ScanError) {
+    return res.status(err.status).json(err.toJSON());
+  }
+  throw err;
+};
+
+// Signatures cover the exact bytes that were sent, so this router reads the
+// raw body itself and must be mounted before the JSON body parser.
+const createHooksRouter = ({ pushTrigger }) => {
+  const router = express.Router();
+
+  router.post('/hooks/:source', express.raw({ type: () => true, limit: MAX_PAYLOAD }), async (req, res) => {
+    try {
+      const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      const outcome = await pushTrigger.receive(req.params.source, req.headers, body);
+      if (outcome.ping) {
+        return res.json({ ok: true });
+      }
+      if (outcome.ignored) {
+        return res.json({ ignored: true, reason: outcome.ignored });
+      }
+      res.status(202).location(`/api/scans/${outcome.job.id}`).json(outcome);
+    } catch (err) {
+      sendHookError(res, err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createHooksRouter };
@@ -0,0 +1,93 @@
+const express = require('express');
+const { POLICY_FILE_NAME, PolicyError, evaluatePolicy, validatePolicy } = require('../policy');
+const { FAMILY_MEMBERS, LICENSE_FAMILIES } = require('../licenses');
+
+const sendPolicyError = (res, err) => {
+  if (err instanceof PolicyError) {
+    return res.status(err.status).json({ error: err.message, details: err.details });
+  }
+  throw err;
+};
+
+// `:scope` is `default` or a URL-encoded repository key or URL, e.g.
+// `github.com%2Forg%2Fproject`.
+const createPoliciesRouter = ({ policyStore, scanHistory }) => {
+  const router = express.Router();
+
+  router.get('/policies', async (_req, res) => {
+    res.json({ fileName: POLICY_FILE_NAME, policies: await policyStore.list() });
+  });
+
+  router.get('/policies/:scope', async (req, res) => {
+    const record = await policyStore.get(req.params.scope);
+    if (!record) {
+      return res.status(404).json({ error: 'Policy not found.' });
+    }
+    res.json(record);
+  });
+
+  router.get('/licenses/families', (_req, res) => {
+    res.json({
+      families: LICENSE_FAMILIES.map((family) => ({ id: family, licenses: FAMILY_MEMBERS[family] || [] })),
+    });
+  });
+
+  // The license policy is the `licenses` section of a scope's policy:
+  // `{ allow, deny, failOnIssues, failOnUnknown }`, where lists take SPDX ids
+  // or family names.
+  router.get('/policies/:scope/licenses', async (req, res) => {
+    const record = await policyStore.get(req.params.scope);
+    res.json({ scope: record?.scope || null, licenses: record?.policy?.licenses || {} });
+  });
+
+  router.put('/policies/:scope/licenses', async (req, res) => {
+    try {
+      const record = await policyStore.setLicenseRules(req.params.scope, req.body);
+      res.json({ scope: record.scope, licenses: record.policy.licenses });
+    } catch (err) {
+      sendPolicyError(res, err);
+    }
+  });
+
+  router.put('/policies/:scope', async (req, res) => {
+    try {
+      res.json(await policyStore.set(req.params.scope, req.body));
+    } catch (err) {
+      sendPolicyError(res, err);
+    }
+  });
+
+  router.delete('/policies/:scope', async (req, res) => {
+    const removed = await policyStore.remove(req.params.scope);
+    if (!removed) {
+      return res.status(404).json({ error: 'Policy not found.' });
+    }
+    res.status(204).end();
+  });
+
+  // Dry run: evaluates a policy against a stored scan without saving either.
+  router.post('/policies/evaluate', async (req, res) => {
+    const { scanId, policy } = req.body || {};
+    const errors = validatePolicy(policy);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid policy.', details: errors.join(' ') });
+    }
+    const record = scanId ? await scanHistory.get(scanId) : null;
+    if (!record) {
+      return res.status(404).json({ error: 'Scan not found.' });
+    }
+    const { policy: verdict, issues, licenses } = evaluatePolicy(record.result, policy, { source: 'request' });
+    res.json({
+      policy: verdict,
+      suppressed: [...issues, ...licenses].filter((item) => item.suppressed).map((item) => ({
+        id: item.id,
+        packageName: item.packageName || null,
+        suppressed: item.suppressed,
+      })),
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createPoliciesRouter };
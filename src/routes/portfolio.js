@@ -0,0 +1,77 @@
+const express = require('express');
+const { ScanError } = require('../errors');
+
+const sendPortfolioError = (res, err) => {
+  if (err instanceof ScanError) {
+    return res.status(err.status).json(err.toJSON());
+  }
+  throw err;
+};
+
+const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+
+const createPortfolioRouter = ({ portfolio }) => {
+  const router = express.Router();
+
+  router.get('/portfolio', async (_req, res) => {
+    res.json(await portfolio.overview());
+  });
+
+  // Adds `{ repos: [url, ...] }` or a pasted `{ text }` list of URLs.
+  router.post('/portfolio/repos', async (req, res) => {
+    const { repos, text } = req.body || {};
+    if (repos !== undefined && !isStringList(repos)) {
+      return res.status(400).json({ error: 'Repos must be a list of repository URLs.' });
+    }
+    if (repos === undefined && typeof text !== 'string') {
+      return res.status(400).json({ error: 'Send a list of repository URLs as repos or text.' });
+    }
+    const result = repos ? await portfolio.add(repos) : await portfolio.addList(text);
+    res.status(result.added.length > 0 ? 201 : 200).json(result);
+  });
+
+  router.post('/portfolio/import', async (req, res) => {
+    const { ownerUrl, includeArchived } = req.body || {};
+    if (typeof ownerUrl !== 'string' || !/^https?:\/\/[^/]+\/\S+/i.test(ownerUrl.trim())) {
+      return res.status(400).json({ error: 'The organization URL must look like https://github.com/acme.' });
+    }
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+    try {
+      const result = await portfolio.importOrganization(ownerUrl.trim().replace(/\/+$/, ''), {
+        includeArchived: includeArchived === true,
+        signal: controller.signal,
+      });
+      res.status(result.added.length > 0 ? 201 : 200).json(result);
+    } catch (err) {
+      sendPortfolioError(res, err);
+    }
+  });
+
+  router.delete('/portfolio/repos/:id', async (req, res) => {
+    if (!(await portfolio.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Repository not found in the portfolio.' });
+    }
+    res.status(204).end();
+  });
+
+  // Scans every repository, or only `{ ids: [...] }`.
+  router.post('/portfolio/scan', async (req, res) => {
+    const ids = req.body?.ids;
+    if (ids !== undefined && !isStringList(ids)) {
+      return res.status(400).json({ error: 'Ids must be a list of portfolio repository ids.' });
+    }
+    res.status(202).json({ jobs: await portfolio.scanAll({ ids }) });
+  });
+
+  router.get('/portfolio/packages', async (req, res) => {
+    const minRepos = Math.max(Number(req.query.minRepos) || 2, 1);
+    res.json({ minRepos, packages: await portfolio.sharedPackages({ minRepos }) });
+  });
+
+  return router;
+};
+
+module.exports = { createPortfolioRouter };
@@ -0,0 +1,101 @@
+const express = require('express');
+const { ScanError } = require('../errors');
+
+const sendRemediationError = (res, err) => {
+  if (err instanceof ScanError) {
+    return res.status(err.status).json(err.toJSON());
+  }
+  throw err;
+};
+
+// Pushing runs while the request is open; closing the connection aborts the
+// git process that is running. Fix generation runs as a background job.
+const abortOnClose = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+};
+
+const createRemediationsRouter = ({ remediationService }) => {
+  const router = express.Router();
+
+  router.get('/remediation/providers', (_req, res) => {
+    res.json({ providers: remediationService.listProviders() });
+  });
+
+  router.get('/scans/:id/remediations', async (req, res) => {
+    res.json({ remediations: await remediationService.listForScan(req.params.id) });
+  });
+
+  router.post('/scans/:id/remediations', async (req, res) => {
+    const { branch, packages } = req.body || {};
+    if (branch !== undefined && typeof branch !== 'string') {
+      return res.status(400).json({ error: 'The branch must be a string.' });
+    }
+    if (packages !== undefined && (!Array.isArray(packages) || packages.some((name) => typeof name !== 'string'))) {
+      return res.status(400).json({ error: 'Packages must be a list of package names.' });
+    }
+    try {
+      const remediation = await remediationService.create(req.params.id, {
+        branch: branch || undefined,
+        packages: packages?.length ? packages : undefined,
+      });
+      res.status(202).location(`/api/remediations/${remediation.id}`).json(remediation);
+    } catch (err) {
+      sendRemediationError(res, err);
+    }
+  });
+
+  router.get('/remediations/:id', async (req, res) => {
+    const remediation = await remediationService.get(req.params.id);
+    if (!remediation) {
+      return res.status(404).json({ error: 'Remediation not found.' });
+    }
+    res.json(remediation);
+  });
+
+  router.delete('/remediations/:id', async (req, res) => {
+    const remediation = await remediationService.cancel(req.params.id);
+    if (!remediation) {
+      return res.status(404).json({ error: 'Remediation not found.' });
+    }
+    res.json(remediation);
+  });
+
+  router.get('/remediations/:id/patch', async (req, res) => {
+    const found = await remediationService.getPatch(req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Remediation not found.' });
+    }
+    if (!found.patch) {
+      return res.status(409).json({ error: 'The fix branch has not been generated.' });
+    }
+    res
+      .attachment(`${found.branch.replace(/[^\w.-]+/g, '-')}.patch`)
+      .type('text/x-diff')
+      .send(found.patch);
+  });
+
+  router.post('/remediations/:id/push', async (req, res) => {
+    const { pullRequest = true, base } = req.body || {};
+    if (base !== undefined && typeof base !== 'string') {
+      return res.status(400).json({ error: 'The base branch must be a string.' });
+    }
+    try {
+      const remediation = await remediationService.push(req.params.id, {
+        pullRequest: Boolean(pullRequest),
+        base: base || undefined,
+        signal: abortOnClose(res),
+      });
+      res.json(remediation);
+    } catch (err) {
+      sendRemediationError(res, err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createRemediationsRouter };
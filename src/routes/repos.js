@@ -0,0 +1,28 @@
+const express = require('express');
+
+const createReposRouter = ({ scanHistory }) => {
+  const router = express.Router();
+
+  router.get('/repos', async (_req, res) => {
+    res.json({ repos: await scanHistory.listRepos() });
+  });
+
+  // `:repo` is the URL-encoded repository key or URL, e.g.
+  // `github.com%2Forg%2Fproject`.
+  router.get('/repos/:repo/scans', async (req, res) => {
+    const scans = await scanHistory.listByRepo(req.params.repo);
+    res.json({ repo: req.params.repo, scans });
+  });
+
+  router.get('/repos/:repo/commits/:sha', async (req, res) => {
+    if (!/^[0-9a-f]{7,64}$/i.test(req.params.sha)) {
+      return res.status(400).json({ error: 'The commit must be a SHA of at least 7 hex digits.' });
+    }
+    const scans = await scanHistory.listByCommit(req.params.repo, req.params.sha);
+    res.json({ repo: req.params.repo, commitSha: req.params.sha, scans });
+  });
+
+  return router;
+};
+
+module.exports = { createReposRouter };
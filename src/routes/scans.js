@@ -0,0 +1,213 @@
+const express = require('express');
+const { TERMINAL_STATUSES } = require('../scanQueue');
+const { summarizeRecord } = require('../scanHistory');
+const { diffScans } = require('../scanDiff');
+const { exportFileName, getExporter, listExporters } = require('../exporters');
+const { DEFAULT_SCANNERS, getScanner, listScanners } = require('../scanners');
+const { isValidRef } = require('../repository');
+const { openEventStream } = require('../sse');
+
+/**
+ * Validates a scan request body. Returns `{ params }` or `{ error }` with the
+ * message to answer with a 400.
+ */
+const readScanParams = (body) => {
+  const repoUrl = body?.repoUrl;
+  if (!repoUrl || typeof repoUrl !== 'string') {
+    return { error: 'A valid git repository URL is required.' };
+  }
+
+  let ref;
+  if (body.ref !== undefined && body.ref !== null && body.ref !== '') {
+    if (!isValidRef(body.ref)) {
+      return { error: 'The ref must be a valid branch, tag or commit SHA.' };
+    }
+    ref = body.ref;
+  }
+
+  let scanners = DEFAULT_SCANNERS;
+  if (body.scanners !== undefined) {
+    const requested = Array.isArray(body.scanners) ? body.scanners : [body.scanners];
+    scanners = Array.from(new Set(requested.filter((id) => typeof id === 'string' && id)));
+    if (scanners.length === 0) {
+      return { error: 'Select at least one scanner.' };
+    }
+  }
+  for (const id of scanners) {
+    const scanner = getScanner(id);
+    if (!scanner) return { error: `Unknown scanner: ${id}.` };
+    if (!scanner.isAvailable()) return { error: `Scanner ${id} is not configured on this server.` };
+  }
+
+  return { params: { repoUrl, ref, scanners } };
+};
+
+// Stored scans are answered in the same shape as finished jobs so clients can
+// treat a history entry and a just-completed job alike.
+const toJobView = (record) => ({
+  id: record.id,
+  status: 'completed',
+  repoUrl: record.repoUrl,
+  ref: record.ref || null,
+  commitSha: record.commitSha || null,
+  position: null,
+  createdAt: record.createdAt,
+  startedAt: null,
+  finishedAt: record.createdAt,
+  result: record.result,
+  error: null,
+});
+
+const createScansRouter = ({ scanQueue, scanHistory }) => {
+  const router = express.Router();
+
+  router.get('/scanners', (_req, res) => {
+    res.json({ scanners: listScanners() });
+  });
+
+  router.post('/scans', (req, res) => {
+    const { params, error } = readScanParams(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const job = scanQueue.submit(params);
+    res.status(202).location(`/api/scans/${job.id}`).json(job);
+  });
+
+  router.get('/scans', (_req, res) => {
+    res.json({ jobs: scanQueue.list().map(({ result, ...job }) => job) });
+  });
+
+  router.get('/scans/:id', async (req, res) => {
+    const job = scanQueue.get(req.params.id);
+    if (job) {
+      return res.json(job);
+    }
+    const record = await scanHistory.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Scan job not found.' });
+    }
+    res.json(toJobView(record));
+  });
+
+  // Compares a stored scan with `?against=<scanId>`, or by default with the
+  // previous scan of the same repository.
+  router.get('/scans/:id/diff', async (req, res) => {
+    const record = await scanHistory.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Scan not found.' });
+    }
+
+    const against = typeof req.query.against === 'string' ? req.query.against : null;
+    const base = against ? await scanHistory.get(against) : await scanHistory.findPrevious(record);
+    if (against && !base) {
+      return res.status(404).json({ error: 'Comparison scan not found.' });
+    }
+    if (!base) {
+      return res.json({ base: null, head: summarizeRecord(record), diff: null });
+    }
+
+    res.json({
+      base: summarizeRecord(base),
+      head: summarizeRecord(record),
+      diff: diffScans(base.result, record.result),
+    });
+  });
+
+  router.get('/exports', (_req, res) => {
+    res.json({ formats: listExporters() });
+  });
+
+  router.get('/scans/:id/export/:format', async (req, res) => {
+    const exporter = getExporter(req.params.format);
+    if (!exporter) {
+      return res.status(400).json({ error: `Unsupported export format: ${req.params.format}.` });
+    }
+    const record = await scanHistory.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Scan not found.' });
+    }
+
+    const body = await exporter.render(record);
+    const fileName = exportFileName(record, exporter.extension);
+    // `?inline=1` opens reports in the browser (to print them) instead of downloading.
+    if (exporter.inline && req.query.inline) {
+      res.set('Content-Disposition', `inline; filename="${fileName}"`);
+    } else {
+      res.attachment(fileName);
+    }
+    res.type(exporter.contentType).send(body);
+  });
+
+  // Streams a job's progress events followed by its status changes. Events
+  // recorded before the client connected (or after `Last-Event-ID`) are replayed
+  // first; the stream ends once the job reaches a terminal status.
+  router.get('/scans/:id/events', (req, res) => {
+    const jobId = req.params.id;
+    const job = scanQueue.get(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Scan job not found.' });
+    }
+
+    const onProgress = (id, event) => {
+      if (id === jobId) stream.send('progress', event, event.id);
+    };
+    const onJob = (view) => {
+      if (view.id !== jobId) return;
+      stream.send('job', view);
+      if (TERMINAL_STATUSES.has(view.status)) stream.close();
+    };
+    const stream = openEventStream(req, res, {
+      onClose: () => {
+        scanQueue.off('progress', onProgress);
+        scanQueue.off('job', onJob);
+      },
+    });
+
+    const lastEventId = Number(req.get('Last-Event-ID')) || 0;
+    scanQueue.events(jobId, lastEventId).forEach((event) => stream.send('progress', event, event.id));
+    stream.send('job', job);
+    if (TERMINAL_STATUSES.has(job.status)) {
+      return stream.close();
+    }
+
+    scanQueue.on('progress', onProgress);
+    scanQueue.on('job', onJob);
+  });
+
+  router.delete('/scans/:id', (req, res) => {
+    const job = scanQueue.cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Scan job not found.' });
+    }
+    res.json(job);
+  });
+
+  // Synchronous variant kept for existing API consumers: queues a job and holds
+  // the request open until it finishes.
+  router.post('/scan', async (req, res) => {
+    const { params, error } = readScanParams(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const submitted = scanQueue.submit(params);
+    res.on('close', () => {
+      if (!res.writableFinished) scanQueue.cancel(submitted.id);
+    });
+
+    const job = await scanQueue.wait(submitted.id);
+    if (job.status === 'completed') {
+      return res.json(job.result);
+    }
+    if (job.status === 'cancelled') {
+      return res.status(499).json({ error: 'Scan was cancelled.' });
+    }
+    const { httpStatus, ...body } = job.error;
+    res.status(httpStatus).json(body);
+  });
+
+  return router;
+};
+
+module.exports = { createScansRouter, readScanParams };
@@ -0,0 +1,88 @@
+const express = require('express');
+const { TICKET_GROUPINGS, TRACKER_TYPES, TrackerError } = require('../trackers');
+const { toRepoKey } = require('../scanHistory');
+
+const sendTrackerError = (res, err) => {
+  if (err instanceof TrackerError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  throw err;
+};
+
+const createTrackersRouter = ({ trackerService }) => {
+  const router = express.Router();
+
+  router.get('/trackers', async (_req, res) => {
+    res.json({
+      types: TRACKER_TYPES,
+      groupings: TICKET_GROUPINGS,
+      trackers: await trackerService.list(),
+    });
+  });
+
+  router.post('/trackers', async (req, res) => {
+    try {
+      const tracker = await trackerService.create(req.body || {});
+      res.status(201).location(`/api/trackers/${tracker.id}`).json(tracker);
+    } catch (err) {
+      sendTrackerError(res, err);
+    }
+  });
+
+  router.get('/trackers/:id', async (req, res) => {
+    const tracker = await trackerService.get(req.params.id);
+    if (!tracker) {
+      return res.status(404).json({ error: 'Tracker not found.' });
+    }
+    res.json(tracker);
+  });
+
+  router.put('/trackers/:id', async (req, res) => {
+    try {
+      const tracker = await trackerService.update(req.params.id, req.body || {});
+      if (!tracker) {
+        return res.status(404).json({ error: 'Tracker not found.' });
+      }
+      res.json(tracker);
+    } catch (err) {
+      sendTrackerError(res, err);
+    }
+  });
+
+  router.delete('/trackers/:id', async (req, res) => {
+    if (!(await trackerService.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Tracker not found.' });
+    }
+    res.status(204).end();
+  });
+
+  router.get('/trackers/:id/tickets', async (req, res) => {
+    if (!(await trackerService.get(req.params.id))) {
+      return res.status(404).json({ error: 'Tracker not found.' });
+    }
+    const repoKey = typeof req.query.repo === 'string' && req.query.repo ? toRepoKey(req.query.repo) : undefined;
+    res.json({ tickets: await trackerService.listTickets(req.params.id, { repoKey }) });
+  });
+
+  // Creates tickets for a stored scan; `dryRun` previews them with their
+  // tracker payloads instead.
+  router.post('/scans/:id/tickets', async (req, res) => {
+    const { trackerId, groupBy = 'step', dryRun = false } = req.body || {};
+    if (typeof trackerId !== 'string' || !trackerId) {
+      return res.status(400).json({ error: 'Choose the tracker to create tickets in.' });
+    }
+    try {
+      const result = await trackerService.exportScan(req.params.id, trackerId, { groupBy, dryRun: dryRun === true });
+      if (!result) {
+        return res.status(404).json({ error: 'Scan or tracker not found.' });
+      }
+      res.status(result.created?.length > 0 ? 201 : 200).json(result);
+    } catch (err) {
+      sendTrackerError(res, err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createTrackersRouter };
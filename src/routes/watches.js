@@ -0,0 +1,107 @@
+const express = require('express');
+const { nextRun, parseSchedule } = require('../cron');
+const { readScanParams } = require('./scans');
+
+/**
+ * Validates a watch body, filling omitted fields from `existing` when
+ * updating. Returns `{ params, schedule, enabled }` or `{ error }`.
+ */
+const readWatchBody = (body, existing) => {
+  const source = body || {};
+  const { params, error } = readScanParams({
+    repoUrl: source.repoUrl ?? existing?.repoUrl,
+    ref: source.ref !== undefined ? source.ref : existing?.ref,
+    scanners: source.scanners ?? existing?.scanners,
+  });
+  if (error) return { error };
+
+  let schedule;
+  try {
+    schedule = parseSchedule(source.schedule ?? existing?.schedule);
+  } catch (err) {
+    return { error: err.message };
+  }
+  if (!nextRun(schedule)) {
+    return { error: `The schedule "${schedule.expression}" never runs.` };
+  }
+
+  if (source.enabled !== undefined && typeof source.enabled !== 'boolean') {
+    return { error: 'Enabled must be true or false.' };
+  }
+  return { params, schedule: schedule.expression, enabled: source.enabled ?? existing?.enabled ?? true };
+};
+
+const createWatchesRouter = ({ scheduler }) => {
+  const router = express.Router();
+
+  router.get('/watches', async (_req, res) => {
+    res.json({ watches: await scheduler.list() });
+  });
+
+  router.post('/watches', async (req, res) => {
+    const { params, schedule, enabled, error } = readWatchBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const watch = await scheduler.create(params, { schedule, enabled });
+    res.status(201).location(`/api/watches/${watch.id}`).json(watch);
+  });
+
+  router.get('/watches/:id', async (req, res) => {
+    const watch = await scheduler.get(req.params.id);
+    if (!watch) {
+      return res.status(404).json({ error: 'Watched repository not found.' });
+    }
+    res.json(watch);
+  });
+
+  router.put('/watches/:id', async (req, res) => {
+    const existing = await scheduler.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Watched repository not found.' });
+    }
+    const { params, schedule, enabled, error } = readWatchBody(req.body, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    // The stored URL may carry credentials the public view strips, so it is
+    // only replaced when the body names a new one.
+    const watch = await scheduler.update(req.params.id, {
+      ...(req.body?.repoUrl !== undefined ? { repoUrl: params.repoUrl } : {}),
+      ref: params.ref || null,
+      scanners: params.scanners,
+      schedule,
+      enabled,
+    });
+    res.json(watch);
+  });
+
+  router.delete('/watches/:id', async (req, res) => {
+    if (!(await scheduler.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Watched repository not found.' });
+    }
+    res.status(204).end();
+  });
+
+  router.post('/watches/:id/run', async (req, res) => {
+    const job = await scheduler.runNow(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Watched repository not found.' });
+    }
+    res.status(202).location(`/api/scans/${job.id}`).json(job);
+  });
+
+  router.get('/notifications', async (req, res) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    res.json({
+      notifications: await scheduler.listNotifications({
+        watchId: typeof req.query.watchId === 'string' ? req.query.watchId : undefined,
+        limit,
+      }),
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createWatchesRouter };
@@ -0,0 +1,93 @@
+const express = require('express');
+const { WEBHOOK_EVENTS, WEBHOOK_FORMATS, WebhookError } = require('../webhooks');
+
+const sendWebhookError = (res, err) => {
+  if (err instanceof WebhookError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  throw err;
+};
+
+// Signing secrets are write-only: only the create response (and an update
+// that sets a new one) includes them.
+const createWebhooksRouter = ({ webhookService }) => {
+  const router = express.Router();
+
+  router.get('/webhooks', async (_req, res) => {
+    res.json({
+      events: WEBHOOK_EVENTS,
+      formats: WEBHOOK_FORMATS,
+      webhooks: await webhookService.list(),
+    });
+  });
+
+  router.post('/webhooks', async (req, res) => {
+    try {
+      const webhook = await webhookService.create(req.body || {});
+      res.status(201).location(`/api/webhooks/${webhook.id}`).json(webhook);
+    } catch (err) {
+      sendWebhookError(res, err);
+    }
+  });
+
+  router.get('/webhooks/:id', async (req, res) => {
+    const webhook = await webhookService.get(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found.' });
+    }
+    res.json(webhook);
+  });
+
+  router.put('/webhooks/:id', async (req, res) => {
+    try {
+      const webhook = await webhookService.update(req.params.id, req.body || {});
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found.' });
+      }
+      res.json(webhook);
+    } catch (err) {
+      sendWebhookError(res, err);
+    }
+  });
+
+  router.delete('/webhooks/:id', async (req, res) => {
+    if (!(await webhookService.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Webhook not found.' });
+    }
+    res.status(204).end();
+  });
+
+  router.get('/webhooks/:id/deliveries', async (req, res) => {
+    if (!(await webhookService.get(req.params.id))) {
+      return res.status(404).json({ error: 'Webhook not found.' });
+    }
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    res.json({ deliveries: await webhookService.listDeliveries(req.params.id, { limit }) });
+  });
+
+  // Sends a `ping` event and answers with the logged delivery after its
+  // first attempt, so the result is visible right away.
+  router.post('/webhooks/:id/test', async (req, res) => {
+    const delivery = await webhookService.ping(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook not found.' });
+    }
+    res.json(delivery);
+  });
+
+  router.post('/webhooks/deliveries/:id/redeliver', async (req, res) => {
+    try {
+      const delivery = await webhookService.redeliver(req.params.id);
+      if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found.' });
+      }
+      res.json(delivery);
+    } catch (err) {
+      sendWebhookError(res, err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createWebhooksRouter };
@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const semver = require('semver');
+const { ScanError } = require('./errors');
+const { prioritizedIssues } = require('./prioritization');
+const { describeSeverityCounts } = require('./scanners/normalize');
+const { createPlanTools, describeUpgrades, runPlanTool } = require('./planTools');
+const { createLlmProvider, describeProvider, runToolLoop } = require('./llm');
+
+const MAX_QUESTION_LENGTH = 2000;
+const MAX_HISTORY_MESSAGES = 20;
+const FALLBACK_SOURCE = { provider: 'fallback', model: null };
+
+const CHAT_INSTRUCTIONS = [
+  'You are a security engineer answering developer questions about one dependency scan.',
+  'Ground every answer in the scan: use the tools to look up issues, dependency paths, upgrade paths and manifests instead of answering from memory, and say so when the scan does not contain what is needed.',
+  'When asked what an upgrade could break, compare the current and target versions, call out major version changes and point the developer to the package changelog.',
+  'Answer concisely in plain text.',
+].join(' ');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const plural = (count, word, words = `${word}s`) => `${count} ${count === 1 ? word : words}`;
+
+/** The scan's package named in `question`, preferring the longest match. */
+const findPackage = (scanResult, question) => {
+  const names = new Set([
+    ...(scanResult.issues || []).map((issue) => issue.packageName),
+    ...(scanResult.dependencyGraph?.packages || []).map((pkg) => pkg.name),
+  ]);
+  return Array.from(names)
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .find((name) => new RegExp(`(^|[\\s"'\`(])${escapeRegExp(name)}(?=$|[\\s"'\`)@?!,.:;])`, 'i').test(question)) || null;
+};
+
+const findVersion = (question, packageName) => {
+  const pinned = question.match(new RegExp(`${escapeRegExp(packageName)}@v?(\\d+(?:\\.\\d+){0,2})`, 'i'));
+  const target = pinned || question.match(/\bto\s+v?(\d+(?:\.\d+){0,2})\b/i);
+  return target ? target[1] : null;
+};
+
+const installedVersion = (scanResult, packageName) => (
+  (scanResult.issues || []).find((issue) => issue.packageName === packageName)?.version
+  || (scanResult.dependencyGraph?.packages || []).find((pkg) => pkg.name === packageName)?.version
+  || null
+);
+
+const describeChange = (packageName, from, to) => {
+  const current = semver.coerce(from);
+  const target = semver.coerce(to);
+  if (!current || !target) return `Check the ${packageName} changelog between ${from || 'the installed version'} and ${to}.`;
+  if (semver.lte(target, current)) return `${to} is not newer than the installed ${from}.`;
+  if (target.major !== current.major) {
+    return `Moving ${packageName} from ${from} to ${to} crosses a major version, which usually means breaking changes: read the ${packageName} changelog and migration guide, and run your test suite before merging.`;
+  }
+  if (target.minor !== current.minor) {
+    return `Moving ${packageName} from ${from} to ${to} is a minor upgrade, which should stay backwards compatible; check the changelog for deprecations.`;
+  }
+  return `Moving ${packageName} from ${from} to ${to} is a patch upgrade and should not break anything.`;
+};
+
+const answerPath = async (tools, packageName) => {
+  const { paths = [], direct } = await runPlanTool(tools, 'get_dependency_path', { package: packageName });
+  if (paths.length === 0) return `${packageName} does not appear in this scan's dependency data.`;
+  const lines = [direct
+    ? `${packageName} is a direct dependency of the project.`
+    : `${packageName} is pulled in transitively:`];
+  paths.slice(0, 5).forEach((from) => lines.push(`- ${from.join(' > ')}`));
+  if (paths.length > 5) lines.push(`- …and ${plural(paths.length - 5, 'more path')}`);
+  if (!direct && paths[0].length > 2) {
+    const parent = paths[0][1].slice(0, paths[0][1].lastIndexOf('@')) || paths[0][1];
+    lines.push(`Upgrading ${parent} is the usual way to change which ${packageName} version you get.`);
+  }
+  return lines.join('\n');
+};
+
+// Upgrades of the package itself, or of parents that pull in a fixed copy of it.
+const answerUpgrade = (scanResult, packageName, version) => {
+  const issues = scanResult.issues || [];
+  const ownIds = new Set(issues.filter((issue) => issue.packageName === packageName).map((issue) => issue.id));
+  const { upgrades, unresolvable } = describeUpgrades(issues, scanResult.dependencyGraph);
+  const lines = [];
+  if (version) {
+    lines.push(describeChange(packageName, installedVersion(scanResult, packageName), version));
+  }
+  upgrades
+    .filter((upgrade) => upgrade.package === packageName || upgrade.issueIds.some((id) => ownIds.has(id)))
+    .forEach((upgrade) => {
+      lines.push(`Upgrading ${upgrade.package}${upgrade.from ? ` from ${upgrade.from}` : ''} to ${upgrade.to} fixes ${upgrade.issueIds.join(', ')} (${upgrade.effort} effort): ${upgrade.command}`);
+      if (!version && upgrade.from) lines.push(describeChange(upgrade.package, upgrade.from, upgrade.to));
+    });
+  unresolvable
+    .filter((item) => item.packageName === packageName)
+    .forEach((item) => lines.push(`${item.id} in ${item.packageName}: ${item.reason}`));
+  if (lines.length === 0) lines.push(`This scan reports no vulnerabilities in ${packageName}.`);
+  return lines.join('\n');
+};
+
+const answerPackage = async (tools, packageName) => {
+  const { issues = [] } = await runPlanTool(tools, 'list_issues', { package: packageName, limit: 10 });
+  const lines = issues.length > 0
+    ? [`${packageName} has ${plural(issues.length, 'vulnerability', 'vulnerabilities')} in this scan:`,
+      ...issues.map((issue) => `- ${issue.id}: ${issue.title} (${issue.severity}${issue.fixable ? ', fixable' : ''})`)]
+    : [`This scan reports no vulnerabilities in ${packageName}.`];
+  lines.push(await answerPath(tools, packageName));
+  return lines.join('\n');
+};
+
+const answerPriorities = async (tools) => {
+  const { total, issues = [] } = await runPlanTool(tools, 'list_issues', { limit: 5 });
+  if (!total) return 'This scan reports no vulnerabilities.';
+  return [
+    issues.length === 1
+      ? 'The most urgent vulnerability is:'
+      : `The ${issues.length} most urgent ${total > issues.length ? `of ${total} ` : ''}vulnerabilities are:`,
+    ...issues.map((issue) => `- ${issue.id} in ${issue.packageName}@${issue.version}: ${issue.title} (priority ${issue.priority?.score ?? '?'}, ${issue.fixable ? 'fixable by upgrading' : 'no upgrade path'})`),
+  ].join('\n');
+};
+
+const answerOverview = async (tools) => {
+  const overview = await runPlanTool(tools, 'get_scan_overview', {});
+  const counts = describeSeverityCounts(overview.summary);
+  return [
+    `${overview.projectName || 'This repository'} has ${plural(overview.issueCount, 'vulnerability', 'vulnerabilities')}${counts ? ` (${counts})` : ''}${overview.policy ? ` and ${overview.policy.status} its policy gate` : ''}.`,
+    'Without a language model configured I can answer questions such as "why is <package> pulled in?", "what breaks if I bump <package> to <version>?", "how do I fix <package>?" or "what should I fix first?".',
+  ].join('\n');
+};
+
+/**
+ * Canned answers for when no language model is configured (or it fails),
+ * matching the question against a few common intents and answering from the
+ * same tools the model would call.
+ */
+const answerWithoutModel = async (scanResult, question) => {
+  const prioritized = { ...scanResult, issues: prioritizedIssues(scanResult.issues) };
+  const tools = createPlanTools({ scanResult: prioritized });
+  const packageName = findPackage(scanResult, question);
+  if (packageName) {
+    const version = findVersion(question, packageName);
+    if (/\b(why|pull(ed|s)?|comes?|depend\w*|path|introduc\w*|who uses)\b/i.test(question)) {
+      return answerPath(tools, packageName);
+    }
+    if (version || /\b(bump|upgrade|update|break\w*|fix\w*|patch\w*)\b/i.test(question)) {
+      return answerUpgrade(prioritized, packageName, version);
+    }
+    return answerPackage(tools, packageName);
+  }
+  if (/\b(urgent|priorit\w*|first|most important|worst|critical)\b/i.test(question)) {
+    return answerPriorities(tools);
+  }
+  return answerOverview(tools);
+};
+
+const toMessage = (role, content, extra = {}) => ({
+  id: crypto.randomUUID(),
+  role,
+  content,
+  createdAt: new Date().toISOString(),
+  ...extra,
+});
+
+/**
+ * Follow-up conversations about a stored scan. Each chat keeps its messages
+ * in the `chats` collection; the last `MAX_HISTORY_MESSAGES` are sent back to
+ * the model with every question, and the model answers through the plan
+ * tools (reading manifests from the scan's workspace while it is retained).
+ * Without a provider, or when the model fails, `answerWithoutModel` answers.
+ */
+class ScanChat {
+  constructor({
+    storage,
+    scanHistory,
+    workspaces,
+    provider = createLlmProvider(),
+  }) {
+    this.chats = storage.collection('chats');
+    this.scanHistory = scanHistory;
+    this.workspaces = workspaces;
+    this.provider = provider;
+    this.asking = new Map();
+  }
+
+  async create(scanId) {
+    const scan = await this.scanHistory.get(scanId);
+    if (!scan) throw new ScanError('Scan not found.', { status: 404 });
+    const now = new Date().toISOString();
+    return this.chats.insert({
+      id: crypto.randomUUID(),
+      scanId,
+      createdAt: now,
+      updatedAt: now,
+      messages: [],
+    });
+  }
+
+  async get(id) {
+    return this.chats.get(id);
+  }
+
+  async listForScan(scanId) {
+    const chats = await this.chats.list((chat) => chat.scanId === scanId);
+    return chats.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  }
+
+  async remove(id) {
+    return this.chats.remove(id);
+  }
+
+  /**
+   * Answers `question` in chat `id` and stores both messages. The answer's
+   * text is streamed to `onText` and each tool the model calls to
+   * `onToolCall`; the stored answer is authoritative, since a model that
+   * fails mid-answer is replaced by the canned answer. Questions in one chat
+   * are answered one at a time, so each answer sees the previous exchange and
+   * no exchange is lost.
+   */
+  async ask(id, question, options = {}) {
+    const content = typeof question === 'string' ? question.trim() : '';
+    if (!content) throw new ScanError('The question must be a non-empty string.', { status: 400 });
+    if (content.length > MAX_QUESTION_LENGTH) {
+      throw new ScanError('The question is too long.', { status: 400, details: `At most ${MAX_QUESTION_LENGTH} characters.` });
+    }
+    const previous = this.asking.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => this.answer(id, content, options));
+    this.asking.set(id, next);
+    next.finally(() => {
+      if (this.asking.get(id) === next) this.asking.delete(id);
+    }).catch(() => {});
+    return next;
+  }
+
+  async answer(id, content, { signal, onText, onToolCall }) {
+    signal?.throwIfAborted();
+    const chat = await this.chats.get(id);
+    if (!chat) throw new ScanError('Chat not found.', { status: 404 });
+    const scan = await this.scanHistory.get(chat.scanId);
+    if (!scan) throw new ScanError('The scan of this chat no longer exists.', { status: 410 });
+
+    const userMessage = toMessage('user', content);
+    const history = [...chat.messages, userMessage].slice(-MAX_HISTORY_MESSAGES);
+    const answer = await this.answerWithModel(scan, history, { signal, onText, onToolCall })
+      || await this.answerFallback(scan.result, content, { onText });
+    signal?.throwIfAborted();
+
+    const assistantMessage = toMessage('assistant', answer.content, { source: answer.source, toolCalls: answer.toolCalls });
+    await this.chats.update(id, {
+      messages: [...chat.messages, userMessage, assistantMessage],
+      updatedAt: assistantMessage.createdAt,
+    });
+    return { chatId: id, question: userMessage, answer: assistantMessage };
+  }
+
+  async answerWithModel(scan, history, { signal, onText, onToolCall }) {
+    if (!this.provider) return null;
+    const run = async (repoDir) => {
+      const tools = createPlanTools({
+        scanResult: { ...scan.result, issues: prioritizedIssues(scan.result.issues) },
+        repoDir,
+      });
+      const { content, toolCalls } = await runToolLoop(this.provider, {
+        instructions: `${CHAT_INSTRUCTIONS} The scan is of ${scan.repoUrl}${scan.ref ? ` at ${scan.ref}` : ''}.`,
+        messages: history.map(({ role, content: text }) => ({ role, content: text })),
+        tools,
+        runTool: (name, args) => runPlanTool(tools, name, args),
+        signal,
+        onText,
+        onToolCall,
+      });
+      if (!content) throw new Error('No text output from the model');
+      return { content, toolCalls, source: describeProvider(this.provider) };
+    };
+
+    try {
+      if (this.workspaces?.has(scan.id)) {
+        const answer = await this.workspaces.use(scan.id, (workspace) => run(workspace.repoDir));
+        if (answer) return answer;
+      }
+      return await run(null);
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      console.error(`Failed to answer chat with ${this.provider.id} (${this.provider.model}):`, err.message);
+      return null;
+    }
+  }
+
+  async answerFallback(scanResult, question, { onText }) {
+    const content = await answerWithoutModel(scanResult, question);
+    if (onText) onText(content);
+    return { content, toolCalls: [], source: FALLBACK_SOURCE };
+  }
+}
+
+module.exports = { ScanChat };
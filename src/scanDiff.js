@@ -0,0 +1,65 @@
+const { countBySeverity, severityOrder } = require('./scanners/normalize');
+
+/**
+ * Identity of an issue across scans: the same vulnerability reached through a
+ * different dependency path is tracked as a separate finding.
+ */
+const issueKey = (issue = {}) => [
+  issue.id || '',
+  issue.packageName || '',
+  Array.isArray(issue.from) ? issue.from.join('>') : '',
+].join('|');
+
+const indexIssues = (issues = []) => {
+  const index = new Map();
+  issues.forEach((issue) => {
+    const key = issueKey(issue);
+    if (!index.has(key)) index.set(key, issue);
+  });
+  return index;
+};
+
+/**
+ * Classifies every issue of two formatted scan results as introduced (only in
+ * `current`), resolved (only in `previous`) or persisting (in both), and
+ * reports the per-severity change in issue counts.
+ */
+const diffScans = (previous, current) => {
+  const before = indexIssues(Array.isArray(previous?.issues) ? previous.issues : []);
+  const after = indexIssues(Array.isArray(current?.issues) ? current.issues : []);
+
+  const introduced = [];
+  const persisting = [];
+  after.forEach((issue, key) => {
+    if (before.has(key)) {
+      persisting.push(issue);
+    } else {
+      introduced.push(issue);
+    }
+  });
+  const resolved = [];
+  before.forEach((issue, key) => {
+    if (!after.has(key)) resolved.push(issue);
+  });
+
+  const beforeCounts = countBySeverity(Array.from(before.values()));
+  const afterCounts = countBySeverity(Array.from(after.values()));
+  const severityDelta = severityOrder.reduce((acc, severity) => {
+    acc[severity] = afterCounts[severity] - beforeCounts[severity];
+    return acc;
+  }, {});
+
+  return {
+    introduced,
+    resolved,
+    persisting,
+    counts: {
+      introduced: introduced.length,
+      resolved: resolved.length,
+      persisting: persisting.length,
+    },
+    severityDelta,
+  };
+};
+
+module.exports = { diffScans, issueKey };
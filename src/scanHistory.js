@@ -0,0 +1,156 @@
+const { stripUrlCredentials } = require('./redact');
+
+/**
+ * Normalizes a repository URL into the key history is grouped by, e.g.
+ * `https://github.com/Org/Project.git` and `git@github.com:org/project`
+ * both become `github.com/org/project`.
+ */
+const toRepoKey = (repoUrl = '') => String(repoUrl)
+  .trim()
+  .replace(/^[a-z+]+:\/\//i, '')
+  .replace(/^[^@/]+@/, '')
+  .replace(/^([^/:]+):(?!\d)/, '$1/')
+  .replace(/\.git$/i, '')
+  .replace(/\/+$/, '')
+  .replace(/^\/+/, '')
+  .toLowerCase();
+
+const summarizeRecord = (record) => ({
+  id: record.id,
+  repoUrl: record.repoUrl,
+  repoKey: record.repoKey,
+  ref: record.ref || null,
+  commitSha: record.commitSha || null,
+  trigger: record.trigger || null,
+  createdAt: record.createdAt,
+  projectName: record.result?.projectName || null,
+  ok: Boolean(record.result?.ok),
+  gate: record.result?.policy?.status || null,
+  summary: record.result?.summary || {},
+  issueCount: Array.isArray(record.result?.issues) ? record.result.issues.length : 0,
+  licenseCount: Array.isArray(record.result?.licenses) ? record.result.licenses.length : 0,
+});
+
+const newestFirst = (a, b) => String(b.createdAt).localeCompare(String(a.createdAt));
+
+/**
+ * Stores completed scan results, grouped by repository.
+ *
+ * Full results live in the `scans` collection and are only loaded by id; the
+ * listings and lookups by repository read the `scanIndex` collection, which
+ * holds each scan's `summarizeRecord` summary.
+ */
+class ScanHistory {
+  constructor(storage) {
+    this.scans = storage.collection('scans');
+    this.index = storage.collection('scanIndex');
+    this.indexReady = null;
+  }
+
+  // Indexes, once per process, every stored scan the index is missing: all of
+  // them after upgrading from a version that kept no index, or the few left
+  // out by a crash between storing a scan and indexing it.
+  ensureIndex() {
+    if (!this.indexReady) {
+      this.indexReady = (async () => {
+        const indexed = new Set((await this.index.list()).map((summary) => summary.id));
+        const missing = await this.scans.list((record) => !indexed.has(record.id));
+        await Promise.all(missing.map((record) => this.index.insert(summarizeRecord(record))));
+      })();
+      this.indexReady.catch(() => {
+        this.indexReady = null;
+      });
+    }
+    return this.indexReady;
+  }
+
+  async listSummaries(predicate) {
+    await this.ensureIndex();
+    return this.index.list(predicate);
+  }
+
+  /**
+   * `trigger` describes what started the scan when it was not a person, e.g.
+   * `{ source: 'github', event: 'push', branch: 'main' }`.
+   */
+  async record({
+    id, repoUrl, result, trigger, createdAt = new Date().toISOString(),
+  }) {
+    await this.ensureIndex();
+    const record = await this.scans.insert({
+      id,
+      repoUrl: stripUrlCredentials(repoUrl),
+      repoKey: toRepoKey(repoUrl),
+      ref: result?.ref || null,
+      commitSha: result?.commitSha || null,
+      trigger: trigger || null,
+      createdAt,
+      result,
+    });
+    await this.index.insert(summarizeRecord(record));
+    return record;
+  }
+
+  async get(id) {
+    return this.scans.get(id);
+  }
+
+  /** The most recent scan of the same repository stored before `record`. */
+  async findPrevious(record) {
+    const candidates = await this.listSummaries((item) => (
+      item.repoKey === record.repoKey
+      && item.id !== record.id
+      && String(item.createdAt) < String(record.createdAt)
+    ));
+    const previous = candidates.sort(newestFirst)[0];
+    return previous ? this.scans.get(previous.id) : null;
+  }
+
+  async listByRepo(repoKey) {
+    const key = toRepoKey(repoKey);
+    const summaries = await this.listSummaries((summary) => summary.repoKey === key);
+    return summaries.sort(newestFirst);
+  }
+
+  /** Scans of one commit of a repository, newest first. `sha` may be abbreviated. */
+  async listByCommit(repoKey, sha) {
+    const key = toRepoKey(repoKey);
+    const prefix = String(sha).toLowerCase();
+    const summaries = await this.listSummaries((summary) => (
+      summary.repoKey === key && Boolean(summary.commitSha) && summary.commitSha.startsWith(prefix)
+    ));
+    return summaries.sort(newestFirst);
+  }
+
+  /** The summary of the newest stored scan of every repository, keyed by repository key. */
+  async latestByRepo() {
+    const summaries = await this.listSummaries();
+    const latest = new Map();
+    summaries.forEach((summary) => {
+      const current = latest.get(summary.repoKey);
+      if (!current || String(summary.createdAt) > String(current.createdAt)) latest.set(summary.repoKey, summary);
+    });
+    return latest;
+  }
+
+  async listRepos() {
+    const summaries = await this.listSummaries();
+    const repos = new Map();
+    summaries.sort(newestFirst).forEach((summary) => {
+      const existing = repos.get(summary.repoKey);
+      if (existing) {
+        existing.scanCount += 1;
+        return;
+      }
+      repos.set(summary.repoKey, {
+        repoKey: summary.repoKey,
+        repoUrl: summary.repoUrl,
+        scanCount: 1,
+        latestScan: summary,
+      });
+    });
+    return Array.from(repos.values());
+  }
+}
+
+module.exports = { ScanHistory, summarizeRecord, toRepoKey };
@@ -0,0 +1,265 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs/promises');
+const { ScanError } = require('./errors');
+const { redactSecrets, stripUrlCredentials } = require('./redact');
+const { BUILTIN_POLICY, evaluatePolicy, invalidPolicyVerdict } = require('./policy');
+const { readDependencyGraph } = require('./lockfiles');
+const { buildLicenseInventory, fillInstalledLicenses } = require('./licenses');
+const { prioritizeIssues } = require('./prioritization');
+const { checkoutRepository } = require('./repository');
+const { runCommand } = require('./scanners/command');
+const { DEFAULT_SCANNERS, getScanner, mergeScanResults } = require('./scanners');
+
+const INSTALL_COMMAND = process.env.SCAN_INSTALL_COMMAND || '';
+
+const cleanUpDir = async (dirPath) => {
+  if (!dirPath) return;
+  try {
+    await fs.rm(dirPath, { recursive: true, force: true });
+  } catch (err) {
+    console.warn('Failed to clean temporary directory', dirPath, err.message);
+  }
+};
+
+const describeScannerError = (err) => (typeof err.toJSON === 'function'
+  ? err.toJSON()
+  : { error: err.message });
+
+const selectScanners = (scannerIds) => scannerIds.map((id) => {
+  const scanner = getScanner(id);
+  if (!scanner) throw new ScanError(`Unknown scanner: ${id}.`, { status: 400 });
+  return scanner;
+});
+
+const installDependencies = async (repoDir, { signal, onLine }) => {
+  try {
+    await runCommand(INSTALL_COMMAND, {
+      cwd: repoDir,
+      env: { ...process.env },
+      maxBuffer: 1024 * 1024 * 10, // 10 MB
+      signal,
+      onLine,
+    });
+  } catch (err) {
+    signal?.throwIfAborted();
+    throw new ScanError('Dependency installation failed.', { details: err.stderr || err.message });
+  }
+};
+
+// Runs every selected engine in turn. With several engines, one failing is
+// recorded instead of failing the scan.
+const runScanners = async (selected, context, { signal, logTo }) => {
+  const outputs = [];
+  for (const scanner of selected) {
+    const onLine = logTo('scanning', { scanner: scanner.id });
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const output = await scanner.run({ ...context, signal, onLine });
+      outputs.push({ scanner, output });
+    } catch (err) {
+      signal?.throwIfAborted();
+      if (selected.length === 1) throw err;
+      onLine(`${scanner.label} failed: ${err.message}`);
+      outputs.push({ scanner, error: err });
+    }
+  }
+  if (outputs.every((run) => run.error)) throw outputs[0].error;
+  return outputs;
+};
+
+/** Parses and merges the engines' outputs into one prioritized result. */
+const parseScannerRuns = (selected, runs, context) => {
+  const entries = [];
+  const scannerRuns = runs.map(({ scanner, output, error }) => {
+    let failure = error;
+    if (!failure) {
+      try {
+        const result = scanner.parse(output, context);
+        entries.push({ scanner, result });
+        return {
+          id: scanner.id,
+          label: scanner.label,
+          command: scanner.command,
+          status: 'completed',
+          issueCount: result.issues.length,
+        };
+      } catch (err) {
+        if (selected.length === 1) throw err;
+        failure = err;
+      }
+    }
+    return {
+      id: scanner.id,
+      label: scanner.label,
+      command: scanner.command,
+      status: 'failed',
+      issueCount: 0,
+      error: describeScannerError(failure),
+    };
+  });
+
+  if (entries.length === 0) {
+    throw runs.find((run) => run.error)?.error || new ScanError('No scanner produced a result.');
+  }
+
+  const merged = mergeScanResults(entries);
+  return { ...merged, issues: prioritizeIssues(merged.issues), scanners: scannerRuns };
+};
+
+/**
+ * Clones `repoUrl` at `ref` (the default branch when omitted), runs the
+ * selected scanner engines against it and returns the merged result with an
+ * action plan attached. Failures are raised as `ScanError`s carrying the HTTP
+ * status and `{ error, details }` body the API responds with. When several
+ * engines run, one failing engine is recorded in the result's `scanners` list
+ * instead of failing the whole scan. Aborting `signal` stops the clone or
+ * scanner process that is currently running.
+ *
+ * `report` receives progress events while the scan runs: `{ type: 'phase',
+ * phase, status }` as each of the cloning, installing, scanning, parsing,
+ * evaluating and planning phases starts and ends, and `{ type: 'log', phase,
+ * line }` for git progress and CLI stderr output.
+ *
+ * When `credentialStore` holds a credential for the repository host it is
+ * used for the clone only; its secret is redacted from every log line, error
+ * and result field.
+ *
+ * The result is gated by the policy `policyStore` resolves for the repository
+ * (the built-in policy without a store): findings it ignores are marked
+ * `suppressed` and its verdict is returned as `policy`.
+ *
+ * With `workspaces` and `jobId`, the clone of a successful scan is handed to
+ * the `WorkspaceCache` under the job id instead of being deleted.
+ */
+const runScan = async ({ repoUrl, ref, scanners: scannerIds = DEFAULT_SCANNERS }, {
+  actionPlanAgent,
+  credentialStore,
+  policyStore,
+  workspaces,
+  jobId,
+  signal,
+  report: emit = () => {},
+} = {}) => {
+  const selected = selectScanners(scannerIds);
+  const credential = credentialStore ? await credentialStore.resolveFor(repoUrl) : null;
+  const secrets = credential?.secrets || [];
+  const redact = (text) => redactSecrets(text, secrets);
+  const report = (event) => emit(event.line === undefined ? event : { ...event, line: redact(event.line) });
+
+  const baseTempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'snyk-scan-'));
+  const repoDir = path.join(baseTempDir, 'repo');
+  let retained = false;
+
+  const logTo = (phase, extra = {}) => (line) => report({ type: 'log', phase, line, ...extra });
+  const runPhase = async (phase, task) => {
+    report({ type: 'phase', phase, status: 'started' });
+    try {
+      const value = await task();
+      report({ type: 'phase', phase, status: 'completed' });
+      return value;
+    } catch (err) {
+      report({ type: 'phase', phase, status: signal?.aborted ? 'cancelled' : 'failed' });
+      throw err;
+    }
+  };
+
+  try {
+    const { commitSha, ref: scannedRef } = await runPhase('cloning', async () => {
+      if (credential) logTo('cloning')('Using stored credentials for this host');
+      // Key files live outside the workspace, which may outlive the scan.
+      const authDir = credential ? await fs.mkdtemp(path.join(os.tmpdir(), 'snyk-auth-')) : null;
+      try {
+        return await checkoutRepository({
+          repoUrl,
+          repoDir,
+          ref,
+          signal,
+          onLine: logTo('cloning'),
+          auth: credential ? await credential.prepare(authDir) : undefined,
+          secrets,
+        });
+      } finally {
+        await cleanUpDir(authDir);
+      }
+    });
+
+    if (INSTALL_COMMAND) {
+      await runPhase('installing', () => installDependencies(repoDir, { signal, onLine: logTo('installing') }));
+    } else {
+      report({ type: 'phase', phase: 'installing', status: 'skipped' });
+    }
+
+    const lockfileGraph = await readDependencyGraph(repoDir);
+    const dependencyGraph = INSTALL_COMMAND ? await fillInstalledLicenses(lockfileGraph, repoDir) : lockfileGraph;
+    const context = { repoDir, repoUrl: stripUrlCredentials(repoUrl), dependencyGraph };
+
+    const runs = await runPhase('scanning', () => runScanners(selected, context, { signal, logTo }));
+
+    const formatted = await runPhase('parsing', async () => ({
+      ...parseScannerRuns(selected, runs, context),
+      dependencyGraph,
+      licenseInventory: buildLicenseInventory(dependencyGraph),
+    }));
+
+    const gated = await runPhase('evaluating', async () => {
+      const resolved = policyStore
+        ? await policyStore.resolve({ repoDir, repoUrl })
+        : { policy: BUILTIN_POLICY, source: 'builtin', path: null };
+      if (resolved.errors) {
+        return { ...formatted, policy: invalidPolicyVerdict(resolved) };
+      }
+      return { ...formatted, ...evaluatePolicy(formatted, resolved.policy, resolved) };
+    });
+    logTo('evaluating')(`Policy ${gated.policy.status} (${gated.policy.source})`);
+
+    // Suppressed findings are accepted risks, so the plan leaves them out.
+    const actionPlan = await runPhase('planning', async () => (
+      actionPlanAgent
+        ? actionPlanAgent.generate({ ...gated, issues: gated.issues.filter((issue) => !issue.suppressed) }, { repoDir, signal })
+        : null
+    ));
+    signal?.throwIfAborted();
+    if (workspaces && jobId) {
+      await workspaces.retain(jobId, {
+        baseDir: baseTempDir,
+        repoDir,
+        repoUrl,
+        ref: scannedRef,
+        commitSha,
+        scanners: scannerIds,
+      });
+      retained = true;
+    }
+    return { ...gated, ref: scannedRef, commitSha, actionPlan };
+  } catch (err) {
+    if (err instanceof ScanError && secrets.length > 0) {
+      err.message = redact(err.message);
+      err.details = redact(err.details);
+      err.rawOutput = redact(err.rawOutput);
+    }
+    throw err;
+  } finally {
+    if (!retained) await cleanUpDir(baseTempDir);
+  }
+};
+
+/**
+ * Scans an existing checkout again with the given engines, e.g. to verify
+ * changes made to a retained workspace. Resolves with the merged,
+ * prioritized result (without policy evaluation or action plan).
+ */
+const rescanWorkspace = async ({ repoDir, repoUrl, scanners: scannerIds = DEFAULT_SCANNERS }, {
+  signal,
+  onLine = () => {},
+} = {}) => {
+  const selected = selectScanners(scannerIds);
+  if (INSTALL_COMMAND) await installDependencies(repoDir, { signal, onLine });
+  const lockfileGraph = await readDependencyGraph(repoDir);
+  const dependencyGraph = INSTALL_COMMAND ? await fillInstalledLicenses(lockfileGraph, repoDir) : lockfileGraph;
+  const context = { repoDir, repoUrl: stripUrlCredentials(repoUrl), dependencyGraph };
+  const runs = await runScanners(selected, context, { signal, logTo: () => onLine });
+  return parseScannerRuns(selected, runs, context);
+};
+
+module.exports = { rescanWorkspace, runScan };
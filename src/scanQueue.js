@@ -0,0 +1,181 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { stripUrlCredentials } = require('./redact');
+
+const TERMINAL_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+const MAX_JOB_EVENTS = 1000;
+
+const serializeError = (err) => {
+  if (!err) return null;
+  const body = typeof err.toJSON === 'function'
+    ? err.toJSON()
+    : { error: 'Scan failed.', details: err.message };
+  return { ...body, httpStatus: err.status || 500 };
+};
+
+/**
+ * FIFO queue of scan jobs with a fixed number of concurrent runners.
+ *
+ * Emits `job` with the public job view whenever a job changes status, and
+ * `progress` with `(jobId, event)` for every event the runner reports. Events
+ * are numbered per job so stream consumers can resume after a reconnect.
+ */
+class ScanQueue extends EventEmitter {
+  constructor({ runner, concurrency = 2, retention = 200 } = {}) {
+    super();
+    // Every open progress stream subscribes to the queue.
+    this.setMaxListeners(0);
+    if (typeof runner !== 'function') {
+      throw new TypeError('ScanQueue requires a runner function.');
+    }
+    this.runner = runner;
+    this.concurrency = Math.max(1, Number(concurrency) || 1);
+    this.retention = Math.max(1, Number(retention) || 1);
+    this.jobs = new Map();
+    this.pending = [];
+    this.active = 0;
+  }
+
+  submit(params) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      params,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      controller: new AbortController(),
+      waiters: [],
+      events: [],
+      eventSeq: 0,
+    };
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.notify(job);
+    this.drain();
+    return this.toJSON(job);
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.toJSON(job) : null;
+  }
+
+  list() {
+    return Array.from(this.jobs.values()).map((job) => this.toJSON(job));
+  }
+
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (TERMINAL_STATUSES.has(job.status)) return this.toJSON(job);
+
+    if (job.status === 'queued') {
+      this.pending = this.pending.filter((item) => item !== job);
+      this.finish(job, 'cancelled');
+    } else {
+      job.controller.abort();
+    }
+    return this.toJSON(job);
+  }
+
+  /** Progress events recorded for a job, optionally only those after `afterId`. */
+  events(id, afterId = 0) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    return job.events.filter((event) => event.id > afterId);
+  }
+
+  /** Resolves with the public job view once the job reaches a terminal status. */
+  wait(id) {
+    const job = this.jobs.get(id);
+    if (!job) return Promise.resolve(null);
+    if (TERMINAL_STATUSES.has(job.status)) return Promise.resolve(this.toJSON(job));
+    return new Promise((resolve) => {
+      job.waiters.push(resolve);
+    });
+  }
+
+  drain() {
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.start(job);
+    }
+    this.pending.forEach((job) => this.notify(job));
+  }
+
+  async start(job) {
+    this.active += 1;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.notify(job);
+
+    try {
+      const result = await this.runner(job.params, {
+        signal: job.controller.signal,
+        jobId: job.id,
+        report: (event) => this.record(job, event),
+      });
+      job.result = result;
+      this.finish(job, 'completed');
+    } catch (err) {
+      if (job.controller.signal.aborted) {
+        this.finish(job, 'cancelled');
+      } else {
+        job.error = err;
+        this.finish(job, 'failed');
+      }
+    } finally {
+      this.active -= 1;
+      this.drain();
+    }
+  }
+
+  record(job, event) {
+    job.eventSeq += 1;
+    const entry = { ...event, id: job.eventSeq, at: new Date().toISOString() };
+    job.events.push(entry);
+    if (job.events.length > MAX_JOB_EVENTS) job.events.shift();
+    this.emit('progress', job.id, entry);
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    const view = this.toJSON(job);
+    this.notify(job);
+    job.waiters.splice(0).forEach((resolve) => resolve(view));
+    this.prune();
+  }
+
+  prune() {
+    const finished = Array.from(this.jobs.values()).filter((job) => TERMINAL_STATUSES.has(job.status));
+    const excess = finished.length - this.retention;
+    finished.slice(0, Math.max(0, excess)).forEach((job) => this.jobs.delete(job.id));
+  }
+
+  notify(job) {
+    this.emit('job', this.toJSON(job));
+  }
+
+  toJSON(job) {
+    const position = job.status === 'queued' ? this.pending.indexOf(job) + 1 : null;
+    return {
+      id: job.id,
+      status: job.status,
+      repoUrl: job.params?.repoUrl ? stripUrlCredentials(job.params.repoUrl) : null,
+      ref: job.params?.ref || null,
+      scanners: job.params?.scanners || null,
+      position: position || null,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      result: job.result,
+      error: serializeError(job.error),
+    };
+  }
+}
+
+module.exports = { ScanQueue, TERMINAL_STATUSES, serializeError };
@@ -0,0 +1,53 @@
+const { exec } = require('child_process');
+const util = require('util');
+
+const execAsync = util.promisify(exec);
+
+/**
+ * Runs a shell command like `execAsync`, forwarding each complete stderr line
+ * to `onLine` while the process is still running.
+ */
+const runCommand = (command, { onLine, ...options } = {}) => {
+  const promise = execAsync(command, options);
+  if (onLine && promise.child?.stderr) {
+    let buffered = '';
+    promise.child.stderr.on('data', (chunk) => {
+      buffered += chunk;
+      const lines = buffered.split(/\r?\n|\r/);
+      buffered = lines.pop();
+      lines.filter((line) => line.trim()).forEach((line) => onLine(line));
+    });
+    promise.child.stderr.on('end', () => {
+      if (buffered.trim()) onLine(buffered);
+      buffered = '';
+    });
+  }
+  return promise;
+};
+
+/**
+ * Runs a scanner CLI that reports findings through a non-zero exit code, so
+ * any stdout is returned even when the command fails. Only a failure without
+ * output is rethrown, with `stderr` attached.
+ */
+const runScannerCommand = async (command, { cwd, signal, onLine }) => {
+  try {
+    const { stdout } = await runCommand(command, {
+      cwd,
+      env: { ...process.env },
+      maxBuffer: 1024 * 1024 * 10, // 10 MB
+      signal,
+      onLine,
+    });
+    return stdout;
+  } catch (err) {
+    signal?.throwIfAborted();
+    const stdout = err.stdout || (Array.isArray(err.output) ? err.output[1] : '');
+    const stderr = err.stderr || (Array.isArray(err.output) ? err.output[2] : '');
+    if (stdout) return stdout;
+    err.stderr = stderr;
+    throw err;
+  }
+};
+
+module.exports = { runCommand, runScannerCommand };
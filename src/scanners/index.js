@@ -0,0 +1,36 @@
+const { snykScanner } = require('./snyk');
+const { npmAuditScanner } = require('./npmAudit');
+const { osvScanner } = require('./osv');
+const { mergeScanResults } = require('./merge');
+
+/**
+ * Scanner engines a scan can run. Every adapter exposes:
+ *
+ * - `id`, `label` and the shell `command` it runs (if any);
+ * - `isAvailable()`, false when required configuration is missing;
+ * - `run({ repoDir, repoUrl, dependencyGraph, signal, onLine })`, returning
+ *   the engine's raw output;
+ * - `parse(output, { repoUrl, dependencyGraph })`, normalizing that output
+ *   into the scan result shape produced by `formatSnykPayload`, with each
+ *   issue tagged with `engines: [id]`.
+ *
+ * Failures are raised as `ScanError`s.
+ */
+const scanners = [snykScanner, npmAuditScanner, osvScanner];
+
+const DEFAULT_SCANNERS = (process.env.DEFAULT_SCANNERS || 'snyk')
+  .split(',')
+  .map((id) => id.trim())
+  .filter(Boolean);
+
+const getScanner = (id) => scanners.find((scanner) => scanner.id === id) || null;
+
+const listScanners = () => scanners.map((scanner) => ({
+  id: scanner.id,
+  label: scanner.label,
+  command: scanner.command,
+  available: scanner.isAvailable(),
+  default: DEFAULT_SCANNERS.includes(scanner.id),
+}));
+
+module.exports = { DEFAULT_SCANNERS, getScanner, listScanners, mergeScanResults };
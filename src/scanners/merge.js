@@ -0,0 +1,111 @@
+const { countBySeverity, summarizeProjects } = require('./normalize');
+
+const packageKey = (issue) => `${issue.packageName || ''}@${issue.version || ''}`;
+
+const identifiers = (issue) => [issue.id, ...(issue.aliases || [])].filter(Boolean);
+
+/**
+ * Groups the identifiers (ids, CVE and GHSA aliases) that any engine reports
+ * together for the same package version, so an npm advisory that only names a
+ * GHSA id still matches a Snyk issue that only names the CVE when a third
+ * engine links the two. Returns a function mapping an issue to its group.
+ */
+const linkIdentifiers = (issues) => {
+  const parent = new Map();
+  const find = (key) => {
+    if (!parent.has(key)) parent.set(key, key);
+    let root = key;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(key, root);
+    return root;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+
+  const keysOf = (issue) => identifiers(issue).map((id) => `${packageKey(issue)}::${id}`);
+  issues.forEach((issue) => {
+    const [first, ...rest] = keysOf(issue);
+    if (first) rest.forEach((key) => union(first, key));
+  });
+
+  return (issue) => {
+    const [first] = keysOf(issue);
+    return first ? find(first) : Symbol('unidentified issue');
+  };
+};
+
+/**
+ * Combines the results of several scanner engines into one result. An issue
+ * reported by a later engine for the same package version and a linked
+ * identifier is merged into the earlier engine's findings, which then list
+ * every engine that reported it. Findings of the same engine are never merged
+ * with each other, since engines report one issue per dependency path.
+ * Project metadata comes from the first engine; `projects` lists every
+ * manifest any engine scanned, with counts recomputed from the merged issues.
+ */
+const mergeScanResults = (entries) => {
+  const [primary] = entries;
+  const identityOf = linkIdentifiers(entries.flatMap(({ result }) => result.issues || []));
+  const issues = [];
+  const identities = new Map();
+
+  entries.forEach(({ result }) => {
+    (result.issues || []).forEach((issue) => {
+      const identity = identityOf(issue);
+      const engines = issue.engines || [];
+      const duplicates = issues.filter((existing) => (
+        identities.get(existing) === identity
+        && !engines.some((engine) => existing.engines.includes(engine))
+      ));
+
+      if (duplicates.length === 0) {
+        const merged = { ...issue, engines: [...engines] };
+        identities.set(merged, identity);
+        issues.push(merged);
+        return;
+      }
+      duplicates.forEach((existing) => {
+        existing.engines.push(...engines.filter((engine) => !existing.engines.includes(engine)));
+        existing.aliases = Array.from(new Set([...(existing.aliases || []), ...(issue.aliases || [])]));
+        ['cvssScore', 'exploitMaturity', 'reachability'].forEach((field) => {
+          if (existing[field] == null && issue[field] != null) existing[field] = issue[field];
+        });
+        if ((!existing.fixedIn || existing.fixedIn.length === 0) && issue.fixedIn?.length) {
+          existing.fixedIn = issue.fixedIn;
+        }
+      });
+    });
+  });
+
+  const targetFiles = Array.from(new Set(entries.flatMap(({ result }) => result.scanTargetFiles || [])));
+  const licenses = entries.flatMap(({ result }) => result.licenses || []);
+  const projects = new Map();
+  entries.forEach(({ result }) => {
+    (result.projects || []).forEach((project) => {
+      const existing = projects.get(project.targetFile);
+      // A manifest one engine failed on but another scanned counts as scanned.
+      if (!existing || (existing.status === 'failed' && project.status !== 'failed')) {
+        projects.set(project.targetFile, project);
+      }
+    });
+  });
+
+  return {
+    ...primary.result,
+    ok: entries.every(({ result }) => result.ok),
+    summary: countBySeverity(issues),
+    issues,
+    licenses,
+    scanTargetFiles: targetFiles,
+    primaryTargetFile: primary.result.primaryTargetFile || targetFiles[0] || null,
+    projects: summarizeProjects(Array.from(projects.values()), issues, licenses),
+    raw: entries.length === 1
+      ? primary.result.raw
+      : Object.fromEntries(entries.map(({ scanner, result }) => [scanner.id, result.raw])),
+  };
+};
+
+module.exports = { mergeScanResults };
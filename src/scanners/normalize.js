@@ -0,0 +1,159 @@
+const severityOrder = ['critical', 'high', 'medium', 'low'];
+
+// Position in `severityOrder`; unknown severities rank after `low`.
+const severityRank = (severity) => {
+  const index = severityOrder.indexOf(severity);
+  return index === -1 ? severityOrder.length : index;
+};
+
+const deriveRepoName = (repoUrl = '') => {
+  try {
+    const cleaned = repoUrl.trim().replace(/\.git$/, '');
+    const parts = cleaned.split('/').filter(Boolean);
+    const lastTwo = parts.slice(-2);
+    return lastTwo.join('/');
+  } catch (err) {
+    return 'Repository';
+  }
+};
+
+const countBySeverity = (issues = []) => {
+  const counters = { critical: 0, high: 0, medium: 0, low: 0 }; // Snyk severities
+  issues.forEach((item) => {
+    if (item.severity && counters[item.severity] !== undefined) {
+      counters[item.severity] += 1;
+    }
+  });
+  return counters;
+};
+
+// "2 critical, 1 high" for a per-severity summary; empty when nothing is counted.
+const describeSeverityCounts = (summary = {}) => severityOrder
+  .filter((severity) => summary[severity])
+  .map((severity) => `${summary[severity]} ${severity}`)
+  .join(', ');
+
+// npm and OSV grade advisories on slightly different scales than Snyk.
+const normalizeSeverity = (value) => {
+  const severity = String(value || '').toLowerCase();
+  if (severity === 'moderate') return 'medium';
+  if (severity === 'info' || severity === 'none') return 'low';
+  return severityOrder.includes(severity) ? severity : 'medium';
+};
+
+const severityFromCvss = (score) => {
+  if (typeof score !== 'number' || Number.isNaN(score)) return null;
+  if (score >= 9) return 'critical';
+  if (score >= 7) return 'high';
+  if (score >= 4) return 'medium';
+  return 'low';
+};
+
+/**
+ * Finds the shortest dependency path from the project root to `packageId`
+ * in a lockfile dependency graph, formatted like Snyk's `from` arrays
+ * (`['project@1.0.0', 'direct@2.0.0', ..., 'name@version']`).
+ */
+const findDependencyPath = (graph, packageId) => {
+  if (!graph) return [];
+  const rootLabel = `${graph.root?.name || 'project'}@${graph.root?.version || '0.0.0'}`;
+  const edges = new Map(graph.packages.map((pkg) => [pkg.id, pkg.dependencies]));
+  const previous = new Map();
+  const queue = [...(graph.root?.dependencies || [])];
+  queue.forEach((id) => previous.set(id, null));
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === packageId) {
+      const path = [];
+      for (let node = current; node; node = previous.get(node)) path.unshift(node);
+      return [rootLabel, ...path];
+    }
+    (edges.get(current) || []).forEach((next) => {
+      if (!previous.has(next)) {
+        previous.set(next, current);
+        queue.push(next);
+      }
+    });
+  }
+  return [rootLabel, packageId];
+};
+
+/**
+ * Builds an upgrade path in Snyk's shape (parallel to `from`, `false` where no
+ * upgrade applies) for vulnerable direct dependencies; transitive fixes cannot
+ * be expressed without resolving the parents' ranges, so they stay empty.
+ */
+const directUpgradePath = (from, fixedVersion) => {
+  if (!fixedVersion || from.length !== 2) return [];
+  const name = from[1].slice(0, from[1].lastIndexOf('@'));
+  return [false, `${name}@${fixedVersion}`];
+};
+
+/**
+ * Recomputes each project's `summary`, `issueCount`, `licenseCount` and `ok`
+ * from the issues and licenses tagged with its `targetFile`.
+ */
+const summarizeProjects = (projects = [], issues = [], licenses = []) => projects.map((project) => {
+  const projectIssues = issues.filter((issue) => (issue.targetFile || null) === project.targetFile);
+  const licenseCount = licenses.filter((item) => (item.targetFile || null) === project.targetFile).length;
+  return {
+    ...project,
+    ok: project.status !== 'failed' && Boolean(project.ok) && projectIssues.length === 0,
+    summary: countBySeverity(projectIssues),
+    issueCount: projectIssues.length,
+    licenseCount,
+  };
+});
+
+/**
+ * Wraps normalized issues from a non-Snyk engine in the scan result shape
+ * `formatSnykPayload` produces. Lockfile-based engines scan a single project,
+ * the lockfile the dependency graph was read from.
+ */
+const buildScanResult = ({ repoUrl, graph, issues: found, engine, command, raw }) => {
+  const targetFile = graph?.source || null;
+  const issues = found.map((issue) => ({ ...issue, targetFile }));
+  const projectName = graph?.root?.name || deriveRepoName(repoUrl) || 'Unknown project';
+  const projectType = graph ? 'npm' : null;
+  const dependencyCount = graph ? graph.packages.length : null;
+  return {
+    ok: issues.length === 0,
+    projectName,
+    summary: countBySeverity(issues),
+    issues,
+    licenses: [],
+    projectType,
+    repositoryUrl: repoUrl || null,
+    repositoryAccessible: true,
+    scanTargetFiles: targetFile ? [targetFile] : [],
+    primaryTargetFile: targetFile,
+    snykCommand: null,
+    scannerCommand: command || null,
+    engine,
+    dependencyCount,
+    projects: summarizeProjects([{
+      name: projectName,
+      targetFile,
+      projectType,
+      dependencyCount,
+      status: 'completed',
+      ok: true,
+    }], issues),
+    raw,
+  };
+};
+
+module.exports = {
+  buildScanResult,
+  countBySeverity,
+  deriveRepoName,
+  describeSeverityCounts,
+  directUpgradePath,
+  findDependencyPath,
+  normalizeSeverity,
+  severityFromCvss,
+  severityOrder,
+  severityRank,
+  summarizeProjects,
+};
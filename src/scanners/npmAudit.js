@@ -0,0 +1,112 @@
+const semver = require('semver');
+const { ScanError } = require('../errors');
+const { runScannerCommand } = require('./command');
+const {
+  buildScanResult,
+  directUpgradePath,
+  findDependencyPath,
+  normalizeSeverity,
+} = require('./normalize');
+
+const NPM_AUDIT_COMMAND = process.env.NPM_AUDIT_COMMAND || 'npm audit --json';
+
+const advisoryId = (advisory) => {
+  const ghsa = String(advisory.url || '').match(/GHSA-([\w-]+)/i);
+  if (ghsa) return `GHSA-${ghsa[1].toLowerCase()}`;
+  return `NPM-${advisory.source}`;
+};
+
+// npm audit reports ranges, not installed versions; the lockfile graph tells
+// which versions of the package are actually present and affected. A package
+// missing from the graph is reported once with an unknown version.
+const affectedVersions = (graph, name, range) => {
+  const packages = (graph?.packages || []).filter((pkg) => pkg.name === name);
+  if (packages.length === 0) return [{ id: `${name}@unknown`, version: null }];
+  return packages.filter((pkg) => !range || !pkg.version || semver.satisfies(pkg.version, range));
+};
+
+/**
+ * Maps an `npm audit --json` report (auditReportVersion 2, npm 7+) into
+ * normalized issues: one per advisory and installed version of the package.
+ */
+const normalizeAuditReport = (report, { graph }) => {
+  const issues = [];
+  Object.values(report?.vulnerabilities || {}).forEach((entry) => {
+    const advisories = (entry.via || []).filter((via) => via && typeof via === 'object');
+    const fix = entry.fixAvailable && typeof entry.fixAvailable === 'object' ? entry.fixAvailable : null;
+
+    advisories.forEach((advisory) => {
+      const id = advisoryId(advisory);
+      const targets = affectedVersions(graph, advisory.name || entry.name, advisory.range);
+
+      targets.forEach((pkg) => {
+        const from = findDependencyPath(graph, pkg.id);
+        const upgradePath = fix && from.length === 2 && fix.name === entry.name
+          ? directUpgradePath(from, fix.version)
+          : [];
+        issues.push({
+          id,
+          title: advisory.title || id,
+          severity: normalizeSeverity(advisory.severity || entry.severity),
+          packageName: advisory.name || entry.name,
+          version: pkg.version,
+          from,
+          description: advisory.title || '',
+          url: advisory.url || null,
+          publicationTime: null,
+          upgradePath,
+          isPatched: false,
+          fixedIn: fix && fix.name === entry.name && fix.version ? [fix.version] : [],
+          cvssScore: typeof advisory.cvss?.score === 'number' && advisory.cvss.score > 0 ? advisory.cvss.score : null,
+          aliases: [id],
+          engines: ['npm-audit'],
+        });
+      });
+    });
+  });
+  return issues;
+};
+
+const npmAuditScanner = {
+  id: 'npm-audit',
+  label: 'npm audit',
+  command: NPM_AUDIT_COMMAND,
+
+  isAvailable: () => true,
+
+  async run({ repoDir, signal, onLine }) {
+    try {
+      return await runScannerCommand(NPM_AUDIT_COMMAND, { cwd: repoDir, signal, onLine });
+    } catch (err) {
+      signal?.throwIfAborted();
+      throw new ScanError('npm audit failed.', { details: err.stderr || err.message });
+    }
+  },
+
+  parse(output, { repoUrl, dependencyGraph }) {
+    let report;
+    try {
+      report = JSON.parse(output);
+    } catch (err) {
+      throw new ScanError('Unable to parse npm audit output.', { details: err.message, rawOutput: output });
+    }
+
+    if (report?.error) {
+      throw new ScanError('npm audit reported an error.', {
+        status: 502,
+        details: report.error.summary || report.error.detail || report.error.code || String(report.error),
+      });
+    }
+
+    return buildScanResult({
+      repoUrl,
+      graph: dependencyGraph,
+      issues: normalizeAuditReport(report, { graph: dependencyGraph }),
+      engine: 'npm-audit',
+      command: NPM_AUDIT_COMMAND,
+      raw: report,
+    });
+  },
+};
+
+module.exports = { normalizeAuditReport, npmAuditScanner };
@@ -0,0 +1,194 @@
+const path = require('path');
+const fs = require('fs/promises');
+const semver = require('semver');
+const { ScanError } = require('../errors');
+const { buildScanResult, directUpgradePath, findDependencyPath, normalizeSeverity } = require('./normalize');
+
+const OSV_DB_DIR = process.env.OSV_DB_DIR || '';
+
+let cachedIndex = null;
+
+// Accepts either the extracted `npm/all.zip` export itself or a mirror root
+// with one directory per ecosystem.
+const resolveNpmDir = async (dbDir) => {
+  const nested = path.join(dbDir, 'npm');
+  try {
+    if ((await fs.stat(nested)).isDirectory()) return nested;
+  } catch (err) {
+    // Fall through to the root directory.
+  }
+  return dbDir;
+};
+
+/** Loads every npm advisory in the mirror, indexed by package name. */
+const loadIndex = async (dbDir, onLine) => {
+  const dir = await resolveNpmDir(dbDir);
+  const stats = await fs.stat(dir);
+  if (cachedIndex && cachedIndex.dir === dir && cachedIndex.mtimeMs === stats.mtimeMs) {
+    return cachedIndex.byPackage;
+  }
+
+  const files = (await fs.readdir(dir)).filter((file) => file.endsWith('.json'));
+  if (onLine) onLine(`Loading ${files.length} OSV advisories from ${dir}`);
+  const byPackage = new Map();
+  for (const file of files) {
+    let record;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      record = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+    } catch (err) {
+      if (onLine) onLine(`Skipping unreadable advisory ${file}: ${err.message}`);
+      continue;
+    }
+    if (record.withdrawn) continue;
+    (record.affected || [])
+      .filter((affected) => affected.package?.ecosystem === 'npm' && affected.package?.name)
+      .forEach((affected) => {
+        const name = affected.package.name;
+        if (!byPackage.has(name)) byPackage.set(name, []);
+        byPackage.get(name).push({ record, affected });
+      });
+  }
+
+  cachedIndex = { dir, mtimeMs: stats.mtimeMs, byPackage };
+  return byPackage;
+};
+
+const compareVersions = (a, b) => semver.compare(a, b, { loose: true });
+
+// Range bounds are not always strict semver (e.g. `1.0`): coerce what can be
+// read as a version and return null for the rest.
+const toVersion = (value) => {
+  if (value === '0') return '0.0.0-0';
+  if (typeof value !== 'string') return null;
+  return semver.valid(value, { loose: true }) || semver.coerce(value)?.version || null;
+};
+
+// Converts a range's events into `{ introduced, fixed, lastAffected }`
+// intervals, or returns null when one of its versions does not parse.
+const toIntervals = (events = []) => {
+  const intervals = [];
+  let introduced = null;
+  for (const event of events) {
+    const bound = event.introduced ?? event.fixed ?? event.last_affected;
+    if (bound === undefined) continue;
+    const version = toVersion(bound);
+    if (!version) return null;
+    if (event.introduced !== undefined) {
+      introduced = version;
+    } else if (introduced) {
+      intervals.push(event.fixed !== undefined
+        ? { introduced, fixed: version }
+        : { introduced, lastAffected: version });
+      introduced = null;
+    }
+  }
+  if (introduced) intervals.push({ introduced });
+  return intervals;
+};
+
+// Evaluates OSV SEMVER/ECOSYSTEM range events for one version, returning the
+// first fixed version of the matching interval (or `undefined` when unfixed).
+// Ranges with unparseable versions are skipped.
+const matchRanges = (version, affected) => {
+  if (Array.isArray(affected.versions) && affected.versions.includes(version)) {
+    return { matched: true, fixed: undefined };
+  }
+  if (!semver.valid(version, { loose: true })) return { matched: false };
+
+  for (const range of affected.ranges || []) {
+    if (range.type !== 'SEMVER' && range.type !== 'ECOSYSTEM') continue;
+    const match = (toIntervals(range.events) || []).find(({ introduced, fixed, lastAffected }) => (
+      compareVersions(version, introduced) >= 0
+      && (fixed === undefined || compareVersions(version, fixed) < 0)
+      && (lastAffected === undefined || compareVersions(version, lastAffected) <= 0)
+    ));
+    if (match) return { matched: true, fixed: match.fixed };
+  }
+  return { matched: false };
+};
+
+const advisoryUrl = (record) => {
+  const reference = (record.references || []).find((ref) => ref.type === 'ADVISORY')
+    || (record.references || [])[0];
+  return reference?.url || `https://osv.dev/vulnerability/${record.id}`;
+};
+
+const toIssue = (record, pkg, fixed, graph) => {
+  const from = findDependencyPath(graph, pkg.id);
+  return {
+    id: record.id,
+    title: record.summary || record.id,
+    severity: normalizeSeverity(record.database_specific?.severity),
+    packageName: pkg.name,
+    version: pkg.version,
+    from,
+    description: record.details || record.summary || '',
+    url: advisoryUrl(record),
+    publicationTime: record.published || null,
+    upgradePath: directUpgradePath(from, fixed),
+    isPatched: false,
+    fixedIn: fixed ? [fixed] : [],
+    aliases: [record.id, ...(record.aliases || [])],
+    engines: ['osv'],
+  };
+};
+
+const osvScanner = {
+  id: 'osv',
+  label: 'OSV offline database',
+  command: null,
+
+  isAvailable: () => Boolean(OSV_DB_DIR),
+
+  async run({ dependencyGraph, onLine }) {
+    if (!OSV_DB_DIR) {
+      throw new ScanError('OSV scanning is not configured.', {
+        status: 400,
+        details: 'Set OSV_DB_DIR to a directory containing an OSV npm export.',
+      });
+    }
+    if (!dependencyGraph) {
+      throw new ScanError('OSV scanning requires a lockfile.', {
+        status: 422,
+        details: 'No package-lock.json, npm-shrinkwrap.json or yarn.lock was found in the repository.',
+      });
+    }
+
+    let index;
+    try {
+      index = await loadIndex(OSV_DB_DIR, onLine);
+    } catch (err) {
+      throw new ScanError('Unable to read the OSV database.', { details: err.message });
+    }
+
+    const matches = [];
+    dependencyGraph.packages.forEach((pkg) => {
+      (index.get(pkg.name) || []).forEach(({ record, affected }) => {
+        // One malformed advisory must not fail the whole scan.
+        try {
+          const { matched, fixed } = matchRanges(pkg.version, affected);
+          if (matched) matches.push({ record, pkg, fixed });
+        } catch (err) {
+          if (onLine) onLine(`Skipping advisory ${record.id} for ${pkg.name}: ${err.message}`);
+        }
+      });
+    });
+    if (onLine) onLine(`Matched ${matches.length} advisories against ${dependencyGraph.packages.length} packages`);
+    return matches;
+  },
+
+  parse(matches, { repoUrl, dependencyGraph }) {
+    const issues = matches.map(({ record, pkg, fixed }) => toIssue(record, pkg, fixed, dependencyGraph));
+    return buildScanResult({
+      repoUrl,
+      graph: dependencyGraph,
+      issues,
+      engine: 'osv',
+      command: null,
+      raw: { advisories: matches.map(({ record }) => record.id) },
+    });
+  },
+};
+
+module.exports = { matchRanges, osvScanner };
@@ -0,0 +1,221 @@
+const { ScanError } = require('../errors');
+const { runScannerCommand } = require('./command');
+const { countBySeverity, deriveRepoName, summarizeProjects } = require('./normalize');
+
+const SNYK_COMMAND = process.env.SNYK_COMMAND || 'npx snyk test --all-projects --json';
+
+const buildHelpfulErrorDetail = (details = '') => {
+  const normalized = String(details || '').toLowerCase();
+  if (normalized.includes('snyk auth') || normalized.includes('authentication')) {
+    return `${details} Ensure the backend process has a valid SNYK_TOKEN environment variable.`.trim();
+  }
+  return details;
+};
+
+const collectAliases = (item) => {
+  const identifiers = item.identifiers || {};
+  return [item.id, ...(identifiers.CVE || []), ...(identifiers.GHSA || [])].filter(Boolean);
+};
+
+const unique = (values) => Array.from(new Set(values.filter(Boolean)));
+
+// With `--all-projects`, manifests Snyk could not test are reported in the
+// output array as `{ ok: false, error, path }` instead of failing the run.
+const isProjectError = (item) => Boolean(item?.error) && !item?.vulnerabilities && !item?.issues;
+
+const formatFailedProject = (item) => {
+  const targetFile = item.targetFile || item.displayTargetFile || item.path || null;
+  return {
+    name: item.projectName || targetFile || 'Unknown project',
+    targetFile,
+    projectType: item.packageManager || null,
+    dependencyCount: null,
+    status: 'failed',
+    ok: false,
+    error: buildHelpfulErrorDetail(item.error),
+    summary: countBySeverity([]),
+    issueCount: 0,
+    licenseCount: 0,
+  };
+};
+
+const formatSnykProject = (payload, context = {}) => {
+  const { repoUrl, snykCommand } = context;
+  const legacyVulns = Array.isArray(payload?.vulnerabilities)
+    ? payload.vulnerabilities
+    : [];
+  const issues = Array.isArray(payload?.issues?.vulnerabilities)
+    ? payload.issues.vulnerabilities
+    : legacyVulns;
+  const licenseIssues = Array.isArray(payload?.issues?.licenses)
+    ? payload.issues.licenses
+    : [];
+
+  const projectName =
+    payload?.projectName ||
+    payload?.projectNames?.[0] ||
+    payload?.displayTargetFile ||
+    deriveRepoName(repoUrl) ||
+    'Unknown project';
+
+  const targetFiles = [];
+  const pushTarget = (value) => {
+    if (typeof value !== 'string') return;
+    const trimmed = value.trim();
+    if (!trimmed) return;
+    if (!targetFiles.includes(trimmed)) targetFiles.push(trimmed);
+  };
+
+  pushTarget(payload?.displayTargetFile);
+  pushTarget(payload?.targetFile);
+  if (Array.isArray(payload?.targetFiles)) {
+    payload.targetFiles.forEach(pushTarget);
+  }
+
+  const projectType = payload?.projectType || payload?.packageManager || null;
+  const dependencyCount = payload?.dependencyCount ?? payload?.summary?.dependencyCount ?? null;
+  const repositoryUrl = repoUrl || payload?.projectUrl || null;
+  const repositoryAccessible = true; // clone succeeded if we reach this point
+  const targetFile = targetFiles[0] || null;
+
+  const formattedIssues = issues.map((item) => ({
+    id: item.id,
+    title: item.title,
+    severity: item.severity,
+    packageName: item.packageName,
+    version: item.version,
+    from: item.from,
+    description: item.description,
+    url: item.url || item.identifiers?.url?.[0] || null,
+    publicationTime: item.publicationTime || null,
+    upgradePath: item.upgradePath || [],
+    isPatched: item.isPatched || false,
+    fixedIn: Array.isArray(item.fixedIn) ? item.fixedIn : [],
+    cvssScore: typeof item.cvssScore === 'number' ? item.cvssScore : null,
+    exploitMaturity: item.exploit || null,
+    reachability: item.reachability || null,
+    aliases: collectAliases(item),
+    engines: ['snyk'],
+    targetFile,
+  }));
+  const formattedLicenses = licenseIssues.map((item) => ({
+    id: item.id,
+    title: item.title,
+    severity: item.severity,
+    packageName: item.packageName,
+    description: item.description,
+    url: item.url || null,
+    targetFile,
+  }));
+
+  return {
+    ok: Boolean(payload?.ok),
+    projectName,
+    summary: countBySeverity(formattedIssues),
+    issues: formattedIssues,
+    licenses: formattedLicenses,
+    projectType,
+    repositoryUrl,
+    repositoryAccessible,
+    scanTargetFiles: targetFiles,
+    primaryTargetFile: targetFiles[0] || null,
+    snykCommand: snykCommand || null,
+    dependencyCount,
+    projects: summarizeProjects([{
+      name: payload?.projectName || targetFile || projectName,
+      targetFile,
+      projectType,
+      dependencyCount,
+      status: 'completed',
+      ok: Boolean(payload?.ok),
+    }], formattedIssues, formattedLicenses),
+    raw: payload,
+  };
+};
+
+/**
+ * Normalizes `snyk test --json` output. A monorepo scanned with
+ * `--all-projects` yields an array with one payload per manifest; those are
+ * combined into one result whose `projects` list has an entry per manifest
+ * and whose issues and licenses carry the `targetFile` they were found in.
+ */
+const formatSnykPayload = (payload, context = {}) => {
+  if (!Array.isArray(payload)) return formatSnykProject(payload, context);
+  if (payload.length === 1 && !isProjectError(payload[0])) return formatSnykProject(payload[0], context);
+
+  const { repoUrl, snykCommand } = context;
+  const results = [];
+  const projects = payload.map((item) => {
+    if (isProjectError(item)) return formatFailedProject(item);
+    const result = formatSnykProject(item, context);
+    results.push(result);
+    return result.projects[0];
+  });
+  const issues = results.flatMap((result) => result.issues);
+  const licenses = results.flatMap((result) => result.licenses);
+  const targetFiles = unique(results.flatMap((result) => result.scanTargetFiles));
+  const dependencyCounts = results.map((result) => result.dependencyCount).filter((count) => typeof count === 'number');
+
+  return {
+    ok: projects.every((project) => project.ok),
+    projectName: deriveRepoName(repoUrl) || results[0]?.projectName || 'Unknown project',
+    summary: countBySeverity(issues),
+    issues,
+    licenses,
+    projectType: unique(results.map((result) => result.projectType)).join(', ') || null,
+    repositoryUrl: repoUrl || null,
+    repositoryAccessible: true,
+    scanTargetFiles: targetFiles,
+    primaryTargetFile: targetFiles[0] || null,
+    snykCommand: snykCommand || null,
+    dependencyCount: dependencyCounts.length > 0
+      ? dependencyCounts.reduce((total, count) => total + count, 0)
+      : null,
+    projects,
+    raw: payload,
+  };
+};
+
+const snykScanner = {
+  id: 'snyk',
+  label: 'Snyk CLI',
+  command: SNYK_COMMAND,
+
+  isAvailable: () => true,
+
+  async run({ repoDir, signal, onLine }) {
+    try {
+      return await runScannerCommand(SNYK_COMMAND, { cwd: repoDir, signal, onLine });
+    } catch (err) {
+      signal?.throwIfAborted();
+      throw new ScanError('Snyk scan failed.', { details: buildHelpfulErrorDetail(err.stderr || err.message) });
+    }
+  },
+
+  parse(output, { repoUrl }) {
+    let parsed;
+    try {
+      parsed = JSON.parse(output);
+    } catch (err) {
+      throw new ScanError('Unable to parse Snyk output.', { details: err.message, rawOutput: output });
+    }
+
+    if (Array.isArray(parsed) && parsed.length > 0 && parsed.every(isProjectError)) {
+      throw new ScanError('Snyk could not test any project in the repository.', {
+        status: 502,
+        details: parsed.map((item) => `${item.path || 'project'}: ${item.error}`).join('\n'),
+      });
+    }
+
+    if (parsed?.error || parsed?.userMessage) {
+      throw new ScanError('Snyk scan reported an error.', {
+        status: 502,
+        details: buildHelpfulErrorDetail(parsed.userMessage || parsed.error),
+      });
+    }
+
+    return formatSnykPayload(parsed, { repoUrl, snykCommand: SNYK_COMMAND });
+  },
+};
+
+module.exports = { SNYK_COMMAND, buildHelpfulErrorDetail, formatSnykPayload, snykScanner };
@@ -0,0 +1,228 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { nextRun, parseSchedule } = require('./cron');
+const { diffScans } = require('./scanDiff');
+const { stripUrlCredentials } = require('./redact');
+
+const TICK_MS = (Number(process.env.SCHEDULER_TICK_SECONDS) || 60) * 1000;
+const MAX_LISTED_ISSUES = 20;
+
+const compactIssue = (issue) => ({
+  id: issue.id,
+  title: issue.title,
+  severity: issue.severity,
+  packageName: issue.packageName,
+  version: issue.version,
+});
+
+// Accepted risks are not news: suppressed findings never trigger a notification.
+const activeIssues = (result) => ({
+  issues: (Array.isArray(result?.issues) ? result.issues : []).filter((issue) => !issue.suppressed),
+});
+
+/**
+ * What changed between two runs of a watched repository that is worth a
+ * notification: vulnerabilities that were not reported before, and a policy
+ * verdict that differs from the previous one. Returns `null` when nothing
+ * did, or when there is no previous run to compare with.
+ */
+const detectChanges = (previous, current) => {
+  if (!previous) return null;
+  const { introduced } = diffScans(activeIssues(previous), activeIssues(current));
+  const before = previous.policy?.status || null;
+  const after = current.policy?.status || null;
+  const reasons = [];
+  if (introduced.length > 0) reasons.push('new-vulnerabilities');
+  if (before !== after) reasons.push('policy-changed');
+  if (reasons.length === 0) return null;
+  return {
+    reasons,
+    introduced: introduced.slice(0, MAX_LISTED_ISSUES).map(compactIssue),
+    introducedCount: introduced.length,
+    policy: { previous: before, current: after },
+    summary: current.summary || {},
+  };
+};
+
+const scheduleNext = (schedule, after) => {
+  const next = nextRun(parseSchedule(schedule), after);
+  return next ? next.toISOString() : null;
+};
+
+const toPublicView = (watch) => ({ ...watch, repoUrl: stripUrlCredentials(watch.repoUrl) });
+
+/**
+ * Rescans watched repositories on a schedule through the scan queue.
+ *
+ * Watches live in the `watches` collection as `{ id, repoUrl, ref, scanners,
+ * schedule, enabled, nextRunAt, lastRunAt, lastJobId, lastScanId,
+ * lastStatus, lastError }`. Every `tickInterval` the due ones are submitted
+ * to `scanQueue`; once a run finishes it is compared with the watch's
+ * previous scan and, when `detectChanges` finds something, a notification is
+ * stored in the `notifications` collection and emitted as `notification`.
+ */
+class ScanScheduler extends EventEmitter {
+  constructor({
+    storage,
+    scanQueue,
+    scanHistory,
+    tickInterval = TICK_MS,
+  }) {
+    super();
+    this.watches = storage.collection('watches');
+    this.notifications = storage.collection('notifications');
+    this.scanQueue = scanQueue;
+    this.scanHistory = scanHistory;
+    this.tickInterval = tickInterval;
+    this.timer = null;
+    // Watch ids with a run in flight, so a slow scan is never started twice.
+    this.running = new Set();
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+    this.timer.unref();
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async list() {
+    const watches = await this.watches.list();
+    return watches
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+      .map(toPublicView);
+  }
+
+  async get(id) {
+    const watch = await this.watches.get(id);
+    return watch ? toPublicView(watch) : null;
+  }
+
+  /** `params` are validated scan parameters (`repoUrl`, `ref`, `scanners`). */
+  async create(params, { schedule, enabled = true }) {
+    const now = new Date();
+    const watch = {
+      id: crypto.randomUUID(),
+      repoUrl: params.repoUrl,
+      ref: params.ref || null,
+      scanners: params.scanners,
+      schedule,
+      enabled: Boolean(enabled),
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      nextRunAt: enabled ? scheduleNext(schedule, now) : null,
+      lastRunAt: null,
+      lastJobId: null,
+      lastScanId: null,
+      lastStatus: null,
+      lastError: null,
+    };
+    return toPublicView(await this.watches.insert(watch));
+  }
+
+  async update(id, patch) {
+    const watch = await this.watches.get(id);
+    if (!watch) return null;
+    const next = { ...watch, ...patch };
+    const rescheduled = patch.schedule !== undefined || patch.enabled !== undefined;
+    const updated = await this.watches.update(id, {
+      ...patch,
+      updatedAt: new Date().toISOString(),
+      ...(rescheduled ? { nextRunAt: next.enabled ? scheduleNext(next.schedule, new Date()) : null } : {}),
+    });
+    return toPublicView(updated);
+  }
+
+  async remove(id) {
+    return this.watches.remove(id);
+  }
+
+  async listNotifications({ watchId, limit = 50 } = {}) {
+    const notifications = await this.notifications.list((item) => !watchId || item.watchId === watchId);
+    return notifications
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+      .slice(0, limit);
+  }
+
+  /** Submits every enabled watch whose next run is due. */
+  async tick(now = new Date()) {
+    try {
+      const due = await this.watches.list((watch) => (
+        watch.enabled && watch.nextRunAt && watch.nextRunAt <= now.toISOString() && !this.running.has(watch.id)
+      ));
+      due.forEach((watch) => this.run(watch, now));
+    } catch (err) {
+      console.error('Scheduled scan check failed:', err.message);
+    }
+  }
+
+  /** Runs a watch now, outside its schedule. Resolves with the queued job. */
+  async runNow(id) {
+    const watch = await this.watches.get(id);
+    if (!watch) return null;
+    if (this.running.has(id)) return this.scanQueue.get(watch.lastJobId);
+    return this.run(watch, new Date());
+  }
+
+  async run(watch, now) {
+    this.running.add(watch.id);
+    const job = this.scanQueue.submit({ repoUrl: watch.repoUrl, ref: watch.ref || undefined, scanners: watch.scanners });
+    try {
+      await this.watches.update(watch.id, {
+        lastRunAt: now.toISOString(),
+        lastJobId: job.id,
+        lastStatus: 'running',
+        nextRunAt: watch.enabled ? scheduleNext(watch.schedule, now) : null,
+      });
+    } catch (err) {
+      console.error('Failed to update watch', watch.id, err.message);
+    }
+    this.scanQueue.wait(job.id)
+      .then((view) => this.complete(watch, view))
+      .catch((err) => console.error('Scheduled scan of', stripUrlCredentials(watch.repoUrl), 'failed:', err.message))
+      .finally(() => this.running.delete(watch.id));
+    return job;
+  }
+
+  async complete(watch, view) {
+    if (view.status !== 'completed') {
+      await this.watches.update(watch.id, {
+        lastStatus: view.status,
+        lastError: view.error?.details || view.error?.error || null,
+      });
+      return;
+    }
+
+    const record = await this.scanHistory.get(view.id);
+    const previous = watch.lastScanId
+      ? await this.scanHistory.get(watch.lastScanId)
+      : record && await this.scanHistory.findPrevious(record);
+    const current = await this.watches.update(watch.id, {
+      lastStatus: 'completed',
+      lastError: null,
+      lastScanId: record ? record.id : watch.lastScanId,
+    });
+    if (!record || !current) return;
+
+    const changes = detectChanges(previous?.result, record.result);
+    if (!changes) return;
+    const notification = await this.notifications.insert({
+      id: crypto.randomUUID(),
+      watchId: watch.id,
+      repoUrl: record.repoUrl,
+      ref: record.ref,
+      scanId: record.id,
+      previousScanId: previous.id,
+      createdAt: new Date().toISOString(),
+      ...changes,
+    });
+    this.emit('notification', notification);
+  }
+}
+
+module.exports = { ScanScheduler, detectChanges };
@@ -0,0 +1,48 @@
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Switches an Express response into a Server-Sent Events stream.
+ *
+ * Returns `send(event, data, id)` to write a JSON-encoded event and `close()`
+ * to end the stream. `onClose` runs once, whether the client disconnects or
+ * the server closes the stream.
+ */
+const openEventStream = (req, res, { onClose } = {}) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const heartbeat = setInterval(() => {
+    res.write(': keep-alive\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  const cleanUp = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    if (onClose) onClose();
+  };
+
+  req.on('close', cleanUp);
+
+  return {
+    send(event, data, id) {
+      if (closed) return;
+      if (id !== undefined) res.write(`id: ${id}\n`);
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      cleanUp();
+      res.end();
+    },
+  };
+};
+
+module.exports = { openEventStream };
@@ -0,0 +1,122 @@
+const path = require('path');
+const fs = require('fs/promises');
+const crypto = require('crypto');
+
+const SAFE_ID = /^[\w.-]+$/;
+
+class FileCollection {
+  constructor(dir) {
+    this.dir = dir;
+    this.ready = null;
+    this.writes = new Map();
+  }
+
+  ensureDir() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.dir, { recursive: true });
+    }
+    return this.ready;
+  }
+
+  filePath(id) {
+    if (typeof id !== 'string' || !SAFE_ID.test(id)) return null;
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  // Serializes writes per document so concurrent updates never interleave.
+  enqueue(id, task) {
+    const previous = this.writes.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this.writes.set(id, next);
+    next.finally(() => {
+      if (this.writes.get(id) === next) this.writes.delete(id);
+    }).catch(() => {});
+    return next;
+  }
+
+  async write(doc) {
+    await this.ensureDir();
+    const target = this.filePath(doc.id);
+    const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(doc, null, 2));
+    await fs.rename(temp, target);
+    return doc;
+  }
+
+  async read(id) {
+    const file = this.filePath(id);
+    if (!file) return null;
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async insert(doc) {
+    const stored = { ...doc, id: doc.id || crypto.randomUUID() };
+    if (!this.filePath(stored.id)) {
+      throw new Error(`Invalid document id: ${stored.id}`);
+    }
+    return this.enqueue(stored.id, () => this.write(stored));
+  }
+
+  async get(id) {
+    return this.read(id);
+  }
+
+  async update(id, patch) {
+    if (!this.filePath(id)) return null;
+    return this.enqueue(id, async () => {
+      const current = await this.read(id);
+      if (!current) return null;
+      return this.write({ ...current, ...patch, id });
+    });
+  }
+
+  async remove(id) {
+    const file = this.filePath(id);
+    if (!file) return false;
+    return this.enqueue(id, async () => {
+      try {
+        await fs.unlink(file);
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    });
+  }
+
+  async list(predicate) {
+    await this.ensureDir();
+    const entries = await fs.readdir(this.dir);
+    const docs = await Promise.all(
+      entries
+        .filter((entry) => entry.endsWith('.json'))
+        .map((entry) => this.read(entry.slice(0, -'.json'.length)).catch(() => null)),
+    );
+    const existing = docs.filter(Boolean);
+    return predicate ? existing.filter(predicate) : existing;
+  }
+}
+
+/**
+ * Stores each collection as a directory of JSON documents under `dataDir`,
+ * one file per document, written atomically via rename.
+ */
+const createFileStore = ({ dataDir }) => {
+  const collections = new Map();
+  return {
+    driver: 'file',
+    dataDir,
+    collection(name) {
+      if (!SAFE_ID.test(name)) throw new Error(`Invalid collection name: ${name}`);
+      if (!collections.has(name)) collections.set(name, new FileCollection(path.join(dataDir, name)));
+      return collections.get(name);
+    },
+  };
+};
+
+module.exports = { createFileStore };
@@ -0,0 +1,30 @@
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+const { createMemoryStore } = require('./memoryStore');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+/**
+ * Creates the document store used for scan history and other server state.
+ *
+ * Every driver exposes `collection(name)`, returning an object with async
+ * `insert(doc)`, `get(id)`, `update(id, patch)`, `remove(id)` and
+ * `list(predicate?)`. `STORAGE_DRIVER` selects `file` (default), `memory`, or
+ * a path to a module exporting `createStore(options)` for custom backends.
+ */
+const createStorage = ({
+  driver = process.env.STORAGE_DRIVER || 'file',
+  dataDir = process.env.DATA_DIR || DEFAULT_DATA_DIR,
+} = {}) => {
+  if (driver === 'file') return createFileStore({ dataDir });
+  if (driver === 'memory') return createMemoryStore();
+
+  // eslint-disable-next-line global-require, import/no-dynamic-require
+  const custom = require(path.resolve(driver));
+  if (typeof custom.createStore !== 'function') {
+    throw new Error(`Storage driver ${driver} must export createStore().`);
+  }
+  return custom.createStore({ dataDir });
+};
+
+module.exports = { createStorage };
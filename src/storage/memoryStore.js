@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+class MemoryCollection {
+  constructor() {
+    this.docs = new Map();
+  }
+
+  async insert(doc) {
+    const stored = { ...clone(doc), id: doc.id || crypto.randomUUID() };
+    this.docs.set(stored.id, stored);
+    return clone(stored);
+  }
+
+  async get(id) {
+    return clone(this.docs.get(id)) || null;
+  }
+
+  async update(id, patch) {
+    const current = this.docs.get(id);
+    if (!current) return null;
+    const next = { ...current, ...clone(patch), id };
+    this.docs.set(id, next);
+    return clone(next);
+  }
+
+  async remove(id) {
+    return this.docs.delete(id);
+  }
+
+  async list(predicate) {
+    const docs = Array.from(this.docs.values()).map(clone);
+    return predicate ? docs.filter(predicate) : docs;
+  }
+}
+
+/** Keeps every collection in process memory; data is lost on restart. */
+const createMemoryStore = () => {
+  const collections = new Map();
+  return {
+    driver: 'memory',
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, new MemoryCollection());
+      return collections.get(name);
+    },
+  };
+};
+
+module.exports = { createMemoryStore };
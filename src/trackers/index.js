@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const { TICKET_GROUPINGS, buildTickets } = require('./tickets');
+const {
+  GITHUB_API_URL,
+  TRACKER_TYPES,
+  TrackerError,
+  getTrackerProvider,
+} = require('./providers');
+
+const TIMEOUT_MS = Number(process.env.TRACKER_TIMEOUT_MS) || 15000;
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+};
+
+const cleanLabels = (labels) => Array.from(new Set((labels || [])
+  .map((label) => String(label).trim())
+  .filter(Boolean)));
+
+// Tokens are stored per host in the credential store; GitHub's API host
+// shares the github.com credential.
+const credentialHost = (tracker) => new URL(tracker.url || GITHUB_API_URL).host
+  .replace(/^api\.github\.com$/, 'github.com');
+
+const describeTicket = (ticket) => ({
+  fingerprint: ticket.fingerprint,
+  title: ticket.title,
+  severity: ticket.severity,
+  vulnIds: ticket.vulnIds,
+});
+
+/**
+ * Exports scan findings to issue trackers as tickets.
+ *
+ * Trackers live in the `trackers` collection as `{ id, name, type, url,
+ * project, issueType, labels }`: `type` is a `TRACKER_TYPES` provider,
+ * `project` the Jira project key or GitHub `owner/name`, and `url` the Jira
+ * site or GitHub API base URL. Their tokens come from the credential store
+ * for the tracker's host. Every created ticket is recorded in the
+ * `trackerTickets` collection under the repository and the ticket's
+ * fingerprint, so exporting a later scan of the repository to the same
+ * tracker skips remediations that already have a ticket.
+ */
+class TrackerService {
+  constructor({
+    storage,
+    scanHistory,
+    credentialStore,
+    fetch: fetchImpl = globalThis.fetch,
+    timeout = TIMEOUT_MS,
+  }) {
+    this.trackers = storage.collection('trackers');
+    this.tickets = storage.collection('trackerTickets');
+    this.scanHistory = scanHistory;
+    this.credentialStore = credentialStore;
+    this.fetch = fetchImpl;
+    this.timeout = timeout;
+    this.running = new Set();
+  }
+
+  async list() {
+    const trackers = await this.trackers.list();
+    return trackers.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
+  async get(id) {
+    return this.trackers.get(id);
+  }
+
+  validate(input, existing) {
+    const merged = { ...existing, ...input };
+    const provider = getTrackerProvider(merged.type);
+    if (!provider) {
+      throw new TrackerError(`The tracker type must be one of ${TRACKER_TYPES.join(', ')}.`);
+    }
+    if (merged.url !== undefined && merged.url !== null && merged.url !== '' && !isHttpUrl(merged.url)) {
+      throw new TrackerError('The tracker URL must be an http or https URL.');
+    }
+    if (input.labels !== undefined && (!Array.isArray(input.labels) || input.labels.some((label) => typeof label !== 'string'))) {
+      throw new TrackerError('Labels must be a list of strings.');
+    }
+    provider.validate(merged);
+  }
+
+  async create(input) {
+    this.validate(input, {});
+    const now = new Date().toISOString();
+    return this.trackers.insert({
+      id: crypto.randomUUID(),
+      name: typeof input.name === 'string' && input.name.trim() ? input.name.trim() : `${getTrackerProvider(input.type).label} ${input.project}`,
+      type: input.type,
+      url: input.url || null,
+      project: input.project,
+      issueType: typeof input.issueType === 'string' && input.issueType.trim() ? input.issueType.trim() : null,
+      labels: cleanLabels(input.labels),
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  /** Updates a tracker; omitted fields keep their values. */
+  async update(id, input) {
+    const existing = await this.trackers.get(id);
+    if (!existing) return null;
+    this.validate(input, existing);
+    const patch = { updatedAt: new Date().toISOString() };
+    ['type', 'project'].forEach((field) => {
+      if (input[field] !== undefined) patch[field] = input[field];
+    });
+    if (input.url !== undefined) patch.url = input.url || null;
+    if (input.issueType !== undefined) patch.issueType = input.issueType ? String(input.issueType).trim() : null;
+    if (input.labels !== undefined) patch.labels = cleanLabels(input.labels);
+    if (typeof input.name === 'string' && input.name.trim()) patch.name = input.name.trim();
+    return this.trackers.update(id, patch);
+  }
+
+  /** Removes a tracker and its ticket records. */
+  async remove(id) {
+    const removed = await this.trackers.remove(id);
+    if (removed) {
+      const tickets = await this.tickets.list((ticket) => ticket.trackerId === id);
+      await Promise.all(tickets.map((ticket) => this.tickets.remove(ticket.id)));
+    }
+    return removed;
+  }
+
+  /** Tickets created in a tracker, newest first, optionally for one repository. */
+  async listTickets(trackerId, { repoKey } = {}) {
+    const tickets = await this.tickets.list((ticket) => (
+      ticket.trackerId === trackerId && (!repoKey || ticket.repoKey === repoKey)
+    ));
+    return tickets.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  /**
+   * Creates one ticket per remediation step (`groupBy: 'step'`) or per
+   * vulnerable package (`'package'`) of a stored scan. Tickets already created
+   * for the repository are reported as `existing` instead. With `dryRun` the
+   * tickets and their payloads are returned without contacting the tracker.
+   * Resolves with `{ created, existing, failed }`, or `{ tickets }` for a dry
+   * run, and `null` when the scan or tracker does not exist.
+   */
+  async exportScan(scanId, trackerId, { groupBy = 'step', dryRun = false } = {}) {
+    if (!TICKET_GROUPINGS.includes(groupBy)) {
+      throw new TrackerError(`Group tickets by one of ${TICKET_GROUPINGS.join(', ')}.`);
+    }
+    const [record, tracker] = await Promise.all([this.scanHistory.get(scanId), this.trackers.get(trackerId)]);
+    if (!record || !tracker) return null;
+
+    const provider = getTrackerProvider(tracker.type);
+    const known = new Map((await this.listTickets(tracker.id, { repoKey: record.repoKey }))
+      .map((ticket) => [ticket.fingerprint, ticket]));
+    const tickets = buildTickets(record, { groupBy });
+
+    if (dryRun) {
+      return {
+        tickets: tickets.map((ticket) => ({
+          ...describeTicket(ticket),
+          existing: known.get(ticket.fingerprint) || null,
+          payload: provider.format(ticket, tracker),
+        })),
+      };
+    }
+
+    const host = credentialHost(tracker);
+    const credential = await this.credentialStore.resolveApiToken(`https://${host}/`);
+    if (!credential) {
+      throw new TrackerError(`Add a token credential for ${host} to create tickets in ${tracker.name}.`);
+    }
+
+    const runKey = `${tracker.id}|${record.repoKey}`;
+    if (this.running.has(runKey)) {
+      throw new TrackerError(`Tickets for this repository are already being created in ${tracker.name}.`, 409);
+    }
+    this.running.add(runKey);
+    try {
+      return await this.createTickets({
+        record, tracker, provider, credential, tickets, known,
+      });
+    } finally {
+      this.running.delete(runKey);
+    }
+  }
+
+  async createTickets({
+    record, tracker, provider, credential, tickets, known,
+  }) {
+    const created = [];
+    const existing = [];
+    const failed = [];
+    // One at a time: trackers rate limit bursts of issue creation. Exports
+    // are not cancelled with the request, so every created issue is recorded.
+    for (const ticket of tickets) {
+      const previous = known.get(ticket.fingerprint);
+      if (previous) {
+        existing.push({ ...describeTicket(ticket), externalId: previous.externalId, url: previous.url });
+        continue;
+      }
+      try {
+        const issue = await provider.createIssue({
+          tracker,
+          payload: provider.format(ticket, tracker),
+          credential,
+          fetch: this.fetch,
+          signal: AbortSignal.timeout(this.timeout),
+        });
+        const saved = await this.tickets.insert({
+          id: crypto.randomUUID(),
+          trackerId: tracker.id,
+          repoKey: record.repoKey,
+          fingerprint: ticket.fingerprint,
+          title: ticket.title,
+          vulnIds: ticket.vulnIds,
+          externalId: issue.externalId,
+          url: issue.url,
+          scanId: record.id,
+          createdAt: new Date().toISOString(),
+        });
+        created.push({ ...describeTicket(ticket), externalId: saved.externalId, url: saved.url });
+      } catch (err) {
+        failed.push({
+          ...describeTicket(ticket),
+          error: err.name === 'TimeoutError' ? `No response within ${this.timeout} ms.` : err.message,
+        });
+      }
+    }
+    return { created, existing, failed };
+  }
+}
+
+module.exports = {
+  TICKET_GROUPINGS,
+  TRACKER_TYPES,
+  TrackerError,
+  TrackerService,
+};
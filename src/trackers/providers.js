@@ -0,0 +1,121 @@
+const { formatGithub, formatJira } = require('./tickets');
+
+const GITHUB_API_URL = process.env.GITHUB_API_URL || 'https://api.github.com';
+const MAX_LOGGED_RESPONSE = 500;
+
+class TrackerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TrackerError';
+    this.status = status;
+  }
+}
+
+const trimSlash = (url) => String(url || '').replace(/\/+$/, '');
+
+const postJson = async (fetchImpl, url, { headers, body, signal }) => {
+  const response = await fetchImpl(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', accept: 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  const text = await response.text();
+  let payload = null;
+  try {
+    payload = text ? JSON.parse(text) : null;
+  } catch (err) {
+    payload = null;
+  }
+  if (!response.ok) {
+    const message = payload?.message
+      || (Array.isArray(payload?.errorMessages) && payload.errorMessages.join(' '))
+      || (payload?.errors && JSON.stringify(payload.errors))
+      || text
+      || response.statusText;
+    throw new TrackerError(`${response.status}: ${String(message).slice(0, MAX_LOGGED_RESPONSE)}`, 502);
+  }
+  return payload;
+};
+
+/**
+ * Issue tracker providers. Each one has:
+ *
+ * - `validate(tracker)`: throws a `TrackerError` when the tracker settings
+ *   cannot work with the provider.
+ * - `format(ticket, tracker)`: the provider's create-issue payload.
+ * - `createIssue({ tracker, payload, credential, fetch, signal })`: creates
+ *   the issue with the `{ token, username }` stored for the tracker's host and
+ *   resolves with `{ externalId, url }`.
+ *
+ * `tracker.url` points at the tracker's API, so a local mock server can stand
+ * in for the real service.
+ */
+const providers = {
+  jira: {
+    id: 'jira',
+    label: 'Jira',
+    validate: (tracker) => {
+      if (!tracker.url) throw new TrackerError('Jira trackers need the site URL, like https://acme.atlassian.net.');
+      if (!/^[A-Z][A-Z0-9_]+$/.test(tracker.project || '')) {
+        throw new TrackerError('The Jira project must be a project key, like SEC.');
+      }
+    },
+    format: (ticket, tracker) => formatJira(ticket, {
+      project: tracker.project,
+      issueType: tracker.issueType || undefined,
+      labels: tracker.labels,
+    }),
+    // Jira Cloud takes `email:token` over basic auth (the email is the
+    // credential's username); Data Center takes a personal access token as a
+    // bearer token.
+    createIssue: async ({
+      tracker, payload, credential, fetch: fetchImpl, signal,
+    }) => {
+      const authorization = credential.username
+        ? `Basic ${Buffer.from(`${credential.username}:${credential.token}`).toString('base64')}`
+        : `Bearer ${credential.token}`;
+      const created = await postJson(fetchImpl, `${trimSlash(tracker.url)}/rest/api/2/issue`, {
+        headers: { authorization },
+        body: payload,
+        signal,
+      });
+      return { externalId: created.key, url: `${trimSlash(tracker.url)}/browse/${created.key}` };
+    },
+  },
+  github: {
+    id: 'github',
+    label: 'GitHub Issues',
+    validate: (tracker) => {
+      if (!/^[\w.-]+\/[\w.-]+$/.test(tracker.project || '')) {
+        throw new TrackerError('The GitHub repository must look like owner/name.');
+      }
+    },
+    format: (ticket, tracker) => formatGithub(ticket, { labels: tracker.labels }),
+    createIssue: async ({
+      tracker, payload, credential, fetch: fetchImpl, signal,
+    }) => {
+      const created = await postJson(fetchImpl, `${trimSlash(tracker.url || GITHUB_API_URL)}/repos/${tracker.project}/issues`, {
+        headers: {
+          authorization: `Bearer ${credential.token}`,
+          accept: 'application/vnd.github+json',
+          'user-agent': 'snyk-scanner-trackers',
+        },
+        body: payload,
+        signal,
+      });
+      return { externalId: `#${created.number}`, url: created.html_url };
+    },
+  },
+};
+
+const TRACKER_TYPES = Object.keys(providers);
+
+const getTrackerProvider = (type) => (Object.prototype.hasOwnProperty.call(providers, type) ? providers[type] : null);
+
+module.exports = {
+  GITHUB_API_URL,
+  TRACKER_TYPES,
+  TrackerError,
+  getTrackerProvider,
+};
@@ -0,0 +1,192 @@
+const { severityRank } = require('../scanners/normalize');
+const { stripUrlCredentials } = require('../redact');
+const { scanLink } = require('../webhooks/formatters');
+
+const TICKET_GROUPINGS = ['step', 'package'];
+const MAX_TITLE_LENGTH = 250;
+
+const worstSeverity = (issues) => issues.reduce(
+  (worst, issue) => (severityRank(issue.severity) < severityRank(worst) ? issue.severity : worst),
+  issues[0]?.severity || 'low',
+);
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+const describePackage = (issue) => (issue.version ? `${issue.packageName}@${issue.version}` : issue.packageName);
+
+const toIssueSummary = (issue) => ({
+  id: issue.id,
+  title: issue.title,
+  severity: issue.severity,
+  packageName: issue.packageName || null,
+  version: issue.version || null,
+  cvssScore: issue.cvssScore ?? null,
+  url: issue.url || null,
+});
+
+// Duplicate reports of one vulnerability (several paths) become one entry.
+const uniqueIssues = (issues) => {
+  const seen = new Map();
+  issues.forEach((issue) => {
+    const key = `${issue.id}|${issue.packageName}@${issue.version}`;
+    if (!seen.has(key)) seen.set(key, issue);
+  });
+  return Array.from(seen.values());
+};
+
+const ticketFor = (record, { fingerprint, title, summary, command, packageName, issues }) => {
+  const unique = uniqueIssues(issues);
+  const project = record.result?.projectName || record.repoKey || 'scan';
+  const links = [scanLink(record.id), ...unique.map((issue) => issue.url)].filter(Boolean);
+  return {
+    fingerprint,
+    title: truncate(`[${project}] ${title}`, MAX_TITLE_LENGTH),
+    summary,
+    severity: worstSeverity(unique),
+    vulnIds: Array.from(new Set(unique.map((issue) => issue.id))).sort(),
+    packageName: packageName || null,
+    command: command || null,
+    issues: unique.map(toIssueSummary),
+    links: Array.from(new Set(links)),
+    repoUrl: stripUrlCredentials(record.repoUrl || ''),
+    commitSha: record.commitSha || null,
+    scanId: record.id,
+  };
+};
+
+const stepFingerprint = (step) => (step.package
+  ? `step:${step.package}@${step.version || ''}`
+  : `step:${[...step.issueIds].sort().join(',')}`);
+
+// One ticket per action plan step that remediates findings. Generic advice
+// (steps without issue ids) and plans stored as plain strings are skipped.
+// Steps with the same fingerprint (e.g. two steps upgrading one package)
+// become one ticket for all of their findings, named after the first.
+const ticketsFromSteps = (record, issues) => {
+  const steps = Array.isArray(record.result?.actionPlan?.steps) ? record.result.actionPlan.steps : [];
+  const byFingerprint = new Map();
+  steps
+    .filter((step) => step && typeof step === 'object' && Array.isArray(step.issueIds) && step.issueIds.length > 0)
+    .forEach((step) => {
+      const fingerprint = stepFingerprint(step);
+      const merged = byFingerprint.get(fingerprint);
+      if (merged) {
+        merged.issueIds = Array.from(new Set([...merged.issueIds, ...step.issueIds]));
+      } else {
+        byFingerprint.set(fingerprint, { ...step, issueIds: [...step.issueIds] });
+      }
+    });
+  return Array.from(byFingerprint.entries()).map(([fingerprint, step]) => {
+    const covered = issues.filter((issue) => step.issueIds.includes(issue.id));
+    return ticketFor(record, {
+      fingerprint,
+      title: step.action,
+      summary: step.action,
+      command: step.command,
+      packageName: step.package,
+      issues: covered.length > 0
+        ? covered
+        : step.issueIds.map((id) => ({ id, title: id, severity: null })),
+    });
+  });
+};
+
+// One ticket per vulnerable package version.
+const ticketsFromPackages = (record, issues) => {
+  const groups = new Map();
+  issues.filter((issue) => issue.packageName).forEach((issue) => {
+    const key = describePackage(issue);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(issue);
+  });
+  return Array.from(groups.entries()).map(([label, members]) => {
+    const unique = uniqueIssues(members);
+    const upgrade = members
+      .map((issue) => (Array.isArray(issue.upgradePath) ? issue.upgradePath.filter(Boolean)[0] : null))
+      .find(Boolean);
+    const count = `${unique.length} ${unique.length === 1 ? 'vulnerability' : 'vulnerabilities'}`;
+    return ticketFor(record, {
+      fingerprint: `package:${label}`,
+      title: `Fix ${count} in ${label}`,
+      summary: upgrade
+        ? `${label} has ${count}. Upgrading to ${upgrade} fixes at least one of them.`
+        : `${label} has ${count} without an upgrade path.`,
+      packageName: members[0].packageName,
+      issues: members,
+    });
+  });
+};
+
+/**
+ * Tracker tickets for a stored scan: one per remediation step of the action
+ * plan (`groupBy: 'step'`) or one per vulnerable package version
+ * (`'package'`), worst severity first. Suppressed findings are left out. A
+ * ticket's `fingerprint` identifies the same remediation across scans of the
+ * repository and is unique within the list.
+ */
+const buildTickets = (record, { groupBy = 'step' } = {}) => {
+  const issues = (record.result?.issues || []).filter((issue) => !issue.suppressed);
+  const tickets = groupBy === 'package' ? ticketsFromPackages(record, issues) : ticketsFromSteps(record, issues);
+  return tickets.sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+};
+
+const severityLabel = (ticket) => `severity-${ticket.severity}`;
+
+const ticketLabels = (ticket, extra = []) => Array.from(new Set(['security', severityLabel(ticket), ...extra]));
+
+const describeIssue = (issue) => [
+  issue.severity ? `${issue.severity}` : null,
+  issue.packageName ? describePackage(issue) : null,
+  typeof issue.cvssScore === 'number' ? `CVSS ${issue.cvssScore}` : null,
+].filter(Boolean).join(', ');
+
+/** GitHub Issues payload (`POST /repos/:owner/:repo/issues`), Markdown body. */
+const formatGithub = (ticket, { labels = [] } = {}) => {
+  const lines = [
+    ticket.summary,
+    '',
+    `**Severity:** ${ticket.severity}`,
+    `**Repository:** ${ticket.repoUrl}${ticket.commitSha ? ` at \`${ticket.commitSha.slice(0, 12)}\`` : ''}`,
+    ...(ticket.command ? ['', '```sh', ticket.command, '```'] : []),
+    '',
+    '### Vulnerabilities',
+    '',
+    ...ticket.issues.map((issue) => `- ${issue.url ? `[${issue.id}](${issue.url})` : `\`${issue.id}\``} ${issue.title}${describeIssue(issue) ? ` (${describeIssue(issue)})` : ''}`),
+    ...(scanLink(ticket.scanId) ? ['', `[Open the scan](${scanLink(ticket.scanId)})`] : []),
+  ];
+  return { title: ticket.title, body: lines.join('\n'), labels: ticketLabels(ticket, labels) };
+};
+
+/**
+ * Jira payload (`POST /rest/api/2/issue`) with a wiki markup description.
+ * Jira labels cannot contain spaces, so extra labels are hyphenated.
+ */
+const formatJira = (ticket, { project, issueType = 'Bug', labels = [] } = {}) => {
+  const lines = [
+    ticket.summary,
+    '',
+    `*Severity:* ${ticket.severity}`,
+    `*Repository:* ${ticket.repoUrl}${ticket.commitSha ? ` at {{${ticket.commitSha.slice(0, 12)}}}` : ''}`,
+    ...(ticket.command ? ['', '{code}', ticket.command, '{code}'] : []),
+    '',
+    'h3. Vulnerabilities',
+    ...ticket.issues.map((issue) => `* ${issue.url ? `[${issue.id}|${issue.url}]` : issue.id} ${issue.title}${describeIssue(issue) ? ` (${describeIssue(issue)})` : ''}`),
+    ...(scanLink(ticket.scanId) ? ['', `[Open the scan|${scanLink(ticket.scanId)}]`] : []),
+  ];
+  return {
+    fields: {
+      project: { key: project },
+      issuetype: { name: issueType },
+      summary: ticket.title,
+      description: lines.join('\n'),
+      labels: ticketLabels(ticket, labels).map((label) => label.replace(/\s+/g, '-')),
+    },
+  };
+};
+
+module.exports = {
+  TICKET_GROUPINGS,
+  buildTickets,
+  formatGithub,
+  formatJira,
+};
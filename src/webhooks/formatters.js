@@ -0,0 +1,128 @@
+const { describeSeverityCounts } = require('../scanners/normalize');
+
+const APP_URL = (process.env.APP_URL || '').replace(/\/+$/, '');
+const MAX_LISTED = 5;
+
+/** The UI link to a scan when `APP_URL` is set, else `null`. */
+const scanLink = (scanId) => (APP_URL && scanId ? `${APP_URL}/?job=${encodeURIComponent(scanId)}` : null);
+
+const describeCounts = (summary) => describeSeverityCounts(summary) || 'no vulnerabilities';
+
+const target = (data) => `${data.repoUrl}${data.ref ? ` @ ${data.ref}` : ''}`;
+
+/**
+ * A title, body lines and key facts describing an event, shared by the chat
+ * formats. The body leads with the action plan summary when there is one.
+ */
+const describeEvent = ({ event, data }) => {
+  switch (event) {
+    case 'scan.completed':
+      return {
+        title: `Scan completed: ${target(data)}`,
+        lines: [
+          data.actionPlan?.summary || `Found ${describeCounts(data.summary)}.`,
+          ...(data.actionPlan?.steps || []).slice(0, MAX_LISTED).map((step, index) => `${index + 1}. ${step}`),
+        ],
+        facts: [
+          ['Vulnerabilities', describeCounts(data.summary)],
+          ['Policy', data.policy || 'not evaluated'],
+          ['Commit', data.commitSha ? data.commitSha.slice(0, 12) : 'unknown'],
+        ],
+        color: data.policy === 'failed' ? 'attention' : 'good',
+      };
+    case 'scan.failed':
+      return {
+        title: `Scan failed: ${target(data)}`,
+        lines: [[data.error?.replace(/\.$/, ''), data.details].filter(Boolean).join(': ') || 'The scan failed.'],
+        facts: [],
+        color: 'attention',
+      };
+    case 'new.critical.found':
+      return {
+        title: `New critical vulnerabilities: ${target(data)}`,
+        lines: [
+          `${data.count} critical ${data.count === 1 ? 'vulnerability was' : 'vulnerabilities were'} not reported by the previous scan.`,
+          ...data.issues.slice(0, MAX_LISTED).map((issue) => `• ${issue.id}: ${issue.title} in ${issue.packageName}@${issue.version}`),
+        ],
+        facts: [],
+        color: 'attention',
+      };
+    case 'watch.changed':
+      return {
+        title: `Scheduled scan changed: ${target(data)}`,
+        lines: [
+          ...(data.introducedCount > 0
+            ? [`${data.introducedCount} new ${data.introducedCount === 1 ? 'vulnerability' : 'vulnerabilities'}.`]
+            : []),
+          ...(data.policy.previous !== data.policy.current
+            ? [`Policy verdict changed from ${data.policy.previous || 'none'} to ${data.policy.current || 'none'}.`]
+            : []),
+          ...data.introduced.slice(0, MAX_LISTED).map((issue) => `• ${issue.id}: ${issue.title} (${issue.severity})`),
+        ],
+        facts: [['Vulnerabilities', describeCounts(data.summary)]],
+        color: 'warning',
+      };
+    default:
+      return {
+        title: data.message || `Event ${event}`,
+        lines: [],
+        facts: [],
+        color: 'good',
+      };
+  }
+};
+
+/** Slack incoming webhook message. */
+const formatSlack = (envelope) => {
+  const { title, lines, facts } = describeEvent(envelope);
+  const link = scanLink(envelope.data.scanId);
+  return {
+    text: title,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: title.slice(0, 150) } },
+      ...(lines.length > 0 ? [{ type: 'section', text: { type: 'mrkdwn', text: lines.join('\n').slice(0, 3000) } }] : []),
+      ...(facts.length > 0
+        ? [{ type: 'section', fields: facts.map(([name, value]) => ({ type: 'mrkdwn', text: `*${name}*\n${value}` })) }]
+        : []),
+      ...(link ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: `<${link}|Open the scan>` }] }] : []),
+    ],
+  };
+};
+
+/** Microsoft Teams incoming webhook (Workflows) message with an Adaptive Card. */
+const formatTeams = (envelope) => {
+  const { title, lines, facts, color } = describeEvent(envelope);
+  const link = scanLink(envelope.data.scanId);
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: [
+          {
+            type: 'TextBlock', text: title, weight: 'Bolder', size: 'Medium', wrap: true, color,
+          },
+          ...lines.map((line) => ({ type: 'TextBlock', text: line, wrap: true })),
+          ...(facts.length > 0 ? [{ type: 'FactSet', facts: facts.map(([name, value]) => ({ title: name, value })) }] : []),
+        ],
+        ...(link ? { actions: [{ type: 'Action.OpenUrl', title: 'Open the scan', url: link }] } : {}),
+      },
+    }],
+  };
+};
+
+const formatters = {
+  json: (envelope) => envelope,
+  slack: formatSlack,
+  teams: formatTeams,
+};
+
+const WEBHOOK_FORMATS = Object.keys(formatters);
+
+/** The request body for `envelope` (`{ id, event, createdAt, data }`) in `format`. */
+const formatPayload = (format, envelope) => (formatters[format] || formatters.json)(envelope);
+
+module.exports = { WEBHOOK_FORMATS, formatPayload, scanLink };
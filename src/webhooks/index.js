@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const { diffScans } = require('../scanDiff');
+const { stripUrlCredentials } = require('../redact');
+const { WEBHOOK_FORMATS, formatPayload } = require('./formatters');
+
+const WEBHOOK_EVENTS = ['scan.completed', 'scan.failed', 'new.critical.found', 'watch.changed'];
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 1000;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const MAX_LOGGED_RESPONSE = 1000;
+const MAX_LISTED_ISSUES = 20;
+
+class WebhookError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WebhookError';
+    this.status = status;
+  }
+}
+
+const toPublicView = ({ secret, ...webhook }) => ({ ...webhook, hasSecret: Boolean(secret) });
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Signs a delivery: the HMAC-SHA256 of `<timestamp>.<body>` with the
+ * webhook's secret, hex encoded. Receivers recompute it from the
+ * `X-Scanner-Timestamp` header and the raw body.
+ */
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Server errors, rate limiting and network failures are worth another try;
+// other client errors will not go away by themselves.
+const isRetryable = (status) => !status || status === 408 || status === 429 || status >= 500;
+
+const scanData = (record) => ({
+  scanId: record.id,
+  repoUrl: record.repoUrl,
+  ref: record.ref || null,
+  commitSha: record.commitSha || null,
+  projectName: record.result?.projectName || null,
+});
+
+/**
+ * Outbound webhooks for scan events.
+ *
+ * Webhooks live in the `webhooks` collection as `{ id, name, url, events,
+ * format, secret, enabled }`; `events` lists `WEBHOOK_EVENTS` names or `*`,
+ * and `format` is `json` (the signed `{ id, event, createdAt, data }`
+ * envelope), `slack` or `teams`. Every delivery is logged in the
+ * `webhookDeliveries` collection with its attempts and retried with
+ * exponential backoff (`RETRY_BASE_MS`, doubling) up to `MAX_ATTEMPTS` times.
+ * Retries are scheduled in memory, so a restart drops pending retries.
+ */
+class WebhookService {
+  constructor({
+    storage,
+    fetch: fetchImpl = globalThis.fetch,
+    maxAttempts = MAX_ATTEMPTS,
+    retryBaseMs = RETRY_BASE_MS,
+    timeout = TIMEOUT_MS,
+  }) {
+    this.webhooks = storage.collection('webhooks');
+    this.deliveries = storage.collection('webhookDeliveries');
+    this.fetch = fetchImpl;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMs = retryBaseMs;
+    this.timeout = timeout;
+  }
+
+  async list() {
+    const webhooks = await this.webhooks.list();
+    return webhooks
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+      .map(toPublicView);
+  }
+
+  async get(id) {
+    const webhook = await this.webhooks.get(id);
+    return webhook ? toPublicView(webhook) : null;
+  }
+
+  validate(input, existing) {
+    const merged = { ...existing, ...input };
+    if (typeof merged.url !== 'string' || !isHttpUrl(merged.url)) {
+      throw new WebhookError('The webhook URL must be an http or https URL.');
+    }
+    if (!Array.isArray(merged.events) || merged.events.length === 0) {
+      throw new WebhookError(`Select at least one event: ${WEBHOOK_EVENTS.join(', ')} or *.`);
+    }
+    const unknown = merged.events.filter((event) => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new WebhookError(`Unknown event: ${unknown.join(', ')}.`);
+    }
+    if (!WEBHOOK_FORMATS.includes(merged.format || 'json')) {
+      throw new WebhookError(`The format must be one of ${WEBHOOK_FORMATS.join(', ')}.`);
+    }
+    if (input.secret !== undefined && input.secret !== null && typeof input.secret !== 'string') {
+      throw new WebhookError('The secret must be a string.');
+    }
+    if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+      throw new WebhookError('Enabled must be true or false.');
+    }
+  }
+
+  /**
+   * Adds a webhook. Without a `secret` one is generated; it is only returned
+   * in this response, like the secret of every later update.
+   */
+  async create(input) {
+    this.validate(input, {});
+    const now = new Date().toISOString();
+    const secret = input.secret || crypto.randomBytes(24).toString('hex');
+    const webhook = await this.webhooks.insert({
+      id: crypto.randomUUID(),
+      name: typeof input.name === 'string' && input.name.trim() ? input.name.trim() : new URL(input.url).host,
+      url: input.url,
+      events: Array.from(new Set(input.events)),
+      format: input.format || 'json',
+      secret,
+      enabled: input.enabled !== false,
+      createdAt: now,
+      updatedAt: now,
+    });
+    return { ...toPublicView(webhook), secret };
+  }
+
+  /** Updates a webhook; omitted fields keep their values and `secret: null` keeps the secret. */
+  async update(id, input) {
+    const existing = await this.webhooks.get(id);
+    if (!existing) return null;
+    this.validate(input, existing);
+    const patch = { updatedAt: new Date().toISOString() };
+    ['url', 'format', 'enabled'].forEach((field) => {
+      if (input[field] !== undefined) patch[field] = input[field];
+    });
+    if (input.events !== undefined) patch.events = Array.from(new Set(input.events));
+    if (typeof input.name === 'string' && input.name.trim()) patch.name = input.name.trim();
+    if (input.secret) patch.secret = input.secret;
+    const updated = await this.webhooks.update(id, patch);
+    return input.secret ? { ...toPublicView(updated), secret: input.secret } : toPublicView(updated);
+  }
+
+  async remove(id) {
+    return this.webhooks.remove(id);
+  }
+
+  async listDeliveries(webhookId, { limit = 50 } = {}) {
+    const deliveries = await this.deliveries.list((item) => item.webhookId === webhookId);
+    return deliveries
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+      .slice(0, limit);
+  }
+
+  /**
+   * Sends `event` with `data` to every enabled webhook subscribed to it.
+   * Resolves once the first attempts are logged; retries continue in the
+   * background.
+   */
+  async dispatch(event, data) {
+    const webhooks = await this.webhooks.list((webhook) => (
+      webhook.enabled && (webhook.events.includes('*') || webhook.events.includes(event))
+    ));
+    const envelope = {
+      id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), data,
+    };
+    return Promise.all(webhooks.map((webhook) => this.deliver(webhook, envelope)));
+  }
+
+  /** Sends a `ping` event to one webhook, whatever events it subscribes to. */
+  async ping(id) {
+    const webhook = await this.webhooks.get(id);
+    if (!webhook) return null;
+    return this.deliver(webhook, {
+      id: crypto.randomUUID(),
+      event: 'ping',
+      createdAt: new Date().toISOString(),
+      data: { webhookId: id, message: `Test delivery from the Snyk scanner to ${webhook.name}.` },
+    });
+  }
+
+  /** Delivers a logged delivery again, from its first attempt. */
+  async redeliver(deliveryId) {
+    const delivery = await this.deliveries.get(deliveryId);
+    if (!delivery) return null;
+    const webhook = await this.webhooks.get(delivery.webhookId);
+    if (!webhook) throw new WebhookError('The webhook of this delivery was removed.', 410);
+    return this.deliver(webhook, delivery.envelope);
+  }
+
+  async deliver(webhook, envelope) {
+    const delivery = await this.deliveries.insert({
+      id: crypto.randomUUID(),
+      webhookId: webhook.id,
+      event: envelope.event,
+      envelope,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      deliveredAt: null,
+    });
+    return this.attempt(webhook, delivery);
+  }
+
+  async attempt(webhook, delivery) {
+    const body = JSON.stringify(formatPayload(webhook.format, delivery.envelope));
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const startedAt = Date.now();
+    const attempt = { at: new Date(startedAt).toISOString(), status: null, error: null, durationMs: null };
+
+    try {
+      const response = await this.fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'snyk-scanner-webhooks',
+          'X-Scanner-Event': delivery.envelope.event,
+          'X-Scanner-Delivery': delivery.id,
+          'X-Scanner-Timestamp': timestamp,
+          ...(webhook.secret ? { 'X-Scanner-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}` } : {}),
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeout),
+      });
+      attempt.status = response.status;
+      const text = await response.text().catch(() => '');
+      if (!response.ok) attempt.error = text.slice(0, MAX_LOGGED_RESPONSE) || response.statusText;
+    } catch (err) {
+      attempt.error = err.name === 'TimeoutError' ? `No response within ${this.timeout} ms.` : err.message;
+    }
+    attempt.durationMs = Date.now() - startedAt;
+
+    const attempts = [...delivery.attempts, attempt];
+    const delivered = !attempt.error;
+    const retry = !delivered && isRetryable(attempt.status) && attempts.length < this.maxAttempts;
+    const updated = await this.deliveries.update(delivery.id, {
+      attempts,
+      status: delivered ? 'delivered' : retry ? 'retrying' : 'failed',
+      deliveredAt: delivered ? attempt.at : null,
+      nextAttemptAt: retry ? new Date(Date.now() + this.backoff(attempts.length)).toISOString() : null,
+    });
+
+    if (retry) {
+      setTimeout(() => {
+        this.attempt(webhook, updated).catch((err) => {
+          console.error('Webhook delivery', delivery.id, 'failed:', err.message);
+        });
+      }, this.backoff(attempts.length)).unref();
+    } else if (!delivered) {
+      console.warn(`Webhook ${webhook.name} gave up on ${delivery.envelope.event} after ${attempts.length} attempts: ${attempt.error}`);
+    }
+    return updated;
+  }
+
+  backoff(attempts) {
+    return this.retryBaseMs * 2 ** (attempts - 1);
+  }
+
+  /**
+   * Dispatches scan events from the queue (`scan.completed`, `scan.failed`
+   * and `new.critical.found`, comparing each scan with the previous stored
+   * scan of the repository) and scheduler notifications (`watch.changed`).
+   */
+  subscribe({ scanQueue, scanHistory, scheduler }) {
+    const send = (event, data) => this.dispatch(event, data).catch((err) => {
+      console.error(`Failed to dispatch ${event} webhooks:`, err.message);
+    });
+
+    scanQueue.on('job', async (view) => {
+      if (view.status === 'failed') {
+        send('scan.failed', {
+          scanId: view.id,
+          repoUrl: view.repoUrl,
+          ref: view.ref,
+          error: view.error?.error || 'Scan failed.',
+          details: typeof view.error?.details === 'string' ? view.error.details : null,
+        });
+        return;
+      }
+      if (view.status !== 'completed') return;
+      try {
+        const record = await scanHistory.get(view.id);
+        if (!record) return;
+        const { result } = record;
+        send('scan.completed', {
+          ...scanData(record),
+          summary: result.summary || {},
+          issueCount: Array.isArray(result.issues) ? result.issues.length : 0,
+          policy: result.policy?.status || null,
+          actionPlan: result.actionPlan
+            ? {
+              summary: result.actionPlan.summary,
+              steps: (result.actionPlan.steps || []).map((step) => (typeof step === 'string' ? step : step.action)),
+            }
+            : null,
+        });
+
+        const previous = await scanHistory.findPrevious(record);
+        const critical = (scan) => ({
+          issues: (scan?.issues || []).filter((issue) => issue.severity === 'critical' && !issue.suppressed),
+        });
+        const { introduced } = diffScans(critical(previous?.result), critical(result));
+        if (introduced.length > 0) {
+          send('new.critical.found', {
+            ...scanData(record),
+            previousScanId: previous?.id || null,
+            count: introduced.length,
+            issues: introduced.slice(0, MAX_LISTED_ISSUES).map((issue) => ({
+              id: issue.id,
+              title: issue.title,
+              packageName: issue.packageName,
+              version: issue.version,
+              cvssScore: issue.cvssScore ?? null,
+            })),
+          });
+        }
+      } catch (err) {
+        console.error('Failed to prepare scan webhooks:', err.message);
+      }
+    });
+
+    scheduler?.on('notification', (notification) => {
+      send('watch.changed', { ...notification, repoUrl: stripUrlCredentials(notification.repoUrl) });
+    });
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_FORMATS,
+  WebhookError,
+  WebhookService,
+  signPayload,
+};
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const { ScanError } = require('../errors');
+const { DEFAULT_SCANNERS } = require('../scanners');
+const { describeSeverityCounts } = require('../scanners/normalize');
+const { getProvider } = require('../hosts/providers');
+const { toRepoKey } = require('../scanHistory');
+const { stripUrlCredentials } = require('../redact');
+const { scanLink } = require('./formatters');
+
+const STATUS_CONTEXT = process.env.PUSH_STATUS_CONTEXT || 'snyk-scanner';
+// Comma-separated branches whose pushes (and pull requests into them) are
+// scanned; `*` scans every branch. By default only the default branch is.
+const BRANCHES = (process.env.PUSH_WEBHOOK_BRANCHES || '')
+  .split(',')
+  .map((branch) => branch.trim())
+  .filter(Boolean);
+
+const isDeletion = (sha) => !sha || /^0+$/.test(sha);
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const hmac = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+const branchOf = (ref) => (typeof ref === 'string' && ref.startsWith('refs/heads/') ? ref.slice('refs/heads/'.length) : null);
+
+// GitHub and Gitea share the shape of push and pull request payloads.
+const parseGitStyle = ({ event, payload, pullRequestActions }) => {
+  const repository = payload.repository || {};
+  if (event === 'push') {
+    const branch = branchOf(payload.ref);
+    if (!branch) return { ignored: 'Only branch pushes are scanned.' };
+    if (payload.deleted || isDeletion(payload.after)) return { ignored: 'The branch was deleted.' };
+    return {
+      event: 'push',
+      repoUrl: repository.clone_url,
+      commitSha: payload.after,
+      branch,
+      defaultBranch: repository.default_branch,
+      pullRequest: null,
+    };
+  }
+  if (event === 'pull_request') {
+    if (!pullRequestActions.includes(payload.action)) {
+      return { ignored: `Pull request action "${payload.action}" is not scanned.` };
+    }
+    const pull = payload.pull_request || {};
+    return {
+      event: 'pull_request',
+      repoUrl: repository.clone_url,
+      commitSha: pull.head?.sha,
+      branch: pull.base?.ref,
+      defaultBranch: repository.default_branch,
+      pullRequest: pull.number ?? payload.number ?? null,
+    };
+  }
+  return { ignored: `Event "${event}" is not scanned.` };
+};
+
+/**
+ * Push sources: how each host signs its webhooks and where its payloads keep
+ * the repository, commit and branch. `verify` compares the request with the
+ * configured secret; `parse` returns the event to scan, `{ ping: true }`
+ * or `{ ignored: reason }`.
+ */
+const SOURCES = {
+  github: {
+    label: 'GitHub',
+    secretEnv: 'GITHUB_WEBHOOK_SECRET',
+    deliveryId: (headers) => headers['x-github-delivery'],
+    verify: (headers, body, secret) => safeEqual(headers['x-hub-signature-256'], `sha256=${hmac(secret, body)}`),
+    parse: (headers, payload) => {
+      const event = headers['x-github-event'];
+      if (event === 'ping') return { ping: true };
+      return parseGitStyle({ event, payload, pullRequestActions: ['opened', 'synchronize', 'reopened'] });
+    },
+  },
+  gitlab: {
+    label: 'GitLab',
+    secretEnv: 'GITLAB_WEBHOOK_SECRET',
+    deliveryId: (headers) => headers['x-gitlab-event-uuid'],
+    // GitLab sends the secret token itself instead of a signature.
+    verify: (headers, _body, secret) => safeEqual(headers['x-gitlab-token'], secret),
+    parse: (_headers, payload) => {
+      const project = payload.project || {};
+      if (payload.object_kind === 'push') {
+        const branch = branchOf(payload.ref);
+        const sha = payload.checkout_sha || payload.after;
+        if (!branch) return { ignored: 'Only branch pushes are scanned.' };
+        if (isDeletion(sha)) return { ignored: 'The branch was deleted.' };
+        return {
+          event: 'push',
+          repoUrl: project.git_http_url,
+          commitSha: sha,
+          branch,
+          defaultBranch: project.default_branch,
+          pullRequest: null,
+        };
+      }
+      if (payload.object_kind === 'merge_request') {
+        const request = payload.object_attributes || {};
+        // Updates without `oldrev` change the title, labels and so on, not the code.
+        const scanned = ['open', 'reopen'].includes(request.action) || (request.action === 'update' && request.oldrev);
+        if (!scanned) return { ignored: `Merge request action "${request.action}" is not scanned.` };
+        return {
+          event: 'pull_request',
+          repoUrl: project.git_http_url,
+          commitSha: request.last_commit?.id,
+          branch: request.target_branch,
+          defaultBranch: project.default_branch,
+          pullRequest: request.iid ?? null,
+        };
+      }
+      return { ignored: `Event "${payload.object_kind}" is not scanned.` };
+    },
+  },
+  gitea: {
+    label: 'Gitea',
+    secretEnv: 'GITEA_WEBHOOK_SECRET',
+    deliveryId: (headers) => headers['x-gitea-delivery'],
+    verify: (headers, body, secret) => safeEqual(headers['x-gitea-signature'], hmac(secret, body)),
+    parse: (headers, payload) => parseGitStyle({
+      event: headers['x-gitea-event'],
+      payload,
+      pullRequestActions: ['opened', 'synchronized', 'reopened'],
+    }),
+  },
+};
+
+const PUSH_SOURCES = Object.keys(SOURCES);
+
+const secretFor = (source) => process.env[SOURCES[source].secretEnv] || process.env.PUSH_WEBHOOK_SECRET || null;
+
+// GitHub can also deliver payloads form-encoded, as a `payload` field.
+const parseBody = (headers, body) => {
+  const text = body.toString('utf8');
+  const json = /application\/x-www-form-urlencoded/i.test(headers['content-type'] || '')
+    ? new URLSearchParams(text).get('payload')
+    : text;
+  try {
+    return JSON.parse(json);
+  } catch (err) {
+    return null;
+  }
+};
+
+const describeResult = (view) => {
+  if (view.status !== 'completed') {
+    return { state: 'error', description: view.error?.error || `The scan was ${view.status}.` };
+  }
+  const { summary = {}, policy } = view.result || {};
+  const counts = describeSeverityCounts(summary);
+  const found = counts ? `Found ${counts}` : 'No vulnerabilities found';
+  const passed = policy ? policy.status !== 'failed' : view.result?.ok !== false;
+  return {
+    state: passed ? 'success' : 'failure',
+    description: `${found}${policy ? `; policy ${policy.status}` : ''}.`,
+  };
+};
+
+/**
+ * Scans commits announced by GitHub, GitLab and Gitea push and pull request
+ * webhooks. Each accepted event queues a scan of exactly the pushed commit,
+ * recorded with a `trigger` so it can be found by commit later. When an API
+ * token is stored for the repository's host, the commit gets a `pending`
+ * status while it is scanned and the verdict once it is done.
+ */
+class PushTrigger {
+  constructor({
+    scanQueue,
+    credentialStore,
+    statusContext = STATUS_CONTEXT,
+    branches = BRANCHES,
+  }) {
+    this.scanQueue = scanQueue;
+    this.credentialStore = credentialStore;
+    this.statusContext = statusContext;
+    this.branches = branches;
+    // `repoKey@sha` of commits with a scan in flight, so redeliveries do not
+    // queue the same commit twice.
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Verifies and handles one webhook request. `body` is the raw request body.
+   * Resolves with `{ ping: true }`, `{ ignored }` or `{ event, job }`; throws a
+   * `ScanError` for unknown sources, bad signatures and unreadable payloads.
+   */
+  async receive(source, headers, body) {
+    const definition = SOURCES[source];
+    if (!definition) {
+      throw new ScanError('Unknown webhook source.', { status: 404, details: `Use one of ${PUSH_SOURCES.join(', ')}.` });
+    }
+    const secret = secretFor(source);
+    if (!secret) {
+      throw new ScanError(`${definition.label} webhooks are not configured.`, {
+        status: 503,
+        details: `Set ${definition.secretEnv} (or PUSH_WEBHOOK_SECRET) on the server.`,
+      });
+    }
+    if (!definition.verify(headers, body, secret)) {
+      throw new ScanError('Invalid webhook signature.', { status: 401 });
+    }
+    const payload = parseBody(headers, body);
+    if (!payload || typeof payload !== 'object') {
+      throw new ScanError('The webhook payload is not valid JSON.', { status: 400 });
+    }
+
+    const parsed = definition.parse(headers, payload);
+    if (parsed.ping || parsed.ignored) return parsed;
+    if (typeof parsed.repoUrl !== 'string' || !parsed.repoUrl || !/^[0-9a-f]{40,64}$/i.test(parsed.commitSha || '')) {
+      throw new ScanError('The webhook payload has no repository URL or commit.', { status: 400 });
+    }
+    if (!this.scansBranch(parsed.branch, parsed.defaultBranch)) {
+      return { ignored: `Branch ${parsed.branch} is not scanned.` };
+    }
+
+    const event = {
+      source,
+      event: parsed.event,
+      deliveryId: definition.deliveryId(headers) || null,
+      repoUrl: parsed.repoUrl,
+      commitSha: parsed.commitSha.toLowerCase(),
+      branch: parsed.branch,
+      pullRequest: parsed.pullRequest,
+    };
+    return { event: { ...event, repoUrl: stripUrlCredentials(event.repoUrl) }, job: this.trigger(event) };
+  }
+
+  scansBranch(branch, defaultBranch) {
+    if (this.branches.includes('*')) return true;
+    if (this.branches.length > 0) return this.branches.includes(branch);
+    return Boolean(branch) && branch === defaultBranch;
+  }
+
+  /** Queues a scan of `event.commitSha`, or returns the one already in flight. */
+  trigger(event) {
+    const key = `${toRepoKey(event.repoUrl)}@${event.commitSha}`;
+    const running = this.inFlight.get(key);
+    if (running) {
+      const job = this.scanQueue.get(running);
+      if (job) return job;
+    }
+
+    const job = this.scanQueue.submit({
+      repoUrl: event.repoUrl,
+      ref: event.commitSha,
+      scanners: DEFAULT_SCANNERS,
+      trigger: {
+        source: event.source,
+        event: event.event,
+        branch: event.branch,
+        pullRequest: event.pullRequest,
+        deliveryId: event.deliveryId,
+      },
+    });
+    this.inFlight.set(key, job.id);
+
+    this.report(event, 'pending', 'Scanning dependencies…', job.id);
+    this.scanQueue.wait(job.id)
+      .then((view) => {
+        const { state, description } = describeResult(view);
+        return this.report(event, state, description, job.id);
+      })
+      .catch((err) => console.error('Failed to report the scan of', event.commitSha, err.message))
+      .finally(() => this.inFlight.delete(key));
+    return job;
+  }
+
+  /**
+   * Sets the commit status through the source's provider, with the API token
+   * stored for the repository's host. Without one nothing is reported.
+   */
+  async report(event, state, description, scanId) {
+    try {
+      const apiToken = await this.credentialStore.resolveApiToken(event.repoUrl);
+      if (!apiToken) return false;
+      return await getProvider(event.source).setCommitStatus({
+        repoUrl: event.repoUrl,
+        sha: event.commitSha,
+        state,
+        context: this.statusContext,
+        description: description.slice(0, 140),
+        targetUrl: scanLink(scanId),
+        token: apiToken.token,
+      });
+    } catch (err) {
+      console.error(`Failed to set the ${state} status of ${event.commitSha}:`, err.details || err.message);
+      return false;
+    }
+  }
+}
+
+module.exports = { PUSH_SOURCES, PushTrigger };
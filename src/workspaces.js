@@ -0,0 +1,91 @@
+const fs = require('fs/promises');
+
+const RETENTION_MINUTES = process.env.WORKSPACE_RETENTION_MINUTES === undefined
+  ? 30
+  : Number(process.env.WORKSPACE_RETENTION_MINUTES) || 0;
+const DEFAULT_TTL_MS = RETENTION_MINUTES * 60 * 1000;
+
+/**
+ * Keeps the clones of finished scans on disk for a while so follow-up work
+ * (such as generating a fix branch) can reuse them instead of cloning again.
+ *
+ * Each workspace is `{ id, baseDir, repoDir, repoUrl, commitSha, ref }` and is
+ * deleted `ttl` milliseconds after it was last used; a `ttl` of 0 disables
+ * retention. `use` serializes work per workspace, since two tasks cannot
+ * share one checkout.
+ */
+class WorkspaceCache {
+  constructor({ ttl = DEFAULT_TTL_MS } = {}) {
+    this.ttl = Math.max(0, Number(ttl) || 0);
+    this.entries = new Map();
+  }
+
+  get enabled() {
+    return this.ttl > 0;
+  }
+
+  /** Takes ownership of `workspace.baseDir`; it is removed when the entry expires. */
+  async retain(id, workspace) {
+    if (!this.enabled) {
+      await removeDir(workspace.baseDir);
+      return;
+    }
+    await this.release(id);
+    const entry = { workspace: { ...workspace, id }, timer: null, queue: Promise.resolve() };
+    this.entries.set(id, entry);
+    this.touch(entry);
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  /**
+   * Runs `task(workspace)` once earlier tasks on the same workspace finished.
+   * Resolves with `null` when the workspace is not (or no longer) retained.
+   */
+  use(id, task) {
+    const entry = this.entries.get(id);
+    if (!entry) return Promise.resolve(null);
+    const run = entry.queue.catch(() => {}).then(() => {
+      if (this.entries.get(id) !== entry) return null;
+      this.touch(entry);
+      return task(entry.workspace);
+    });
+    entry.queue = run.finally(() => this.touch(entry)).catch(() => {});
+    return run;
+  }
+
+  async release(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+    this.entries.delete(id);
+    clearTimeout(entry.timer);
+    await entry.queue;
+    await removeDir(entry.workspace.baseDir);
+  }
+
+  async releaseAll() {
+    await Promise.all(Array.from(this.entries.keys()).map((id) => this.release(id)));
+  }
+
+  touch(entry) {
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      if (this.entries.get(entry.workspace.id) === entry) this.release(entry.workspace.id);
+    }, this.ttl);
+    // Pending expiries never keep the process alive.
+    entry.timer.unref();
+  }
+}
+
+const removeDir = async (dirPath) => {
+  if (!dirPath) return;
+  try {
+    await fs.rm(dirPath, { recursive: true, force: true });
+  } catch (err) {
+    console.warn('Failed to clean temporary directory', dirPath, err.message);
+  }
+};
+
+module.exports = { WorkspaceCache };
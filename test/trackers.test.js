@@ -0,0 +1,160 @@
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../src/storage');
+const { CredentialStore } = require('../src/credentials');
+const { ScanHistory } = require('../src/scanHistory');
+const { TrackerService } = require('../src/trackers');
+
+// Stands in for GitHub's create-issue and Jira's create-issue endpoints,
+// numbering issues in the order they are created.
+const startTracker = async () => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({
+        method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body),
+      });
+      const number = requests.length;
+      res.setHeader('content-type', 'application/json');
+      if (req.method === 'POST' && /^\/repos\/[^/]+\/[^/]+\/issues$/.test(req.url)) {
+        res.statusCode = 201;
+        res.end(JSON.stringify({ number, html_url: `https://github.com/org/tracker/issues/${number}` }));
+      } else if (req.method === 'POST' && req.url === '/rest/api/2/issue') {
+        res.statusCode = 201;
+        res.end(JSON.stringify({ key: `SEC-${number}` }));
+      } else {
+        res.statusCode = 404;
+        res.end(JSON.stringify({ message: 'Not Found' }));
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return {
+    server, requests, host: `127.0.0.1:${port}`, url: `http://127.0.0.1:${port}`,
+  };
+};
+
+const issue = (id, packageName, version, severity) => ({
+  id,
+  title: `Vulnerability in ${packageName}`,
+  severity,
+  packageName,
+  version,
+  from: ['app@1.0.0', `${packageName}@${version}`],
+  upgradePath: [],
+});
+
+const step = (action, packageName, version, issueIds) => ({
+  action, package: packageName, version, issueIds,
+});
+
+const setup = async (t, credential) => {
+  const tracker = await startTracker();
+  t.after(() => tracker.server.close());
+  const storage = createStorage({ driver: 'memory' });
+  const credentialStore = new CredentialStore(storage, { secret: 'test-secret' });
+  await credentialStore.create({ host: tracker.host, type: 'token', ...credential });
+  const scanHistory = new ScanHistory(storage);
+  const service = new TrackerService({ storage, scanHistory, credentialStore });
+  return {
+    tracker, scanHistory, service,
+  };
+};
+
+test('creates GitHub issues and skips remediations already ticketed for the repository', async (t) => {
+  const { tracker, scanHistory, service } = await setup(t, { secret: 'ghp_tracker' });
+  const github = await service.create({
+    type: 'github', url: tracker.url, project: 'org/tracker', labels: ['deps'],
+  });
+
+  const lodash = issue('SNYK-JS-LODASH-1', 'lodash', '4.17.15', 'high');
+  const minimist = issue('SNYK-JS-MINIMIST-1', 'minimist', '1.2.0', 'critical');
+  await scanHistory.record({
+    id: 'scan-1',
+    repoUrl: 'https://github.com/org/app.git',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    result: {
+      projectName: 'app',
+      issues: [lodash, minimist],
+      actionPlan: {
+        steps: [
+          step('Upgrade lodash to 4.17.21', 'lodash', '4.17.21', [lodash.id]),
+          step('Upgrade minimist to 1.2.6', 'minimist', '1.2.6', [minimist.id]),
+        ],
+      },
+    },
+  });
+
+  const first = await service.exportScan('scan-1', github.id);
+  assert.deepEqual(first.failed, []);
+  assert.deepEqual(first.existing, []);
+  assert.deepEqual(first.created.map((ticket) => [ticket.fingerprint, ticket.externalId]), [
+    ['step:minimist@1.2.6', '#1'],
+    ['step:lodash@4.17.21', '#2'],
+  ]);
+  assert.equal(tracker.requests.length, 2);
+  tracker.requests.forEach((request) => {
+    assert.equal(request.url, '/repos/org/tracker/issues');
+    assert.equal(request.headers.authorization, 'Bearer ghp_tracker');
+    assert.ok(request.body.labels.includes('deps'));
+  });
+  assert.equal(tracker.requests[0].body.title, '[app] Upgrade minimist to 1.2.6');
+
+  // A later scan of the same repository (under a differently written URL)
+  // still needs the lodash upgrade and adds an axios one.
+  const axios = issue('SNYK-JS-AXIOS-1', 'axios', '0.21.0', 'medium');
+  await scanHistory.record({
+    id: 'scan-2',
+    repoUrl: 'git@github.com:org/app',
+    createdAt: '2026-01-02T00:00:00.000Z',
+    result: {
+      projectName: 'app',
+      issues: [lodash, axios],
+      actionPlan: {
+        steps: [
+          step('Upgrade lodash to 4.17.21', 'lodash', '4.17.21', [lodash.id]),
+          step('Upgrade axios to 0.21.2', 'axios', '0.21.2', [axios.id]),
+        ],
+      },
+    },
+  });
+
+  const second = await service.exportScan('scan-2', github.id);
+  assert.deepEqual(second.failed, []);
+  assert.deepEqual(second.existing.map((ticket) => [ticket.fingerprint, ticket.externalId]), [
+    ['step:lodash@4.17.21', '#2'],
+  ]);
+  assert.deepEqual(second.created.map((ticket) => [ticket.fingerprint, ticket.externalId]), [
+    ['step:axios@0.21.2', '#3'],
+  ]);
+  assert.equal(tracker.requests.length, 3);
+
+  const recorded = await service.listTickets(github.id, { repoKey: 'github.com/org/app' });
+  assert.deepEqual(recorded.map((ticket) => ticket.externalId).sort(), ['#1', '#2', '#3']);
+});
+
+test('creates Jira issues per package with basic auth for a username', async (t) => {
+  const { tracker, scanHistory, service } = await setup(t, { secret: 'jira-token', username: 'sec@example.com' });
+  const jira = await service.create({ type: 'jira', url: tracker.url, project: 'SEC' });
+
+  await scanHistory.record({
+    id: 'scan-1',
+    repoUrl: 'https://github.com/org/app',
+    result: { projectName: 'app', issues: [issue('SNYK-JS-LODASH-1', 'lodash', '4.17.15', 'high')] },
+  });
+
+  const result = await service.exportScan('scan-1', jira.id, { groupBy: 'package' });
+  assert.deepEqual(result.failed, []);
+  assert.deepEqual(result.created.map((ticket) => [ticket.externalId, ticket.url]), [
+    ['SEC-1', `${tracker.url}/browse/SEC-1`],
+  ]);
+  const [request] = tracker.requests;
+  assert.equal(request.url, '/rest/api/2/issue');
+  assert.equal(request.headers.authorization, `Basic ${Buffer.from('sec@example.com:jira-token').toString('base64')}`);
+  assert.equal(request.body.fields.project.key, 'SEC');
+});
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../src/storage');
+const { WebhookService } = require('../src/webhooks');
+
+// Answers each request with the next of `statuses` (repeating the last one)
+// and records what it received.
+const startReceiver = async (statuses) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end(res.statusCode < 400 ? 'ok' : 'unavailable');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, url: `http://127.0.0.1:${server.address().port}/hook` };
+};
+
+const waitFor = async (check, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the condition.');
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+test('signs deliveries and retries a failed attempt until it is delivered', async (t) => {
+  const receiver = await startReceiver([503, 200]);
+  t.after(() => receiver.server.close());
+
+  const service = new WebhookService({
+    storage: createStorage({ driver: 'memory' }),
+    fetch: globalThis.fetch,
+    maxAttempts: 3,
+    retryBaseMs: 10,
+  });
+  const webhook = await service.create({ url: receiver.url, events: ['scan.completed'], secret: 'shh' });
+
+  const [first] = await service.dispatch('scan.completed', { scanId: 'scan-1', repoUrl: 'https://github.com/org/app' });
+  assert.equal(first.status, 'retrying');
+  assert.equal(first.attempts.length, 1);
+  assert.equal(first.attempts[0].status, 503);
+  assert.equal(first.attempts[0].error, 'unavailable');
+
+  const delivery = await waitFor(async () => {
+    const [latest] = await service.listDeliveries(webhook.id);
+    return latest.status === 'retrying' ? null : latest;
+  });
+  assert.equal(delivery.status, 'delivered');
+  assert.deepEqual(delivery.attempts.map((attempt) => attempt.status), [503, 200]);
+  assert.equal(delivery.attempts[1].error, null);
+  assert.equal(delivery.deliveredAt, delivery.attempts[1].at);
+
+  assert.equal(receiver.requests.length, 2);
+  receiver.requests.forEach(({ headers, body }) => {
+    assert.equal(headers['x-scanner-event'], 'scan.completed');
+    assert.equal(headers['x-scanner-delivery'], delivery.id);
+    const expected = crypto.createHmac('sha256', 'shh')
+      .update(`${headers['x-scanner-timestamp']}.${body}`)
+      .digest('hex');
+    assert.equal(headers['x-scanner-signature'], `sha256=${expected}`);
+    assert.equal(JSON.parse(body).data.scanId, 'scan-1');
+  });
+});
+
+test('gives up without retrying when the receiver rejects the delivery', async (t) => {
+  const receiver = await startReceiver([400]);
+  t.after(() => receiver.server.close());
+
+  const service = new WebhookService({
+    storage: createStorage({ driver: 'memory' }),
+    fetch: globalThis.fetch,
+    maxAttempts: 3,
+    retryBaseMs: 10,
+  });
+  const webhook = await service.create({ url: receiver.url, events: ['*'] });
+
+  const delivery = await service.ping(webhook.id);
+  assert.equal(delivery.status, 'failed');
+  assert.deepEqual(delivery.attempts.map((attempt) => attempt.status), [400]);
+  assert.equal(receiver.requests.length, 1);
+  assert.match(receiver.requests[0].headers['x-scanner-signature'], /^sha256=[0-9a-f]{64}$/);
+});